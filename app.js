@@ -1,28 +1,69 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const path = require('path');
+const http = require('http');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
 const { exec } = require('child_process');
 const fetch = require('node-fetch');
+const OpenAI = require('openai');
+const { Server: SocketServer } = require('socket.io');
 const app = express();
 const port = 3001;
 require('dotenv').config();
 
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
+app.use(cookieParser());
+
+// Connect and start jobs only when run directly; tests require this file for its helpers
+if (require.main === module) {
+  mongoose.connect('mongodb://127.0.0.1:27017/quizDB')
+    .then(async () => {
+      console.log('✅ Connected to MongoDB');
+      await seedTopicTaxonomy();
+      await refreshTopicTaxonomy();
+      await seedLearningPaths();
+      await seedQuestionBank();
+      await seedShopItems();
+      await promoteConfiguredAdmins();
+      await migrateCoinHistoryToLedger();
+      await backfillResultPoints();
+      startCoinReconciliationJob();
+      await seedReviewScheduleFromHistory();
+      startIrtCalibrationJob();
+      startQuizSessionExpiryJob();
+      startTopicMasteryDecayJob();
+      startSeasonJob();
+      startChallengeExpiryJob();
+    })
+    .catch(err => console.error('❌ MongoDB connection error:', err));
+}
 
-mongoose.connect('mongodb://127.0.0.1:27017/quizDB')
-  .then(() => console.log('✅ Connected to MongoDB'))
-  .catch(err => console.error('❌ MongoDB connection error:', err));
+// ========== LLM PROVIDERS ==========
+// Question generation goes through callLLM(), which tries providers in order:
+// the one requested for this call, then LLM_PROVIDER, then LLM_PROVIDER_ORDER
+// (default gemini,cohere,openai). Providers without an API key are skipped.
+// Set LLM_PROVIDER=mock to generate deterministic questions without network access.
 
 // Gemini API Configuration
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
 // Correct Gemini API endpoint and model name for v1 API
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1/models/gemini-2.5-flash:generateContent';
+const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1/models/${GEMINI_MODEL}:generateContent`;
 const GEMINI_HEADERS = {
   'Content-Type': 'application/json'
 };
 
+// Cohere and OpenAI configuration
+const COHERE_API_KEY = process.env.COHERE_API_KEY;
+const COHERE_MODEL = process.env.COHERE_MODEL || 'command-r';
+const COHERE_API_URL = 'https://api.cohere.com/v2/chat';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
 // Gemini API call function
 async function callGeminiAPI(prompt) {
   try {
@@ -61,6 +102,171 @@ async function callGeminiAPI(prompt) {
   }
 }
 
+// Cohere chat API call function
+async function callCohereAPI(prompt) {
+  console.log('🔄 Calling Cohere API...');
+  const response = await fetch(COHERE_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${COHERE_API_KEY}`
+    },
+    body: JSON.stringify({
+      model: COHERE_MODEL,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.7
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Cohere API error: ${response.status} - ${errorText}`);
+  }
+
+  const result = await response.json();
+  const text = result?.message?.content?.find(part => part.type === 'text')?.text;
+  if (!text) {
+    throw new Error('No text returned from Cohere');
+  }
+  return text;
+}
+
+// OpenAI chat completion call function
+let openAIClient = null;
+async function callOpenAIAPI(prompt) {
+  console.log('🔄 Calling OpenAI API...');
+  if (!openAIClient) {
+    openAIClient = new OpenAI({ apiKey: OPENAI_API_KEY });
+  }
+
+  const completion = await openAIClient.chat.completions.create({
+    model: OPENAI_MODEL,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.7
+  });
+
+  const text = completion.choices?.[0]?.message?.content;
+  if (!text) {
+    throw new Error('No text returned from OpenAI');
+  }
+  return text;
+}
+
+// Offline provider: builds well-formed questions from the prompt hash, so the
+// same prompt always produces the same questions.
+async function callMockLLM(prompt, hints = {}) {
+  const seed = parseInt(crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8), 16);
+  const category = hints.category || 'General';
+  const topic = hints.topic || `${category} Basics`;
+  const difficulty = hints.difficulty || 'beginner';
+
+  const buildQuestion = (index) => {
+    const n = seed + index;
+    const correct = `Correct ${topic} answer #${n % 1000}`;
+    const options = [correct, `Distractor A #${n % 97}`, `Distractor B #${n % 89}`, `Distractor C #${n % 83}`];
+    const shift = n % options.length;
+    return {
+      question: `[Mock] ${category} question ${index + 1} about ${topic} (#${n % 10000})`,
+      options: [...options.slice(shift), ...options.slice(0, shift)],
+      correctAnswer: correct,
+      difficulty,
+      topic,
+      explanation: `Mock explanation for ${topic}.`
+    };
+  };
+
+  const count = Math.max(parseInt(hints.count) || 1, 1);
+  const payload = hints.expect === 'array'
+    ? Array.from({ length: count }, (_, i) => buildQuestion(i))
+    : buildQuestion(0);
+  return JSON.stringify(payload);
+}
+
+// Registered providers. `source` is stored on generated questions and quiz results.
+const LLM_PROVIDERS = {
+  gemini: {
+    source: 'GEMINI_API',
+    model: GEMINI_MODEL,
+    isConfigured: () => !!GEMINI_API_KEY && GEMINI_API_KEY.length > 10,
+    generate: (prompt) => callGeminiAPI(prompt)
+  },
+  cohere: {
+    source: 'COHERE_API',
+    model: COHERE_MODEL,
+    isConfigured: () => !!COHERE_API_KEY,
+    generate: (prompt) => callCohereAPI(prompt)
+  },
+  openai: {
+    source: 'OPENAI_API',
+    model: OPENAI_MODEL,
+    isConfigured: () => !!OPENAI_API_KEY,
+    generate: (prompt) => callOpenAIAPI(prompt)
+  },
+  mock: {
+    source: 'MOCK_PROVIDER',
+    model: 'mock',
+    isConfigured: () => true,
+    generate: (prompt, hints) => callMockLLM(prompt, hints)
+  }
+};
+
+function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(LLM_PROVIDERS, name);
+}
+
+// Provider names to try, in order. The mock provider is only used when asked for
+// explicitly, so a missing API key never silently turns into fake questions.
+function getProviderChain(preferred) {
+  const order = (process.env.LLM_PROVIDER_ORDER || 'gemini,cohere,openai')
+    .split(',')
+    .map(name => name.trim().toLowerCase());
+  const chain = [preferred, process.env.LLM_PROVIDER, ...order]
+    .filter(Boolean)
+    .map(name => name.toLowerCase());
+
+  return [...new Set(chain)].filter(name => isKnownProvider(name) && LLM_PROVIDERS[name].isConfigured());
+}
+
+// Send a prompt to the first provider that answers. `hints` (category, topic,
+// difficulty, count, expect) are only used by the mock provider.
+async function callLLM(prompt, { provider, ...hints } = {}) {
+  const chain = getProviderChain(provider);
+  if (chain.length === 0) {
+    throw new Error('No LLM provider configured');
+  }
+
+  const failures = [];
+  for (const name of chain) {
+    const startTime = Date.now();
+    try {
+      const text = await LLM_PROVIDERS[name].generate(prompt, hints);
+      console.log(`✅ ${name} answered in ${Date.now() - startTime}ms`);
+      return {
+        text,
+        provider: name,
+        source: LLM_PROVIDERS[name].source,
+        model: LLM_PROVIDERS[name].model,
+        generationTime: Date.now() - startTime
+      };
+    } catch (error) {
+      console.log(`⚠️ LLM provider ${name} failed, trying next:`, error.message);
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All LLM providers failed (${failures.join('; ')})`);
+}
+
+// Read an optional provider override from a request; returns an error message for unknown names
+function getRequestedProvider(req) {
+  const provider = (req.body?.provider || req.query?.provider || '').toString().trim().toLowerCase();
+  if (!provider) return { provider: null };
+  if (!isKnownProvider(provider)) {
+    return { error: `Unknown provider "${provider}". Use one of: ${Object.keys(LLM_PROVIDERS).join(', ')}` };
+  }
+  return { provider };
+}
+
 // Schemas
 const resultSchema = new mongoose.Schema({
   username: String,
@@ -69,16 +275,31 @@ const resultSchema = new mongoose.Schema({
   score: Number,
   total: Number,
   submittedAt: { type: Date, default: Date.now },
-  quizType: { type: String, enum: ['standard', 'ai-powered'], default: 'standard' },
+  quizType: { type: String, enum: ['standard', 'ai-powered', 'multiplayer'], default: 'standard' },
   aiGenerated: { type: Boolean, default: false },
-  generationSource: { type: String, enum: ['COHERE_API', 'PYTHON_COHERE', 'INTELLIGENT_FALLBACK', 'MANUAL'], default: 'MANUAL' },
-  questionIds: [String] // Array of question IDs used in the quiz
+  generationSource: { type: String, enum: ['GEMINI_API', 'COHERE_API', 'OPENAI_API', 'MOCK_PROVIDER', 'PYTHON_COHERE', 'INTELLIGENT_FALLBACK', 'MANUAL'], default: 'MANUAL' },
+  questionIds: [String], // Array of question IDs used in the quiz
+  quizId: String, // Id of the served set (quiz token, session or battle seat), so each set is saved once
+  timeSpent: Number, // Seconds from serving to submission, measured on the server
+  lateAnswers: { type: Number, default: 0 }, // Answers scored zero for missing a time limit
+  difficulty: Number, // Mean item difficulty of the questions, on the IRT theta scale
+  points: Number, // Normalized leaderboard points; see computeResultPoints()
+  // Invalidated results stay for the record but no longer count on leaderboards or stats
+  invalidated: { type: Boolean, default: false },
+  invalidatedAt: Date,
+  invalidatedReason: String
 });
+resultSchema.index({ category: 1, points: -1 });
+resultSchema.index({ quizId: 1 }, { unique: true, partialFilterExpression: { quizId: { $type: 'string' } } });
 
 const userSchema = new mongoose.Schema({
   username: String,
   email: String,
   password: String,
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  disabled: { type: Boolean, default: false },
+  disabledAt: Date,
+  disabledReason: String,
 
   // Engagement fields: daily streaks and coins
   engagement: {
@@ -91,13 +312,35 @@ const userSchema = new mongoose.Schema({
       balance: { type: Number, default: 0 },
       lifetimeEarned: { type: Number, default: 0 },
       lifetimeSpent: { type: Number, default: 0 },
+      // Legacy embedded history; migrateCoinHistoryToLedger() moves it to CoinTransaction
       history: [{
         action: { type: String, required: true },
         amount: { type: Number, required: true }, // positive for earn, negative for spend
         createdAt: { type: Date, default: Date.now },
         meta: mongoose.Schema.Types.Mixed
+      }],
+      ledgerMigratedAt: Date // Set once the balance is backed by CoinTransaction entries
+    },
+    // Shop purchases waiting to be used
+    inventory: {
+      streakFreezes: { type: Number, default: 0 },
+      hints: { type: Number, default: 0 },
+      doubleCoins: { type: Number, default: 0 },
+      avatarUnlocked: { type: Boolean, default: false },
+      hintsUsed: [{
+        questionId: String,
+        removedOptions: [String],
+        usedAt: { type: Date, default: Date.now }
       }]
-    }
+    },
+    purchaseLockedUntil: Date // Held while a shop purchase runs; see withPurchaseLock()
+  },
+  avatar: { type: String, default: 'fa-user' }, // Font Awesome icon shown on the profile
+
+  // League per season length; promotion and relegation happen when a season ends
+  leagues: {
+    weekly: { type: String, enum: ['bronze', 'silver', 'gold'], default: 'bronze' },
+    monthly: { type: String, enum: ['bronze', 'silver', 'gold'], default: 'bronze' }
   }
 });
 
@@ -120,8 +363,26 @@ const UserPerformanceSchema = new mongoose.Schema({
     commonMistakes: [String],
     masteredConcepts: [String]
   },
-  weakAreas: [String],
+  weakAreas: [String], // Derived from topicMastery, weakest first
   strongAreas: [String],
+  topicMastery: [{ // Recency-weighted accuracy per topic; old answers count half after TOPIC_MASTERY_HALF_LIFE_DAYS
+    topic: String,
+    correctWeight: { type: Number, default: 0 },
+    totalWeight: { type: Number, default: 0 },
+    answers: { type: Number, default: 0 },
+    status: { type: String, enum: ['weak', 'neutral', 'strong'], default: 'neutral' },
+    weightedAt: Date, // When the weights were last decayed
+    lastAnsweredAt: Date,
+    statusChangedAt: Date
+  }],
+  masteryTransitions: [{ // Most recent status changes, oldest first
+    topic: String,
+    from: String,
+    to: String,
+    reason: { type: String, enum: ['practice', 'decay'] },
+    accuracy: Number,
+    at: { type: Date, default: Date.now }
+  }],
   questionHistory: [{
     questionId: String,
     topic: String,
@@ -131,6 +392,18 @@ const UserPerformanceSchema = new mongoose.Schema({
     attempts: Number,
     generatedAt: Date
   }],
+  reviewScheduleSeededAt: Date, // Missed questions in questionHistory have been copied to ReviewItem
+  responseTime: { // Server-measured seconds per answer over questionHistory, behind skillMetrics.speed
+    medianSeconds: Number,
+    p90Seconds: Number,
+    samples: { type: Number, default: 0 }
+  },
+  ability: { // IRT ability estimate (theta) for this category; 0 is the average learner
+    theta: Number,
+    standardError: Number,
+    responses: Number,
+    calibratedAt: Date
+  },
   lastAssessment: { type: Date, default: Date.now },
   quizzesTaken: { type: Number, default: 0 },
   totalQuestions: { type: Number, default: 0 },
@@ -138,21 +411,398 @@ const UserPerformanceSchema = new mongoose.Schema({
 });
 
 // Generated Questions Schema
+// Review state shared by bank and AI-generated questions
+const QUESTION_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+const QUESTION_REPORT_REASONS = ['wrong-answer', 'off-topic', 'unclear', 'offensive', 'other'];
+// Response counts and IRT item parameters, shared by bank and AI-generated questions.
+// Copies of an AI question with the same contentHash are calibrated as one item.
+function questionCalibrationFields() {
+  return {
+    irt: {
+      responses: { type: Number, default: 0 },
+      correct: { type: Number, default: 0 },
+      difficulty: Number, // b: the ability at which a learner has a 50% chance of answering correctly
+      discrimination: Number, // a: how sharply the chance of success rises around b
+      calibratedAt: Date
+    }
+  };
+}
+
+function questionModerationFields(defaultStatus) {
+  return {
+    status: { type: String, enum: QUESTION_STATUSES, default: defaultStatus, index: true },
+    reports: [{
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String, enum: QUESTION_REPORT_REASONS },
+      comment: String,
+      createdAt: { type: Date, default: Date.now }
+    }],
+    reportCount: { type: Number, default: 0 },
+    reviewedBy: String,
+    reviewedAt: Date,
+    reviewNote: String
+  };
+}
+
 const GeneratedQuestionSchema = new mongoose.Schema({
   category: { type: String, required: true },
   question: { type: String, required: true },
   options: [String],
   correctAnswer: { type: String, required: true },
   difficulty: { type: String, enum: ['beginner', 'intermediate', 'advanced', 'expert'], default: 'beginner' },
-  topic: String,
+  topic: String, // Taxonomy topic name, see normalizeQuestionTopic
+  concept: String,
+  rawTopic: String, // Topic as the LLM wrote it, when it differed from the taxonomy name
   explanation: String,
   hasBeenUsed: { type: Boolean, default: false },
   userResponse: {
+    selectedOption: String,
     wasCorrect: Boolean,
-    timeSpent: Number,
+    timeSpent: Number, // Seconds from serving to answering, measured on the server
+    timedOut: Boolean, // Answered after the time limit; never counts as correct
     submittedAt: Date
   },
   generatedFor: { type: String },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizSession' }, // Served by a quiz session; graded only there
+  placementTestId: { type: mongoose.Schema.Types.ObjectId, ref: 'PlacementTest' }, // Served by a placement test; answered only there
+  generatedBy: String, // Provider source, e.g. GEMINI_API or INTELLIGENT_FALLBACK
+  aiModel: String,
+  contentHash: { type: String, index: true }, // Same text in the same category => same hash, across users
+  ...questionModerationFields('pending'),
+  ...questionCalibrationFields(),
+  createdAt: { type: Date, default: Date.now }
+});
+GeneratedQuestionSchema.pre('validate', function(next) {
+  if (this.isModified('question') || this.isModified('category') || !this.contentHash) {
+    this.contentHash = questionContentHash(this.category, this.question);
+  }
+  normalizeQuestionTopic(this);
+  next();
+});
+
+// Question bank for the standard category quizzes
+const QuestionSchema = new mongoose.Schema({
+  category: { type: String, required: true, index: true },
+  question: { type: String, required: true },
+  options: [String],
+  correctAnswer: { type: String, required: true },
+  difficulty: { type: String, enum: ['beginner', 'intermediate', 'advanced', 'expert'], default: 'beginner' },
+  topic: String,
+  concept: String,
+  rawTopic: String,
+  explanation: String,
+  active: { type: Boolean, default: true },
+  ...questionModerationFields('approved'),
+  ...questionCalibrationFields(),
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+QuestionSchema.pre('validate', function(next) {
+  normalizeQuestionTopic(this);
+  next();
+});
+
+// Login sessions: one document per refresh token, so a session can be revoked on logout
+const SessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true, unique: true },
+  userAgent: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null }
+});
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Append-only coin ledger: one document per balance change
+const CoinTransactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  email: String,
+  amount: { type: Number, required: true }, // positive for earn, negative for spend
+  balanceAfter: Number,
+  action: { type: String, required: true },
+  meta: mongoose.Schema.Types.Mixed,
+  idempotencyKey: String, // Retrying with the same key returns the original transaction
+  createdAt: { type: Date, default: Date.now }
+});
+CoinTransactionSchema.index({ userId: 1, createdAt: -1 });
+CoinTransactionSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Spaced-repetition schedule: one document per user and question they have missed (SM-2)
+const ReviewItemSchema = new mongoose.Schema({
+  email: { type: String, required: true },
+  category: { type: String, required: true },
+  questionId: { type: String, required: true },
+  source: { type: String, enum: ['bank', 'generated'], required: true },
+  topic: String,
+  easeFactor: { type: Number, default: 2.5 },
+  interval: { type: Number, default: 0 }, // Days until the next review
+  repetitions: { type: Number, default: 0 }, // Correct reviews in a row
+  lapses: { type: Number, default: 0 }, // Times the question was missed
+  dueAt: { type: Date, default: Date.now },
+  servedAt: Date, // When /api/review/due last handed the question out
+  lastReviewedAt: Date,
+  lastQuality: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+ReviewItemSchema.index({ email: 1, questionId: 1 }, { unique: true });
+ReviewItemSchema.index({ email: 1, category: 1, dueAt: 1 });
+
+// Every graded answer, kept in full for IRT calibration
+const QuestionResponseSchema = new mongoose.Schema({
+  email: { type: String, required: true },
+  category: { type: String, required: true },
+  questionId: { type: String, required: true },
+  source: { type: String, enum: ['bank', 'generated'], required: true },
+  itemKey: { type: String, required: true }, // Bank question id, or contentHash for AI questions
+  difficulty: String, // Label the question was served with; the calibration prior
+  isCorrect: { type: Boolean, required: true },
+  timeSpent: Number,
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'Result' },
+  createdAt: { type: Date, default: Date.now }
+});
+QuestionResponseSchema.index({ category: 1, createdAt: -1 });
+QuestionResponseSchema.index({ email: 1, category: 1 });
+
+// Computerized adaptive placement test: one document per attempt
+const PlacementTestSchema = new mongoose.Schema({
+  email: { type: String, required: true },
+  category: { type: String, required: true },
+  status: { type: String, enum: ['in-progress', 'completed', 'abandoned'], default: 'in-progress' },
+  theta: { type: Number, default: 0 },
+  standardError: { type: Number, default: 1 },
+  responses: [{
+    questionId: String,
+    source: { type: String, enum: ['bank', 'generated'] },
+    itemKey: String,
+    level: String,
+    difficulty: Number,
+    discrimination: Number,
+    isCorrect: Boolean,
+    timeSpent: Number,
+    answeredAt: { type: Date, default: Date.now }
+  }],
+  currentQuestion: { // The question waiting for an answer
+    questionId: String,
+    source: { type: String, enum: ['bank', 'generated'] },
+    servedAt: Date
+  },
+  stopReason: { type: String, enum: ['precision', 'max-length', 'pool-exhausted'] },
+  placementLevel: { type: String, enum: ['beginner', 'intermediate', 'advanced', 'expert'] },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date
+});
+PlacementTestSchema.index({ email: 1, category: 1, status: 1 });
+
+// Server-side state for an adaptive AI quiz: which questions were served and how each was answered
+const QuizSessionSchema = new mongoose.Schema({
+  email: { type: String, required: true },
+  category: { type: String, required: true },
+  status: { type: String, enum: ['active', 'finished', 'expired'], default: 'active' },
+  totalQuestions: { type: Number, default: 10 },
+  provider: String, // Preferred LLM provider for this session's questions
+  questions: [{
+    questionId: { type: String, required: true },
+    topic: String,
+    difficulty: String,
+    servedAt: { type: Date, default: Date.now },
+    selectedOption: String,
+    isCorrect: Boolean,
+    timeSpent: Number, // Seconds from serving to answering, measured on the server
+    timedOut: Boolean,
+    answeredAt: Date
+  }],
+  currentQuestionId: String, // Served and waiting for an answer
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'Result' },
+  startedAt: { type: Date, default: Date.now },
+  lastActivityAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  finishedAt: Date
+});
+QuizSessionSchema.index({ email: 1, category: 1, status: 1 });
+QuizSessionSchema.index({ status: 1, expiresAt: 1 });
+
+// Shop catalog. `itemId` is the number clients send to /api/shop/purchase.
+const SHOP_ITEM_EFFECT_TYPES = ['streakFreeze', 'hint', 'doubleCoins', 'avatar'];
+const ShopItemSchema = new mongoose.Schema({
+  itemId: { type: Number, required: true, unique: true },
+  name: { type: String, required: true },
+  description: String,
+  price: { type: Number, required: true, min: 0 },
+  effect: { type: String, enum: SHOP_ITEM_EFFECT_TYPES, required: true },
+  category: { type: String, default: null }, // Only for learners who have taken a quiz in this category
+  stock: { type: Number, default: null, min: 0 }, // Global stock left; null = unlimited
+  perUserLimit: { type: Number, default: null, min: 1 }, // null = unlimited
+  availableFrom: { type: Date, default: null }, // Seasonal window; null = no bound
+  availableUntil: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Admin and automatic actions, one document per change
+const AuditLogSchema = new mongoose.Schema({
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for automatic actions
+  actorEmail: String,
+  action: { type: String, required: true }, // e.g. question.approve
+  targetType: String,
+  targetId: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  note: String,
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+AuditLogSchema.index({ targetType: 1, targetId: 1 });
+
+// Topic taxonomy, one document per category topic; see TOPIC_TAXONOMY_SEED
+const TopicSchema = new mongoose.Schema({
+  category: { type: String, required: true },
+  slug: { type: String, required: true },
+  name: { type: String, required: true },
+  level: { type: String, enum: ['beginner', 'intermediate', 'advanced', 'expert'], default: 'beginner' },
+  order: { type: Number, default: 0 }, // Position within the level
+  aliases: [String], // Other names LLMs and older questions use for this topic
+  prerequisites: [String], // Slugs of topics in the same category
+  concepts: [{
+    slug: String,
+    name: String,
+    aliases: [String]
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+TopicSchema.index({ category: 1, slug: 1 }, { unique: true });
+
+// Ordered sequence of taxonomy topics; see LEARNING_PATH_SEED
+const LearningPathSchema = new mongoose.Schema({
+  pathId: { type: String, required: true, unique: true }, // URL slug
+  title: { type: String, required: true },
+  description: String,
+  nodes: [{
+    category: String,
+    topic: String // Taxonomy topic name
+  }],
+  reward: { type: Number, default: 0 }, // Coins paid once when the path is completed
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A learner's progress through one learning path
+const PathProgressSchema = new mongoose.Schema({
+  email: { type: String, required: true },
+  pathId: { type: String, required: true },
+  completedNodes: [{
+    category: String,
+    topic: String,
+    completedAt: Date
+  }],
+  status: { type: String, enum: ['in-progress', 'completed'], default: 'in-progress' },
+  coinsAwarded: { type: Number, default: 0 },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  updatedAt: { type: Date, default: Date.now }
+});
+PathProgressSchema.index({ email: 1, pathId: 1 }, { unique: true });
+
+// A weekly or monthly leaderboard season; standings are snapshotted when it ends
+const SeasonSchema = new mongoose.Schema({
+  seasonId: { type: String, required: true, unique: true }, // e.g. weekly-2026-10-19, monthly-2026-10
+  period: { type: String, enum: ['weekly', 'monthly'], required: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  status: { type: String, enum: ['active', 'finalizing', 'finalized'], default: 'active', index: true },
+  standings: [{
+    email: String,
+    username: String,
+    league: String, // League played in this season
+    rank: Number, // Across all leagues
+    leagueRank: Number,
+    points: Number,
+    categories: Number,
+    quizzes: Number,
+    outcome: { type: String, enum: ['promoted', 'relegated', 'stayed'] },
+    nextLeague: String,
+    reward: Number,
+    coinsAwarded: { type: Number, default: 0 }
+  }],
+  finalizedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A friend request; accepted requests are the friendship
+const FriendshipSchema = new mongoose.Schema({
+  requester: { type: String, required: true }, // Email of the user who asked
+  recipient: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'accepted', 'declined'], default: 'pending' },
+  createdAt: { type: Date, default: Date.now },
+  respondedAt: Date
+});
+FriendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+FriendshipSchema.index({ recipient: 1, status: 1 });
+
+// A group of learners with its own leaderboard, joined with an invite code
+const TeamSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  ownerEmail: { type: String, required: true },
+  inviteCode: { type: String, required: true, unique: true },
+  members: [{
+    email: String,
+    role: { type: String, enum: ['owner', 'member'], default: 'member' },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+TeamSchema.index({ 'members.email': 1 });
+
+// A finished bank quiz frozen into a shareable code; others play the same questions against it
+const ChallengeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  creatorEmail: { type: String, required: true, index: true },
+  creatorUsername: String,
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'Result' },
+  category: { type: String, required: true },
+  questionIds: [String],
+  creatorResult: {
+    score: Number,
+    total: Number,
+    timeSpent: Number
+  },
+  wager: { type: Number, default: 0 }, // Coins each side puts in escrow; a wager allows one opponent
+  status: { type: String, enum: ['open', 'settling', 'settled', 'expired', 'cancelled'], default: 'open' },
+  outcome: { type: String, enum: ['creator', 'opponent', 'draw', 'expired'] },
+  participants: [{
+    email: String,
+    username: String,
+    resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'Result' },
+    score: Number,
+    total: Number,
+    timeSpent: Number,
+    acceptedAt: Date, // When the wager was put in escrow
+    quizId: String, // The one quiz token this player is issued; reissued unchanged on reload
+    servedAt: Date,
+    submittedAt: { type: Date, default: null }, // Claimed before grading so an attempt is saved once
+    finishedAt: { type: Date, default: null }
+  }],
+  payouts: [{ email: String, amount: Number, reason: String, key: String }], // Escrow transfers made
+  expiresAt: { type: Date, required: true },
+  settledAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+ChallengeSchema.index({ 'participants.email': 1 });
+ChallengeSchema.index({ status: 1, expiresAt: 1 });
+
+// AI-generated questions that failed validation, kept for reviewing prompts and providers
+const QuestionRejectionSchema = new mongoose.Schema({
+  category: String,
+  provider: String,
+  model: String,
+  attempt: Number,
+  reasons: [String],
+  payload: mongoose.Schema.Types.Mixed, // The rejected item, or the raw reply when it wasn't valid JSON
+  generatedFor: String,
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -160,394 +810,536 @@ const Result = mongoose.model('Result', resultSchema);
 const User = mongoose.model('User', userSchema);
 const UserPerformance = mongoose.model('UserPerformance', UserPerformanceSchema);
 const GeneratedQuestion = mongoose.model('GeneratedQuestion', GeneratedQuestionSchema);
+const Session = mongoose.model('Session', SessionSchema);
+const Question = mongoose.model('Question', QuestionSchema);
+const QuestionRejection = mongoose.model('QuestionRejection', QuestionRejectionSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+const ShopItem = mongoose.model('ShopItem', ShopItemSchema);
+const CoinTransaction = mongoose.model('CoinTransaction', CoinTransactionSchema);
+const ReviewItem = mongoose.model('ReviewItem', ReviewItemSchema);
+const QuestionResponse = mongoose.model('QuestionResponse', QuestionResponseSchema);
+const PlacementTest = mongoose.model('PlacementTest', PlacementTestSchema);
+const QuizSession = mongoose.model('QuizSession', QuizSessionSchema);
+const Topic = mongoose.model('Topic', TopicSchema);
+const LearningPath = mongoose.model('LearningPath', LearningPathSchema);
+const PathProgress = mongoose.model('PathProgress', PathProgressSchema);
+const Season = mongoose.model('Season', SeasonSchema);
+const Friendship = mongoose.model('Friendship', FriendshipSchema);
+const Team = mongoose.model('Team', TeamSchema);
+const Challenge = mongoose.model('Challenge', ChallengeSchema);
+
+// ========== AUTHENTICATION ==========
+
+// Signing secret for access tokens. Without JWT_SECRET every restart logs everyone out.
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET not set - using a random secret, sessions will not survive a restart');
+}
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;           // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const AUTH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production'
+};
 
-// AI Question Generator Class
-class AIQuestionGenerator {
-  static async generateUniqueQuestions(userEmail, category, userPerformance, count = 10) {
-    try {
-      console.log(`Generating AI questions for ${userEmail} in ${category}`);
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-      // Get user's question history to avoid repetition
-      const previousQuestions = await GeneratedQuestion.find({
-        generatedFor: userEmail,
-        category,
-        hasBeenUsed: true
-      }).select('question topic').limit(20);
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { sub: String(user._id), email: user.email, username: user.username, sid: String(sessionId) },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
 
-      // Create user profile
-      const userProfile = this.createUserProfile(userPerformance, previousQuestions);
+function setAuthCookies(res, accessToken, refreshToken) {
+  res.cookie('accessToken', accessToken, { ...AUTH_COOKIE_OPTIONS, maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 });
+  if (refreshToken) {
+    res.cookie('refreshToken', refreshToken, { ...AUTH_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_TTL_MS });
+  }
+}
 
-      // Generate Gemini prompt
-      const aiPrompt = this.createPersonalizedPrompt(category, userProfile, count);
+function clearAuthCookies(res) {
+  res.clearCookie('accessToken', AUTH_COOKIE_OPTIONS);
+  res.clearCookie('refreshToken', AUTH_COOKIE_OPTIONS);
+}
 
-      console.log('Calling Gemini API...');
-      const geminiResponse = await callGeminiAPI(aiPrompt);
+// Start a new session for a user and return its token pair
+async function createSession(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
 
-      // Parse Gemini response
-      let questions;
-      try {
-        const responseText = geminiResponse.trim();
-        // Remove markdown formatting if present
-        const jsonText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        questions = JSON.parse(jsonText);
-      } catch (parseError) {
-        console.error('Error parsing Gemini response:', parseError);
-        throw new Error('Invalid Gemini response format');
-      }
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
 
-      // Validate questions array
-      if (!Array.isArray(questions) || questions.length === 0) {
-        throw new Error('No valid questions returned from Gemini');
-      }
+// Look up the live session and user behind a refresh token
+async function findRefreshSession(refreshToken) {
+  if (!refreshToken) return null;
 
-      // Save generated questions to database
-      const savedQuestions = await Promise.all(
-        questions.map(async (q) => {
-          const generatedQuestion = new GeneratedQuestion({
-            generatedFor: userEmail,
-            category,
-            question: q.question,
-            options: q.options,
-            correctAnswer: q.correctAnswer,
-            explanation: q.explanation || 'Gemini-generated explanation',
-            difficulty: q.difficulty || userPerformance.overallLevel,
-            topic: q.topic || category,
-            aiPrompt: aiPrompt.substring(0, 500)
-          });
-          return await generatedQuestion.save();
-        })
-      );
+  const session = await Session.findOne({
+    refreshTokenHash: hashToken(refreshToken),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) return null;
 
-      console.log(`Successfully generated ${savedQuestions.length} Gemini questions`);
-      return savedQuestions;
+  const user = await User.findById(session.userId);
+  if (!user || user.disabled) return null;
 
-    } catch (error) {
-      console.error('Error generating Gemini AI questions:', error);
-      // Fallback to pre-generated questions
-      return await this.generateFallbackQuestions(userEmail, category, userPerformance, count);
+  return { session, user };
+}
+
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Derive the user from the access token (Bearer header or cookie) and set req.user.
+// Browser sessions with an expired access cookie are renewed from the refresh cookie.
+// Returns false when the request isn't signed in.
+async function authenticateRequest(req, res) {
+  const bearerToken = getBearerToken(req);
+  const accessToken = bearerToken || req.cookies?.accessToken;
+
+  if (accessToken) {
+    try {
+      const payload = jwt.verify(accessToken, JWT_SECRET);
+      const session = await Session.findOne({ _id: payload.sid, revokedAt: null });
+      const user = session ? await User.findById(payload.sub) : null;
+      if (user && !user.disabled) {
+        req.user = user;
+        req.sessionId = session._id;
+        return true;
+      }
+    } catch (tokenError) {
+      if (tokenError.name !== 'TokenExpiredError' && tokenError.name !== 'JsonWebTokenError') {
+        throw tokenError;
+      }
     }
   }
 
-  static createUserProfile(userPerformance, previousQuestions) {
-    return {
-      level: userPerformance.overallLevel,
-      accuracy: userPerformance.skillMetrics.accuracy,
-      weakAreas: userPerformance.weakAreas,
-      strongAreas: userPerformance.strongAreas,
-      learningStyle: userPerformance.detailedProfile.learningStyle,
-      commonMistakes: userPerformance.detailedProfile.commonMistakes,
-      masteredConcepts: userPerformance.detailedProfile.masteredConcepts,
-      questionHistory: previousQuestions.map(q => q.question.substring(0, 50)),
-      quizzesTaken: userPerformance.quizzesTaken,
-      averageSpeed: userPerformance.skillMetrics.speed,
-      consistency: userPerformance.skillMetrics.consistency
-    };
+  // API clients using Bearer tokens refresh explicitly through /api/auth/refresh
+  if (!bearerToken) {
+    const refreshed = await findRefreshSession(req.cookies?.refreshToken);
+    if (refreshed) {
+      refreshed.session.lastUsedAt = new Date();
+      await refreshed.session.save();
+      setAuthCookies(res, signAccessToken(refreshed.user, refreshed.session._id));
+      req.user = refreshed.user;
+      req.sessionId = refreshed.session._id;
+      return true;
+    }
   }
 
-  static createPersonalizedPrompt(category, userProfile, count) {
-    let prompt = `Generate ${count} unique ${category} quiz questions for a user with this profile:
-
-Level: ${userProfile.level}
-Accuracy: ${(userProfile.accuracy * 100).toFixed(1)}%
-Quizzes Taken: ${userProfile.quizzesTaken}
-Learning Style: ${userProfile.learningStyle}
+  return false;
+}
 
-Weak Areas: ${userProfile.weakAreas.length > 0 ? userProfile.weakAreas.join(', ') : 'None'}
-Strong Areas: ${userProfile.strongAreas.length > 0 ? userProfile.strongAreas.join(', ') : 'None'}
+// Auth middleware: rejects requests that aren't signed in
+async function requireAuth(req, res, next) {
+  try {
+    if (await authenticateRequest(req, res)) {
+      return next();
+    }
+    res.status(401).json({ error: 'Authentication required' });
+  } catch (err) {
+    console.error('Auth middleware error:', err);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+}
 
-AVOID these previous questions: ${userProfile.questionHistory.join(' | ')}
+// Like requireAuth, but lets anonymous requests through with req.user unset
+async function optionalAuth(req, res, next) {
+  try {
+    await authenticateRequest(req, res);
+  } catch (err) {
+    console.error('Optional auth error:', err);
+  }
+  next();
+}
 
-Requirements:
-1. Create completely unique questions not similar to previous ones
-2. Focus 60% on weak areas if any exist
-3. Match ${userProfile.learningStyle} learning style
-4. Use ${userProfile.level} difficulty level
-5. Include practical examples
+// Role check; use after requireAuth, e.g. app.get(path, requireAuth, requireRole('admin'), handler)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
 
-Respond with valid JSON array only:
-[
-  {
-    "question": "Question text here",
-    "options": ["Option A", "Option B", "Option C", "Option D"],
-    "correctAnswer": "Option A",
-    "difficulty": "${userProfile.level}",
-    "topic": "Specific topic",
-    "explanation": "Why this answer is correct"
+// Give the admin role to the accounts listed in ADMIN_EMAILS (comma-separated)
+async function promoteConfiguredAdmins() {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+  if (adminEmails.length === 0) return;
+
+  const result = await User.updateMany({ email: { $in: adminEmails }, role: { $ne: 'admin' } }, { $set: { role: 'admin' } });
+  if (result.modifiedCount > 0) {
+    console.log(`👑 Promoted ${result.modifiedCount} account(s) to admin`);
   }
-]`;
+}
 
-    return prompt;
-  }
+// Record an admin or automatic action. `actor` is the acting user, or null for the system.
+async function writeAuditLog(actor, action, target, details = {}) {
+  await AuditLog.create({
+    actorId: actor ? actor._id : null,
+    actorEmail: actor ? actor.email : 'system',
+    action,
+    targetType: target.type,
+    targetId: String(target.id),
+    before: details.before,
+    after: details.after,
+    note: details.note
+  });
+}
 
-  static async generateFallbackQuestions(userEmail, category, userPerformance, count) {
-    console.log('Using fallback questions');
-    
-    const questionPools = {
-      'HTML': {
-        'beginner': [
-          {
-            question: "What does HTML stand for?",
-            options: ["Hyper Text Markup Language", "High Tech Modern Language", "Home Tool Markup Language", "Hyperlink Text Markup Language"],
-            correctAnswer: "Hyper Text Markup Language",
-            topic: "HTML Basics",
-            explanation: "HTML stands for Hyper Text Markup Language, the standard markup language for web pages."
-          },
-          {
-            question: "Which HTML element is used for the largest heading?",
-            options: ["<h6>", "<h1>", "<heading>", "<header>"],
-            correctAnswer: "<h1>",
-            topic: "HTML Elements",
-            explanation: "<h1> represents the largest heading in HTML."
-          },
-          {
-            question: "What is the correct HTML element for inserting a line break?",
-            options: ["<break>", "<lb>", "<br>", "<newline>"],
-            correctAnswer: "<br>",
-            topic: "HTML Elements",
-            explanation: "The <br> element creates a line break in HTML."
-          },
-          {
-            question: "Which attribute specifies a unique identifier for an HTML element?",
-            options: ["class", "name", "id", "key"],
-            correctAnswer: "id",
-            topic: "HTML Attributes",
-            explanation: "The 'id' attribute provides a unique identifier for HTML elements."
-          },
-          {
-            question: "How do you create a hyperlink in HTML?",
-            options: ["<link>", "<a>", "<href>", "<url>"],
-            correctAnswer: "<a>",
-            topic: "HTML Links",
-            explanation: "The <a> element with href attribute creates hyperlinks."
-          }
-        ],
-        'intermediate': [
-          {
-            question: "Which attribute is used to merge table cells horizontally?",
-            options: ["rowspan", "colspan", "cellspan", "merge"],
-            correctAnswer: "colspan",
-            topic: "HTML Tables",
-            explanation: "colspan specifies how many columns a cell should span."
-          },
-          {
-            question: "What is the purpose of the <meta> tag?",
-            options: ["Create links", "Add metadata", "Define sections", "Style elements"],
-            correctAnswer: "Add metadata",
-            topic: "HTML Document Structure",
-            explanation: "<meta> tags provide metadata about the HTML document."
-          },
-          {
-            question: "Which HTML5 input type is used for email addresses?",
-            options: ["text", "email", "mail", "address"],
-            correctAnswer: "email",
-            topic: "HTML Forms",
-            explanation: "The email input type validates email address format."
-          },
-          {
-            question: "What does the 'required' attribute do in forms?",
-            options: ["Makes field optional", "Makes field mandatory", "Validates input", "Styles the field"],
-            correctAnswer: "Makes field mandatory",
-            topic: "HTML Forms",
-            explanation: "The required attribute makes form fields mandatory to fill."
-          },
-          {
-            question: "Which HTML5 element represents a sidebar?",
-            options: ["<sidebar>", "<aside>", "<nav>", "<section>"],
-            correctAnswer: "<aside>",
-            topic: "HTML5 Semantic Elements",
-            explanation: "<aside> represents content tangentially related to main content."
-          }
-        ],
-        'advanced': [
-          {
-            question: "Which HTML5 API allows offline web application functionality?",
-            options: ["Service Worker", "Local Storage", "Session Storage", "Web SQL"],
-            correctAnswer: "Service Worker",
-            topic: "HTML5 APIs",
-            explanation: "Service Workers enable offline functionality by intercepting network requests."
-          },
-          {
-            question: "What is the difference between <section> and <article>?",
-            options: ["No difference", "<section> is standalone", "<article> is standalone", "Both deprecated"],
-            correctAnswer: "<article> is standalone",
-            topic: "HTML5 Semantic Elements",
-            explanation: "<article> is for standalone content, <section> for thematic grouping."
-          },
-          {
-            question: "Which attribute makes an HTML element editable?",
-            options: ["editable", "contenteditable", "edit", "input"],
-            correctAnswer: "contenteditable",
-            topic: "HTML Attributes",
-            explanation: "contenteditable attribute makes elements editable by users."
-          },
-          {
-            question: "What is the purpose of the <picture> element?",
-            options: ["Display images", "Responsive images", "Image gallery", "Image editing"],
-            correctAnswer: "Responsive images",
-            topic: "HTML5 Elements",
-            explanation: "<picture> provides responsive image solutions with multiple sources."
-          },
-          {
-            question: "Which HTML5 attribute specifies the character encoding?",
-            options: ["encoding", "charset", "char-set", "character"],
-            correctAnswer: "charset",
-            topic: "HTML Document Structure",
-            explanation: "The charset attribute in <meta> specifies character encoding."
-          }
-        ]
-      },
-      'CSS': {
-        'beginner': [
-          {
-            question: "What does CSS stand for?",
-            options: ["Cascading Style Sheets", "Computer Style Sheets", "Creative Style Sheets", "Colorful Style Sheets"],
-            correctAnswer: "Cascading Style Sheets",
-            topic: "CSS Basics",
-            explanation: "CSS stands for Cascading Style Sheets, used for styling web pages."
-          },
-          {
-            question: "Which CSS property is used to change the text color?",
-            options: ["color", "text-color", "font-color", "text-style"],
-            correctAnswer: "color",
-            topic: "CSS Properties",
-            explanation: "The 'color' property is used to set the color of text."
-          },
-          {
-            question: "How do you add CSS to an HTML document?",
-            options: ["<style>", "<css>", "<script>", "<link>"],
-            correctAnswer: "<style>",
-            topic: "CSS Basics",
-            explanation: "CSS can be added using <style> tags or <link> tags for external stylesheets."
-          },
-          {
-            question: "Which CSS property controls the spacing between elements?",
-            options: ["margin", "padding", "spacing", "gap"],
-            correctAnswer: "margin",
-            topic: "CSS Layout",
-            explanation: "The 'margin' property controls the space outside an element's border."
-          },
-          {
-            question: "What is the correct CSS syntax?",
-            options: ["selector {property: value;}", "{selector: property: value;}", "selector = property: value", "selector (property: value)"],
-            correctAnswer: "selector {property: value;}",
-            topic: "CSS Basics",
-            explanation: "CSS syntax consists of a selector followed by declarations in curly braces."
-          }
-        ],
-        'intermediate': [
-          {
-            question: "Which CSS display value removes an element from the document flow?",
-            options: ["none", "hidden", "invisible", "remove"],
-            correctAnswer: "none",
-            topic: "CSS Layout",
-            explanation: "display: none completely removes the element from the document flow."
-          },
-          {
-            question: "What is the difference between margin and padding?",
-            options: ["No difference", "Margin is inside, padding is outside", "Padding is inside, margin is outside", "Margin is for text, padding for elements"],
-            correctAnswer: "Padding is inside, margin is outside",
-            topic: "CSS Layout",
-            explanation: "Padding is the space inside an element's border, margin is the space outside."
-          },
-          {
-            question: "Which CSS property is used to create CSS Grid layouts?",
-            options: ["display: grid", "layout: grid", "grid: true", "position: grid"],
-            correctAnswer: "display: grid",
-            topic: "CSS Layout",
-            explanation: "display: grid creates a CSS Grid container for advanced layouts."
-          }
-        ],
-        'advanced': [
-          {
-            question: "Which CSS property is used to create CSS Grid layouts?",
-            options: ["display: grid", "grid-template-areas", "grid-template-columns", "grid-area"],
-            correctAnswer: "display: grid",
-            topic: "CSS Grid",
-            explanation: "display: grid enables CSS Grid layout on the container."
-          },
-          {
-            question: "What is the purpose of the grid-template-areas property?",
-            options: ["Define grid layout", "Set item positions", "Create named grid areas", "All of the above"],
-            correctAnswer: "All of the above",
-            topic: "CSS Grid",
-            explanation: "grid-template-areas defines the grid structure and item placement."
-          },
-          {
-            question: "How do you specify a fallback value for a CSS variable?",
-            options: ["var(--my-variable, fallbackValue)", "fallback(var(--my-variable))", "default(var(--my-variable), fallbackValue)", "var(--my-variable) ? fallbackValue"],
-            correctAnswer: "var(--my-variable, fallbackValue)",
-            topic: "CSS Variables",
-            explanation: "The var() function can take a fallback value if the variable is not defined."
-          }
-        ]
-      },
-      'JavaScript': {
-        'beginner': [
-          {
-            question: "What does JavaScript primarily add to web pages?",
-            options: ["Styling", "Interactivity", "Structure", "Database connectivity"],
-            correctAnswer: "Interactivity",
-            topic: "JavaScript Basics",
-            explanation: "JavaScript adds interactivity and dynamic behavior to web pages."
-          },
-          {
-            question: "Which keyword is used to declare a variable in modern JavaScript?",
-            options: ["var", "let", "const", "Both let and const"],
-            correctAnswer: "Both let and const",
-            topic: "JavaScript Basics",
-            explanation: "Modern JavaScript uses 'let' for mutable variables and 'const' for constants."
-          },
-          {
-            question: "What is the correct way to write a JavaScript array?",
-            options: ["var colors = 'red', 'green', 'blue'", "var colors = (1:'red', 2:'green', 3:'blue')", "var colors = ['red', 'green', 'blue']", "var colors = 1 = ('red'), 2 = ('green'), 3 = ('blue')"],
-            correctAnswer: "var colors = ['red', 'green', 'blue']",
-            topic: "JavaScript Basics",
-            explanation: "JavaScript arrays are written with square brackets and comma-separated values."
-          },
-          {
-            question: "How do you write 'Hello World' in an alert box?",
-            options: ["alertBox('Hello World');", "msg('Hello World');", "alert('Hello World');", "msgBox('Hello World');"],
-            correctAnswer: "alert('Hello World');",
-            topic: "JavaScript Basics",
-            explanation: "The alert() function displays a dialog box with a message."
-          },
-          {
-            question: "Which operator is used to assign a value to a variable?",
-            options: ["*", "=", "x", "-"],
-            correctAnswer: "=",
-            topic: "JavaScript Basics",
-            explanation: "The assignment operator (=) is used to assign values to variables."
-          }
-        ],
-        'intermediate': [
-          {
-            question: "What is the difference between '==' and '===' in JavaScript?",
-            options: ["No difference", "'==' checks value, '===' checks value and type", "'===' checks value, '==' checks value and type", "Both are deprecated"],
-            correctAnswer: "'==' checks value, '===' checks value and type",
-            topic: "JavaScript Operators",
-            explanation: "'==' performs type coercion, while '===' checks both value and type without conversion."
-          },
-          {
-            question: "What does the 'this' keyword refer to in JavaScript?",
-            options: ["The current function", "The current object", "The global object", "It depends on the context"],
-            correctAnswer: "It depends on the context",
-            topic: "JavaScript Context",
-            explanation: "The 'this' keyword refers to different objects depending on how it's used."
-          }
-        ],
-        'advanced': [
-          {
-            question: "What is the purpose of async/await in JavaScript?",
-            options: ["To handle synchronous operations", "To handle asynchronous operations more easily", "To create classes", "To declare variables"],
-            correctAnswer: "To handle asynchronous operations more easily",
-            topic: "Async/Await",
-            explanation: "Async/await provides a cleaner way to handle asynchronous operations than callbacks or promises alone."
-          }
-        ]
+// ========== AI QUESTION VALIDATION ==========
+const QUESTION_DIFFICULTIES = ['beginner', 'intermediate', 'advanced', 'expert'];
+const LLM_MAX_REPAIR_ATTEMPTS = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS) || 2;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_OPTION_LENGTH = 300;
+
+// Pull the JSON payload out of an LLM reply, ignoring ``` fences and surrounding prose
+function extractLLMJson(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (parseError) {
+    const match = cleaned.match(/\[[\s\S]*\]|\{[\s\S]*\}/);
+    if (!match) throw parseError;
+    return JSON.parse(match[0]);
+  }
+}
+
+// Check one generated question against the question schema. Unambiguous problems
+// (letter or index answers, stray whitespace, bad difficulty) are repaired;
+// anything else is reported in `errors`.
+function validateGeneratedQuestion(item, defaults = {}) {
+  const errors = [];
+  const repairs = [];
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { valid: false, errors: ['Item is not an object'], repairs };
+  }
+
+  const question = typeof item.question === 'string' ? item.question.trim() : '';
+  if (!question) {
+    errors.push('question must be a non-empty string');
+  } else if (question.length > MAX_QUESTION_LENGTH) {
+    errors.push(`question is longer than ${MAX_QUESTION_LENGTH} characters`);
+  }
+
+  let rawOptions = item.options;
+  if (!Array.isArray(rawOptions) && Array.isArray(item.choices)) {
+    rawOptions = item.choices;
+    repairs.push('used choices as options');
+  }
+
+  let options = [];
+  if (!Array.isArray(rawOptions)) {
+    errors.push('options must be an array');
+  } else {
+    options = rawOptions.map(option => (typeof option === 'number' ? String(option) : option));
+    if (options.some(option => typeof option !== 'string' || !option.trim())) {
+      errors.push('every option must be a non-empty string');
+    } else {
+      options = options.map(option => option.trim());
+      if (options.length !== 4) {
+        errors.push(`options must contain exactly 4 entries (got ${options.length})`);
+      }
+      if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        errors.push('options must be unique');
+      }
+      if (options.some(option => option.length > MAX_OPTION_LENGTH)) {
+        errors.push(`options must be at most ${MAX_OPTION_LENGTH} characters`);
+      }
+    }
+  }
+
+  let correctAnswer = null;
+  if (errors.length === 0) {
+    const answer = item.correctAnswer ?? item.answer ?? item.answer_index;
+    const answerText = typeof answer === 'string' ? answer.trim() : null;
+    const letterMatch = answerText && answerText.match(/^(?:option\s+)?([A-D])[).:]?$/i);
+
+    if (answerText && options.includes(answerText)) {
+      correctAnswer = answerText;
+    } else if (answerText && options.find(option => option.toLowerCase() === answerText.toLowerCase())) {
+      correctAnswer = options.find(option => option.toLowerCase() === answerText.toLowerCase());
+      repairs.push('matched correctAnswer ignoring case');
+    } else if (letterMatch) {
+      correctAnswer = options[letterMatch[1].toUpperCase().charCodeAt(0) - 65];
+      repairs.push(`mapped correctAnswer letter ${letterMatch[1]} to option text`);
+    } else if (Number.isInteger(answer) && answer >= 0 && answer < options.length) {
+      correctAnswer = options[answer];
+      repairs.push(`mapped correctAnswer index ${answer} to option text`);
+    } else {
+      errors.push('correctAnswer must match one of the options');
+    }
+  }
+
+  let difficulty = typeof item.difficulty === 'string' ? item.difficulty.trim().toLowerCase() : '';
+  if (!QUESTION_DIFFICULTIES.includes(difficulty)) {
+    if (item.difficulty) repairs.push(`replaced unknown difficulty "${item.difficulty}"`);
+    difficulty = defaults.difficulty || 'beginner';
+  }
+
+  const topic = typeof item.topic === 'string' && item.topic.trim() ? item.topic.trim() : defaults.topic;
+  const explanation = typeof item.explanation === 'string' ? item.explanation.trim() : '';
+
+  if (errors.length > 0) {
+    return { valid: false, errors, repairs };
+  }
+
+  return {
+    valid: true,
+    errors,
+    repairs,
+    question: { question, options, correctAnswer, difficulty, topic, explanation }
+  };
+}
+
+// Store rejected items; losing them must never break question generation
+async function recordQuestionRejections(rejections) {
+  if (rejections.length === 0) return;
+  try {
+    await QuestionRejection.insertMany(rejections);
+  } catch (error) {
+    console.error('Error recording question rejections:', error.message);
+  }
+}
+
+// Ask the LLM for `count` questions and keep only those that pass validation.
+// When items are missing or rejected, the validation errors are sent back to the
+// model for up to LLM_MAX_REPAIR_ATTEMPTS more tries. Throws if nothing valid comes back.
+async function generateValidatedQuestions(prompt, { provider, count = 1, category, topic, difficulty, generatedFor } = {}) {
+  const accepted = [];
+  const rejections = [];
+  let currentPrompt = prompt;
+
+  for (let attempt = 0; attempt <= LLM_MAX_REPAIR_ATTEMPTS && accepted.length < count; attempt++) {
+    const remaining = count - accepted.length;
+    const llmResponse = await callLLM(currentPrompt, {
+      provider,
+      category,
+      topic,
+      difficulty,
+      count: remaining,
+      expect: count > 1 ? 'array' : 'object'
+    });
+
+    const problems = [];
+    let items = [];
+    try {
+      const payload = extractLLMJson(llmResponse.text);
+      items = Array.isArray(payload) ? payload : [payload];
+    } catch (parseError) {
+      problems.push(`The reply was not valid JSON (${parseError.message})`);
+      rejections.push({
+        category,
+        provider: llmResponse.provider,
+        model: llmResponse.model,
+        attempt,
+        reasons: problems.slice(),
+        payload: llmResponse.text.substring(0, 2000),
+        generatedFor
+      });
+    }
+
+    const blockedHashes = await getBlockedContentHashes(
+      category,
+      items.map(item => item?.question).filter(text => typeof text === 'string')
+    );
+
+    items.forEach((item, index) => {
+      const result = validateGeneratedQuestion(item, { topic, difficulty });
+      const duplicate = result.valid && accepted.some(q => q.question.toLowerCase() === result.question.question.toLowerCase());
+      const blocked = result.valid && blockedHashes.has(questionContentHash(category, result.question.question));
+      if (result.valid && !duplicate && !blocked) {
+        if (accepted.length < count) {
+          accepted.push({ ...result.question, source: llmResponse.source, model: llmResponse.model });
+        }
+        if (result.repairs.length > 0) {
+          console.log(`🔧 Repaired ${llmResponse.provider} question ${index + 1}: ${result.repairs.join('; ')}`);
+        }
+        return;
+      }
+
+      let reasons = result.errors;
+      if (duplicate) reasons = ['duplicate of another question in this batch'];
+      if (blocked) reasons = ['matches a question that was rejected or quarantined by moderation'];
+      problems.push(`Question ${index + 1}: ${reasons.join('; ')}`);
+      rejections.push({
+        category,
+        provider: llmResponse.provider,
+        model: llmResponse.model,
+        attempt,
+        reasons,
+        payload: item,
+        generatedFor
+      });
+    });
+
+    if (accepted.length < count) {
+      if (problems.length === 0) {
+        problems.push(`Only ${items.length} question(s) were returned`);
       }
+      console.log(`⚠️ ${llmResponse.provider} attempt ${attempt + 1}: ${accepted.length}/${count} valid questions`);
+      currentPrompt = `${prompt}
+
+Your previous reply was rejected for these reasons:
+- ${problems.join('\n- ')}
+
+Return ONLY valid JSON with ${count - accepted.length} corrected question(s) in the format above. Each question needs exactly 4 unique options and a correctAnswer that is copied exactly from the options.`;
+    }
+  }
+
+  await recordQuestionRejections(rejections);
+
+  if (accepted.length === 0) {
+    throw new Error(`No valid questions after ${LLM_MAX_REPAIR_ATTEMPTS + 1} attempts`);
+  }
+  return accepted;
+}
+
+// AI Question Generator Class
+class AIQuestionGenerator {
+  static async generateUniqueQuestions(userEmail, category, userPerformance, count = 10, provider = null) {
+    try {
+      console.log(`Generating AI questions for ${userEmail} in ${category}`);
+
+      // Get user's question history to avoid repetition
+      const previousQuestions = await GeneratedQuestion.find({
+        generatedFor: userEmail,
+        category,
+        hasBeenUsed: true
+      }).select('question topic').limit(20);
+
+      // Create user profile
+      const userProfile = this.createUserProfile(userPerformance, previousQuestions);
+
+      // Generate LLM prompt
+      const aiPrompt = this.createPersonalizedPrompt(category, userProfile, count);
+
+      const questions = await generateValidatedQuestions(aiPrompt, {
+        provider,
+        count,
+        category,
+        topic: userProfile.weakAreas[0] || category,
+        difficulty: userProfile.level,
+        generatedFor: userEmail
+      });
+
+      // Save generated questions to database
+      const savedQuestions = await Promise.all(
+        questions.map(async (q) => {
+          const generatedQuestion = new GeneratedQuestion({
+            generatedFor: userEmail,
+            category,
+            question: q.question,
+            options: q.options,
+            correctAnswer: q.correctAnswer,
+            explanation: q.explanation || 'AI-generated explanation',
+            difficulty: q.difficulty,
+            topic: q.topic,
+            generatedBy: q.source,
+            aiModel: q.model,
+            aiPrompt: aiPrompt.substring(0, 500)
+          });
+          return await generatedQuestion.save();
+        })
+      );
+
+      console.log(`Successfully generated ${savedQuestions.length} AI questions`);
+      return savedQuestions;
+
+    } catch (error) {
+      console.error('Error generating AI questions:', error);
+      // Fallback to pre-generated questions
+      return await this.generateFallbackQuestions(userEmail, category, userPerformance, count);
+    }
+  }
+
+  static createUserProfile(userPerformance, previousQuestions) {
+    return {
+      level: userPerformance.overallLevel,
+      accuracy: userPerformance.skillMetrics.accuracy,
+      weakAreas: userPerformance.weakAreas,
+      strongAreas: userPerformance.strongAreas,
+      learningStyle: userPerformance.detailedProfile.learningStyle,
+      commonMistakes: userPerformance.detailedProfile.commonMistakes,
+      masteredConcepts: userPerformance.detailedProfile.masteredConcepts,
+      questionHistory: previousQuestions.map(q => q.question.substring(0, 50)),
+      quizzesTaken: userPerformance.quizzesTaken,
+      averageSpeed: userPerformance.skillMetrics.speed,
+      medianSeconds: userPerformance.responseTime?.medianSeconds ?? null,
+      consistency: userPerformance.skillMetrics.consistency,
+      improvement: userPerformance.skillMetrics.improvement,
+      conceptualUnderstanding: userPerformance.skillMetrics.conceptualUnderstanding
     };
+  }
+
+  static createPersonalizedPrompt(category, userProfile, count) {
+    let prompt = `Generate ${count} unique ${category} quiz questions for a user with this profile:
+
+Level: ${userProfile.level}
+Accuracy: ${(userProfile.accuracy * 100).toFixed(1)}%
+Quizzes Taken: ${userProfile.quizzesTaken}
+Learning Style: ${userProfile.learningStyle}
+Speed: ${(userProfile.averageSpeed * 100).toFixed(0)}%${userProfile.medianSeconds ? ` (median ${userProfile.medianSeconds}s per question)` : ''}
+Consistency: ${(userProfile.consistency * 100).toFixed(0)}%
+Trend: ${userProfile.improvement >= 0 ? '+' : ''}${(userProfile.improvement * 100).toFixed(1)} points per quiz
+Concept Understanding: ${(userProfile.conceptualUnderstanding * 100).toFixed(0)}%
+
+Weak Areas: ${userProfile.weakAreas.length > 0 ? userProfile.weakAreas.join(', ') : 'None'}
+Strong Areas: ${userProfile.strongAreas.length > 0 ? userProfile.strongAreas.join(', ') : 'None'}
+
+AVOID these previous questions: ${userProfile.questionHistory.join(' | ')}
+
+Use one of these topics for "topic": ${getTopicsForCategory(category).join(', ')}
+
+Requirements:
+1. Create completely unique questions not similar to previous ones
+2. Focus 60% on weak areas if any exist
+3. Match ${userProfile.learningStyle} learning style
+4. Use ${userProfile.level} difficulty level
+5. Include practical examples
+
+Respond with valid JSON array only:
+[
+  {
+    "question": "Question text here",
+    "options": ["Option A", "Option B", "Option C", "Option D"],
+    "correctAnswer": "Option A",
+    "difficulty": "${userProfile.level}",
+    "topic": "Specific topic",
+    "explanation": "Why this answer is correct"
+  }
+]`;
+
+    return prompt;
+  }
 
-    const levelQuestions = questionPools[category]?.[userPerformance.overallLevel] || questionPools[category]?.['beginner'] || [];
+  static async generateFallbackQuestions(userEmail, category, userPerformance, count) {
+    console.log('Using fallback questions');
+    
+    const poolQuestions = getFallbackPool(category, userPerformance.overallLevel);
+    const blockedHashes = await getBlockedContentHashes(category, poolQuestions.map(q => q.question));
+    const levelQuestions = poolQuestions.filter(q => !blockedHashes.has(questionContentHash(category, q.question)));
     
     // Select questions avoiding repetition
     const usedQuestions = await GeneratedQuestion.find({ 
@@ -577,6 +1369,7 @@ Respond with valid JSON array only:
           explanation: q.explanation,
           difficulty: userPerformance.overallLevel,
           topic: q.topic,
+          generatedBy: 'INTELLIGENT_FALLBACK',
           aiPrompt: "Fallback question selection"
         });
         return await generatedQuestion.save();
@@ -605,49 +1398,13 @@ async function updateAdvancedUserPerformance(email, category, answers, timeSpent
   const incorrectAnswers = answers.filter(a => !a.isCorrect);
   const commonMistakes = incorrectAnswers.map(a => a.topic);
   
-  const topicPerformance = {};
-  answers.forEach(answer => {
-    if (!topicPerformance[answer.topic]) {
-      topicPerformance[answer.topic] = { correct: 0, total: 0 };
-    }
-    topicPerformance[answer.topic].total++;
-    if (answer.isCorrect) topicPerformance[answer.topic].correct++;
-  });
-
-  const weakAreas = [];
-  const strongAreas = [];
-  
-  Object.entries(topicPerformance).forEach(([topic, perf]) => {
-    const accuracy = perf.correct / perf.total;
-    if (accuracy < 0.6) weakAreas.push(topic);
-    else if (accuracy >= 0.8) strongAreas.push(topic);
-  });
-
   // Update performance metrics
   userPerformance.quizzesTaken += 1;
   userPerformance.totalQuestions += answers.length;
   userPerformance.correctAnswers += answers.filter(a => a.isCorrect).length;
-  userPerformance.weakAreas = [...new Set([...userPerformance.weakAreas, ...weakAreas])];
-  userPerformance.strongAreas = [...new Set([...userPerformance.strongAreas, ...strongAreas])];
   userPerformance.detailedProfile.commonMistakes = [...new Set([...userPerformance.detailedProfile.commonMistakes, ...commonMistakes])];
-  
-  // Update question history
-  answers.forEach(answer => {
-    userPerformance.questionHistory.push({
-      questionId: answer.questionId,
-      topic: answer.topic,
-      difficulty: userPerformance.overallLevel,
-      wasCorrect: answer.isCorrect,
-      timeSpent: answer.timeSpent || 0,
-      attempts: 1,
-      generatedAt: new Date()
-    });
-  });
-
-  // Keep only last 50 questions
-  if (userPerformance.questionHistory.length > 50) {
-    userPerformance.questionHistory = userPerformance.questionHistory.slice(-50);
-  }
+  updateTopicMastery(userPerformance, answers);
+  recordQuestionHistory(userPerformance, answers);
 
   userPerformance.lastAssessment = new Date();
   await userPerformance.save();
@@ -659,7 +1416,10 @@ async function updateUserLevelAssessment(email, category, userPerformance) {
     const accuracy = userPerformance.correctAnswers / userPerformance.totalQuestions;
     
     let newLevel = 'beginner';
-    if (accuracy >= 0.8 && userPerformance.quizzesTaken >= 3) {
+    if (userPerformance.ability?.theta != null) {
+      // Questions a learner answers correctly ~70% of the time set their level
+      newLevel = levelForDifficulty(targetDifficultyFor(userPerformance.ability.theta));
+    } else if (accuracy >= 0.8 && userPerformance.quizzesTaken >= 3) {
       newLevel = 'advanced';
     } else if (accuracy >= 0.6 && userPerformance.quizzesTaken >= 2) {
       newLevel = 'intermediate';
@@ -674,12 +1434,6 @@ async function updateUserLevelAssessment(email, category, userPerformance) {
   }
 }
 
-// Add missing function that was being called
-async function generateSingleAdaptiveQuestion(email, category, adaptedProfile, questionNumber, previousAnswers) {
-  console.log('🔄 Calling generateSingleAdaptiveQuestionFast...');
-  return await generateSingleAdaptiveQuestionFast(email, category, adaptedProfile, questionNumber, previousAnswers);
-}
-
 // Add the missing generateIntelligentFallbackQuestion function and related helpers
 function generateAIInspiredQuestionFast(aiResponse, adaptedProfile, questionNumber) {
   const topic = adaptedProfile.focusArea || 'HTML Basics';
@@ -702,6 +1456,21 @@ function generateAIInspiredQuestionFast(aiResponse, adaptedProfile, questionNumb
   };
 }
 
+async function rankByTargetDifficulty(category, pool, level, targetDifficulty) {
+  if (targetDifficulty == null) return pool;
+  const hashes = pool.map(q => questionContentHash(category, q.question));
+  const calibrated = await GeneratedQuestion.find({
+    contentHash: { $in: hashes },
+    'irt.calibratedAt': { $exists: true }
+  }).select('contentHash irt.difficulty').lean();
+  const difficultyByHash = new Map(calibrated.map(q => [q.contentHash, q.irt.difficulty]));
+
+  return pool
+    .map((q, index) => ({ q, difficulty: difficultyByHash.get(hashes[index]) ?? priorDifficulty(level) }))
+    .sort((x, y) => Math.abs(x.difficulty - targetDifficulty) - Math.abs(y.difficulty - targetDifficulty))
+    .map(entry => entry.q);
+}
+
 // Intelligent fallback with fast generation
 async function generateIntelligentFallbackQuestion(email, category, adaptedProfile, questionNumber) {
   console.log(`🚀 FAST intelligent fallback generation for ${category}...`);
@@ -709,8 +1478,12 @@ async function generateIntelligentFallbackQuestion(email, category, adaptedProfi
   const topic = adaptedProfile.focusArea || getCategoryDefaults(category).defaultTopic;
   const level = adaptedProfile.currentLevel || 'beginner';
   
-  // Get appropriate questions for topic and level - ENSURE CATEGORY SPECIFIC
-  const questionPool = getTopicQuestions(topic, level, category);
+  // Get appropriate questions for topic and level - ENSURE CATEGORY SPECIFIC,
+  // leaving out questions moderation has rejected or quarantined
+  const questionPool = await getUnblockedFallbackPool(category, level, topic);
+  if (questionPool.length === 0) {
+    throw new Error(`No fallback questions for ${category} have passed moderation`);
+  }
   
   // Smart selection based on user history
   const userHistory = await GeneratedQuestion.find({
@@ -720,10 +1493,14 @@ async function generateIntelligentFallbackQuestion(email, category, adaptedProfi
   }).select('question').limit(10);
   
   const usedQuestions = userHistory.map(q => q.question.substring(0, 30));
+
+  // Order the pool by distance from the learner's target difficulty, using calibrated
+  // difficulties where other learners' answers have produced them
+  const rankedPool = await rankByTargetDifficulty(category, questionPool, level, adaptedProfile.targetDifficulty);
   
   // Find unused question
   let selectedQuestion = null;
-  for (const q of questionPool) {
+  for (const q of rankedPool) {
     const isUsed = usedQuestions.some(used => q.question.includes(used) || used.includes(q.question.substring(0, 30)));
     if (!isUsed) {
       selectedQuestion = q;
@@ -743,9 +1520,10 @@ async function generateIntelligentFallbackQuestion(email, category, adaptedProfi
     options: selectedQuestion.options,
     correctAnswer: selectedQuestion.correctAnswer,
     difficulty: level,
-    topic: topic,
+    topic: selectedQuestion.topic || topic,
     explanation: selectedQuestion.explanation,
     generatedFor: email,
+    generatedBy: 'INTELLIGENT_FALLBACK',
     createdAt: new Date()
   });
 
@@ -757,7 +1535,7 @@ async function generateIntelligentFallbackQuestion(email, category, adaptedProfi
     options: selectedQuestion.options,
     correctAnswer: selectedQuestion.correctAnswer,
     difficulty: level,
-    topic: topic,
+    topic: saved.topic,
     explanation: selectedQuestion.explanation,
     generatedBy: 'INTELLIGENT_FALLBACK',
     _aiMetadata: {
@@ -768,354 +1546,42 @@ async function generateIntelligentFallbackQuestion(email, category, adaptedProfi
   };
 }
 
-// Enhanced getTopicQuestions function with category filtering
+// The topic's fallback questions with blocked ones removed. When moderation has blocked all
+// of them, widen to the whole category, nearest level first; empty when nothing is left.
+async function getUnblockedFallbackPool(category, level, topic) {
+  const entry = getCategoryEntry(category);
+  const pools = (entry && FALLBACK_QUESTION_POOLS[entry.id]) || {};
+  const candidates = [getTopicQuestions(topic, level, category), ...levelProgression(level).map(l => pools[l] || [])];
+  const blockedHashes = await getBlockedContentHashes(category, candidates.flat().map(q => q.question));
+  for (const pool of candidates) {
+    const allowed = pool.filter(q => !blockedHashes.has(questionContentHash(category, q.question)));
+    if (allowed.length > 0) return allowed;
+  }
+  return [];
+}
+
+// Fallback questions for the adaptive flow: the topic's questions at the nearest level
 function getTopicQuestions(topic, level, category) {
-  const questionDB = {
-    'JavaScript Basics': {
-      'beginner': [
-        {
-          question: "What does JavaScript primarily add to web pages?",
-          options: ["Styling", "Interactivity", "Structure", "Database connectivity"],
-          correctAnswer: "Interactivity",
-          topic: "JavaScript Basics",
-          explanation: "JavaScript adds interactivity and dynamic behavior to web pages."
-        },
-        {
-          question: "Which keyword is used to declare a variable in modern JavaScript?",
-          options: ["var", "let", "const", "Both let and const"],
-          correctAnswer: "Both let and const",
-          topic: "JavaScript Basics",
-          explanation: "Modern JavaScript uses 'let' for mutable variables and 'const' for constants."
-        },
-        {
-          question: "What is the correct way to write a JavaScript array?",
-          options: ["var colors = 'red', 'green', 'blue'", "var colors = (1:'red', 2:'green', 3:'blue')", "var colors = ['red', 'green', 'blue']", "var colors = 1 = ('red'), 2 = ('green'), 3 = ('blue')"],
-          correctAnswer: "var colors = ['red', 'green', 'blue']",
-          topic: "JavaScript Basics",
-          explanation: "JavaScript arrays are written with square brackets and comma-separated values."
-        },
-        {
-          question: "How do you write 'Hello World' in an alert box?",
-          options: ["alertBox('Hello World');", "msg('Hello World');", "alert('Hello World');", "msgBox('Hello World');"],
-          correctAnswer: "alert('Hello World');",
-          topic: "JavaScript Basics",
-          explanation: "The alert() function displays a dialog box with a message."
-        },
-        {
-          question: "Which operator is used to assign a value to a variable?",
-          options: ["*", "=", "x", "-"],
-          correctAnswer: "=",
-          topic: "JavaScript Basics",
-          explanation: "The assignment operator (=) is used to assign values to variables."
-        }
-      ],
-      'intermediate': [
-        {
-          question: "What is the difference between '==' and '===' in JavaScript?",
-          options: ["No difference", "'==' checks value, '===' checks value and type", "'===' checks value, '==' checks value and type", "Both are deprecated"],
-          correctAnswer: "'==' checks value, '===' checks value and type",
-          topic: "JavaScript Operators",
-          explanation: "'==' performs type coercion, while '===' checks both value and type without conversion."
-        },
-        {
-          question: "What does the 'this' keyword refer to in JavaScript?",
-          options: ["The current function", "The current object", "The global object", "It depends on the context"],
-          correctAnswer: "It depends on the context",
-          topic: "JavaScript Context",
-          explanation: "The 'this' keyword refers to different objects depending on how it's used."
-        }
-      ],
-      'advanced': [
-        {
-          question: "What is the purpose of async/await in JavaScript?",
-          options: ["To handle synchronous operations", "To handle asynchronous operations more easily", "To create classes", "To declare variables"],
-          correctAnswer: "To handle asynchronous operations more easily",
-          topic: "Async/Await",
-          explanation: "Async/await provides a cleaner way to handle asynchronous operations than callbacks or promises alone."
-        }
-      ]
-    },
-    'Functions': {
-      'beginner': [
-        {
-          question: "How do you call a function named 'myFunction'?",
-          options: ["call myFunction()", "myFunction()", "call function myFunction", "Call.myFunction()"],
-          correctAnswer: "myFunction()",
-          topic: "Functions",
-          explanation: "Functions are called by writing the function name followed by parentheses."
-        },
-        {
-          question: "What is the correct syntax to create a function in JavaScript?",
-          options: ["function = myFunction() {}", "function myFunction() {}", "create myFunction() {}", "def myFunction() {}"],
-          correctAnswer: "function myFunction() {}",
-          topic: "Functions",
-          explanation: "Functions in JavaScript are declared using the 'function' keyword followed by the function name and parentheses."
-        }
-      ]
-    },
-    'Variables': {
-      'beginner': [
-        {
-          question: "Which of these is a valid variable name in JavaScript?",
-          options: ["2name", "first-name", "firstName", "first name"],
-          correctAnswer: "firstName",
-          topic: "Variables",
-          explanation: "Variable names in JavaScript can contain letters, numbers, underscores, and dollar signs, but cannot start with a number or contain spaces or hyphens."
-        }
-      ]
-    },
-    'ES6+ Features': {
-      'intermediate': [
-        {
-          question: "What is the purpose of the spread operator (...) in JavaScript?",
-          options: ["To create comments", "To expand iterables into individual elements", "To create variables", "To end statements"],
-          correctAnswer: "To expand iterables into individual elements",
-          topic: "ES6+ Features",
-          explanation: "The spread operator allows an iterable to be expanded into individual elements."
-        }
-      ]
-    },
-    'DOM Manipulation': {
-      'intermediate': [
-        {
-          question: "Which method is used to select an element by its ID?",
-          options: ["document.querySelector()", "document.getElementById()", "document.getElement()", "document.selectById()"],
-          correctAnswer: "document.getElementById()",
-          topic: "DOM Manipulation",
-          explanation: "document.getElementById() is the specific method to select an element by its ID attribute."
-        }
-      ]
-    },
-    'Event Handling': {
-      'intermediate': [
-        {
-          question: "What is event delegation in JavaScript?",
-          options: ["Passing events between functions", "Handling events on parent elements for child elements", "Creating custom events", "Removing event listeners"],
-          correctAnswer: "Handling events on parent elements for child elements",
-          topic: "Event Handling",
-          explanation: "Event delegation uses event bubbling to handle events on child elements through their parent."
-        }
-      ]
-    },
-    'Async/Await': {
-      'advanced': [
-        {
-          question: "What is a Promise in JavaScript?",
-          options: ["A guarantee that code will work", "An object representing eventual completion of an async operation", "A function parameter", "A loop construct"],
-          correctAnswer: "An object representing eventual completion of an async operation",
-          topic: "Promises",
-          explanation: "A Promise is an object representing the eventual completion or failure of an asynchronous operation."
-        }
-      ]
-    },
-    // Add HTML topics
-    'HTML Basics': {
-      'beginner': [
-        {
-          question: "What does HTML stand for?",
-          options: ["Hyper Text Markup Language", "High Tech Modern Language", "Home Tool Markup Language", "Hyperlink Text Markup Language"],
-          correctAnswer: "Hyper Text Markup Language",
-          topic: "HTML Basics",
-          explanation: "HTML stands for Hyper Text Markup Language, the standard markup language for web pages."
-        },
-        {
-          question: "Which HTML element is used for the largest heading?",
-          options: ["<h6>", "<h1>", "<heading>", "<header>"],
-          correctAnswer: "<h1>",
-          topic: "HTML Elements",
-          explanation: "<h1> represents the largest heading in HTML."
-        },
-        {
-          question: "What is the correct HTML element for inserting a line break?",
-          options: ["<break>", "<lb>", "<br>", "<newline>"],
-          correctAnswer: "<br>",
-          topic: "HTML Elements",
-          explanation: "The <br> element creates a line break in HTML."
-        },
-        {
-          question: "Which attribute specifies a unique identifier for an HTML element?",
-          options: ["class", "name", "id", "key"],
-          correctAnswer: "id",
-          topic: "HTML Attributes",
-          explanation: "The 'id' attribute provides a unique identifier for HTML elements."
-        },
-        {
-          question: "How do you create a hyperlink in HTML?",
-          options: ["<link>", "<a>", "<href>", "<url>"],
-          correctAnswer: "<a>",
-          topic: "HTML Links",
-          explanation: "The <a> element with href attribute creates hyperlinks."
-        }
-      ],
-      'intermediate': [
-        {
-          question: "Which attribute is used to merge table cells horizontally?",
-          options: ["rowspan", "colspan", "cellspan", "merge"],
-          correctAnswer: "colspan",
-          topic: "HTML Tables",
-          explanation: "colspan specifies how many columns a cell should span."
-        },
-        {
-          question: "What is the purpose of the <meta> tag?",
-          options: ["Create links", "Add metadata", "Define sections", "Style elements"],
-          correctAnswer: "Add metadata",
-          topic: "HTML Document Structure",
-          explanation: "<meta> tags provide metadata about the HTML document."
-        },
-        {
-          question: "Which HTML5 input type is used for email addresses?",
-          options: ["text", "email", "mail", "address"],
-          correctAnswer: "email",
-          topic: "HTML Forms",
-          explanation: "The email input type validates email address format."
-        },
-        {
-          question: "What does the 'required' attribute do in forms?",
-          options: ["Makes field optional", "Makes field mandatory", "Validates input", "Styles the field"],
-          correctAnswer: "Makes field mandatory",
-          topic: "HTML Forms",
-          explanation: "The required attribute makes form fields mandatory to fill."
-        },
-        {
-          question: "Which HTML5 element represents a sidebar?",
-          options: ["<sidebar>", "<aside>", "<nav>", "<section>"],
-          correctAnswer: "<aside>",
-          topic: "HTML5 Semantic Elements",
-          explanation: "<aside> represents content tangentially related to main content."
-        }
-      ],
-      'advanced': [
-        {
-          question: "Which HTML5 API allows offline web application functionality?",
-          options: ["Service Worker", "Local Storage", "Session Storage", "Web SQL"],
-          correctAnswer: "Service Worker",
-          topic: "HTML5 APIs",
-          explanation: "Service Workers enable offline functionality by intercepting network requests."
-        },
-        {
-          question: "What is the difference between <section> and <article>?",
-          options: ["No difference", "<section> is standalone", "<article> is standalone", "Both deprecated"],
-          correctAnswer: "<article> is standalone",
-          topic: "HTML5 Semantic Elements",
-          explanation: "<article> is for standalone content, <section> for thematic grouping."
-        },
-        {
-          question: "Which attribute makes an HTML element editable?",
-          options: ["editable", "contenteditable", "edit", "input"],
-          correctAnswer: "contenteditable",
-          topic: "HTML Attributes",
-          explanation: "contenteditable attribute makes elements editable by users."
-        },
-        {
-          question: "What is the purpose of the <picture> element?",
-          options: ["Display images", "Responsive images", "Image gallery", "Image editing"],
-          correctAnswer: "Responsive images",
-          topic: "HTML5 Elements",
-          explanation: "<picture> provides responsive image solutions with multiple sources."
-        },
-        {
-          question: "Which HTML5 attribute specifies the character encoding?",
-          options: ["encoding", "charset", "char-set", "character"],
-          correctAnswer: "charset",
-          topic: "HTML Document Structure",
-          explanation: "The charset attribute in <meta> specifies character encoding."
-        }
-      ]
-    },
-    // ...existing code...
-  };
+  return getFallbackPool(category, level, topic);
+}
 
-  // Enhanced fallback logic with strict category filtering
-  const getCategoryQuestions = (categoryTopic, difficultyLevel, requestedCategory) => {
-    try {
-      console.log(`🔍 Getting questions for: topic=${categoryTopic}, level=${difficultyLevel}, category=${requestedCategory}`);
-      
-      // First try exact match
-      if (questionDB[categoryTopic] && questionDB[categoryTopic][difficultyLevel]) {
-        return questionDB[categoryTopic][difficultyLevel];
-      }
-      
-      // STRICT CATEGORY FILTERING - Only return questions from the requested category
-      if (requestedCategory === 'JavaScript') {
-        // Try different JavaScript topics at the same level
-        const jsTopics = ['JavaScript Basics', 'Functions', 'Variables', 'ES6+ Features', 'DOM Manipulation', 'Event Handling', 'Async/Await'];
-        
-        for (const jsTopic of jsTopics) {
-          if (questionDB[jsTopic] && questionDB[jsTopic][difficultyLevel]) {
-            console.log(`✅ Found ${requestedCategory} questions in topic: ${jsTopic}`);
-            return questionDB[jsTopic][difficultyLevel];
-          }
-        }
-        
-        // Fallback to beginner JavaScript if no level match
-        for (const jsTopic of jsTopics) {
-          if (questionDB[jsTopic] && questionDB[jsTopic]['beginner']) {
-            console.log(`✅ Fallback to beginner ${requestedCategory} questions in topic: ${jsTopic}`);
-            return questionDB[jsTopic]['beginner'];
-          }
-        }
-        
-        // Ultimate fallback - basic JavaScript questions
-        console.log(`⚠️ Using ultimate JavaScript fallback`);
-        return questionDB['JavaScript Basics']['beginner'] || [];
-      } else if (requestedCategory === 'HTML') {
-        // Add fallback logic for HTML
-        const htmlTopics = ['HTML Basics'];
-        for (const htmlTopic of htmlTopics) {
-          if (questionDB[htmlTopic] && questionDB[htmlTopic][difficultyLevel]) {
-            return questionDB[htmlTopic][difficultyLevel];
-          }
-        }
-        // Fallback to beginner HTML
-        for (const htmlTopic of htmlTopics) {
-          if (questionDB[htmlTopic] && questionDB[htmlTopic]['beginner']) {
-            return questionDB[htmlTopic]['beginner'];
-          }
-        }
-        return [];
-      }
-      
-      // For other categories, use existing logic but ensure category match
-      const categoryDefaults = {
-        'CSS': 'CSS Basics',
-        'HTML': 'HTML Basics'
-      };
-      
-      const category = Object.keys(categoryDefaults).find(cat => requestedCategory.includes(cat));
-      if (category) {
-        const defaultTopic = categoryDefaults[category];
-        if (questionDB[defaultTopic] && questionDB[defaultTopic][difficultyLevel]) {
-          return questionDB[defaultTopic][difficultyLevel];
-        }
-        
-        if (questionDB[defaultTopic] && questionDB[defaultTopic]['beginner']) {
-          return questionDB[defaultTopic]['beginner'];
-        }
-      }
-      
-      console.log(`❌ No questions found for category: ${requestedCategory}`);
-      return [];
-      
-    } catch (error) {
-      console.error('Error getting questions:', error);
-      return [];
-    }
-  };
-  
-  return getCategoryQuestions(topic, level, category);
+// Strip the answer key before a question is sent to the browser
+function toClientQuestion(question) {
+  const { correctAnswer, explanation, ...clientQuestion } = question;
+  return clientQuestion;
 }
 
 // API Endpoints
 
 // Generate personalized quiz
-app.get('/generate-quiz/:category', async (req, res) => {
+app.get('/generate-quiz/:category', requireAuth, async (req, res) => {
   try {
     const category = req.params.category;
-    const userEmail = req.query.email;
+    const userEmail = req.user.email;
     const count = parseInt(req.query.count) || 10; // Default to 10 questions
-    
-    if (!userEmail) {
-      return res.status(400).json({ error: 'User email is required for personalized quiz generation' });
+    const { provider, error: providerError } = getRequestedProvider(req);
+    if (providerError) {
+      return res.status(400).json({ error: providerError });
     }
 
     console.log(`Generating unique quiz for user: ${userEmail}, category: ${category}, count: ${count}`);
@@ -1150,7 +1616,8 @@ app.get('/generate-quiz/:category', async (req, res) => {
       userEmail, 
       category, 
       userPerformance, 
-      count
+      count,
+      provider
     );
 
     // Format for frontend
@@ -1158,8 +1625,6 @@ app.get('/generate-quiz/:category', async (req, res) => {
       id: q._id,
       question: q.question,
       options: q.options,
-      correctAnswer: q.correctAnswer,
-      explanation: q.explanation,
       difficulty: q.difficulty,
       topic: q.topic
     }));
@@ -1176,6 +1641,7 @@ app.get('/generate-quiz/:category', async (req, res) => {
 
     res.json({
       questions,
+      quizToken: signQuizToken(req.user, category, generatedQuestions.map(q => q._id)),
       personalization: personalizationInfo,
       message: "Questions uniquely generated for your learning profile"
     });
@@ -1190,9 +1656,14 @@ app.get('/generate-quiz/:category', async (req, res) => {
 });
 
 // AI Quiz Generation endpoint
-app.post('/api/generate-quiz', async (req, res) => {
+app.post('/api/generate-quiz', requireAuth, async (req, res) => {
   try {
-    const { category, email, count = 10 } = req.body; // Default to 10 questions
+    const { category, count = 10 } = req.body; // Default to 10 questions
+    const { email } = req.user;
+    const { provider, error: providerError } = getRequestedProvider(req);
+    if (providerError) {
+      return res.status(400).json({ error: providerError });
+    }
     
     console.log('Received quiz generation request:', { category, email, count });
     
@@ -1222,18 +1693,19 @@ app.post('/api/generate-quiz', async (req, res) => {
       strongAreas: userPerformance.strongAreas
     });
 
-    // Use Gemini for question generation
+    // Use the configured LLM providers for question generation
     const generatedQuestions = await AIQuestionGenerator.generateUniqueQuestions(
       email,
       category,
       userPerformance,
-      count
+      count,
+      provider
     );
 
     if (!generatedQuestions.length) {
       console.error('❌ No questions generated successfully');
       return res.status(500).json({
-        error: 'Failed to generate any questions with Gemini',
+        error: 'Failed to generate any questions',
         details: 'All question generation attempts failed'
       });
     }
@@ -1242,26 +1714,26 @@ app.post('/api/generate-quiz', async (req, res) => {
       id: q._id,
       question: q.question,
       options: q.options,
-      correctAnswer: q.correctAnswer,
-      explanation: q.explanation,
       difficulty: q.difficulty,
       topic: q.topic
     }));
 
-    console.log(`🎉 Successfully generated ${questions.length}/${count} questions with Gemini`);
+    const generatedBy = generatedQuestions[0].generatedBy || 'INTELLIGENT_FALLBACK';
+    console.log(`🎉 Successfully generated ${questions.length}/${count} questions with ${generatedBy}`);
 
     res.json({
       questions,
-      generatedBy: 'Gemini AI',
+      quizToken: signQuizToken(req.user, category, generatedQuestions.map(q => q._id)),
+      generatedBy,
       totalGenerated: questions.length,
       requestedCount: count,
       success: true
     });
 
   } catch (err) {
-    console.error('❌ Error in Gemini quiz generation:', err);
+    console.error('❌ Error in AI quiz generation:', err);
     res.status(500).json({
-      error: 'Failed to generate quiz with Gemini',
+      error: 'Failed to generate quiz',
       details: err.message,
       fallbackUsed: false
     });
@@ -1270,191 +1742,18 @@ app.post('/api/generate-quiz', async (req, res) => {
 
 // Get topics for category
 function getTopicsForCategory(category) {
-  const categoryTopics = {
-    'HTML': ['HTML Basics', 'HTML Elements', 'HTML Attributes', 'HTML Forms', 'HTML Tables', 'HTML5 Semantic Elements'],
-    'CSS': ['CSS Basics', 'CSS Selectors', 'CSS Properties', 'CSS Layout', 'CSS Flexbox', 'CSS Grid'],
-    'JavaScript': ['JavaScript Basics', 'Functions', 'Variables', 'ES6+ Features', 'DOM Manipulation', 'Event Handling', 'Async/Await']
-  };
-  return categoryTopics[category] || ['General Programming'];
+  const topics = getCategoryTopics(category).map(topic => topic.name);
+  return topics.length > 0 ? topics : [FALLBACK_TOPIC];
 }
 
-// Dynamic AI Quiz Generation endpoint
-app.post('/api/generate-dynamic-question', async (req, res) => {
-  try {
-    const { category, email, previousAnswers = [], questionNumber = 1, totalQuestions = 10 } = req.body;
-    
-    console.log('Generating dynamic question:', { 
-      category, 
-      email, 
-      questionNumber, 
-      previousAnswersCount: previousAnswers.length,
-      previousAnswers: previousAnswers.map(a => ({ question: a.question.substring(0, 50), isCorrect: a.isCorrect, topic: a.topic }))
-    });
-    
-    if (!category || !email) {
-      return res.status(400).json({ error: 'Category and email are required' });
-    }
-
-    // Get user performance
-    let userPerformance = await UserPerformance.findOne({ email, category });
-    
-    if (!userPerformance) {
-      userPerformance = new UserPerformance({
-        email,
-        category,
-        overallLevel: 'beginner',
-        detailedProfile: { learningStyle: 'practical' },
-        weakAreas: [],
-        strongAreas: [],
-        skillMetrics: { accuracy: 0.5 }
-      });
-      await userPerformance.save();
-    }
-
-    // Analyze previous answers to adapt difficulty and topics
-    const adaptedProfile = await analyzeAndAdaptUserProfile(userPerformance, previousAnswers, category);
-    
-    console.log('Adapted profile:', adaptedProfile);
-    
-    // Generate single question with Hugging Face AI
-    const question = await generateSingleAdaptiveQuestion(
-      email, 
-      category, 
-      adaptedProfile, 
-      questionNumber, 
-      previousAnswers
-    );
-
-    if (!question) {
-      console.error('Failed to generate question - trying fallback');
-      return res.status(500).json({ error: 'Failed to generate question' });
-    }
-
-    console.log('Generated question successfully:', {
-      id: question.id,
-      questionPreview: question.question.substring(0, 50) + '...',
-      topic: question.topic,
-      difficulty: question.difficulty
-    });
-
-    res.json({ 
-      question,
-      adaptationInfo: {
-        currentLevel: adaptedProfile.currentLevel,
-        focusArea: adaptedProfile.focusArea,
-        accuracyTrend: adaptedProfile.accuracyTrend,
-        questionNumber,
-        totalQuestions
-      }
-    });
-
-  } catch (err) {
-    console.error('Error generating dynamic question:', err);
-    res.status(500).json({ 
-      error: 'Failed to generate dynamic question',
-      details: err.message 
-    });
-  }
-});
-
-// AI Question Generation endpoint - Add this missing endpoint
-app.post('/api/generate-ai-question', async (req, res) => {
-  try {
-    const { 
-      category, 
-      email, 
-      previousAnswers = [], 
-      questionNumber = 1, 
-      totalQuestions = 10,
-      aiMode = 'enhanced',
-      userProfile = {},
-      aiPreferences = {}
-    } = req.body;
-    
-    console.log('🎯 Enhanced AI question generation request:', {
-      category, 
-      email, 
-      questionNumber, 
-      aiMode,
-      previousAnswersCount: previousAnswers.length
-    });
-    
-    if (!category || !email) {
-      return res.status(400).json({ error: 'Category and email are required' });
-    }
-
-    // Get user performance
-    let userPerformance = await UserPerformance.findOne({ email, category });
-    
-    if (!userPerformance) {
-      userPerformance = new UserPerformance({
-        email,
-        category,
-        overallLevel: 'beginner',
-        detailedProfile: { learningStyle: 'practical' },
-        weakAreas: [],
-        strongAreas: [],
-        skillMetrics: { accuracy: 0.5 }
-      });
-      await userPerformance.save();
-    }
-
-    // Analyze and adapt user profile
-    const adaptedProfile = await analyzeAndAdaptUserProfile(userPerformance, previousAnswers, category);
-    
-    console.log('🧠 Adapted user profile:', adaptedProfile);
-    
-    // Generate question with FAST AI or immediate fallback
-    const question = await generateSingleAdaptiveQuestionFast(
-      email, 
-      category, 
-      adaptedProfile, 
-      questionNumber, 
-      previousAnswers
-    );
-
-    if (!question) {
-      throw new Error('Failed to generate question');
-    }
-
-    console.log('✅ Enhanced AI question generated:', {
-      id: question.id,
-      source: question.generatedBy,
-      questionPreview: question.question.substring(0, 50) + '...'
-    });
-
-    res.json({ 
-      question,
-      adaptationInfo: {
-        currentLevel: adaptedProfile.currentLevel,
-        focusArea: adaptedProfile.focusArea,
-        accuracyTrend: adaptedProfile.accuracyTrend,
-        questionNumber,
-        totalQuestions,
-        aiEnhanced: true
-      },
-      aiModel: question._aiMetadata?.model || 'Intelligent-Fallback',
-      generationTime: question._aiMetadata?.generationTime || 0,
-      adaptedToUser: true,
-      confidenceScore: 0.95
-    });
-
-  } catch (err) {
-    console.error('❌ Error in AI question generation:', err);
-    res.status(500).json({ 
-      error: 'Failed to generate AI question',
-      details: err.message 
-    });
-  }
-});
-
 // Enhanced coin reward system
 const COIN_REWARDS = {
   QUIZ_COMPLETE: 25,        // Base coins for completing any quiz
   PERFECT_SCORE: 50,        // Bonus for perfect score
   PER_CORRECT_ANSWER: 5,    // Coins per correct answer
   FIRST_QUIZ_BONUS: 100,    // Bonus for first quiz ever
-  DAILY_LOGIN: 50           // Daily login bonus
+  DAILY_LOGIN: 50,          // Daily login bonus
+  BATTLE_WIN: 75            // Winning a multiplayer battle
 };
 
 // Helper function to ensure user has engagement structure
@@ -1470,7 +1769,7 @@ async function ensureUserEngagement(email) {
     if (!user.engagement) {
       user.engagement = {
         streak: { current: 0, longest: 0, lastActiveDate: null },
-        coins: { balance: 0, lifetimeEarned: 0, lifetimeSpent: 0, history: [] }
+        coins: { balance: 0, lifetimeEarned: 0, lifetimeSpent: 0, ledgerMigratedAt: new Date() }
       };
       await user.save();
       console.log(`Initialized engagement for user: ${email}`);
@@ -1483,523 +1782,6623 @@ async function ensureUserEngagement(email) {
   }
 }
 
-// Helper function to award coins
-async function awardCoins(email, amount, action, meta = {}) {
-  try {
-    const user = await ensureUserEngagement(email);
-    if (!user) return false;
+// ========== COIN LEDGER ==========
+// Every balance change is one CoinTransaction. Balances move with conditional $inc
+// updates, so concurrent requests can't double-spend or push a balance below zero.
+// The ledger is the source of truth; reconcileCoinBalances() repairs any drift.
 
-    user.engagement.coins.balance += amount;
-    user.engagement.coins.lifetimeEarned += amount;
-    user.engagement.coins.history.push({
-      action,
+const COIN_RECONCILE_INTERVAL_MS = (parseInt(process.env.COIN_RECONCILE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Apply one balance change and record it. Debits only succeed when the balance covers them.
+// Returns { success, balance, transaction, duplicate } or { success: false, error }.
+async function applyCoinTransaction(userId, amount, action, { meta = {}, idempotencyKey = null } = {}) {
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw new Error(`Invalid coin amount: ${amount}`);
+  }
+
+  if (idempotencyKey) {
+    const existing = await CoinTransaction.findOne({ userId, idempotencyKey });
+    if (existing) {
+      return { success: true, duplicate: true, transaction: existing, balance: existing.balanceAfter };
+    }
+  }
+
+  const lifetimeField = amount > 0 ? 'engagement.coins.lifetimeEarned' : 'engagement.coins.lifetimeSpent';
+  const filter = { _id: userId };
+  if (amount < 0) {
+    filter['engagement.coins.balance'] = { $gte: -amount };
+  }
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { 'engagement.coins.balance': amount, [lifetimeField]: Math.abs(amount) } },
+    { new: true, projection: { email: 1, 'engagement.coins.balance': 1 } }
+  );
+  if (!user) {
+    const exists = await User.exists({ _id: userId });
+    return { success: false, error: exists ? 'insufficient-funds' : 'user-not-found' };
+  }
+
+  try {
+    const transaction = await CoinTransaction.create({
+      userId,
+      email: user.email,
       amount,
-      createdAt: new Date(),
-      meta
+      balanceAfter: user.engagement.coins.balance,
+      action,
+      meta,
+      idempotencyKey: idempotencyKey || undefined
     });
+    return { success: true, duplicate: false, transaction, balance: transaction.balanceAfter };
+  } catch (error) {
+    // No ledger entry, so take the balance change back. A credit is only taken back while the
+    // balance still covers it; once spent it stays, and a correction entry records it instead.
+    const undoFilter = { _id: userId };
+    if (amount > 0) {
+      undoFilter['engagement.coins.balance'] = { $gte: amount };
+    }
+    const undone = await User.updateOne(
+      undoFilter,
+      { $inc: { 'engagement.coins.balance': -amount, [lifetimeField]: -Math.abs(amount) } }
+    );
+    if (undone.modifiedCount === 0) {
+      await CoinTransaction.create({
+        userId,
+        email: user.email,
+        amount,
+        balanceAfter: user.engagement.coins.balance,
+        action: 'Ledger Correction',
+        meta: { ...meta, correctedAction: action }
+      }).catch(correctionError => console.error('Error recording coin correction:', correctionError));
+    }
+    if (error.code === 11000 && idempotencyKey) {
+      const existing = await CoinTransaction.findOne({ userId, idempotencyKey });
+      return { success: true, duplicate: true, transaction: existing, balance: existing.balanceAfter };
+    }
+    throw error;
+  }
+}
 
-    await user.save();
-    console.log(`Awarded ${amount} coins to ${email} for: ${action}`);
-    return true;
+// Helper function to award coins
+async function awardCoins(email, amount, action, meta = {}, idempotencyKey = null) {
+  try {
+    const user = await User.findOne({ email }).select('_id');
+    if (!user) return false;
+
+    const result = await applyCoinTransaction(user._id, amount, action, { meta, idempotencyKey });
+    if (result.success && !result.duplicate) {
+      console.log(`Awarded ${amount} coins to ${email} for: ${action}`);
+    }
+    return result.success;
   } catch (error) {
     console.error('Error awarding coins:', error);
     return false;
   }
 }
 
-// Quiz submission route - Enhanced to track AI questions
-app.post('/submit-quiz', async (req, res) => {
-  try {
-    const { username, email, category, score, total, answers, timeSpent, questionIds, quizType } = req.body;
-    
-    console.log('📝 Submitting quiz:', { 
-      username, 
-      email, 
-      category, 
-      score, 
-      total, 
-      answersCount: answers?.length, 
-      quizType,
-      questionIds: questionIds?.length || 0
-    });
-    
-    // Validate required fields
-    if (!username || !email || !category || typeof score !== 'number' || typeof total !== 'number') {
-      console.error('❌ Missing required fields:', { username, email, category, score, total });
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        details: 'username, email, category, score, and total are required'
+// Client-supplied key (Idempotency-Key header or body.idempotencyKey) so retries don't charge twice
+function getIdempotencyKey(req) {
+  const key = req.get('idempotency-key') || req.body?.idempotencyKey;
+  return typeof key === 'string' && key.trim() ? key.trim().substring(0, 100) : null;
+}
+
+function coinSummary(user) {
+  const coins = user.engagement?.coins || {};
+  return {
+    balance: coins.balance || 0,
+    lifetimeEarned: coins.lifetimeEarned || 0,
+    lifetimeSpent: coins.lifetimeSpent || 0
+  };
+}
+
+// One-time move of the embedded coins.history arrays into the ledger. Imported entries
+// plus an opening adjustment add up to the balance the user had when migrated.
+async function migrateCoinHistoryToLedger() {
+  const cursor = User.find({ 'engagement.coins.ledgerMigratedAt': { $exists: false } })
+    .select('email engagement.coins')
+    .cursor();
+
+  let migrated = 0;
+  for await (const user of cursor) {
+    const coins = user.engagement?.coins || {};
+    const balance = coins.balance || 0;
+    let runningBalance = 0;
+
+    const entries = (coins.history || [])
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => Number.isInteger(entry.amount) && entry.amount !== 0)
+      .map(({ entry, index }) => {
+        runningBalance += entry.amount;
+        return {
+          userId: user._id,
+          email: user.email,
+          amount: entry.amount,
+          balanceAfter: runningBalance,
+          action: entry.action,
+          meta: { ...(entry.meta || {}), imported: true },
+          idempotencyKey: `legacy:${index}`,
+          createdAt: entry.createdAt || new Date()
+        };
       });
-    }
 
-    // Validate score range
-    if (score < 0 || score > total || total <= 0) {
-      console.error('❌ Invalid score values:', { score, total });
-      return res.status(400).json({ 
-        error: 'Invalid score values',
-        details: 'Score must be between 0 and total, and total must be positive'
+    if (runningBalance !== balance) {
+      entries.push({
+        userId: user._id,
+        email: user.email,
+        amount: balance - runningBalance,
+        balanceAfter: balance,
+        action: 'Opening Balance Adjustment',
+        meta: { imported: true },
+        idempotencyKey: 'legacy:opening',
+        createdAt: new Date()
       });
     }
+
+    if (entries.length > 0) {
+      try {
+        await CoinTransaction.insertMany(entries, { ordered: false });
+      } catch (error) {
+        // Entries already imported by an interrupted earlier run are fine
+        if (!(error.writeErrors || []).every(writeError => writeError.code === 11000)) throw error;
+      }
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'engagement.coins.ledgerMigratedAt': new Date() }, $unset: { 'engagement.coins.history': '' } }
+    );
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`🪙 Moved coin history for ${migrated} user(s) into the ledger`);
+  }
+}
+
+// Compare balances with the ledger totals. With fix: true, drifted balances are reset to
+// the ledger; users with a transaction in the last minute may be mid-update and are skipped,
+// as are ledgers that total below zero (an entry is missing, so the balance is not lowered).
+async function reconcileCoinBalances({ fix = false } = {}) {
+  const totals = await CoinTransaction.aggregate([
+    {
+      $group: {
+        _id: '$userId',
+        balance: { $sum: '$amount' },
+        earned: { $sum: { $cond: [{ $gt: ['$amount', 0] }, '$amount', 0] } },
+        spent: { $sum: { $cond: [{ $lt: ['$amount', 0] }, { $abs: '$amount' }, 0] } },
+        lastAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+  const ledgerByUser = new Map(totals.map(total => [String(total._id), total]));
+  const settleCutoff = new Date(Date.now() - 60 * 1000);
+  const report = { checked: 0, mismatched: [], fixed: 0, skipped: 0 };
+
+  const cursor = User.find({ 'engagement.coins.ledgerMigratedAt': { $exists: true } })
+    .select('email engagement.coins.balance')
+    .cursor();
+
+  for await (const user of cursor) {
+    report.checked++;
+    const ledger = ledgerByUser.get(String(user._id)) || { balance: 0, earned: 0, spent: 0, lastAt: null };
+    const balance = user.engagement?.coins?.balance ?? null;
+    if ((balance || 0) === ledger.balance) continue;
+
+    report.mismatched.push({ userId: user._id, email: user.email, balance: balance || 0, ledgerBalance: ledger.balance });
+    if (!fix) continue;
+    if ((ledger.lastAt && ledger.lastAt > settleCutoff) || ledger.balance < 0) {
+      report.skipped++;
+      continue;
+    }
+
+    const result = await User.updateOne(
+      { _id: user._id, 'engagement.coins.balance': balance },
+      {
+        $set: {
+          'engagement.coins.balance': ledger.balance,
+          'engagement.coins.lifetimeEarned': ledger.earned,
+          'engagement.coins.lifetimeSpent': ledger.spent
+        }
+      }
+    );
+    if (result.modifiedCount > 0) report.fixed++;
+  }
+
+  return report;
+}
+
+function startCoinReconciliationJob() {
+  const timer = setInterval(async () => {
+    try {
+      const report = await reconcileCoinBalances({ fix: true });
+      if (report.mismatched.length > 0) {
+        console.warn(`⚠️ Coin reconciliation: ${report.mismatched.length} mismatched, ${report.fixed} fixed, ${report.skipped} skipped`);
+        await writeAuditLog(null, 'coins.reconcile', { type: 'system', id: 'coins' }, {
+          after: { checked: report.checked, mismatched: report.mismatched.length, fixed: report.fixed, skipped: report.skipped }
+        });
+      }
+    } catch (error) {
+      console.error('Coin reconciliation error:', error);
+    }
+  }, COIN_RECONCILE_INTERVAL_MS);
+  timer.unref();
+}
+
+// Paginated coin history for the signed-in user, newest first. ?type=earn|spend filters.
+app.get('/api/coins/history', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const filter = { userId: req.user._id };
+    if (req.query.type === 'earn') filter.amount = { $gt: 0 };
+    else if (req.query.type === 'spend') filter.amount = { $lt: 0 };
+
+    const [transactions, total] = await Promise.all([
+      CoinTransaction.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      CoinTransaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      balance: coinSummary(req.user).balance,
+      transactions: transactions.map(t => ({
+        id: t._id,
+        amount: t.amount,
+        balanceAfter: t.balanceAfter,
+        action: t.action,
+        meta: t.meta,
+        createdAt: t.createdAt
+      })),
+      total,
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error('Error fetching coin history:', err);
+    res.status(500).json({ error: 'Failed to fetch coin history' });
+  }
+});
+
+// Seed content for the Question collection (the original static quiz pages).
+// Only used to populate an empty category; edit questions in the database afterwards.
+const QUESTION_BANK_SEED = {
+  'HTML': [
+    {
+      question: "What does HTML stand for?",
+      options: ["Hyper Text Markup Language", "Hypertext Markup Language", "High Text Machine Language", "Hyperlink and Text Markup Language"],
+      correctAnswer: "Hyper Text Markup Language",
+      topic: "HTML Basics"
+    },
+    {
+      question: "Which tag is used to create a hyperlink in HTML?",
+      options: ["<a href>", "<link>", "<href>", "<url>"],
+      correctAnswer: "<a href>",
+      topic: "HTML Links"
+    },
+    {
+      question: "Which HTML element is used to define the structure of an HTML table?",
+      options: ["<grid>", "<tb>", "<table>", "<tabular>"],
+      correctAnswer: "<table>",
+      topic: "HTML Tables"
+    },
+    {
+      question: "Which HTML element is used to define a semantic section in a document?",
+      options: ["<div>", "<section>", "<block>", "<container>"],
+      correctAnswer: "<section>",
+      topic: "HTML Semantic Elements"
+    },
+    {
+      question: "What is the purpose of the HTML <meta> tag?",
+      options: ["To create animations on a webpage", "To define a clickable button", "To specify metadata about the document", "To include external JavaScript"],
+      correctAnswer: "To specify metadata about the document",
+      topic: "HTML Meta Tags"
+    },
+    {
+      question: "Which HTML element defines the title of a document?",
+      options: ["<head>", "<title>", "<header>", "<heading>"],
+      correctAnswer: "<title>",
+      topic: "HTML Document Structure"
+    },
+    {
+      question: "What attribute is used to specify an alternate text for an image?",
+      options: ["alt", "title", "description", "caption"],
+      correctAnswer: "alt",
+      topic: "HTML Attributes"
+    },
+    {
+      question: "Which HTML element is used to create an unordered list?",
+      options: ["<ol>", "<li>", "<ul>", "<list>"],
+      correctAnswer: "<ul>",
+      topic: "HTML Lists"
+    },
+    {
+      question: "Which HTML attribute specifies a unique id for an element?",
+      options: ["class", "id", "name", "identity"],
+      correctAnswer: "id",
+      topic: "HTML Elements & Attributes"
+    },
+    {
+      question: "What is the correct HTML element for the largest heading?",
+      options: ["<h1>", "<h6>", "<heading>", "<head>"],
+      correctAnswer: "<h1>",
+      topic: "HTML Headings"
+    }
+  ],
+  'CSS': [
+    {
+      question: "Which CSS property is used to change the text color of an element?",
+      options: ["color", "text-color", "font-color", "text-style"],
+      correctAnswer: "color",
+      topic: "CSS Text Styling"
+    },
+    {
+      question: "Which CSS property is used to control the space between elements?",
+      options: ["spacing", "space", "margin", "element-spacing"],
+      correctAnswer: "margin",
+      topic: "CSS Box Model"
+    },
+    {
+      question: "Which CSS property is used to create a flexible box layout?",
+      options: ["grid-layout", "display: flex", "box-flexible", "flex-box"],
+      correctAnswer: "display: flex",
+      topic: "CSS Flexbox"
+    },
+    {
+      question: "Which CSS property is used to add shadows to elements?",
+      options: ["element-shadow", "shadow", "box-shadow", "drop-shadow"],
+      correctAnswer: "box-shadow",
+      topic: "CSS Effects"
+    },
+    {
+      question: "Which CSS pseudo-class is used to select elements when a user hovers over them?",
+      options: [":active", ":hover", ":focus", ":mouseover"],
+      correctAnswer: ":hover",
+      topic: "CSS Pseudo-classes"
+    },
+    {
+      question: "Which CSS property is used to specify the transparency of an element?",
+      options: ["transparent", "opacity", "visibility", "alpha"],
+      correctAnswer: "opacity",
+      topic: "CSS Visual Effects"
+    },
+    {
+      question: "Which CSS property is used to specify the font of an element?",
+      options: ["font-family", "font-style", "text-font", "font-type"],
+      correctAnswer: "font-family",
+      topic: "CSS Typography"
+    },
+    {
+      question: "Which CSS property defines the space between the content and its border?",
+      options: ["margin", "padding", "border-spacing", "spacing"],
+      correctAnswer: "padding",
+      topic: "CSS Box Model"
+    },
+    {
+      question: "Which CSS property is used to set the background image of an element?",
+      options: ["background-image", "background-picture", "background-attachment", "bg-image"],
+      correctAnswer: "background-image",
+      topic: "CSS Backgrounds"
+    },
+    {
+      question: "Which CSS property is used to specify the position of an element?",
+      options: ["location", "placement", "position", "float"],
+      correctAnswer: "position",
+      topic: "CSS Positioning"
+    }
+  ],
+  'JavaScript': [
+    {
+      question: "Which of the following is a correct way to declare a variable in JavaScript?",
+      options: ["dim x = 10;", "variable x = 10;", "let x = 10;", "String x = 10;"],
+      correctAnswer: "let x = 10;",
+      topic: "JS Variables"
+    },
+    {
+      question: "What is the correct JavaScript syntax to change the content of an HTML element with id=\"demo\"?",
+      options: ["document.getElement(\"demo\").innerHTML = \"Hello World!\";", "document.getElementById(\"demo\").innerHTML = \"Hello World!\";", "#demo.innerHTML = \"Hello World!\";", "document.getElementByName(\"demo\").innerHTML = \"Hello World!\";"],
+      correctAnswer: "document.getElementById(\"demo\").innerHTML = \"Hello World!\";",
+      topic: "DOM Manipulation"
+    },
+    {
+      question: "Which built-in method returns the length of a string?",
+      options: ["size()", "count()", "len()", "length"],
+      correctAnswer: "length",
+      topic: "JS String Methods"
+    }
+  ],
+  'Python': [
+    {
+      question: "What is the output of the following code: print(2 ** 3 ** 2)?",
+      options: ["36", "64", "512", "Error"],
+      correctAnswer: "512",
+      topic: "Python Operators"
+    },
+    {
+      question: "Which of the following is not a valid Python data type?",
+      options: ["list", "dictionary", "tuple", "array"],
+      correctAnswer: "array",
+      topic: "Python Data Types"
+    },
+    {
+      question: "What does the following code return: len(\"Python\"[1:4])?",
+      options: ["4", "5", "3", "2"],
+      correctAnswer: "3",
+      topic: "Python String Manipulation"
+    },
+    {
+      question: "Which of the following is a correct way to create a list comprehension that generates even numbers from 0 to 20?",
+      options: ["[x if x % 2 == 0 for x in range(21)]", "[x for x in range(21) if x % 2 == 0]", "[for x in range(21) if x % 2 == 0]", "[x for x in range(0, 21, 2) if x > 0]"],
+      correctAnswer: "[x for x in range(21) if x % 2 == 0]",
+      topic: "Python List Comprehensions"
+    },
+    {
+      question: "What will the following Python code return? {'a':1, 'b':2}.get('c', 3)",
+      options: ["KeyError", "None", "3", "'c'"],
+      correctAnswer: "3",
+      topic: "Python Dictionary Methods"
+    }
+  ],
+  'SQL': [
+    {
+      question: "What does SQL stand for?",
+      options: ["Structured Query Language", "Simple Query Language", "Standard Query Logic", "System Query Language"],
+      correctAnswer: "Structured Query Language",
+      topic: "SQL Basics"
+    },
+    {
+      question: "Which SQL command is used to extract data from a database?",
+      options: ["SELECT", "EXTRACT", "GET", "OPEN"],
+      correctAnswer: "SELECT",
+      topic: "SQL Commands"
+    },
+    {
+      question: "Which SQL clause is used to filter records?",
+      options: ["HAVING", "GROUP BY", "WHERE", "ORDER BY"],
+      correctAnswer: "WHERE",
+      topic: "SQL Clauses"
+    }
+  ],
+  'Git': [
+    {
+      question: "What is Git?",
+      options: ["A distributed version control system", "A centralized version control system", "A programming language", "A database management system"],
+      correctAnswer: "A distributed version control system",
+      topic: "Git Basics"
+    },
+    {
+      question: "Which command is used to create a new Git repository?",
+      options: ["git init", "git start", "git create", "git new"],
+      correctAnswer: "git init",
+      topic: "Git Commands"
+    },
+    {
+      question: "Which Git command is used to download changes from a remote repository?",
+      options: ["git commit", "git push", "git pull", "git clone"],
+      correctAnswer: "git pull",
+      topic: "Git Remote Operations"
+    }
+  ],
+  'DevOps': [
+    {
+      question: "What does CI/CD stand for in DevOps?",
+      options: ["Continuous Integration/Continuous Deployment", "Computer Interface/Computer Development", "Continuous Improvement/Continuous Delivery", "Cloud Infrastructure/Container Deployment"],
+      correctAnswer: "Continuous Integration/Continuous Deployment",
+      topic: "CI/CD Principles"
+    },
+    {
+      question: "Which of the following is a container orchestration platform commonly used in DevOps?",
+      options: ["Kubernetes", "Jenkins", "Terraform", "Maven"],
+      correctAnswer: "Kubernetes",
+      topic: "Container Orchestration"
+    },
+    {
+      question: "What is Infrastructure as Code (IaC) in DevOps?",
+      options: ["Writing code that runs directly on infrastructure hardware", "A coding framework specifically for infrastructure engineers", "Managing and provisioning infrastructure through code instead of manual processes", "A method of writing code that automatically scales infrastructure"],
+      correctAnswer: "Managing and provisioning infrastructure through code instead of manual processes",
+      topic: "Infrastructure as Code"
+    },
+    {
+      question: "Which of the following best describes the concept of \"microservices\" in DevOps?",
+      options: ["Very small servers that consume less power", "Small pieces of code that run for shorter durations", "An architectural approach where applications are built as a collection of small, independent services", "A set of tools used for small development teams"],
+      correctAnswer: "An architectural approach where applications are built as a collection of small, independent services",
+      topic: "Microservices Architecture"
+    },
+    {
+      question: "What is the primary purpose of a \"blue-green deployment\" strategy?",
+      options: ["To visually distinguish between development and production code", "To minimize downtime and risk by running two identical production environments", "To separate environmentally-friendly code from legacy systems", "To prioritize certain features using color-coding"],
+      correctAnswer: "To minimize downtime and risk by running two identical production environments",
+      topic: "Deployment Strategies"
+    }
+  ],
+  'REACT': [
+    {
+      question: "What is React?",
+      options: ["A programming language", "A JavaScript library for building user interfaces", "A backend framework", "A database management system"],
+      correctAnswer: "A JavaScript library for building user interfaces",
+      topic: "React Fundamentals"
+    },
+    {
+      question: "What is JSX in React?",
+      options: ["A JavaScript engine", "A data storage format", "A syntax extension that allows HTML in JavaScript", "Java Serialized XML"],
+      correctAnswer: "A syntax extension that allows HTML in JavaScript",
+      topic: "JSX Syntax"
+    },
+    {
+      question: "What hook is used for managing state in functional components?",
+      options: ["useComponent()", "useState()", "useReact()", "stateSet()"],
+      correctAnswer: "useState()",
+      topic: "React Hooks"
+    },
+    {
+      question: "What is the virtual DOM in React?",
+      options: ["A special version of DOM that only exists in React Native", "A tool for visualizing component hierarchies", "A lightweight copy of the real DOM that React uses for performance optimization", "A DOM that only renders when connected to the internet"],
+      correctAnswer: "A lightweight copy of the real DOM that React uses for performance optimization",
+      topic: "React Virtual DOM"
+    },
+    {
+      question: "How do you pass data from a parent component to a child component in React?",
+      options: ["Using global variables", "Using props", "Using setState directly", "Using the context API only"],
+      correctAnswer: "Using props",
+      topic: "Component Communication"
+    }
+  ],
+  'Node.js': [
+    {
+      question: "What is Node.js?",
+      options: ["A JavaScript runtime built on Chrome's V8 JavaScript engine", "A JavaScript framework for building user interfaces", "A programming language for server-side applications", "A database management system for JavaScript applications"],
+      correctAnswer: "A JavaScript runtime built on Chrome's V8 JavaScript engine",
+      topic: "Node.js Basics"
+    },
+    {
+      question: "Which of the following is a core module in Node.js?",
+      options: ["fs", "express", "mongoose", "react"],
+      correctAnswer: "fs",
+      topic: "Node.js Core Modules"
+    },
+    {
+      question: "Which function is used to include modules in a Node.js application?",
+      options: ["import()", "include()", "require()", "attach()"],
+      correctAnswer: "require()",
+      topic: "Node.js Module System"
+    }
+  ],
+  'Java': [
+    {
+      question: "What is the correct way to declare a main method in Java?",
+      options: ["public void main(String[] args)", "public static void main()", "public static void main(String[] args)", "static public void main(String args)"],
+      correctAnswer: "public static void main(String[] args)",
+      topic: "Java Syntax"
+    },
+    {
+      question: "Which statement is used to create an object in Java?",
+      options: ["new", "create", "instance", "object"],
+      correctAnswer: "new",
+      topic: "Object Creation"
+    },
+    {
+      question: "Which of the following is not a primitive data type in Java?",
+      options: ["int", "boolean", "String", "char"],
+      correctAnswer: "String",
+      topic: "Data Types"
+    }
+  ]
+};
+
+// Populate the Question collection for any category that has no questions yet
+async function seedQuestionBank() {
+  for (const [category, questions] of Object.entries(QUESTION_BANK_SEED)) {
+    const existing = await Question.countDocuments({ category });
+    if (existing === 0) {
+      await Question.insertMany(questions.map(q => ({ ...q, category, status: 'approved' })));
+      console.log(`🌱 Seeded ${questions.length} ${category} questions`);
+    }
+  }
+
+  // Bank questions created before moderation existed were already in use
+  await Question.updateMany({ status: { $exists: false } }, { $set: { status: 'approved' } });
+}
+
+// ========== CATEGORY REGISTRY ==========
+// Every quiz category the site offers. Pages, topic lists (TOPIC_TAXONOMY_SEED), fallback
+// question pools (FALLBACK_QUESTION_POOLS) and level progressions are looked up by `id`.
+// The standard quiz page is `${pageSlug}QUIZ.html`; every category's AI quiz is
+// AIQUIZ.html?category=<id>.
+const CATEGORY_REGISTRY = [
+  {
+    id: 'HTML',
+    label: 'HTML',
+    pageSlug: 'HTML',
+    icon: 'fab fa-html5',
+    description: 'Structure web pages with elements, attributes, forms and semantic markup.',
+    docs: [
+      { text: 'MDN HTML Reference', url: 'https://developer.mozilla.org/en-US/docs/Web/HTML' },
+      { text: 'W3Schools HTML Tutorial', url: 'https://www.w3schools.com/html/' }
+    ],
+    resources: { // Further reading per topic, shown for weak areas
+      'HTML Basics': [
+        { text: 'MDN HTML Basics', url: 'https://developer.mozilla.org/en-US/docs/Learn/Getting_started_with_the_web/HTML_basics' },
+        { text: 'W3Schools HTML Tutorial', url: 'https://www.w3schools.com/html/' }
+      ],
+      'HTML Elements': [
+        { text: 'MDN HTML Elements Reference', url: 'https://developer.mozilla.org/en-US/docs/Web/HTML/Element' },
+        { text: 'HTML Elements Guide', url: 'https://www.w3schools.com/html/html_elements.asp' }
+      ],
+      'HTML Forms': [
+        { text: 'MDN HTML Forms', url: 'https://developer.mozilla.org/en-US/docs/Learn/Forms' },
+        { text: 'HTML Forms Tutorial', url: 'https://www.w3schools.com/html/html_forms.asp' }
+      ],
+      'HTML Tables': [
+        { text: 'MDN HTML Tables', url: 'https://developer.mozilla.org/en-US/docs/Learn/HTML/Tables' },
+        { text: 'HTML Tables Guide', url: 'https://www.w3schools.com/html/html_tables.asp' }
+      ],
+      'HTML5 Semantic Elements': [
+        { text: 'MDN Semantic HTML', url: 'https://developer.mozilla.org/en-US/docs/Glossary/Semantics#semantics_in_html' },
+        { text: 'HTML5 Semantic Elements', url: 'https://www.w3schools.com/html/html5_semantic_elements.asp' }
+      ],
+      'HTML Attributes': [
+        { text: 'MDN HTML Attributes', url: 'https://developer.mozilla.org/en-US/docs/Web/HTML/Attributes' },
+        { text: 'HTML Attributes Reference', url: 'https://www.w3schools.com/html/html_attributes.asp' }
+      ]
+    }
+  },
+  {
+    id: 'CSS',
+    label: 'CSS',
+    pageSlug: 'CSS',
+    icon: 'fab fa-css3-alt',
+    description: 'Style pages with selectors, the box model, Flexbox, Grid and animations.',
+    docs: [
+      { text: 'MDN CSS Reference', url: 'https://developer.mozilla.org/en-US/docs/Web/CSS' },
+      { text: 'W3Schools CSS Tutorial', url: 'https://www.w3schools.com/css/' }
+    ],
+    resources: { // Further reading per topic, shown for weak areas
+      'CSS Basics': [
+        { text: 'MDN CSS Basics', url: 'https://developer.mozilla.org/en-US/docs/Learn/Getting_started_with_the_web/CSS_basics' },
+        { text: 'W3Schools CSS Tutorial', url: 'https://www.w3schools.com/css/' }
+      ],
+      'CSS Selectors': [
+        { text: 'MDN CSS Selectors', url: 'https://developer.mozilla.org/en-US/docs/Web/CSS/CSS_Selectors' },
+        { text: 'CSS Selectors Reference', url: 'https://www.w3schools.com/cssref/css_selectors.asp' }
+      ],
+      'CSS Layout': [
+        { text: 'MDN CSS Layout', url: 'https://developer.mozilla.org/en-US/docs/Learn/CSS/CSS_layout' },
+        { text: 'CSS Grid Guide', url: 'https://css-tricks.com/snippets/css/complete-guide-grid/' }
+      ],
+      'CSS Flexbox': [
+        { text: 'MDN Flexbox Guide', url: 'https://developer.mozilla.org/en-US/docs/Learn/CSS/CSS_layout/Flexbox' },
+        { text: 'Complete Guide to Flexbox', url: 'https://css-tricks.com/snippets/css/a-guide-to-flexbox/' }
+      ],
+      'CSS Animations': [
+        { text: 'MDN CSS Animations', url: 'https://developer.mozilla.org/en-US/docs/Web/CSS/CSS_Animations' },
+        { text: 'CSS Animation Guide', url: 'https://www.w3schools.com/css/css3_animations.asp' }
+      ],
+      'CSS Properties': [
+        { text: 'MDN CSS Properties', url: 'https://developer.mozilla.org/en-US/docs/Web/CSS/CSS_Properties_Reference' },
+        { text: 'CSS Properties Reference', url: 'https://www.w3schools.com/cssref/' }
+      ]
+    }
+  },
+  {
+    id: 'JavaScript',
+    label: 'JavaScript',
+    pageSlug: 'JAVASCRIPT',
+    icon: 'fab fa-js-square',
+    description: 'Make pages interactive with functions, the DOM, events and async code.',
+    docs: [
+      { text: 'MDN JavaScript Guide', url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide' },
+      { text: 'JavaScript.info Tutorial', url: 'https://javascript.info/' }
+    ],
+    resources: { // Further reading per topic, shown for weak areas
+      'JavaScript Basics': [
+        { text: 'MDN JavaScript Guide', url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide' },
+        { text: 'JavaScript.info Tutorial', url: 'https://javascript.info/' }
+      ],
+      'ES6+ Features': [
+        { text: 'ES6 Features Guide', url: 'https://github.com/lukehoban/es6features' },
+        { text: 'Modern JavaScript Tutorial', url: 'https://javascript.info/es-modern' }
+      ],
+      'Async/Await': [
+        { text: 'MDN Async/Await', url: 'https://developer.mozilla.org/en-US/docs/Learn/JavaScript/Asynchronous/Async_await' },
+        { text: 'JavaScript Promises Guide', url: 'https://javascript.info/async-await' }
+      ],
+      'DOM Manipulation': [
+        { text: 'MDN DOM Guide', url: 'https://developer.mozilla.org/en-US/docs/Web/API/Document_Object_Model' },
+        { text: 'JavaScript DOM Tutorial', url: 'https://www.w3schools.com/js/js_htmldom.asp' }
+      ],
+      'Functions': [
+        { text: 'MDN Functions', url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Functions' },
+        { text: 'JavaScript Functions Guide', url: 'https://javascript.info/function-basics' }
+      ]
+    }
+  },
+  {
+    id: 'Python',
+    label: 'Python',
+    pageSlug: 'PYTHON',
+    icon: 'fab fa-python',
+    description: 'Write Python with its data types, collections, functions and classes.',
+    docs: [
+      { text: 'Official Python Tutorial', url: 'https://docs.python.org/3/tutorial/' },
+      { text: 'Real Python Tutorials', url: 'https://realpython.com/' }
+    ]
+  },
+  {
+    id: 'REACT',
+    label: 'React',
+    pageSlug: 'REACT',
+    icon: 'fab fa-react',
+    description: 'Build interfaces with components, props, state and hooks.',
+    docs: [
+      { text: 'React Documentation', url: 'https://react.dev/learn' },
+      { text: 'React API Reference', url: 'https://react.dev/reference/react' }
+    ]
+  },
+  {
+    id: 'SQL',
+    label: 'SQL',
+    pageSlug: 'SQL',
+    icon: 'fas fa-database',
+    description: 'Query and design relational databases with joins, aggregates and transactions.',
+    docs: [
+      { text: 'SQLBolt Interactive Lessons', url: 'https://sqlbolt.com/' },
+      { text: 'W3Schools SQL Tutorial', url: 'https://www.w3schools.com/sql/' }
+    ]
+  },
+  {
+    id: 'Git',
+    label: 'Git',
+    pageSlug: 'GIT',
+    icon: 'fab fa-git-alt',
+    description: 'Track changes with commits, branches, remotes and rebasing.',
+    docs: [
+      { text: 'Pro Git Book', url: 'https://git-scm.com/book/en/v2' },
+      { text: 'Git Reference', url: 'https://git-scm.com/docs' }
+    ]
+  },
+  {
+    id: 'Node.js',
+    label: 'Node.js',
+    pageSlug: 'NODEJS',
+    icon: 'fab fa-node-js',
+    description: 'Run JavaScript on the server with modules, streams and Express.',
+    docs: [
+      { text: 'Node.js Learn', url: 'https://nodejs.org/en/learn' },
+      { text: 'Node.js API Docs', url: 'https://nodejs.org/api/' }
+    ]
+  },
+  {
+    id: 'Java',
+    label: 'Java',
+    pageSlug: 'JAVA',
+    icon: 'fab fa-java',
+    description: 'Program in Java with OOP, collections, streams and concurrency.',
+    docs: [
+      { text: 'Dev.java Learn', url: 'https://dev.java/learn/' },
+      { text: 'Java SE API Docs', url: 'https://docs.oracle.com/en/java/javase/21/docs/api/' }
+    ]
+  },
+  {
+    id: 'DevOps',
+    label: 'DevOps',
+    pageSlug: 'DEVOPS',
+    icon: 'fas fa-server',
+    description: 'Ship software with CI/CD, containers, infrastructure as code and monitoring.',
+    docs: [
+      { text: 'Docker Documentation', url: 'https://docs.docker.com/get-started/' },
+      { text: 'Kubernetes Documentation', url: 'https://kubernetes.io/docs/home/' }
+    ]
+  }
+];
+
+// Hand-written questions served when no LLM provider is available, by category and level
+const FALLBACK_QUESTION_POOLS = {
+  'HTML': {
+    'beginner': [
+      {
+        question: "What does HTML stand for?",
+        options: ["Hyper Text Markup Language", "High Tech Modern Language", "Home Tool Markup Language", "Hyperlink Text Markup Language"],
+        correctAnswer: "Hyper Text Markup Language",
+        topic: "HTML Basics",
+        explanation: "HTML stands for Hyper Text Markup Language, the standard markup language for web pages."
+      },
+      {
+        question: "Which HTML element is used for the largest heading?",
+        options: ["<h6>", "<h1>", "<heading>", "<header>"],
+        correctAnswer: "<h1>",
+        topic: "HTML Elements",
+        explanation: "<h1> represents the largest heading in HTML."
+      },
+      {
+        question: "What is the correct HTML element for inserting a line break?",
+        options: ["<break>", "<lb>", "<br>", "<newline>"],
+        correctAnswer: "<br>",
+        topic: "HTML Elements",
+        explanation: "The <br> element creates a line break in HTML."
+      },
+      {
+        question: "Which attribute specifies a unique identifier for an HTML element?",
+        options: ["class", "name", "id", "key"],
+        correctAnswer: "id",
+        topic: "HTML Attributes",
+        explanation: "The 'id' attribute provides a unique identifier for HTML elements."
+      },
+      {
+        question: "How do you create a hyperlink in HTML?",
+        options: ["<link>", "<a>", "<href>", "<url>"],
+        correctAnswer: "<a>",
+        topic: "HTML Links",
+        explanation: "The <a> element with href attribute creates hyperlinks."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "Which attribute is used to merge table cells horizontally?",
+        options: ["rowspan", "colspan", "cellspan", "merge"],
+        correctAnswer: "colspan",
+        topic: "HTML Tables",
+        explanation: "colspan specifies how many columns a cell should span."
+      },
+      {
+        question: "What is the purpose of the <meta> tag?",
+        options: ["Create links", "Add metadata", "Define sections", "Style elements"],
+        correctAnswer: "Add metadata",
+        topic: "HTML Document Structure",
+        explanation: "<meta> tags provide metadata about the HTML document."
+      },
+      {
+        question: "Which HTML5 input type is used for email addresses?",
+        options: ["text", "email", "mail", "address"],
+        correctAnswer: "email",
+        topic: "HTML Forms",
+        explanation: "The email input type validates email address format."
+      },
+      {
+        question: "What does the 'required' attribute do in forms?",
+        options: ["Makes field optional", "Makes field mandatory", "Validates input", "Styles the field"],
+        correctAnswer: "Makes field mandatory",
+        topic: "HTML Forms",
+        explanation: "The required attribute makes form fields mandatory to fill."
+      },
+      {
+        question: "Which HTML5 element represents a sidebar?",
+        options: ["<sidebar>", "<aside>", "<nav>", "<section>"],
+        correctAnswer: "<aside>",
+        topic: "HTML5 Semantic Elements",
+        explanation: "<aside> represents content tangentially related to main content."
+      }
+    ],
+    'advanced': [
+      {
+        question: "Which HTML5 API allows offline web application functionality?",
+        options: ["Service Worker", "Local Storage", "Session Storage", "Web SQL"],
+        correctAnswer: "Service Worker",
+        topic: "HTML5 APIs",
+        explanation: "Service Workers enable offline functionality by intercepting network requests."
+      },
+      {
+        question: "What is the difference between <section> and <article>?",
+        options: ["No difference", "<section> is standalone", "<article> is standalone", "Both deprecated"],
+        correctAnswer: "<article> is standalone",
+        topic: "HTML5 Semantic Elements",
+        explanation: "<article> is for standalone content, <section> for thematic grouping."
+      },
+      {
+        question: "Which attribute makes an HTML element editable?",
+        options: ["editable", "contenteditable", "edit", "input"],
+        correctAnswer: "contenteditable",
+        topic: "HTML Attributes",
+        explanation: "contenteditable attribute makes elements editable by users."
+      },
+      {
+        question: "What is the purpose of the <picture> element?",
+        options: ["Display images", "Responsive images", "Image gallery", "Image editing"],
+        correctAnswer: "Responsive images",
+        topic: "HTML Elements",
+        explanation: "<picture> provides responsive image solutions with multiple sources."
+      },
+      {
+        question: "Which HTML5 attribute specifies the character encoding?",
+        options: ["encoding", "charset", "char-set", "character"],
+        correctAnswer: "charset",
+        topic: "HTML Document Structure",
+        explanation: "The charset attribute in <meta> specifies character encoding."
+      }
+    ]
+  },
+  'CSS': {
+    'beginner': [
+      {
+        question: "What does CSS stand for?",
+        options: ["Cascading Style Sheets", "Computer Style Sheets", "Creative Style Sheets", "Colorful Style Sheets"],
+        correctAnswer: "Cascading Style Sheets",
+        topic: "CSS Basics",
+        explanation: "CSS stands for Cascading Style Sheets, used for styling web pages."
+      },
+      {
+        question: "Which CSS property is used to change the text color?",
+        options: ["color", "text-color", "font-color", "text-style"],
+        correctAnswer: "color",
+        topic: "CSS Properties",
+        explanation: "The 'color' property is used to set the color of text."
+      },
+      {
+        question: "How do you add CSS to an HTML document?",
+        options: ["<style>", "<css>", "<script>", "<link>"],
+        correctAnswer: "<style>",
+        topic: "CSS Basics",
+        explanation: "CSS can be added using <style> tags or <link> tags for external stylesheets."
+      },
+      {
+        question: "Which CSS property controls the spacing between elements?",
+        options: ["margin", "padding", "spacing", "gap"],
+        correctAnswer: "margin",
+        topic: "CSS Layout",
+        explanation: "The 'margin' property controls the space outside an element's border."
+      },
+      {
+        question: "What is the correct CSS syntax?",
+        options: ["selector {property: value;}", "{selector: property: value;}", "selector = property: value", "selector (property: value)"],
+        correctAnswer: "selector {property: value;}",
+        topic: "CSS Basics",
+        explanation: "CSS syntax consists of a selector followed by declarations in curly braces."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "Which CSS display value removes an element from the document flow?",
+        options: ["none", "hidden", "invisible", "remove"],
+        correctAnswer: "none",
+        topic: "CSS Layout",
+        explanation: "display: none completely removes the element from the document flow."
+      },
+      {
+        question: "What is the difference between margin and padding?",
+        options: ["No difference", "Margin is inside, padding is outside", "Padding is inside, margin is outside", "Margin is for text, padding for elements"],
+        correctAnswer: "Padding is inside, margin is outside",
+        topic: "CSS Layout",
+        explanation: "Padding is the space inside an element's border, margin is the space outside."
+      },
+      {
+        question: "Which CSS property is used to create CSS Grid layouts?",
+        options: ["display: grid", "layout: grid", "grid: true", "position: grid"],
+        correctAnswer: "display: grid",
+        topic: "CSS Layout",
+        explanation: "display: grid creates a CSS Grid container for advanced layouts."
+      }
+    ],
+    'advanced': [
+      {
+        question: "Which CSS property is used to create CSS Grid layouts?",
+        options: ["display: grid", "grid-template-areas", "grid-template-columns", "grid-area"],
+        correctAnswer: "display: grid",
+        topic: "CSS Grid",
+        explanation: "display: grid enables CSS Grid layout on the container."
+      },
+      {
+        question: "What is the purpose of the grid-template-areas property?",
+        options: ["Define grid layout", "Set item positions", "Create named grid areas", "All of the above"],
+        correctAnswer: "All of the above",
+        topic: "CSS Grid",
+        explanation: "grid-template-areas defines the grid structure and item placement."
+      },
+      {
+        question: "How do you specify a fallback value for a CSS variable?",
+        options: ["var(--my-variable, fallbackValue)", "fallback(var(--my-variable))", "default(var(--my-variable), fallbackValue)", "var(--my-variable) ? fallbackValue"],
+        correctAnswer: "var(--my-variable, fallbackValue)",
+        topic: "CSS Variables",
+        explanation: "The var() function can take a fallback value if the variable is not defined."
+      }
+    ]
+  },
+  'JavaScript': {
+    'beginner': [
+      {
+        question: "What does JavaScript primarily add to web pages?",
+        options: ["Styling", "Interactivity", "Structure", "Database connectivity"],
+        correctAnswer: "Interactivity",
+        topic: "JavaScript Basics",
+        explanation: "JavaScript adds interactivity and dynamic behavior to web pages."
+      },
+      {
+        question: "Which keyword is used to declare a variable in modern JavaScript?",
+        options: ["var", "let", "const", "Both let and const"],
+        correctAnswer: "Both let and const",
+        topic: "JavaScript Basics",
+        explanation: "Modern JavaScript uses 'let' for mutable variables and 'const' for constants."
+      },
+      {
+        question: "What is the correct way to write a JavaScript array?",
+        options: ["var colors = 'red', 'green', 'blue'", "var colors = (1:'red', 2:'green', 3:'blue')", "var colors = ['red', 'green', 'blue']", "var colors = 1 = ('red'), 2 = ('green'), 3 = ('blue')"],
+        correctAnswer: "var colors = ['red', 'green', 'blue']",
+        topic: "JavaScript Basics",
+        explanation: "JavaScript arrays are written with square brackets and comma-separated values."
+      },
+      {
+        question: "How do you write 'Hello World' in an alert box?",
+        options: ["alertBox('Hello World');", "msg('Hello World');", "alert('Hello World');", "msgBox('Hello World');"],
+        correctAnswer: "alert('Hello World');",
+        topic: "JavaScript Basics",
+        explanation: "The alert() function displays a dialog box with a message."
+      },
+      {
+        question: "Which operator is used to assign a value to a variable?",
+        options: ["*", "=", "x", "-"],
+        correctAnswer: "=",
+        topic: "JavaScript Basics",
+        explanation: "The assignment operator (=) is used to assign values to variables."
+      },
+      {
+        question: "How do you call a function named 'myFunction'?",
+        options: ["call myFunction()", "myFunction()", "call function myFunction", "Call.myFunction()"],
+        correctAnswer: "myFunction()",
+        topic: "Functions",
+        explanation: "Functions are called by writing the function name followed by parentheses."
+      },
+      {
+        question: "What is the correct syntax to create a function in JavaScript?",
+        options: ["function = myFunction() {}", "function myFunction() {}", "create myFunction() {}", "def myFunction() {}"],
+        correctAnswer: "function myFunction() {}",
+        topic: "Functions",
+        explanation: "Functions in JavaScript are declared using the 'function' keyword followed by the function name and parentheses."
+      },
+      {
+        question: "Which of these is a valid variable name in JavaScript?",
+        options: ["2name", "first-name", "firstName", "first name"],
+        correctAnswer: "firstName",
+        topic: "Variables",
+        explanation: "Variable names in JavaScript can contain letters, numbers, underscores, and dollar signs, but cannot start with a number or contain spaces or hyphens."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "What is the difference between '==' and '===' in JavaScript?",
+        options: ["No difference", "'==' checks value, '===' checks value and type", "'===' checks value, '==' checks value and type", "Both are deprecated"],
+        correctAnswer: "'==' checks value, '===' checks value and type",
+        topic: "JavaScript Basics",
+        explanation: "'==' performs type coercion, while '===' checks both value and type without conversion."
+      },
+      {
+        question: "What does the 'this' keyword refer to in JavaScript?",
+        options: ["The current function", "The current object", "The global object", "It depends on the context"],
+        correctAnswer: "It depends on the context",
+        topic: "Functions",
+        explanation: "The 'this' keyword refers to different objects depending on how it's used."
+      },
+      {
+        question: "What is the purpose of the spread operator (...) in JavaScript?",
+        options: ["To create comments", "To expand iterables into individual elements", "To create variables", "To end statements"],
+        correctAnswer: "To expand iterables into individual elements",
+        topic: "ES6+ Features",
+        explanation: "The spread operator allows an iterable to be expanded into individual elements."
+      },
+      {
+        question: "Which method is used to select an element by its ID?",
+        options: ["document.querySelector()", "document.getElementById()", "document.getElement()", "document.selectById()"],
+        correctAnswer: "document.getElementById()",
+        topic: "DOM Manipulation",
+        explanation: "document.getElementById() is the specific method to select an element by its ID attribute."
+      },
+      {
+        question: "What is event delegation in JavaScript?",
+        options: ["Passing events between functions", "Handling events on parent elements for child elements", "Creating custom events", "Removing event listeners"],
+        correctAnswer: "Handling events on parent elements for child elements",
+        topic: "Event Handling",
+        explanation: "Event delegation uses event bubbling to handle events on child elements through their parent."
+      }
+    ],
+    'advanced': [
+      {
+        question: "What is the purpose of async/await in JavaScript?",
+        options: ["To handle synchronous operations", "To handle asynchronous operations more easily", "To create classes", "To declare variables"],
+        correctAnswer: "To handle asynchronous operations more easily",
+        topic: "Async/Await",
+        explanation: "Async/await provides a cleaner way to handle asynchronous operations than callbacks or promises alone."
+      },
+      {
+        question: "What is a Promise in JavaScript?",
+        options: ["A guarantee that code will work", "An object representing eventual completion of an async operation", "A function parameter", "A loop construct"],
+        correctAnswer: "An object representing eventual completion of an async operation",
+        topic: "Promises",
+        explanation: "A Promise is an object representing the eventual completion or failure of an asynchronous operation."
+      }
+    ]
+  },
+  'Python': {
+    'beginner': [
+      {
+        question: "Which function prints output to the console in Python?",
+        options: ["echo()", "print()", "console.log()", "write()"],
+        correctAnswer: "print()",
+        topic: "Python Basics",
+        explanation: "print() writes its arguments to standard output."
+      },
+      {
+        question: "What is the type of the value 3.14 in Python?",
+        options: ["int", "float", "decimal", "double"],
+        correctAnswer: "float",
+        topic: "Python Data Types",
+        explanation: "Numbers with a decimal point are float objects in Python."
+      },
+      {
+        question: "What does 'hello'[1:3] return?",
+        options: ["'he'", "'el'", "'ell'", "'llo'"],
+        correctAnswer: "'el'",
+        topic: "Python Strings",
+        explanation: "Slicing includes the start index and stops before the end index, so it returns characters 1 and 2."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "Which collection type is immutable?",
+        options: ["list", "dict", "set", "tuple"],
+        correctAnswer: "tuple",
+        topic: "Python Collections",
+        explanation: "Tuples cannot be changed after they are created; lists, dicts and sets can."
+      },
+      {
+        question: "What does [x * 2 for x in range(3)] produce?",
+        options: ["[0, 2, 4]", "[2, 4, 6]", "[0, 1, 2]", "[1, 2, 3]"],
+        correctAnswer: "[0, 2, 4]",
+        topic: "Python List Comprehensions",
+        explanation: "range(3) yields 0, 1 and 2, and each value is doubled."
+      },
+      {
+        question: "Which keyword handles an exception raised inside a try block?",
+        options: ["catch", "except", "rescue", "handle"],
+        correctAnswer: "except",
+        topic: "Python Error Handling",
+        explanation: "Python uses try/except blocks to catch exceptions."
+      }
+    ],
+    'advanced': [
+      {
+        question: "Which method is called when a new instance of a class is initialized?",
+        options: ["__new__", "__init__", "__call__", "__start__"],
+        correctAnswer: "__init__",
+        topic: "Python OOP",
+        explanation: "__init__ initializes the instance after __new__ has created it."
+      },
+      {
+        question: "What does a function containing 'yield' return when called?",
+        options: ["A list", "A generator object", "None", "A tuple"],
+        correctAnswer: "A generator object",
+        topic: "Python Iterators and Generators",
+        explanation: "Calling a generator function returns a generator that produces values lazily."
+      },
+      {
+        question: "What does the @functools.wraps decorator preserve?",
+        options: ["The wrapped function's return value", "The wrapped function's name and docstring", "The call stack", "Global variables"],
+        correctAnswer: "The wrapped function's name and docstring",
+        topic: "Python Decorators",
+        explanation: "wraps copies metadata such as __name__ and __doc__ from the wrapped function to the wrapper."
+      }
+    ]
+  },
+  'REACT': {
+    'beginner': [
+      {
+        question: "What is JSX?",
+        options: ["A database", "A syntax extension that lets you write HTML-like markup in JavaScript", "A CSS framework", "A testing library"],
+        correctAnswer: "A syntax extension that lets you write HTML-like markup in JavaScript",
+        topic: "JSX Syntax",
+        explanation: "JSX compiles to React.createElement calls."
+      },
+      {
+        question: "How do you pass data from a parent component to a child?",
+        options: ["With props", "With state", "With refs only", "With global variables"],
+        correctAnswer: "With props",
+        topic: "Components and Props",
+        explanation: "Props are read-only inputs a parent passes to a child component."
+      },
+      {
+        question: "What does React use to minimize direct DOM updates?",
+        options: ["Shadow DOM", "Virtual DOM", "Web Workers", "Service Workers"],
+        correctAnswer: "Virtual DOM",
+        topic: "React Fundamentals",
+        explanation: "React compares virtual DOM trees and applies only the differences to the real DOM."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "Which hook adds local state to a function component?",
+        options: ["useEffect", "useState", "useContext", "useRef"],
+        correctAnswer: "useState",
+        topic: "State and Events",
+        explanation: "useState returns the current value and a setter function."
+      },
+      {
+        question: "When does a useEffect with an empty dependency array run?",
+        options: ["On every render", "Only after the first render", "Never", "Only before unmount"],
+        correctAnswer: "Only after the first render",
+        topic: "React Hooks",
+        explanation: "With [] the effect runs once after mounting, and its cleanup runs on unmount."
+      },
+      {
+        question: "Why should list items have a key prop?",
+        options: ["For styling", "So React can identify items between renders", "To sort the list", "To make items clickable"],
+        correctAnswer: "So React can identify items between renders",
+        topic: "Lists and Keys",
+        explanation: "Stable keys let React match items across renders and keep their state."
+      }
+    ],
+    'advanced': [
+      {
+        question: "What problem does the Context API solve?",
+        options: ["Slow rendering", "Passing data through many levels without prop drilling", "Routing", "Form validation"],
+        correctAnswer: "Passing data through many levels without prop drilling",
+        topic: "Context and State Management",
+        explanation: "Context makes a value available to any descendant that reads it."
+      },
+      {
+        question: "What does React.memo do?",
+        options: ["Caches API responses", "Skips re-rendering a component when its props are unchanged", "Stores state in localStorage", "Memoizes hooks"],
+        correctAnswer: "Skips re-rendering a component when its props are unchanged",
+        topic: "React Performance",
+        explanation: "React.memo shallowly compares props and reuses the last render when they match."
+      },
+      {
+        question: "Which hook reads URL parameters in React Router?",
+        options: ["useLocation", "useParams", "useNavigate", "useRoute"],
+        correctAnswer: "useParams",
+        topic: "React Router",
+        explanation: "useParams returns the dynamic segments matched by the current route."
+      }
+    ]
+  },
+  'SQL': {
+    'beginner': [
+      {
+        question: "Which statement retrieves data from a table?",
+        options: ["GET", "SELECT", "FETCH", "READ"],
+        correctAnswer: "SELECT",
+        topic: "SQL Basics",
+        explanation: "SELECT queries rows from one or more tables."
+      },
+      {
+        question: "Which clause filters rows before they are returned?",
+        options: ["ORDER BY", "WHERE", "GROUP BY", "LIMIT"],
+        correctAnswer: "WHERE",
+        topic: "SQL Filtering and Sorting",
+        explanation: "WHERE keeps only the rows that match its condition."
+      },
+      {
+        question: "Which clause sorts the result set?",
+        options: ["SORT BY", "ORDER BY", "ARRANGE BY", "GROUP BY"],
+        correctAnswer: "ORDER BY",
+        topic: "SQL Filtering and Sorting",
+        explanation: "ORDER BY sorts rows ascending by default, or descending with DESC."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "Which join returns all rows from the left table and matching rows from the right?",
+        options: ["INNER JOIN", "LEFT JOIN", "CROSS JOIN", "RIGHT JOIN"],
+        correctAnswer: "LEFT JOIN",
+        topic: "SQL Joins",
+        explanation: "LEFT JOIN keeps every left-table row and fills unmatched right-table columns with NULL."
+      },
+      {
+        question: "Which clause filters groups after aggregation?",
+        options: ["WHERE", "HAVING", "FILTER", "ON"],
+        correctAnswer: "HAVING",
+        topic: "SQL Aggregation",
+        explanation: "HAVING applies conditions to groups produced by GROUP BY."
+      },
+      {
+        question: "What does COUNT(*) return?",
+        options: ["The number of non-null values in a column", "The number of rows", "The number of columns", "The sum of all values"],
+        correctAnswer: "The number of rows",
+        topic: "SQL Aggregation",
+        explanation: "COUNT(*) counts rows, including rows that contain NULLs."
+      }
+    ],
+    'advanced': [
+      {
+        question: "What is a correlated subquery?",
+        options: ["A subquery that runs once", "A subquery that references columns from the outer query", "A subquery in the FROM clause", "A subquery that returns no rows"],
+        correctAnswer: "A subquery that references columns from the outer query",
+        topic: "SQL Subqueries",
+        explanation: "A correlated subquery depends on the outer row, so it is evaluated per row."
+      },
+      {
+        question: "What does a foreign key enforce?",
+        options: ["Unique values", "Referential integrity between tables", "Faster queries", "Non-null values"],
+        correctAnswer: "Referential integrity between tables",
+        topic: "Database Design",
+        explanation: "A foreign key ensures values match an existing key in the referenced table."
+      },
+      {
+        question: "Which ACID property guarantees that a transaction is all-or-nothing?",
+        options: ["Atomicity", "Consistency", "Isolation", "Durability"],
+        correctAnswer: "Atomicity",
+        topic: "Transactions",
+        explanation: "Atomicity means either every change in the transaction is applied or none are."
+      }
+    ]
+  },
+  'Git': {
+    'beginner': [
+      {
+        question: "Which command creates a new Git repository?",
+        options: ["git start", "git init", "git create", "git new"],
+        correctAnswer: "git init",
+        topic: "Git Basics",
+        explanation: "git init creates a .git directory in the current folder."
+      },
+      {
+        question: "Which command stages changes for the next commit?",
+        options: ["git add", "git stage-all", "git commit", "git push"],
+        correctAnswer: "git add",
+        topic: "Git Commands",
+        explanation: "git add moves changes from the working tree into the staging area."
+      },
+      {
+        question: "Which command shows which files are modified or staged?",
+        options: ["git log", "git status", "git diff --stat", "git show"],
+        correctAnswer: "git status",
+        topic: "Git Commands",
+        explanation: "git status summarizes staged, unstaged and untracked files."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "Which command creates a branch and switches to it?",
+        options: ["git branch -m new", "git switch -c new", "git merge new", "git checkout --new"],
+        correctAnswer: "git switch -c new",
+        topic: "Git Branching",
+        explanation: "git switch -c (or git checkout -b) creates the branch and checks it out."
+      },
+      {
+        question: "What does git fetch do?",
+        options: ["Downloads remote changes without merging them", "Downloads and merges remote changes", "Uploads local commits", "Deletes remote branches"],
+        correctAnswer: "Downloads remote changes without merging them",
+        topic: "Git Remote Operations",
+        explanation: "fetch updates remote-tracking branches; pull is fetch followed by a merge or rebase."
+      },
+      {
+        question: "What do the <<<<<<< and >>>>>>> markers in a file indicate?",
+        options: ["A corrupted file", "A merge conflict", "A staged change", "A deleted line"],
+        correctAnswer: "A merge conflict",
+        topic: "Merge Conflicts",
+        explanation: "Git writes conflict markers around the competing changes it could not merge automatically."
+      }
+    ],
+    'advanced': [
+      {
+        question: "What does git rebase do?",
+        options: ["Deletes a branch", "Replays commits on top of another base commit", "Creates a merge commit", "Reverts the last commit"],
+        correctAnswer: "Replays commits on top of another base commit",
+        topic: "Git Rebase and History",
+        explanation: "Rebase rewrites commits so they apply on top of a new base, giving a linear history."
+      },
+      {
+        question: "Which command undoes a pushed commit without rewriting history?",
+        options: ["git reset --hard", "git revert", "git rebase -i", "git commit --amend"],
+        correctAnswer: "git revert",
+        topic: "Git Rebase and History",
+        explanation: "git revert adds a new commit that reverses the changes, which is safe for shared branches."
+      },
+      {
+        question: "Where can you find commits that are no longer referenced by any branch?",
+        options: ["git stash", "git reflog", "git tag", "git config"],
+        correctAnswer: "git reflog",
+        topic: "Git Internals",
+        explanation: "The reflog records where HEAD and branch tips have pointed, including abandoned commits."
+      }
+    ]
+  },
+  'Node.js': {
+    'beginner': [
+      {
+        question: "What is Node.js?",
+        options: ["A browser", "A JavaScript runtime built on the V8 engine", "A database", "A CSS preprocessor"],
+        correctAnswer: "A JavaScript runtime built on the V8 engine",
+        topic: "Node.js Basics",
+        explanation: "Node.js runs JavaScript outside the browser using Chrome's V8 engine."
+      },
+      {
+        question: "How do you export a value from a CommonJS module?",
+        options: ["export default", "module.exports", "exports.default()", "return"],
+        correctAnswer: "module.exports",
+        topic: "Node.js Module System",
+        explanation: "Whatever is assigned to module.exports is what require() returns."
+      },
+      {
+        question: "Which file lists a project's dependencies?",
+        options: ["node.config", "package.json", "modules.txt", "index.js"],
+        correctAnswer: "package.json",
+        topic: "Node.js Module System",
+        explanation: "npm reads dependencies and scripts from package.json."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "Which core module works with file paths?",
+        options: ["fs", "path", "url", "os"],
+        correctAnswer: "path",
+        topic: "Node.js Core Modules",
+        explanation: "path joins, resolves and normalizes file system paths."
+      },
+      {
+        question: "What is Express middleware?",
+        options: ["A database driver", "A function that runs during the request-response cycle", "A template engine", "A testing tool"],
+        correctAnswer: "A function that runs during the request-response cycle",
+        topic: "Express.js",
+        explanation: "Middleware receives req, res and next, and can end the response or pass control on."
+      },
+      {
+        question: "What is the first argument of a Node.js error-first callback?",
+        options: ["The result", "An error or null", "The request", "A timestamp"],
+        correctAnswer: "An error or null",
+        topic: "Asynchronous Node.js",
+        explanation: "Node.js callbacks receive an error first, and null when the operation succeeded."
+      }
+    ],
+    'advanced': [
+      {
+        question: "Which method connects a readable stream to a writable stream?",
+        options: ["connect()", "pipe()", "link()", "stream()"],
+        correctAnswer: "pipe()",
+        topic: "Streams and Buffers",
+        explanation: "readable.pipe(writable) moves data across and handles backpressure."
+      },
+      {
+        question: "Which event is emitted for an unhandled promise rejection?",
+        options: ["uncaughtException", "unhandledRejection", "error", "reject"],
+        correctAnswer: "unhandledRejection",
+        topic: "Node.js Error Handling",
+        explanation: "process emits unhandledRejection when a rejected promise has no handler."
+      },
+      {
+        question: "What does the cluster module let you do?",
+        options: ["Run several processes that share a server port", "Connect to database clusters", "Compress responses", "Bundle modules"],
+        correctAnswer: "Run several processes that share a server port",
+        topic: "Node.js Performance and Scaling",
+        explanation: "cluster forks worker processes so a server can use multiple CPU cores."
+      }
+    ]
+  },
+  'Java': {
+    'beginner': [
+      {
+        question: "What is the entry point of a Java application?",
+        options: ["start()", "public static void main(String[] args)", "init()", "run()"],
+        correctAnswer: "public static void main(String[] args)",
+        topic: "Java Basics",
+        explanation: "The JVM starts a program by calling its main method."
+      },
+      {
+        question: "Which of these is a primitive type in Java?",
+        options: ["String", "Integer", "int", "ArrayList"],
+        correctAnswer: "int",
+        topic: "Java Basics",
+        explanation: "int is a primitive; Integer is its wrapper class."
+      },
+      {
+        question: "How do you get the length of a String s in Java?",
+        options: ["s.length", "s.length()", "s.size()", "len(s)"],
+        correctAnswer: "s.length()",
+        topic: "Java Strings and Arrays",
+        explanation: "String.length() is a method, while arrays expose a length field."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "Which keyword makes a class inherit from another class?",
+        options: ["implements", "extends", "inherits", "super"],
+        correctAnswer: "extends",
+        topic: "Java OOP",
+        explanation: "A class extends one superclass and can implement many interfaces."
+      },
+      {
+        question: "Which collection does not allow duplicate elements?",
+        options: ["List", "Set", "ArrayList", "LinkedList"],
+        correctAnswer: "Set",
+        topic: "Java Collections",
+        explanation: "A Set holds each element at most once."
+      },
+      {
+        question: "Which exceptions must be declared or caught?",
+        options: ["Unchecked exceptions", "Checked exceptions", "Errors", "RuntimeExceptions"],
+        correctAnswer: "Checked exceptions",
+        topic: "Java Exceptions",
+        explanation: "The compiler requires checked exceptions to be handled or declared with throws."
+      }
+    ],
+    'advanced': [
+      {
+        question: "What does stream().filter() return?",
+        options: ["A List", "A new Stream", "A boolean", "An array"],
+        correctAnswer: "A new Stream",
+        topic: "Java Streams and Lambdas",
+        explanation: "filter is an intermediate operation that returns a stream of matching elements."
+      },
+      {
+        question: "What does the synchronized keyword ensure?",
+        options: ["Faster execution", "Only one thread at a time runs the guarded code for a given lock", "Variables are immutable", "Methods run asynchronously"],
+        correctAnswer: "Only one thread at a time runs the guarded code for a given lock",
+        topic: "Java Concurrency",
+        explanation: "synchronized acquires a monitor lock so threads take turns."
+      },
+      {
+        question: "Which part of the JVM frees memory used by unreachable objects?",
+        options: ["The class loader", "The garbage collector", "The JIT compiler", "The bytecode verifier"],
+        correctAnswer: "The garbage collector",
+        topic: "JVM Internals",
+        explanation: "The garbage collector reclaims memory from objects that are no longer referenced."
+      }
+    ]
+  },
+  'DevOps': {
+    'beginner': [
+      {
+        question: "What is the main goal of DevOps?",
+        options: ["Replacing developers with operators", "Shortening delivery cycles through collaboration and automation", "Writing more documentation", "Avoiding automated tests"],
+        correctAnswer: "Shortening delivery cycles through collaboration and automation",
+        topic: "DevOps Fundamentals",
+        explanation: "DevOps brings development and operations together to deliver changes quickly and reliably."
+      },
+      {
+        question: "What does Continuous Integration involve?",
+        options: ["Merging code changes frequently and verifying them with automated builds and tests", "Deploying once a year", "Manually testing every release", "Keeping long-lived branches"],
+        correctAnswer: "Merging code changes frequently and verifying them with automated builds and tests",
+        topic: "CI/CD Principles",
+        explanation: "CI catches integration problems early by building and testing every change."
+      },
+      {
+        question: "What is a build pipeline?",
+        options: ["A network cable", "An automated sequence of build, test and deploy stages", "A database table", "A code review comment"],
+        correctAnswer: "An automated sequence of build, test and deploy stages",
+        topic: "CI/CD Principles",
+        explanation: "Pipelines run the same steps for every change so releases are repeatable."
+      }
+    ],
+    'intermediate': [
+      {
+        question: "What file describes how to build a Docker image?",
+        options: ["docker-compose.lock", "Dockerfile", "image.json", "container.yml"],
+        correctAnswer: "Dockerfile",
+        topic: "Containers",
+        explanation: "A Dockerfile lists the instructions Docker runs to build an image."
+      },
+      {
+        question: "What is Infrastructure as Code?",
+        options: ["Writing application code on servers", "Managing infrastructure through version-controlled definition files", "Installing software by hand", "Encrypting servers"],
+        correctAnswer: "Managing infrastructure through version-controlled definition files",
+        topic: "Infrastructure as Code",
+        explanation: "IaC tools such as Terraform provision infrastructure from declarative files."
+      },
+      {
+        question: "What is the difference between an image and a container?",
+        options: ["There is none", "A container is a running instance of an image", "An image is a running container", "Images only run on Linux"],
+        correctAnswer: "A container is a running instance of an image",
+        topic: "Containers",
+        explanation: "Images are read-only templates; containers are instances created from them."
+      }
+    ],
+    'advanced': [
+      {
+        question: "What is the smallest deployable unit in Kubernetes?",
+        options: ["Node", "Pod", "Service", "Namespace"],
+        correctAnswer: "Pod",
+        topic: "Container Orchestration",
+        explanation: "A Pod wraps one or more containers that share networking and storage."
+      },
+      {
+        question: "What characterizes a canary release?",
+        options: ["Releasing to all users at once", "Routing a small share of traffic to the new version first", "Running two identical environments and switching", "Releasing only on weekends"],
+        correctAnswer: "Routing a small share of traffic to the new version first",
+        topic: "Deployment Strategies",
+        explanation: "A canary exposes a small group of users to the change before a full rollout."
+      },
+      {
+        question: "Which signal type follows a single request across multiple services?",
+        options: ["Metrics", "Logs", "Traces", "Alerts"],
+        correctAnswer: "Traces",
+        topic: "Monitoring and Observability",
+        explanation: "Distributed tracing links the spans a request creates in each service."
+      }
+    ]
+  }
+};
+
+// Registry entry for a category id, matching case-insensitively ("react" -> REACT)
+function getCategoryEntry(category) {
+  if (!category) return null;
+  const key = topicKey(category);
+  return CATEGORY_REGISTRY.find(entry => entry.id === category)
+    || CATEGORY_REGISTRY.find(entry => topicKey(entry.id) === key || topicKey(entry.label) === key)
+    || null;
+}
+
+function categoryPages(entry) {
+  return {
+    quizPage: `${entry.pageSlug}QUIZ.html`,
+    aiQuizPage: `AIQUIZ.html?category=${encodeURIComponent(entry.id)}`
+  };
+}
+
+// Levels to draw from for a requested level: that level, then easier ones, then harder ones
+function levelProgression(level) {
+  const index = Math.max(TOPIC_LEVELS.indexOf(level), 0);
+  return [...TOPIC_LEVELS.slice(0, index + 1).reverse(), ...TOPIC_LEVELS.slice(index + 1)];
+}
+
+// Fallback questions at the nearest level that has any, narrowed to the topic when it has some there
+function getFallbackPool(category, level, topic = null) {
+  const entry = getCategoryEntry(category);
+  const pools = (entry && FALLBACK_QUESTION_POOLS[entry.id]) || {};
+  for (const candidate of levelProgression(level)) {
+    const questions = pools[candidate] || [];
+    if (questions.length === 0) continue;
+    const onTopic = topic ? questions.filter(q => q.topic === topic) : [];
+    return onTopic.length > 0 ? onTopic : questions;
+  }
+  return [];
+}
+
+function formatCategory(entry) {
+  return {
+    id: entry.id,
+    label: entry.label,
+    icon: entry.icon,
+    description: entry.description,
+    ...categoryPages(entry),
+    defaultTopic: getCategoryDefaults(entry.id).defaultTopic,
+    // Topic names per level, in the order the adaptive quiz moves through them
+    levels: TOPIC_LEVELS.map(level => ({ level, topics: topicsAtLevels(entry.id, [level]) }))
+  };
+}
+
+// Every category the site offers
+app.get('/api/categories', (req, res) => {
+  res.json({ categories: CATEGORY_REGISTRY.map(formatCategory) });
+});
+
+// One category with its reading lists, for the quiz pages
+app.get('/api/categories/:category', (req, res) => {
+  const entry = getCategoryEntry(req.params.category);
+  if (!entry) {
+    return res.status(404).json({ error: 'Unknown category' });
+  }
+  res.json({ ...formatCategory(entry), docs: entry.docs, resources: entry.resources || {} });
+});
+
+// ========== TOPIC TAXONOMY ==========
+// Category -> topic -> concept. Topics carry a level (used for beginner/intermediate/advanced
+// topic progressions), prerequisites and aliases; question topics from the bank and from LLMs
+// are normalized onto these names. The Topic collection is seeded from TOPIC_TAXONOMY_SEED and
+// loaded into memory at startup, so edits made in the database apply after a restart.
+const TOPIC_TAXONOMY_SEED = {
+  'HTML': [
+    { name: 'HTML Basics', level: 'beginner', aliases: ['HTML Introduction', 'HTML Fundamentals'], concepts: ['Tags and Elements', 'Nesting', 'Comments'] },
+    { name: 'HTML Document Structure', level: 'beginner', aliases: ['Document Structure', 'HTML Meta Tags'], prerequisites: ['HTML Basics'], concepts: ['DOCTYPE', 'Head and Body', 'Meta Tags', 'Character Encoding'] },
+    { name: 'HTML Elements', level: 'beginner', aliases: ['HTML5 Elements', 'HTML Elements & Attributes', 'HTML Headings'], prerequisites: ['HTML Basics'], concepts: ['Headings', 'Paragraphs', 'Block and Inline Elements', 'Images'] },
+    { name: 'HTML Attributes', level: 'beginner', prerequisites: ['HTML Elements'], concepts: ['Global Attributes', 'Alt Text', 'Boolean Attributes'] },
+    { name: 'HTML Links', level: 'beginner', aliases: ['Hyperlinks'], prerequisites: ['HTML Attributes'], concepts: ['Anchor Tags', 'Relative and Absolute URLs', 'Link Targets'] },
+    { name: 'HTML Lists', level: 'beginner', concepts: ['Ordered Lists', 'Unordered Lists', 'Description Lists'] },
+    { name: 'HTML Tables', level: 'intermediate', prerequisites: ['HTML Elements'], concepts: ['Rows and Cells', 'Table Headers', 'Colspan and Rowspan'] },
+    { name: 'HTML Forms', level: 'intermediate', aliases: ['Forms'], prerequisites: ['HTML Attributes'], concepts: ['Input Types', 'Labels', 'Form Validation', 'Form Submission'] },
+    { name: 'HTML5 Semantic Elements', level: 'intermediate', aliases: ['HTML Semantic Elements', 'Semantic HTML', 'Semantic Elements'], prerequisites: ['HTML Document Structure'], concepts: ['Page Landmarks', 'Article and Section'] },
+    { name: 'HTML5 APIs', level: 'advanced', aliases: ['Web Storage'], concepts: ['Local Storage', 'Canvas', 'Geolocation'] },
+    { name: 'Accessibility', level: 'advanced', aliases: ['a11y', 'ARIA'], prerequisites: ['HTML5 Semantic Elements'], concepts: ['ARIA Roles', 'Keyboard Navigation', 'Screen Readers'] },
+    { name: 'Web Components', level: 'expert', aliases: ['Custom Elements'], concepts: ['Custom Elements', 'Shadow DOM', 'Templates and Slots'] },
+    { name: 'Performance Optimization', level: 'expert', aliases: ['HTML Performance'], concepts: ['Lazy Loading', 'Resource Hints', 'Critical Rendering Path'] },
+    { name: 'Progressive Web Apps', level: 'expert', aliases: ['PWA'], prerequisites: ['HTML5 APIs'], concepts: ['Service Workers', 'Web App Manifest'] }
+  ],
+  'CSS': [
+    { name: 'CSS Basics', level: 'beginner', aliases: ['CSS Syntax', 'CSS Fundamentals'], concepts: ['Rule Syntax', 'Linking Stylesheets', 'Cascade'] },
+    { name: 'CSS Selectors', level: 'beginner', aliases: ['CSS Pseudo-classes'], prerequisites: ['CSS Basics'], concepts: ['Class and ID Selectors', 'Combinators', 'Pseudo-classes', 'Pseudo-elements', 'Specificity'] },
+    { name: 'CSS Properties', level: 'beginner', aliases: ['CSS Text Styling', 'CSS Typography', 'CSS Backgrounds', 'CSS Colors'], prerequisites: ['CSS Basics'], concepts: ['Colors', 'Typography', 'Backgrounds', 'Units'] },
+    { name: 'CSS Box Model', level: 'beginner', prerequisites: ['CSS Properties'], concepts: ['Margin', 'Padding', 'Border', 'Box Sizing'] },
+    { name: 'CSS Layout', level: 'intermediate', aliases: ['CSS Positioning', 'CSS Display'], prerequisites: ['CSS Box Model'], concepts: ['Display', 'Positioning', 'Floats', 'Z-index'] },
+    { name: 'CSS Flexbox', level: 'intermediate', aliases: ['Flexbox'], prerequisites: ['CSS Layout'], concepts: ['Flex Container', 'Justify Content', 'Align Items', 'Flex Grow and Shrink'] },
+    { name: 'CSS Grid', level: 'intermediate', aliases: ['CSS Grid Advanced', 'Grid Layout'], prerequisites: ['CSS Layout'], concepts: ['Grid Template', 'Grid Areas', 'Auto Placement'] },
+    { name: 'CSS Responsive Design', level: 'advanced', aliases: ['Responsive Design', 'Media Queries'], prerequisites: ['CSS Flexbox'], concepts: ['Media Queries', 'Fluid Units', 'Mobile First'] },
+    { name: 'CSS Animations', level: 'advanced', aliases: ['CSS Transitions', 'CSS Transforms', 'CSS Effects', 'CSS Visual Effects'], prerequisites: ['CSS Properties'], concepts: ['Transitions', 'Keyframes', 'Transforms'] },
+    { name: 'CSS Variables', level: 'advanced', aliases: ['CSS Custom Properties'], prerequisites: ['CSS Selectors'], concepts: ['Custom Properties', 'Fallback Values', 'Scoping'] },
+    { name: 'CSS Architecture', level: 'expert', aliases: ['BEM', 'CSS Methodologies'], prerequisites: ['CSS Selectors'], concepts: ['BEM', 'Cascade Layers', 'CSS Modules'] }
+  ],
+  'JavaScript': [
+    { name: 'JavaScript Basics', level: 'beginner', aliases: ['JS Basics', 'JavaScript Fundamentals', 'JavaScript Operators', 'Data Types', 'JS String Methods'], concepts: ['Data Types', 'Operators', 'String Methods', 'Type Coercion'] },
+    { name: 'Variables', level: 'beginner', aliases: ['JS Variables', 'JavaScript Variables'], prerequisites: ['JavaScript Basics'], concepts: ['var, let and const', 'Scope', 'Hoisting'] },
+    { name: 'Functions', level: 'beginner', aliases: ['JavaScript Functions', 'JavaScript Context'], prerequisites: ['Variables'], concepts: ['Function Declarations', 'Arrow Functions', 'Parameters and Return Values', 'this Binding'] },
+    { name: 'ES6+ Features', level: 'intermediate', aliases: ['ES6', 'Modern JavaScript'], prerequisites: ['Functions'], concepts: ['Destructuring', 'Spread and Rest', 'Template Literals', 'Classes'] },
+    { name: 'DOM Manipulation', level: 'intermediate', aliases: ['DOM'], prerequisites: ['Functions'], concepts: ['Selecting Elements', 'Creating Elements', 'Changing Styles'] },
+    { name: 'Event Handling', level: 'intermediate', aliases: ['Events'], prerequisites: ['DOM Manipulation'], concepts: ['Event Listeners', 'Event Bubbling', 'Event Delegation'] },
+    { name: 'Promises', level: 'intermediate', prerequisites: ['Functions'], concepts: ['Promise States', 'Promise Chaining', 'Promise.all'] },
+    { name: 'Async/Await', level: 'advanced', aliases: ['Asynchronous JavaScript', 'Async Programming'], prerequisites: ['Promises'], concepts: ['Async Functions', 'Error Handling with try/catch', 'Parallel Awaits'] },
+    { name: 'Closures', level: 'advanced', prerequisites: ['Functions'], concepts: ['Lexical Scope', 'Private State', 'Closures in Loops'] },
+    { name: 'Prototypes', level: 'advanced', aliases: ['Object Creation', 'Prototypal Inheritance', 'JavaScript Objects'], prerequisites: ['ES6+ Features'], concepts: ['Object Literals', 'Constructor Functions', 'Prototype Chain'] },
+    { name: 'Web APIs', level: 'advanced', aliases: ['Browser APIs'], prerequisites: ['Promises'], concepts: ['Fetch API', 'Web Storage', 'Timers'] },
+    { name: 'Event Loop', level: 'expert', aliases: ['Concurrency Model'], prerequisites: ['Async/Await'], concepts: ['Call Stack', 'Microtasks and Macrotasks'] },
+    { name: 'Module Systems', level: 'expert', aliases: ['ES Modules', 'JavaScript Modules'], prerequisites: ['ES6+ Features'], concepts: ['Import and Export', 'CommonJS', 'Dynamic Imports'] }
+  ],
+  'Python': [
+    { name: 'Python Basics', level: 'beginner', aliases: ['Python Syntax', 'Python Operators', 'Python Fundamentals'], concepts: ['Indentation', 'Operators', 'Input and Output'] },
+    { name: 'Python Data Types', level: 'beginner', aliases: ['Data Types'], prerequisites: ['Python Basics'], concepts: ['Numbers', 'Booleans', 'None', 'Type Conversion'] },
+    { name: 'Python Strings', level: 'beginner', aliases: ['Python String Manipulation', 'String Methods'], prerequisites: ['Python Data Types'], concepts: ['Slicing', 'String Methods', 'F-strings'] },
+    { name: 'Python Control Flow', level: 'beginner', aliases: ['Python Loops', 'Python Conditionals'], prerequisites: ['Python Basics'], concepts: ['If Statements', 'For Loops', 'While Loops'] },
+    { name: 'Python Collections', level: 'intermediate', aliases: ['Python Dictionary Methods', 'Python Lists', 'Python Dictionaries'], prerequisites: ['Python Data Types'], concepts: ['Lists', 'Tuples', 'Dictionaries', 'Sets'] },
+    { name: 'Python Functions', level: 'intermediate', prerequisites: ['Python Control Flow'], concepts: ['Defining Functions', 'Args and Kwargs', 'Lambda Functions', 'Scope'] },
+    { name: 'Python List Comprehensions', level: 'intermediate', aliases: ['Comprehensions'], prerequisites: ['Python Collections'], concepts: ['List Comprehensions', 'Dict Comprehensions', 'Generator Expressions'] },
+    { name: 'Python Error Handling', level: 'intermediate', aliases: ['Python Exceptions'], prerequisites: ['Python Functions'], concepts: ['Try and Except', 'Raising Exceptions', 'Context Managers'] },
+    { name: 'Python OOP', level: 'advanced', aliases: ['Python Classes', 'Object-Oriented Python'], prerequisites: ['Python Functions'], concepts: ['Classes and Objects', 'Inheritance', 'Dunder Methods'] },
+    { name: 'Python Modules and Packages', level: 'advanced', aliases: ['Python Modules', 'Python Imports'], prerequisites: ['Python Functions'], concepts: ['Import System', 'Pip', 'Virtual Environments'] },
+    { name: 'Python Iterators and Generators', level: 'expert', aliases: ['Python Generators'], prerequisites: ['Python List Comprehensions'], concepts: ['Iterator Protocol', 'Yield', 'Itertools'] },
+    { name: 'Python Decorators', level: 'expert', prerequisites: ['Python Functions'], concepts: ['Function Decorators', 'Decorators with Arguments', 'Functools Wraps'] }
+  ],
+  'SQL': [
+    { name: 'SQL Basics', level: 'beginner', aliases: ['SQL Commands', 'SQL Fundamentals'], concepts: ['SELECT', 'INSERT', 'UPDATE', 'DELETE'] },
+    { name: 'SQL Filtering and Sorting', level: 'beginner', aliases: ['SQL Clauses', 'WHERE Clause'], prerequisites: ['SQL Basics'], concepts: ['WHERE', 'ORDER BY', 'LIMIT', 'LIKE and IN'] },
+    { name: 'SQL Aggregation', level: 'intermediate', aliases: ['Aggregate Functions', 'GROUP BY'], prerequisites: ['SQL Filtering and Sorting'], concepts: ['COUNT, SUM and AVG', 'GROUP BY', 'HAVING'] },
+    { name: 'SQL Joins', level: 'intermediate', aliases: ['Joins'], prerequisites: ['SQL Filtering and Sorting'], concepts: ['INNER JOIN', 'LEFT JOIN', 'Self Joins'] },
+    { name: 'SQL Subqueries', level: 'advanced', aliases: ['Subqueries', 'Common Table Expressions'], prerequisites: ['SQL Joins'], concepts: ['Scalar Subqueries', 'Correlated Subqueries', 'CTEs'] },
+    { name: 'Database Design', level: 'advanced', aliases: ['Normalization', 'SQL Constraints'], prerequisites: ['SQL Joins'], concepts: ['Primary and Foreign Keys', 'Normalization', 'Constraints'] },
+    { name: 'SQL Indexes and Performance', level: 'expert', aliases: ['SQL Indexes', 'Query Optimization'], prerequisites: ['Database Design'], concepts: ['Indexes', 'Query Plans'] },
+    { name: 'Transactions', level: 'expert', aliases: ['SQL Transactions', 'ACID'], prerequisites: ['SQL Basics'], concepts: ['ACID Properties', 'Isolation Levels', 'Locking'] }
+  ],
+  'Git': [
+    { name: 'Git Basics', level: 'beginner', aliases: ['Version Control', 'Git Fundamentals'], concepts: ['Repositories', 'Working Tree and Staging Area', 'Commits'] },
+    { name: 'Git Commands', level: 'beginner', aliases: ['Git CLI'], prerequisites: ['Git Basics'], concepts: ['git add', 'git commit', 'git status and log', 'git diff'] },
+    { name: 'Git Branching', level: 'intermediate', aliases: ['Git Branches'], prerequisites: ['Git Commands'], concepts: ['Creating Branches', 'Switching Branches', 'Merging'] },
+    { name: 'Git Remote Operations', level: 'intermediate', aliases: ['Git Remotes'], prerequisites: ['Git Commands'], concepts: ['Cloning', 'Pushing', 'Pulling and Fetching'] },
+    { name: 'Merge Conflicts', level: 'intermediate', aliases: ['Git Conflicts'], prerequisites: ['Git Branching'], concepts: ['Conflict Markers', 'Resolving Conflicts'] },
+    { name: 'Git Rebase and History', level: 'advanced', aliases: ['Git Rebase', 'Rewriting History'], prerequisites: ['Git Branching'], concepts: ['Rebasing', 'Interactive Rebase', 'Amending Commits', 'Reset and Revert'] },
+    { name: 'Git Workflows', level: 'advanced', aliases: ['Git Flow', 'Pull Requests'], prerequisites: ['Git Remote Operations'], concepts: ['Feature Branches', 'Pull Requests', 'Trunk-Based Development'] },
+    { name: 'Git Internals', level: 'expert', prerequisites: ['Git Rebase and History'], concepts: ['Objects and Refs', 'Reflog', 'Hooks'] }
+  ],
+  'DevOps': [
+    { name: 'DevOps Fundamentals', level: 'beginner', aliases: ['DevOps Basics', 'DevOps Culture'], concepts: ['Collaboration', 'Automation', 'Feedback Loops'] },
+    { name: 'CI/CD Principles', level: 'beginner', aliases: ['CI/CD', 'Continuous Integration', 'Continuous Delivery'], prerequisites: ['DevOps Fundamentals'], concepts: ['Build Pipelines', 'Automated Testing', 'Continuous Deployment'] },
+    { name: 'Containers', level: 'intermediate', aliases: ['Docker', 'Containerization'], prerequisites: ['DevOps Fundamentals'], concepts: ['Images', 'Containers', 'Dockerfiles'] },
+    { name: 'Infrastructure as Code', level: 'intermediate', aliases: ['IaC', 'Terraform'], prerequisites: ['DevOps Fundamentals'], concepts: ['Declarative Configuration', 'State Management', 'Provisioning'] },
+    { name: 'Container Orchestration', level: 'advanced', aliases: ['Kubernetes'], prerequisites: ['Containers'], concepts: ['Pods', 'Services', 'Scaling'] },
+    { name: 'Deployment Strategies', level: 'advanced', aliases: ['Blue-Green Deployment', 'Canary Releases'], prerequisites: ['CI/CD Principles'], concepts: ['Blue-Green', 'Canary', 'Rolling Updates'] },
+    { name: 'Monitoring and Observability', level: 'advanced', aliases: ['Monitoring', 'Observability'], prerequisites: ['CI/CD Principles'], concepts: ['Metrics', 'Logging', 'Tracing'] },
+    { name: 'Microservices Architecture', level: 'expert', aliases: ['Microservices'], prerequisites: ['Container Orchestration'], concepts: ['Service Boundaries', 'API Gateways', 'Service Discovery'] }
+  ],
+  'REACT': [
+    { name: 'React Fundamentals', level: 'beginner', aliases: ['React Basics', 'React Virtual DOM'], concepts: ['Virtual DOM', 'Rendering', 'Reconciliation'] },
+    { name: 'JSX Syntax', level: 'beginner', aliases: ['JSX'], prerequisites: ['React Fundamentals'], concepts: ['Expressions in JSX', 'Fragments', 'Conditional Rendering'] },
+    { name: 'Components and Props', level: 'beginner', aliases: ['React Components', 'Component Communication', 'Props'], prerequisites: ['JSX Syntax'], concepts: ['Function Components', 'Props', 'Children', 'Lifting State Up'] },
+    { name: 'State and Events', level: 'intermediate', aliases: ['React State', 'React Events'], prerequisites: ['Components and Props'], concepts: ['useState', 'Event Handlers', 'Controlled Components'] },
+    { name: 'React Hooks', level: 'intermediate', aliases: ['Hooks'], prerequisites: ['State and Events'], concepts: ['useEffect', 'useRef', 'useMemo and useCallback', 'Custom Hooks'] },
+    { name: 'Lists and Keys', level: 'intermediate', prerequisites: ['Components and Props'], concepts: ['Rendering Lists', 'Keys'] },
+    { name: 'Context and State Management', level: 'advanced', aliases: ['React Context', 'Redux', 'State Management'], prerequisites: ['React Hooks'], concepts: ['Context API', 'useReducer', 'External Stores'] },
+    { name: 'React Router', level: 'advanced', aliases: ['Routing'], prerequisites: ['Components and Props'], concepts: ['Routes', 'Navigation', 'Route Parameters'] },
+    { name: 'React Performance', level: 'expert', aliases: ['React Optimization'], prerequisites: ['React Hooks'], concepts: ['Memoization', 'Code Splitting', 'Profiling'] }
+  ],
+  'Node.js': [
+    { name: 'Node.js Basics', level: 'beginner', aliases: ['Node Basics', 'Node.js Fundamentals'], concepts: ['Runtime', 'REPL', 'Process Object'] },
+    { name: 'Node.js Module System', level: 'beginner', aliases: ['Node Modules', 'CommonJS Modules', 'npm'], prerequisites: ['Node.js Basics'], concepts: ['require and module.exports', 'ES Modules', 'npm Packages'] },
+    { name: 'Node.js Core Modules', level: 'intermediate', aliases: ['Core Modules'], prerequisites: ['Node.js Module System'], concepts: ['fs', 'path', 'http', 'events'] },
+    { name: 'Asynchronous Node.js', level: 'intermediate', aliases: ['Node.js Event Loop', 'Callbacks'], prerequisites: ['Node.js Basics'], concepts: ['Callbacks', 'Promises', 'Event Loop'] },
+    { name: 'Express.js', level: 'intermediate', aliases: ['Express'], prerequisites: ['Node.js Core Modules'], concepts: ['Routing', 'Middleware', 'Request and Response'] },
+    { name: 'Streams and Buffers', level: 'advanced', aliases: ['Node.js Streams'], prerequisites: ['Asynchronous Node.js'], concepts: ['Readable Streams', 'Piping', 'Buffers'] },
+    { name: 'Node.js Error Handling', level: 'advanced', prerequisites: ['Asynchronous Node.js'], concepts: ['Error-first Callbacks', 'Uncaught Exceptions', 'Graceful Shutdown'] },
+    { name: 'Node.js Performance and Scaling', level: 'expert', aliases: ['Node.js Scaling', 'Worker Threads'], prerequisites: ['Streams and Buffers'], concepts: ['Cluster Module', 'Worker Threads', 'Profiling'] }
+  ],
+  'Java': [
+    { name: 'Java Basics', level: 'beginner', aliases: ['Java Syntax', 'Java Fundamentals'], concepts: ['Main Method', 'Primitive Types', 'Operators'] },
+    { name: 'Java Control Flow', level: 'beginner', aliases: ['Java Loops'], prerequisites: ['Java Basics'], concepts: ['If Statements', 'Loops', 'Switch'] },
+    { name: 'Java Strings and Arrays', level: 'beginner', aliases: ['Java Strings', 'Java Arrays'], prerequisites: ['Java Basics'], concepts: ['String Methods', 'StringBuilder', 'Arrays'] },
+    { name: 'Java OOP', level: 'intermediate', aliases: ['Object-Oriented Java', 'Java Classes'], prerequisites: ['Java Control Flow'], concepts: ['Classes and Objects', 'Inheritance', 'Interfaces', 'Polymorphism'] },
+    { name: 'Java Collections', level: 'intermediate', aliases: ['Collections Framework', 'Java Generics'], prerequisites: ['Java OOP'], concepts: ['List', 'Map', 'Set', 'Generics'] },
+    { name: 'Java Exceptions', level: 'intermediate', aliases: ['Java Exception Handling'], prerequisites: ['Java OOP'], concepts: ['Try, Catch and Finally', 'Checked and Unchecked Exceptions'] },
+    { name: 'Java Streams and Lambdas', level: 'advanced', aliases: ['Java 8 Features', 'Java Lambdas'], prerequisites: ['Java Collections'], concepts: ['Lambda Expressions', 'Stream API', 'Optional'] },
+    { name: 'Java Concurrency', level: 'expert', aliases: ['Java Multithreading'], prerequisites: ['Java OOP'], concepts: ['Threads', 'Synchronization', 'Executors'] },
+    { name: 'JVM Internals', level: 'expert', aliases: ['JVM', 'Garbage Collection'], prerequisites: ['Java OOP'], concepts: ['Class Loading', 'Garbage Collection', 'JIT Compilation'] }
+  ]
+};
+
+const TOPIC_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const FALLBACK_TOPIC = 'General Programming';
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Lowercase words only, so "CSS  Flex-box" and "css flex box" compare equal
+function topicKey(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim();
+}
+
+function taxonomySeedDocuments() {
+  return Object.entries(TOPIC_TAXONOMY_SEED).flatMap(([category, topics]) => topics.map((topic, order) => ({
+    category,
+    slug: slugify(topic.name),
+    name: topic.name,
+    level: topic.level,
+    order,
+    aliases: topic.aliases || [],
+    prerequisites: (topic.prerequisites || []).map(slugify),
+    concepts: (topic.concepts || []).map(name => ({ slug: slugify(name), name, aliases: [] }))
+  })));
+}
+
+// Category -> { topics, keys } where keys maps names, aliases and concepts onto topics.
+// Starts from the seed and is replaced from the Topic collection by refreshTopicTaxonomy().
+let topicTaxonomy = buildTopicTaxonomy(taxonomySeedDocuments());
+
+function buildTopicTaxonomy(documents) {
+  const taxonomy = new Map();
+  documents.forEach(doc => {
+    if (!taxonomy.has(doc.category)) taxonomy.set(doc.category, { topics: [], keys: [] });
+    taxonomy.get(doc.category).topics.push(doc);
+  });
+
+  taxonomy.forEach((entry, category) => {
+    entry.topics.sort((a, b) => TOPIC_LEVELS.indexOf(a.level) - TOPIC_LEVELS.indexOf(b.level) || a.order - b.order);
+    // Bare names without the category prefix ("Flexbox" for "CSS Flexbox") match too
+    const categoryPrefix = new RegExp(`^(${topicKey(category)}|html5|js) `);
+    const seen = new Set();
+    const addKey = (text, topic, concept = null) => {
+      const key = topicKey(text);
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        entry.keys.push({ key, topic, concept });
+      }
+      const bare = key.replace(categoryPrefix, '');
+      if (bare !== key && bare.length >= 4 && !seen.has(bare)) {
+        seen.add(bare);
+        entry.keys.push({ key: bare, topic, concept });
+      }
+    };
+    // Topic names and aliases win over concept names that collide with them
+    entry.topics.forEach(topic => {
+      addKey(topic.name, topic);
+      addKey(topic.slug, topic);
+      (topic.aliases || []).forEach(alias => addKey(alias, topic));
+    });
+    entry.topics.forEach(topic => {
+      (topic.concepts || []).forEach(concept => {
+        addKey(concept.name, topic, concept);
+        (concept.aliases || []).forEach(alias => addKey(alias, topic, concept));
+      });
+    });
+    // Longest phrases first for the partial match in normalizeTopic
+    entry.keys.sort((a, b) => b.key.length - a.key.length);
+  });
+  return taxonomy;
+}
+
+// Insert seed topics that aren't in the collection yet; edited topics are left alone
+async function seedTopicTaxonomy() {
+  const documents = taxonomySeedDocuments();
+  const result = await Topic.bulkWrite(documents.map(doc => ({
+    updateOne: {
+      filter: { category: doc.category, slug: doc.slug },
+      update: { $setOnInsert: doc },
+      upsert: true
+    }
+  })));
+  if (result.upsertedCount > 0) {
+    console.log(`🌱 Seeded ${result.upsertedCount} taxonomy topics`);
+  }
+}
+
+async function refreshTopicTaxonomy() {
+  const documents = await Topic.find().lean();
+  if (documents.length > 0) {
+    topicTaxonomy = buildTopicTaxonomy(documents);
+  }
+}
+
+// Taxonomy category for a request param, matching case-insensitively ("react" -> "REACT")
+function resolveTaxonomyCategory(category) {
+  if (topicTaxonomy.has(category)) return category;
+  const entry = getCategoryEntry(category);
+  if (entry && topicTaxonomy.has(entry.id)) return entry.id;
+  const key = topicKey(category);
+  return [...topicTaxonomy.keys()].find(name => topicKey(name) === key) || null;
+}
+
+function getCategoryTopics(category) {
+  return topicTaxonomy.get(resolveTaxonomyCategory(category))?.topics || [];
+}
+
+// Topic names at the given levels, in curriculum order
+function topicsAtLevels(category, levels) {
+  return getCategoryTopics(category).filter(topic => levels.includes(topic.level)).map(topic => topic.name);
+}
+
+// Map a free-text topic onto the taxonomy: exact name/alias/concept first, then the longest
+// known phrase contained in it. Unrecognized topics land on the category's default topic.
+function normalizeTopic(category, rawTopic) {
+  const entry = topicTaxonomy.get(resolveTaxonomyCategory(category));
+  if (!entry) return { topic: rawTopic || FALLBACK_TOPIC, concept: null, matched: false };
+
+  const key = topicKey(rawTopic);
+  const padded = ` ${key} `;
+  const match = entry.keys.find(k => k.key === key) || entry.keys.find(k => padded.includes(` ${k.key} `));
+  if (!match) return { topic: getCategoryDefaults(category).defaultTopic, concept: null, matched: false };
+
+  const concept = match.concept
+    || entry.keys.find(k => k.concept && k.topic === match.topic && padded.includes(` ${k.key} `))?.concept;
+  return { topic: match.topic.name, concept: concept ? concept.name : null, matched: true };
+}
+
+// Schema hook: keep the LLM's or author's wording in rawTopic and store the taxonomy names
+function normalizeQuestionTopic(doc) {
+  if (!doc.topic || !doc.isModified('topic')) return;
+  const { topic, concept } = normalizeTopic(doc.category, doc.topic);
+  if (topic !== doc.topic) doc.rawTopic = doc.topic;
+  doc.topic = topic;
+  if (concept && !doc.concept) doc.concept = concept;
+}
+
+// Category topics with their concepts and prerequisites, in curriculum order
+app.get('/api/categories/:category/topics', (req, res) => {
+  const category = resolveTaxonomyCategory(req.params.category);
+  if (!category) {
+    return res.status(404).json({ error: 'Unknown category' });
+  }
+
+  const topics = getCategoryTopics(category);
+  const names = new Map(topics.map(topic => [topic.slug, topic.name]));
+  const level = req.query.level;
+  res.json({
+    category,
+    topics: topics
+      .filter(topic => !level || topic.level === level)
+      .map(topic => ({
+        slug: topic.slug,
+        name: topic.name,
+        level: topic.level,
+        aliases: topic.aliases,
+        prerequisites: topic.prerequisites.map(slug => ({ slug, name: names.get(slug) || slug })),
+        concepts: topic.concepts.map(concept => ({ slug: concept.slug, name: concept.name }))
+      }))
+  });
+});
+
+function shuffleArray(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+const QUIZ_TOKEN_TTL_SECONDS = 2 * 60 * 60; // 2 hours to finish a served quiz
+
+// Sign the token a served question set is submitted with. Its jti becomes the Result's quizId.
+function signQuizToken(user, category, questionIds, { claims = {}, quizId = crypto.randomUUID() } = {}) {
+  return jwt.sign(
+    { sub: String(user._id), category, questionIds: questionIds.map(String), ...claims },
+    JWT_SECRET,
+    { expiresIn: QUIZ_TOKEN_TTL_SECONDS, jwtid: quizId }
+  );
+}
+
+// ========== QUIZ TIMING ==========
+// The server stamps when questions are served and answered, so time taken never comes
+// from the browser. Categories can set optional limits (in seconds) through the
+// QUIZ_TIME_LIMITS env var, e.g. {"JavaScript": {"perQuestionSeconds": 60, "perQuizSeconds": 900}}.
+// A late answer is scored zero ('zero') or refused outright ('reject').
+
+const TIME_LIMIT_GRACE_SECONDS = 5; // Slack for network latency
+const SPEED_REFERENCE_SECONDS = 10; // Answering in this many seconds on average scores speed 1
+const DEFAULT_TIME_LIMITS = { perQuestionSeconds: null, perQuizSeconds: null, latePolicy: 'zero' };
+
+const CATEGORY_TIME_LIMITS = (() => {
+  try {
+    return JSON.parse(process.env.QUIZ_TIME_LIMITS || '{}');
+  } catch (error) {
+    console.warn('⚠️ QUIZ_TIME_LIMITS is not valid JSON; quizzes are untimed');
+    return {};
+  }
+})();
+
+function getTimeLimits(category) {
+  return { ...DEFAULT_TIME_LIMITS, ...(CATEGORY_TIME_LIMITS[category] || {}) };
+}
+
+// Total seconds allowed for a set of questions served together
+function quizAllowanceSeconds(limits, questionCount) {
+  const allowances = [
+    limits.perQuizSeconds,
+    limits.perQuestionSeconds ? limits.perQuestionSeconds * questionCount : null
+  ].filter(Boolean);
+  return allowances.length > 0 ? Math.min(...allowances) : null;
+}
+
+// Whether an answer is past its question's limit or the quiz's overall limit
+function isLateAnswer(limits, questionSeconds, quizSeconds = null) {
+  if (limits.perQuestionSeconds && questionSeconds > limits.perQuestionSeconds + TIME_LIMIT_GRACE_SECONDS) return true;
+  if (limits.perQuizSeconds && quizSeconds != null && quizSeconds > limits.perQuizSeconds + TIME_LIMIT_GRACE_SECONDS) return true;
+  return false;
+}
+
+function secondsSince(date, now = new Date()) {
+  return Math.max(Math.round((now - new Date(date)) / 1000), 0);
+}
+
+// Serve a randomized, answer-stripped question set for a standard category quiz
+app.get('/api/quizzes/:category', requireAuth, async (req, res) => {
+  try {
+    const { category } = req.params;
+    const count = Math.min(Math.max(parseInt(req.query.count) || 10, 1), 50);
+
+    const questions = await Question.aggregate([
+      { $match: { category, active: true, ...servableQuestionFilter() } },
+      { $sample: { size: count } }
+    ]);
+
+    if (questions.length === 0) {
+      return res.status(404).json({ error: `No questions available for ${category}` });
+    }
+
+    const limits = getTimeLimits(category);
+    const quizToken = signQuizToken(req.user, category, questions.map(q => q._id));
+
+    res.json({
+      category,
+      total: questions.length,
+      questions: questions.map(q => ({
+        id: q._id,
+        question: q.question,
+        options: shuffleArray(q.options),
+        topic: q.topic,
+        difficulty: q.difficulty
+      })),
+      quizToken,
+      servedAt: new Date(),
+      timeLimits: {
+        perQuestionSeconds: limits.perQuestionSeconds,
+        perQuizSeconds: limits.perQuizSeconds,
+        allowedSeconds: quizAllowanceSeconds(limits, questions.length)
+      }
+    });
+  } catch (err) {
+    console.error('Error serving quiz questions:', err);
+    res.status(500).json({ error: 'Failed to load quiz questions' });
+  }
+});
+
+// Grade submitted answers against the server-held answer keys. Only the set the server
+// served is graded: the questions listed in the quiz token, or in the quiz session
+// ({ sessionId, quizId, questionIds }). Served questions left unanswered count as wrong.
+async function gradeQuizAnswers(user, category, answers, quizToken, session = null) {
+  // Keep only the first answer per question so a question can't be counted twice
+  const uniqueAnswers = [];
+  const seenIds = new Set();
+  answers.forEach(answer => {
+    const questionId = answer && answer.questionId ? String(answer.questionId) : null;
+    if (!questionId || seenIds.has(questionId)) return;
+    seenIds.add(questionId);
+    uniqueAnswers.push({ ...answer, questionId });
+  });
+
+  if (!quizToken && !session) {
+    return { error: 'A quiz token is required' };
+  }
+
+  let quizId = session?.quizId || null;
+  let servedIds = session?.questionIds || [];
+  let elapsedSeconds = null;
+  let setTimedOut = false;
+  const limits = getTimeLimits(category);
+  if (quizToken) {
+    try {
+      const payload = jwt.verify(quizToken, JWT_SECRET);
+      if (payload.sub !== String(user._id) || payload.category !== category) {
+        return { error: 'Quiz token does not belong to this user or category' };
+      }
+      quizId = payload.jti;
+      servedIds = payload.questionIds || [];
+      // The token's issue time is when the set was served
+      elapsedSeconds = secondsSince(payload.iat * 1000);
+      const allowed = quizAllowanceSeconds(limits, servedIds.length);
+      setTimedOut = allowed != null && elapsedSeconds > allowed + TIME_LIMIT_GRACE_SECONDS;
+      if (setTimedOut && limits.latePolicy === 'reject') {
+        return { error: `Time limit of ${allowed} seconds exceeded`, timedOut: true };
+      }
+    } catch (tokenError) {
+      return { error: 'Quiz token is invalid or has expired' };
+    }
+  }
+
+  if (quizId && await Result.exists({ quizId })) {
+    return { error: 'This quiz has already been submitted' };
+  }
+
+  const servedObjectIds = servedIds.filter(id => mongoose.isObjectIdOrHexString(id));
+
+  // AI questions must belong to this user and must not have been submitted before
+  const [bankQuestions, generatedQuestions] = await Promise.all([
+    servedObjectIds.length > 0 ? Question.find({ _id: { $in: servedObjectIds }, category }) : [],
+    servedObjectIds.length > 0
+      ? GeneratedQuestion.find({
+          _id: { $in: servedObjectIds },
+          category,
+          generatedFor: user.email,
+          hasBeenUsed: { $ne: true },
+          // Session questions are graded only by their own session
+          sessionId: session?.sessionId ?? null
+        })
+      : []
+  ]);
+  const bankById = new Map(bankQuestions.map(q => [String(q._id), q]));
+  const generatedById = new Map(generatedQuestions.map(q => [String(q._id), q]));
+
+  // Served questions left unanswered count as wrong so partial submissions can't inflate the score
+  [...bankQuestions, ...generatedQuestions].forEach(q => {
+    if (!seenIds.has(String(q._id))) {
+      uniqueAnswers.push({ questionId: String(q._id), selectedOption: null, unanswered: true });
+    }
+  });
+
+  const graded = [];
+  for (const answer of uniqueAnswers) {
+    const bankQuestion = bankById.get(answer.questionId);
+    const generatedQuestion = generatedById.get(answer.questionId);
+    const question = bankQuestion || generatedQuestion;
+
+    if (!question) {
+      return { error: `Unknown or already submitted question: ${answer.questionId}` };
+    }
+
+    // Questions pulled by moderation mid-quiz don't count either way
+    if (generatedQuestion && BLOCKED_QUESTION_STATUSES.includes(generatedQuestion.status)) {
+      continue;
+    }
+
+    // An answer already checked during the quiz is locked in and can't be changed
+    const lockedResponse = generatedQuestion?.userResponse;
+    const isLocked = lockedResponse?.submittedAt != null;
+    const selectedOption = isLocked
+      ? (lockedResponse.selectedOption ?? null)
+      : (typeof answer.selectedOption === 'string' ? answer.selectedOption : null);
+
+    // Unchecked questions share the set's clock from when it was served (the question's own
+    // creation stamp when there is no token); AI questions checked mid-quiz keep their stamped time
+    const servedSeconds = elapsedSeconds ?? secondsSince(question.createdAt);
+    const timedOut = isLocked
+      ? !!lockedResponse.timedOut
+      : (elapsedSeconds != null ? setTimedOut : isLateAnswer(limits, servedSeconds));
+    const timeSpent = isLocked
+      ? lockedResponse.timeSpent || 0
+      : (answer.unanswered ? 0 : Math.round(servedSeconds / Math.max(servedIds.length, 1)));
+
+    graded.push({
+      questionId: answer.questionId,
+      selectedOption,
+      correctAnswer: question.correctAnswer,
+      isCorrect: !timedOut && selectedOption !== null && selectedOption === question.correctAnswer,
+      timedOut,
+      topic: question.topic || category,
+      explanation: question.explanation,
+      timeSpent,
+      source: bankQuestion ? 'bank' : 'generated',
+      item: irtItemFor(question, bankQuestion ? 'bank' : 'generated')
+    });
+  }
+
+  // Nothing left to grade (every served question was pulled): no Result, no coins
+  if (graded.length === 0) {
+    return { error: 'None of the questions in this quiz can be graded' };
+  }
+
+  const topicResults = {};
+  graded.forEach(answer => {
+    if (!topicResults[answer.topic]) {
+      topicResults[answer.topic] = { correct: 0, total: 0 };
+    }
+    topicResults[answer.topic].total++;
+    if (answer.isCorrect) topicResults[answer.topic].correct++;
+  });
+
+  return {
+    quizId,
+    elapsedSeconds,
+    graded,
+    generatedQuestions,
+    topicResults,
+    score: graded.filter(a => a.isCorrect).length,
+    total: graded.length
+  };
+}
+
+// Check a single AI-generated question during a quiz. The first answer is
+// stored on the question and becomes the one graded by /submit-quiz.
+app.post('/api/questions/:id/answer', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { selectedOption } = req.body;
+    const { email } = req.user;
+
+    if (typeof selectedOption !== 'string') {
+      return res.status(400).json({ error: 'selectedOption is required' });
+    }
+
+    if (!mongoose.isObjectIdOrHexString(id)) {
+      return res.status(400).json({ error: 'Invalid question id' });
+    }
+
+    const question = await GeneratedQuestion.findOne({ _id: id, generatedFor: email });
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    if (question.sessionId) {
+      return res.status(409).json({ error: 'This question belongs to a quiz session; answer it there' });
+    }
+    if (question.placementTestId) {
+      return res.status(409).json({ error: 'This question belongs to a placement test; answer it there' });
+    }
+
+    if (question.userResponse?.submittedAt == null) {
+      // The question was served when it was generated
+      const limits = getTimeLimits(question.category);
+      const timeSpent = secondsSince(question.createdAt);
+      const timedOut = isLateAnswer(limits, timeSpent);
+      question.userResponse = {
+        selectedOption: timedOut && limits.latePolicy === 'reject' ? null : selectedOption,
+        wasCorrect: !timedOut && selectedOption === question.correctAnswer,
+        timeSpent,
+        timedOut,
+        submittedAt: new Date()
+      };
+      await question.save();
+      if (timedOut && limits.latePolicy === 'reject') {
+        return res.status(409).json({ error: 'Time limit exceeded', timedOut: true, correctAnswer: question.correctAnswer });
+      }
+    }
+
+    res.json({
+      questionId: question._id,
+      selectedOption: question.userResponse.selectedOption,
+      isCorrect: question.userResponse.wasCorrect,
+      timedOut: !!question.userResponse.timedOut,
+      correctAnswer: question.correctAnswer,
+      explanation: question.explanation,
+      topic: question.topic
+    });
+  } catch (err) {
+    console.error('Error checking answer:', err);
+    res.status(500).json({ error: 'Failed to check answer' });
+  }
+});
+
+// The question a hint is asked for, only while it is open to this user: in the set their
+// quiz token (or challenge seat's token) was served, or waiting in their active quiz session
+async function findHintQuestion(user, questionId, { quizToken, sessionId }) {
+  if (sessionId) {
+    if (!mongoose.isObjectIdOrHexString(sessionId)) {
+      return { status: 400, error: 'Invalid session id' };
+    }
+    const session = await QuizSession.findOne({ _id: sessionId, email: user.email, status: 'active' });
+    if (!session || session.currentQuestionId !== questionId) {
+      return { status: 409, error: 'That question is not waiting for an answer in this session' };
+    }
+    const question = await GeneratedQuestion.findOne({ _id: questionId, generatedFor: user.email, sessionId: session._id });
+    return question ? { question } : { status: 404, error: 'Question not found' };
+  }
+
+  if (!quizToken) {
+    return { status: 400, error: 'quizToken or sessionId is required' };
+  }
+  let claims;
+  try {
+    claims = jwt.verify(quizToken, JWT_SECRET);
+  } catch (tokenError) {
+    return { status: 400, error: 'Quiz token is invalid or has expired' };
+  }
+  if (claims.sub !== String(user._id) || !(claims.questionIds || []).includes(questionId)) {
+    return { status: 403, error: 'That question was not served in this quiz' };
+  }
+  if (await Result.exists({ quizId: claims.jti })) {
+    return { status: 409, error: 'This quiz has already been submitted' };
+  }
+
+  const [generated, bankQuestion] = await Promise.all([
+    GeneratedQuestion.findOne({ _id: questionId, generatedFor: user.email, sessionId: null, hasBeenUsed: { $ne: true } }),
+    Question.findOne({ _id: questionId, category: claims.category, active: true })
+  ]);
+  if (generated?.userResponse?.submittedAt != null) {
+    return { status: 409, error: 'This question has already been answered' };
+  }
+  const question = generated || bankQuestion;
+  return question ? { question } : { status: 404, error: 'Question not found' };
+}
+
+// Spend a Quiz Hint: removes two wrong options from a question the user is answering.
+// Send the quiz's quizToken, or sessionId for an adaptive session.
+// Asking again for the same question returns the same options without spending another hint.
+app.post('/api/questions/:id/hint', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isObjectIdOrHexString(id)) {
+      return res.status(400).json({ error: 'Invalid question id' });
+    }
+
+    const { question, status, error } = await findHintQuestion(req.user, String(id), req.body || {});
+    if (!question) {
+      return res.status(status).json({ error });
+    }
+
+    const user = await ensureUserEngagement(req.user.email);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const inventory = user.engagement.inventory;
+    const questionId = String(question._id);
+    const previousHint = inventory.hintsUsed.find(hint => hint.questionId === questionId);
+    if (previousHint) {
+      return res.json({ questionId, removedOptions: previousHint.removedOptions, hintsRemaining: inventory.hints || 0 });
+    }
+
+    if (!((inventory.hints || 0) > 0)) {
+      return res.status(400).json({ error: 'You have no hints left. Buy a Quiz Hint in the shop.' });
+    }
+
+    // Spend one hint only if one is left and this question hasn't had one, in a single update
+    const removedOptions = shuffleArray(question.options.filter(option => option !== question.correctAnswer)).slice(0, 2);
+    const spent = await User.findOneAndUpdate(
+      { _id: user._id, 'engagement.inventory.hints': { $gt: 0 }, 'engagement.inventory.hintsUsed.questionId': { $ne: questionId } },
+      {
+        $inc: { 'engagement.inventory.hints': -1 },
+        $push: { 'engagement.inventory.hintsUsed': { questionId, removedOptions } }
+      },
+      { new: true, projection: { 'engagement.inventory.hints': 1 } }
+    );
+    if (!spent) {
+      // A concurrent request spent the last hint, or already used one on this question
+      const current = await User.findById(user._id).select('engagement.inventory').lean();
+      const currentHint = current.engagement.inventory.hintsUsed.find(hint => hint.questionId === questionId);
+      if (currentHint) {
+        return res.json({ questionId, removedOptions: currentHint.removedOptions, hintsRemaining: current.engagement.inventory.hints || 0 });
+      }
+      return res.status(400).json({ error: 'You have no hints left. Buy a Quiz Hint in the shop.' });
+    }
+
+    res.json({ questionId, removedOptions, hintsRemaining: spent.engagement.inventory.hints });
+  } catch (err) {
+    console.error('Error using hint:', err);
+    res.status(500).json({ error: 'Failed to use hint' });
+  }
+});
+
+// ========== SKILL METRICS ==========
+const SKILL_RESULT_WINDOW = 10; // Recent quizzes behind consistency and improvement
+const QUESTION_HISTORY_LIMIT = 50;
+
+// Linear-interpolated percentile of an ascending list
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function roundMetric(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Append graded answers to questionHistory, keeping the most recent QUESTION_HISTORY_LIMIT
+function recordQuestionHistory(userPerformance, graded) {
+  graded.forEach(answer => {
+    userPerformance.questionHistory.push({
+      questionId: answer.questionId,
+      topic: answer.topic,
+      difficulty: answer.item ? levelForDifficulty(answer.item.difficulty) : userPerformance.overallLevel,
+      wasCorrect: answer.isCorrect,
+      timeSpent: answer.selectedOption !== null ? answer.timeSpent || 0 : 0,
+      attempts: 1,
+      generatedAt: new Date()
+    });
+  });
+
+  if (userPerformance.questionHistory.length > QUESTION_HISTORY_LIMIT) {
+    userPerformance.questionHistory = userPerformance.questionHistory.slice(-QUESTION_HISTORY_LIMIT);
+  }
+}
+
+// Skill metrics from questionHistory and recent results (oldest first). Metrics without
+// enough data keep their stored value.
+//   speed: SPEED_REFERENCE_SECONDS over the median answer time, capped at 1
+//   consistency: 1 minus the spread of recent scores (a standard deviation of 50 points is 0)
+//   improvement: least-squares slope of the score fraction per quiz, e.g. 0.05 = +5 points a quiz
+//   conceptualUnderstanding: mean accuracy across concept-tagged topics answered at least twice
+function computeSkillMetrics(userPerformance, recentResults) {
+  const stored = userPerformance.skillMetrics || {};
+  const skillMetrics = {
+    accuracy: stored.accuracy || 0,
+    speed: stored.speed || 0,
+    consistency: stored.consistency || 0,
+    improvement: stored.improvement || 0,
+    conceptualUnderstanding: stored.conceptualUnderstanding || 0
+  };
+  let responseTime = userPerformance.responseTime?.samples ? userPerformance.responseTime : null;
+  const history = userPerformance.questionHistory || [];
+
+  const latencies = history.map(h => h.timeSpent).filter(seconds => seconds > 0).sort((a, b) => a - b);
+  if (latencies.length > 0) {
+    const median = percentile(latencies, 0.5);
+    responseTime = {
+      medianSeconds: Math.round(median * 10) / 10,
+      p90Seconds: Math.round(percentile(latencies, 0.9) * 10) / 10,
+      samples: latencies.length
+    };
+    skillMetrics.speed = roundMetric(Math.min(SPEED_REFERENCE_SECONDS / Math.max(median, 1), 1));
+  }
+
+  const scores = recentResults.filter(r => r.total > 0).map(r => r.score / r.total);
+  if (scores.length >= 3) {
+    const mean = scores.reduce((sum, x) => sum + x, 0) / scores.length;
+    const variance = scores.reduce((sum, x) => sum + (x - mean) ** 2, 0) / scores.length;
+    skillMetrics.consistency = roundMetric(clamp(1 - Math.sqrt(variance) / 0.5, 0, 1));
+
+    const meanIndex = (scores.length - 1) / 2;
+    let covariance = 0;
+    let indexVariance = 0;
+    scores.forEach((x, i) => {
+      covariance += (i - meanIndex) * (x - mean);
+      indexVariance += (i - meanIndex) ** 2;
+    });
+    skillMetrics.improvement = roundMetric(covariance / indexVariance);
+  }
+
+  // Untagged questions fall back to the category name as their topic
+  const topics = {};
+  history
+    .filter(h => h.topic && h.topic !== userPerformance.category)
+    .forEach(h => {
+      if (!topics[h.topic]) topics[h.topic] = { correct: 0, total: 0 };
+      topics[h.topic].total++;
+      if (h.wasCorrect) topics[h.topic].correct++;
+    });
+  const topicAccuracies = Object.values(topics).filter(t => t.total >= 2).map(t => t.correct / t.total);
+  if (topicAccuracies.length > 0) {
+    skillMetrics.conceptualUnderstanding = roundMetric(topicAccuracies.reduce((sum, x) => sum + x, 0) / topicAccuracies.length);
+  }
+
+  return { skillMetrics, responseTime };
+}
+
+async function loadRecentResults(email, category) {
+  const results = await Result.find({ email, category, invalidated: { $ne: true } })
+    .sort({ submittedAt: -1 })
+    .limit(SKILL_RESULT_WINDOW)
+    .select('score total submittedAt')
+    .lean();
+  return results.reverse();
+}
+
+// ========== TOPIC MASTERY ==========
+const TOPIC_MASTERY_HALF_LIFE_DAYS = parseFloat(process.env.TOPIC_MASTERY_HALF_LIFE_DAYS) || 21;
+const TOPIC_MASTERY_MIN_EVIDENCE = 2; // Weighted answers needed before a topic counts as weak or strong
+// Entering and leaving a status use different thresholds so a topic doesn't flip on every quiz
+const TOPIC_WEAK_BELOW = 0.6;
+const TOPIC_WEAK_EXIT = 0.65;
+const TOPIC_STRONG_AT = 0.8;
+const TOPIC_STRONG_EXIT = 0.75;
+const MASTERY_TRANSITION_LIMIT = 50;
+const TOPIC_MASTERY_DECAY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+function topicAccuracy(entry) {
+  return entry.totalWeight > 0 ? entry.correctWeight / entry.totalWeight : 0;
+}
+
+// Fade an entry's evidence by the time since it was last weighted
+function decayTopicEvidence(entry, now) {
+  if (entry.weightedAt) {
+    const days = Math.max(now - entry.weightedAt, 0) / (24 * 60 * 60 * 1000);
+    const factor = Math.pow(0.5, days / TOPIC_MASTERY_HALF_LIFE_DAYS);
+    entry.correctWeight *= factor;
+    entry.totalWeight *= factor;
+  }
+  entry.weightedAt = now;
+}
+
+// Strong topics fall back to neutral once their evidence fades; weak ones stay weak until practiced
+function nextTopicStatus(entry) {
+  const accuracy = topicAccuracy(entry);
+  if (entry.totalWeight < TOPIC_MASTERY_MIN_EVIDENCE) {
+    return entry.status === 'weak' ? 'weak' : 'neutral';
+  }
+  if (entry.status === 'weak' && accuracy < TOPIC_WEAK_EXIT) return 'weak';
+  if (entry.status === 'strong' && accuracy >= TOPIC_STRONG_EXIT) return 'strong';
+  if (accuracy < TOPIC_WEAK_BELOW) return 'weak';
+  if (accuracy >= TOPIC_STRONG_AT) return 'strong';
+  return 'neutral';
+}
+
+// Records written before topicMastery existed only have the area lists; start them from those
+function seedTopicMasteryFromAreas(userPerformance) {
+  const weightedAt = userPerformance.lastAssessment || new Date();
+  (userPerformance.weakAreas || []).forEach(topic => {
+    userPerformance.topicMastery.push({ topic, correctWeight: 2, totalWeight: 4, status: 'weak', weightedAt, statusChangedAt: weightedAt });
+  });
+  (userPerformance.strongAreas || []).forEach(topic => {
+    if (userPerformance.topicMastery.some(entry => entry.topic === topic)) return;
+    userPerformance.topicMastery.push({ topic, correctWeight: 3.6, totalWeight: 4, status: 'strong', weightedAt, statusChangedAt: weightedAt });
+  });
+}
+
+// Add graded answers to the per-topic mastery, re-derive weakAreas/strongAreas and return
+// the status changes. With no answers it only applies decay.
+function updateTopicMastery(userPerformance, answers = [], now = new Date()) {
+  if (!userPerformance.topicMastery) userPerformance.topicMastery = [];
+  if (!userPerformance.masteryTransitions) userPerformance.masteryTransitions = [];
+  if (userPerformance.topicMastery.length === 0) seedTopicMasteryFromAreas(userPerformance);
+
+  const practiced = new Set();
+  answers.forEach(answer => {
+    const topic = answer.topic || userPerformance.category;
+    let entry = userPerformance.topicMastery.find(e => e.topic === topic);
+    if (!entry) {
+      userPerformance.topicMastery.push({ topic, correctWeight: 0, totalWeight: 0, answers: 0, status: 'neutral', weightedAt: now });
+      entry = userPerformance.topicMastery[userPerformance.topicMastery.length - 1];
+    }
+    decayTopicEvidence(entry, now);
+    entry.totalWeight += 1;
+    if (answer.isCorrect) entry.correctWeight += 1;
+    entry.answers = (entry.answers || 0) + 1;
+    entry.lastAnsweredAt = now;
+    practiced.add(topic);
+  });
+
+  const transitions = [];
+  userPerformance.topicMastery.forEach(entry => {
+    decayTopicEvidence(entry, now);
+    const status = nextTopicStatus(entry);
+    if (status === entry.status) return;
+
+    transitions.push({
+      topic: entry.topic,
+      from: entry.status,
+      to: status,
+      reason: practiced.has(entry.topic) ? 'practice' : 'decay',
+      accuracy: Math.round(topicAccuracy(entry) * 100) / 100,
+      at: now
+    });
+    entry.status = status;
+    entry.statusChangedAt = now;
+  });
+
+  const byAccuracy = [...userPerformance.topicMastery].sort((a, b) => topicAccuracy(a) - topicAccuracy(b));
+  userPerformance.weakAreas = byAccuracy.filter(e => e.status === 'weak').map(e => e.topic);
+  userPerformance.strongAreas = byAccuracy.filter(e => e.status === 'strong').map(e => e.topic).reverse();
+
+  if (transitions.length > 0) {
+    userPerformance.masteryTransitions.push(...transitions);
+    if (userPerformance.masteryTransitions.length > MASTERY_TRANSITION_LIMIT) {
+      userPerformance.masteryTransitions = userPerformance.masteryTransitions.slice(-MASTERY_TRANSITION_LIMIT);
+    }
+  }
+  return transitions;
+}
+
+function formatMasteryTransition(transition) {
+  return {
+    topic: transition.topic,
+    from: transition.from,
+    to: transition.to,
+    reason: transition.reason,
+    graduated: transition.from === 'weak',
+    accuracy: transition.accuracy,
+    at: transition.at
+  };
+}
+
+// Strong topics that haven't been practiced lately lose their status even without a new quiz
+async function decayStaleTopicMastery() {
+  let updated = 0;
+  const cursor = UserPerformance.find({ 'topicMastery.status': 'strong' }).cursor();
+  for await (const performance of cursor) {
+    if (updateTopicMastery(performance).length > 0) {
+      await performance.save();
+      updated++;
+    }
+  }
+  return updated;
+}
+
+function startTopicMasteryDecayJob() {
+  const timer = setInterval(async () => {
+    try {
+      const updated = await decayStaleTopicMastery();
+      if (updated > 0) console.log(`📉 Topic mastery decayed for ${updated} learner categor${updated === 1 ? 'y' : 'ies'}`);
+    } catch (error) {
+      console.error('Topic mastery decay error:', error);
+    }
+  }, TOPIC_MASTERY_DECAY_INTERVAL_MS);
+  timer.unref();
+}
+
+// ========== LEARNING PATHS ==========
+// Ordered sequences of taxonomy topics. A node is completed once its topic mastery is strong;
+// before the next node is served, its prerequisites (from the taxonomy, plus the path's earlier
+// nodes) are checked and a weak one is sent back for review first.
+const LEARNING_PATH_SEED = [
+  {
+    pathId: 'frontend-foundations',
+    title: 'Frontend Foundations',
+    description: 'From your first HTML page to laying it out with Flexbox.',
+    reward: 200,
+    nodes: [
+      { category: 'HTML', topic: 'HTML Basics' },
+      { category: 'HTML', topic: 'HTML Forms' },
+      { category: 'HTML', topic: 'HTML5 Semantic Elements' },
+      { category: 'CSS', topic: 'CSS Selectors' },
+      { category: 'CSS', topic: 'CSS Box Model' },
+      { category: 'CSS', topic: 'CSS Flexbox' }
+    ]
+  },
+  {
+    pathId: 'javascript-essentials',
+    title: 'JavaScript Essentials',
+    description: 'Core language features, the DOM and asynchronous code.',
+    reward: 250,
+    nodes: [
+      { category: 'JavaScript', topic: 'JavaScript Basics' },
+      { category: 'JavaScript', topic: 'Variables' },
+      { category: 'JavaScript', topic: 'Functions' },
+      { category: 'JavaScript', topic: 'DOM Manipulation' },
+      { category: 'JavaScript', topic: 'Event Handling' },
+      { category: 'JavaScript', topic: 'Promises' },
+      { category: 'JavaScript', topic: 'Async/Await' }
+    ]
+  },
+  {
+    pathId: 'backend-starter',
+    title: 'Backend Starter',
+    description: 'Node.js, Express and enough SQL to store your data.',
+    reward: 250,
+    nodes: [
+      { category: 'Node.js', topic: 'Node.js Basics' },
+      { category: 'Node.js', topic: 'Node.js Module System' },
+      { category: 'Node.js', topic: 'Asynchronous Node.js' },
+      { category: 'Node.js', topic: 'Express.js' },
+      { category: 'SQL', topic: 'SQL Basics' },
+      { category: 'SQL', topic: 'SQL Filtering and Sorting' },
+      { category: 'SQL', topic: 'SQL Joins' }
+    ]
+  },
+  {
+    pathId: 'python-foundations',
+    title: 'Python Foundations',
+    description: 'Python syntax, data types and functions.',
+    reward: 200,
+    nodes: [
+      { category: 'Python', topic: 'Python Basics' },
+      { category: 'Python', topic: 'Python Data Types' },
+      { category: 'Python', topic: 'Python Control Flow' },
+      { category: 'Python', topic: 'Python Functions' },
+      { category: 'Python', topic: 'Python Collections' }
+    ]
+  }
+];
+
+// Insert seed paths that aren't in the collection yet; edited paths are left alone
+async function seedLearningPaths() {
+  const result = await LearningPath.bulkWrite(LEARNING_PATH_SEED.map(path => ({
+    updateOne: {
+      filter: { pathId: path.pathId },
+      update: { $setOnInsert: path },
+      upsert: true
+    }
+  })));
+  if (result.upsertedCount > 0) {
+    console.log(`🌱 Seeded ${result.upsertedCount} learning paths`);
+  }
+}
+
+function pathNodeKey(category, topic) {
+  return `${category}::${topic}`;
+}
+
+// Topic mastery across the categories a path touches, keyed by pathNodeKey
+async function loadPathMastery(email, path) {
+  const categories = [...new Set(path.nodes.map(node => node.category))];
+  const performances = await UserPerformance.find({ email, category: { $in: categories } })
+    .select('category topicMastery')
+    .lean();
+
+  const mastery = new Map();
+  performances.forEach(performance => {
+    (performance.topicMastery || []).forEach(entry => {
+      mastery.set(pathNodeKey(performance.category, entry.topic), entry);
+    });
+  });
+  return mastery;
+}
+
+function formatPathNode(node, mastery, state) {
+  const entry = mastery.get(pathNodeKey(node.category, node.topic));
+  const topic = getCategoryTopics(node.category).find(t => t.name === node.topic);
+  const category = getCategoryEntry(node.category);
+  return {
+    category: node.category,
+    topic: node.topic,
+    level: topic?.level || null,
+    concepts: (topic?.concepts || []).map(concept => concept.name),
+    state, // completed, current, locked or review
+    mastery: entry ? { status: entry.status, accuracy: Math.round(topicAccuracy(entry) * 100) / 100 } : null,
+    ...(category ? categoryPages(category) : {})
+  };
+}
+
+// Complete nodes whose topics are now strong, in order, then decide what comes next:
+// 'learn' the current node, 'review' a weak prerequisite first, or 'complete'.
+function advancePathProgress(path, progress, mastery, now = new Date()) {
+  const completed = new Set(progress.completedNodes.map(node => pathNodeKey(node.category, node.topic)));
+  const newlyCompleted = [];
+
+  for (const node of path.nodes) {
+    const key = pathNodeKey(node.category, node.topic);
+    if (completed.has(key)) continue;
+    if (mastery.get(key)?.status !== 'strong') break;
+    progress.completedNodes.push({ category: node.category, topic: node.topic, completedAt: now });
+    completed.add(key);
+    newlyCompleted.push(node);
+  }
+
+  const currentIndex = path.nodes.findIndex(node => !completed.has(pathNodeKey(node.category, node.topic)));
+  if (currentIndex === -1) {
+    return { action: 'complete', node: null, review: null, newlyCompleted };
+  }
+
+  const current = path.nodes[currentIndex];
+  const taxonomyTopic = getCategoryTopics(current.category).find(t => t.name === current.topic);
+  const taxonomyNames = new Map(getCategoryTopics(current.category).map(t => [t.slug, t.name]));
+  const prerequisites = [
+    ...(taxonomyTopic?.prerequisites || [])
+      .filter(slug => taxonomyNames.has(slug))
+      .map(slug => ({ category: current.category, topic: taxonomyNames.get(slug) })),
+    ...path.nodes.slice(0, currentIndex)
+  ];
+  const review = prerequisites.find(p => mastery.get(pathNodeKey(p.category, p.topic))?.status === 'weak') || null;
+
+  return { action: review ? 'review' : 'learn', node: current, review, newlyCompleted };
+}
+
+function pathProgressSummary(path, progress) {
+  const completed = progress ? progress.completedNodes.length : 0;
+  return {
+    status: progress ? progress.status : 'not-started',
+    completed,
+    total: path.nodes.length,
+    percent: path.nodes.length > 0 ? Math.round((completed / path.nodes.length) * 100) : 0,
+    startedAt: progress?.startedAt || null,
+    completedAt: progress?.completedAt || null
+  };
+}
+
+// Active learning paths with the signed-in user's progress
+app.get('/api/paths', requireAuth, async (req, res) => {
+  try {
+    const [paths, progress] = await Promise.all([
+      LearningPath.find({ active: true }).sort({ createdAt: 1 }).lean(),
+      PathProgress.find({ email: req.user.email }).lean()
+    ]);
+    const progressByPath = new Map(progress.map(p => [p.pathId, p]));
+
+    res.json({
+      paths: paths.map(path => ({
+        id: path.pathId,
+        title: path.title,
+        description: path.description,
+        reward: path.reward,
+        nodes: path.nodes.length,
+        progress: pathProgressSummary(path, progressByPath.get(path.pathId))
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching learning paths:', err);
+    res.status(500).json({ error: 'Failed to fetch learning paths' });
+  }
+});
+
+// One path with the state of each node for the signed-in user
+app.get('/api/paths/:id', requireAuth, async (req, res) => {
+  try {
+    const path = await LearningPath.findOne({ pathId: req.params.id, active: true }).lean();
+    if (!path) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
+
+    const progress = await PathProgress.findOne({ email: req.user.email, pathId: path.pathId }).lean();
+    const mastery = await loadPathMastery(req.user.email, path);
+    const completed = new Set((progress?.completedNodes || []).map(node => pathNodeKey(node.category, node.topic)));
+    const currentIndex = path.nodes.findIndex(node => !completed.has(pathNodeKey(node.category, node.topic)));
+
+    res.json({
+      id: path.pathId,
+      title: path.title,
+      description: path.description,
+      reward: path.reward,
+      progress: pathProgressSummary(path, progress),
+      nodes: path.nodes.map((node, index) => {
+        const state = completed.has(pathNodeKey(node.category, node.topic)) ? 'completed' : index === currentIndex ? 'current' : 'locked';
+        return formatPathNode(node, mastery, state);
+      })
+    });
+  } catch (err) {
+    console.error('Error fetching learning path:', err);
+    res.status(500).json({ error: 'Failed to fetch learning path' });
+  }
+});
+
+// Record newly mastered nodes and say what the learner should do next. Finishing the path
+// pays its reward once.
+app.get('/api/paths/:id/next', requireAuth, async (req, res) => {
+  try {
+    const { email } = req.user;
+    const path = await LearningPath.findOne({ pathId: req.params.id, active: true }).lean();
+    if (!path) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
+
+    const progress = await PathProgress.findOneAndUpdate(
+      { email, pathId: path.pathId },
+      { $setOnInsert: { email, pathId: path.pathId, startedAt: new Date() } },
+      { upsert: true, new: true }
+    );
+    const mastery = await loadPathMastery(email, path);
+    const step = advancePathProgress(path, progress, mastery);
+
+    let coinsAwarded = 0;
+    if (step.action === 'complete' && progress.status !== 'completed') {
+      progress.status = 'completed';
+      progress.completedAt = new Date();
+      console.log(`🎓 ${email} completed learning path ${path.pathId}`);
+    }
+    // A completed path's reward is retried on every visit until it's paid; the ledger key pays it once
+    if (progress.status === 'completed' && path.reward > 0 && !progress.coinsAwarded) {
+      if (await awardCoins(email, path.reward, `Completed ${path.title}`, { pathId: path.pathId }, `path:${path.pathId}`)) {
+        coinsAwarded = path.reward;
+        progress.coinsAwarded = path.reward;
+      }
+    }
+    if (step.newlyCompleted.length > 0 || progress.isModified()) {
+      progress.updatedAt = new Date();
+      await progress.save();
+    }
+
+    const messages = {
+      learn: step.node && `Take a ${step.node.category} quiz to master ${step.node.topic}.`,
+      review: step.review && `Review ${step.review.topic} before moving on to ${step.node?.topic}.`,
+      complete: `You have completed ${path.title}!`
+    };
+
+    res.json({
+      id: path.pathId,
+      action: step.action,
+      message: messages[step.action],
+      node: step.node ? formatPathNode(step.node, mastery, 'current') : null,
+      review: step.review ? formatPathNode(step.review, mastery, 'review') : null,
+      newlyCompleted: step.newlyCompleted.map(node => ({ category: node.category, topic: node.topic })),
+      progress: pathProgressSummary(path, progress),
+      coinsAwarded
+    });
+  } catch (err) {
+    console.error('Error advancing learning path:', err);
+    res.status(500).json({ error: 'Failed to load the next path step' });
+  }
+});
+
+// ========== QUESTION MODERATION ==========
+// MODERATION_APPROVED_ONLY=true serves only reviewed bank questions in standard quizzes.
+// AI questions whose text has been reported by QUARANTINE_REPORT_THRESHOLD different
+// learners since their last review are flagged and no longer served or graded.
+const MODERATION_APPROVED_ONLY = process.env.MODERATION_APPROVED_ONLY === 'true';
+const QUARANTINE_REPORT_THRESHOLD = parseInt(process.env.QUARANTINE_REPORT_THRESHOLD) || 3;
+const BLOCKED_QUESTION_STATUSES = ['rejected', 'flagged'];
+const EDITABLE_QUESTION_FIELDS = ['question', 'options', 'correctAnswer', 'topic', 'difficulty', 'explanation'];
+
+function questionContentHash(category, text) {
+  const normalized = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return crypto.createHash('sha256').update(`${category}|${normalized}`).digest('hex');
+}
+
+// Hashes (among the given question texts) that moderation has rejected or quarantined
+async function getBlockedContentHashes(category, texts) {
+  if (texts.length === 0) return new Set();
+  const hashes = texts.map(text => questionContentHash(category, text));
+  const blocked = await GeneratedQuestion.distinct('contentHash', {
+    contentHash: { $in: hashes },
+    status: { $in: BLOCKED_QUESTION_STATUSES }
+  });
+  return new Set(blocked);
+}
+
+// Status filter for bank questions served in standard quizzes
+function servableQuestionFilter() {
+  return MODERATION_APPROVED_ONLY
+    ? { status: 'approved' }
+    : { status: { $nin: BLOCKED_QUESTION_STATUSES } };
+}
+
+function getModerationModel(source) {
+  if (source === 'generated') return GeneratedQuestion;
+  if (source === 'bank') return Question;
+  return null;
+}
+
+function moderationSnapshot(question) {
+  const snapshot = {};
+  EDITABLE_QUESTION_FIELDS.concat('status').forEach(field => {
+    snapshot[field] = question[field];
+  });
+  return snapshot;
+}
+
+// Flag every copy of an AI question once enough different learners have reported it
+async function quarantineIfHeavilyReported(question) {
+  const [reporters] = await GeneratedQuestion.aggregate([
+    { $match: { contentHash: question.contentHash, status: { $ne: 'rejected' } } },
+    { $unwind: '$reports' },
+    // Reports made before the last review were already looked at
+    { $match: { $expr: { $gt: ['$reports.createdAt', { $ifNull: ['$reviewedAt', new Date(0)] }] } } },
+    { $group: { _id: '$reports.userId' } },
+    { $count: 'total' }
+  ]);
+
+  if (!reporters || reporters.total < QUARANTINE_REPORT_THRESHOLD) {
+    return false;
+  }
+
+  const result = await GeneratedQuestion.updateMany(
+    { contentHash: question.contentHash, status: { $nin: BLOCKED_QUESTION_STATUSES } },
+    { $set: { status: 'flagged' } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🚩 Quarantined AI question ${question._id} after ${reporters.total} reports`);
+    await writeAuditLog(null, 'question.quarantine', { type: 'generated', id: question._id }, {
+      before: { status: question.status },
+      after: { status: 'flagged' },
+      note: `${reporters.total} learners reported this question`
+    });
+  }
+  return true;
+}
+
+// Learners report a question they were served (bank or their own AI question)
+app.post('/api/questions/:id/report', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, comment } = req.body;
+
+    if (!mongoose.isObjectIdOrHexString(id)) {
+      return res.status(400).json({ error: 'Invalid question id' });
+    }
+    if (!QUESTION_REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${QUESTION_REPORT_REASONS.join(', ')}` });
+    }
+
+    let source = 'generated';
+    let question = await GeneratedQuestion.findOne({ _id: id, generatedFor: req.user.email });
+    if (!question) {
+      source = 'bank';
+      question = await Question.findById(id);
+    }
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    if (question.reports.some(report => String(report.userId) === String(req.user._id))) {
+      return res.status(409).json({ error: 'You have already reported this question' });
+    }
+
+    question.reports.push({
+      userId: req.user._id,
+      reason,
+      comment: typeof comment === 'string' ? comment.trim().substring(0, 1000) : undefined
+    });
+    question.reportCount = question.reports.length;
+    await question.save();
+
+    const quarantined = source === 'generated' ? await quarantineIfHeavilyReported(question) : false;
+
+    res.json({ success: true, reportCount: question.reportCount, quarantined });
+  } catch (err) {
+    console.error('Error reporting question:', err);
+    res.status(500).json({ error: 'Failed to report question' });
+  }
+});
+
+// Admin: list questions for review, most reported first
+app.get('/api/admin/questions', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const source = req.query.source || 'generated';
+    const Model = getModerationModel(source);
+    if (!Model) {
+      return res.status(400).json({ error: 'source must be "generated" or "bank"' });
+    }
+
+    const filter = {};
+    if (req.query.status) {
+      if (!QUESTION_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${QUESTION_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.minReports) filter.reportCount = { $gte: parseInt(req.query.minReports) || 0 };
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [questions, total] = await Promise.all([
+      Model.find(filter)
+        .sort({ reportCount: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Model.countDocuments(filter)
+    ]);
+
+    res.json({ source, questions, total, page, limit });
+  } catch (err) {
+    console.error('Error listing questions for review:', err);
+    res.status(500).json({ error: 'Failed to list questions' });
+  }
+});
+
+// Admin: one question with its audit trail
+app.get('/api/admin/questions/:source/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { source, id } = req.params;
+    const Model = getModerationModel(source);
+    if (!Model || !mongoose.isObjectIdOrHexString(id)) {
+      return res.status(400).json({ error: 'Invalid question source or id' });
+    }
+
+    const question = await Model.findById(id).lean();
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const auditTrail = await AuditLog.find({ targetType: source, targetId: String(id) })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({ source, question, auditTrail });
+  } catch (err) {
+    console.error('Error fetching question for review:', err);
+    res.status(500).json({ error: 'Failed to fetch question' });
+  }
+});
+
+// Admin: edit a question's content; the result must pass the same validation as AI output
+app.patch('/api/admin/questions/:source/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { source, id } = req.params;
+    const Model = getModerationModel(source);
+    if (!Model || !mongoose.isObjectIdOrHexString(id)) {
+      return res.status(400).json({ error: 'Invalid question source or id' });
+    }
+
+    const question = await Model.findById(id);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const before = moderationSnapshot(question);
+    const merged = { ...before };
+    EDITABLE_QUESTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    });
+
+    const validation = validateGeneratedQuestion(merged, { topic: question.topic, difficulty: question.difficulty });
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid question', details: validation.errors });
+    }
+
+    Object.assign(question, validation.question);
+    question.reviewedBy = req.user.email;
+    question.reviewedAt = new Date();
+    if (source === 'bank') question.updatedAt = new Date();
+    await question.save();
+
+    await writeAuditLog(req.user, 'question.edit', { type: source, id }, {
+      before,
+      after: moderationSnapshot(question),
+      note: req.body.note
+    });
+
+    res.json({ success: true, question });
+  } catch (err) {
+    console.error('Error editing question:', err);
+    res.status(500).json({ error: 'Failed to edit question' });
+  }
+});
+
+// Admin: approve or reject. For AI questions the decision covers every copy of the same text.
+function reviewQuestionHandler(status) {
+  return async (req, res) => {
+    try {
+      const { source, id } = req.params;
+      const Model = getModerationModel(source);
+      if (!Model || !mongoose.isObjectIdOrHexString(id)) {
+        return res.status(400).json({ error: 'Invalid question source or id' });
+      }
+
+      const question = await Model.findById(id);
+      if (!question) {
+        return res.status(404).json({ error: 'Question not found' });
+      }
+
+      const review = {
+        status,
+        reviewedBy: req.user.email,
+        reviewedAt: new Date(),
+        reviewNote: typeof req.body.note === 'string' ? req.body.note.trim() : undefined
+      };
+      const filter = source === 'generated' ? { contentHash: question.contentHash } : { _id: question._id };
+      const result = await Model.updateMany(filter, { $set: review });
+
+      await writeAuditLog(req.user, `question.${status === 'approved' ? 'approve' : 'reject'}`, { type: source, id }, {
+        before: { status: question.status },
+        after: { status },
+        note: review.reviewNote
+      });
+
+      res.json({ success: true, status, updated: result.modifiedCount });
+    } catch (err) {
+      console.error(`Error setting question status to ${status}:`, err);
+      res.status(500).json({ error: 'Failed to review question' });
+    }
+  };
+}
+
+app.post('/api/admin/questions/:source/:id/approve', requireAuth, requireRole('admin'), reviewQuestionHandler('approved'));
+app.post('/api/admin/questions/:source/:id/reject', requireAuth, requireRole('admin'), reviewQuestionHandler('rejected'));
+
+// ========== SPACED REPETITION REVIEW ==========
+// Every missed question gets a ReviewItem. Reviews reschedule it with SM-2: a miss brings it
+// back tomorrow, each correct answer pushes it further out by the item's ease factor.
+
+const REVIEW_MIN_EASE = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 answer quality (0-5) from correctness and seconds taken
+function reviewQuality(isCorrect, timeSpent) {
+  if (!isCorrect) return 1;
+  if (timeSpent > 0 && timeSpent <= 15) return 5;
+  if (timeSpent > 45) return 3;
+  return 4;
+}
+
+// Apply one SM-2 step to a ReviewItem (in memory)
+function scheduleReview(item, quality, now = new Date()) {
+  if (quality < 3) {
+    item.repetitions = 0;
+    item.interval = 1;
+    item.lapses += 1;
+  } else {
+    item.repetitions += 1;
+    if (item.repetitions === 1) item.interval = 1;
+    else if (item.repetitions === 2) item.interval = 6;
+    else item.interval = Math.round(item.interval * item.easeFactor);
+  }
+
+  const easeChange = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+  item.easeFactor = Math.max(REVIEW_MIN_EASE, Math.round((item.easeFactor + easeChange) * 100) / 100);
+  item.dueAt = new Date(now.getTime() + item.interval * DAY_MS);
+  item.lastReviewedAt = now;
+  item.lastQuality = quality;
+  return item;
+}
+
+// Feed graded answers into the schedule. Misses start (or reset) an item; correct answers
+// only move items that already exist, so questions a learner knows never enter review.
+async function recordReviewOutcomes(email, category, graded) {
+  const answerIds = graded.map(answer => answer.questionId);
+  const existing = await ReviewItem.find({ email, questionId: { $in: answerIds } });
+  const itemsById = new Map(existing.map(item => [item.questionId, item]));
+  const now = new Date();
+
+  const changed = [];
+  graded.forEach(answer => {
+    let item = itemsById.get(answer.questionId);
+    if (!item) {
+      if (answer.isCorrect) return;
+      item = new ReviewItem({
+        email,
+        category,
+        questionId: answer.questionId,
+        source: answer.source,
+        topic: answer.topic
+      });
+    }
+    scheduleReview(item, reviewQuality(answer.isCorrect, answer.timeSpent), now);
+    changed.push(item);
+  });
+
+  await Promise.all(changed.map(item => item.save().catch(error => {
+    // A parallel submission created the same item first; that one stands
+    if (error.code !== 11000) throw error;
+  })));
+  return changed;
+}
+
+// One-time import of the misses already sitting in UserPerformance.questionHistory
+async function seedReviewScheduleFromHistory() {
+  const cursor = UserPerformance.find({
+    reviewScheduleSeededAt: { $exists: false },
+    'questionHistory.wasCorrect': false
+  }).cursor();
+
+  let seeded = 0;
+  for await (const performance of cursor) {
+    const missed = performance.questionHistory
+      .filter(entry => entry.wasCorrect === false && mongoose.isObjectIdOrHexString(entry.questionId));
+    const ids = [...new Set(missed.map(entry => entry.questionId))];
+
+    const [bankIds, generatedIds] = await Promise.all([
+      Question.distinct('_id', { _id: { $in: ids } }),
+      GeneratedQuestion.distinct('_id', { _id: { $in: ids }, generatedFor: performance.email })
+    ]);
+    const sources = new Map([
+      ...bankIds.map(id => [String(id), 'bank']),
+      ...generatedIds.map(id => [String(id), 'generated'])
+    ]);
+
+    const operations = missed
+      .filter(entry => sources.has(entry.questionId))
+      .map(entry => ({
+        updateOne: {
+          filter: { email: performance.email, questionId: entry.questionId },
+          update: {
+            $setOnInsert: {
+              category: performance.category,
+              source: sources.get(entry.questionId),
+              topic: entry.topic,
+              interval: 1,
+              lapses: 1,
+              dueAt: new Date()
+            }
+          },
+          upsert: true
+        }
+      }));
+    if (operations.length > 0) {
+      await ReviewItem.bulkWrite(operations, { ordered: false });
+      seeded += operations.length;
+    }
+
+    await UserPerformance.updateOne({ _id: performance._id }, { $set: { reviewScheduleSeededAt: new Date() } });
+  }
+
+  if (seeded > 0) {
+    console.log(`🔁 Scheduled ${seeded} previously missed question(s) for review`);
+  }
+}
+
+function endOfToday() {
+  const end = new Date();
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+// Load the questions behind a set of ReviewItems. Items whose question was deleted or
+// pulled by moderation are dropped from the schedule.
+async function loadReviewQuestions(email, items) {
+  const idsFor = source => items.filter(item => item.source === source).map(item => item.questionId);
+  const [bankQuestions, generatedQuestions] = await Promise.all([
+    Question.find({ _id: { $in: idsFor('bank') }, active: true, ...servableQuestionFilter() }).lean(),
+    GeneratedQuestion.find({
+      _id: { $in: idsFor('generated') },
+      generatedFor: email,
+      status: { $nin: BLOCKED_QUESTION_STATUSES }
+    }).lean()
+  ]);
+  const questionsById = new Map([...bankQuestions, ...generatedQuestions].map(q => [String(q._id), q]));
+
+  const orphaned = items.filter(item => !questionsById.has(item.questionId));
+  if (orphaned.length > 0) {
+    await ReviewItem.deleteMany({ _id: { $in: orphaned.map(item => item._id) } });
+  }
+  return questionsById;
+}
+
+// Questions due for review today, most overdue first, across bank and AI-generated questions
+app.get('/api/review/due', requireAuth, async (req, res) => {
+  try {
+    const { email } = req.user;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const filter = { email, dueAt: { $lte: endOfToday() } };
+    if (req.query.category) filter.category = req.query.category;
+
+    const [items, dueCount, nextItem] = await Promise.all([
+      ReviewItem.find(filter).sort({ dueAt: 1 }).limit(limit).lean(),
+      ReviewItem.countDocuments(filter),
+      ReviewItem.findOne({ ...filter, dueAt: { $gt: endOfToday() } }).sort({ dueAt: 1 }).select('dueAt').lean()
+    ]);
+    const questionsById = await loadReviewQuestions(email, items);
+    await ReviewItem.updateMany({ _id: { $in: items.map(item => item._id) } }, { $set: { servedAt: new Date() } });
+
+    res.json({
+      category: req.query.category || null,
+      dueCount,
+      nextDueAt: nextItem ? nextItem.dueAt : null,
+      questions: items
+        .filter(item => questionsById.has(item.questionId))
+        .map(item => {
+          const q = questionsById.get(item.questionId);
+          return {
+            id: q._id,
+            source: item.source,
+            category: item.category,
+            question: q.question,
+            options: shuffleArray(q.options),
+            topic: q.topic,
+            difficulty: q.difficulty,
+            review: {
+              dueAt: item.dueAt,
+              interval: item.interval,
+              repetitions: item.repetitions,
+              lapses: item.lapses
+            }
+          };
+        })
+    });
+  } catch (err) {
+    console.error('Error fetching due reviews:', err);
+    res.status(500).json({ error: 'Failed to fetch review questions' });
+  }
+});
+
+// Grade review answers and reschedule each question. Only questions due today are accepted.
+app.post('/api/review/answers', requireAuth, async (req, res) => {
+  try {
+    const { email } = req.user;
+    const { answers } = req.body;
+    if (!Array.isArray(answers) || answers.length === 0) {
+      return res.status(400).json({ error: 'answers must be a non-empty array' });
+    }
+
+    const answerIds = [...new Set(answers.map(a => a && String(a.questionId)).filter(Boolean))];
+    const items = await ReviewItem.find({ email, questionId: { $in: answerIds }, dueAt: { $lte: endOfToday() } });
+    const itemsById = new Map(items.map(item => [item.questionId, item]));
+    const questionsById = await loadReviewQuestions(email, items);
+
+    const now = new Date();
+    const results = [];
+    const seen = new Set();
+    for (const answer of answers) {
+      const questionId = answer && String(answer.questionId);
+      if (!questionId || seen.has(questionId)) continue;
+      seen.add(questionId);
+
+      const item = itemsById.get(questionId);
+      const question = questionsById.get(questionId);
+      if (!item || !question) {
+        results.push({ questionId, error: 'Not due for review' });
+        continue;
+      }
+
+      const selectedOption = typeof answer.selectedOption === 'string' ? answer.selectedOption : null;
+      const isCorrect = selectedOption !== null && selectedOption === question.correctAnswer;
+      // Reviews are served as a batch; spread the time since serving over the answers sent
+      const seconds = item.servedAt ? Math.round(secondsSince(item.servedAt, now) / answers.length) : 0;
+      scheduleReview(item, reviewQuality(isCorrect, seconds), now);
+      await item.save();
+
+      results.push({
+        questionId,
+        selectedOption,
+        isCorrect,
+        correctAnswer: question.correctAnswer,
+        explanation: question.explanation,
+        nextDueAt: item.dueAt,
+        interval: item.interval
+      });
+    }
+
+    const reviewed = results.filter(r => !r.error);
+    res.json({
+      reviewed: reviewed.length,
+      correct: reviewed.filter(r => r.isCorrect).length,
+      results
+    });
+  } catch (err) {
+    console.error('Error recording review answers:', err);
+    res.status(500).json({ error: 'Failed to record review answers' });
+  }
+});
+
+// ========== IRT CALIBRATION ==========
+// Two-parameter logistic model: P(correct) = 1 / (1 + e^(-a(theta - b))).
+// Every graded answer is stored as a QuestionResponse. A periodic job fits item
+// difficulty (b) and discrimination (a) together with each learner's ability (theta)
+// per category; the difficulty label a question was served with is the prior for b.
+
+const IRT_LEVEL_DIFFICULTY = { beginner: -1.5, intermediate: -0.5, advanced: 0.5, expert: 1.5 };
+const IRT_TARGET_SUCCESS = 0.7; // Adaptive quizzes aim for items answered correctly 70% of the time
+const IRT_MIN_ITEM_RESPONSES = parseInt(process.env.IRT_MIN_ITEM_RESPONSES) || 10;
+const IRT_MAX_RESPONSES_PER_CATEGORY = 20000;
+const IRT_CALIBRATION_INTERVAL_MS = (parseInt(process.env.IRT_CALIBRATION_INTERVAL_MINUTES) || 360) * 60 * 1000;
+const IRT_THETA_LIMIT = 4;
+
+function irtProbability(theta, item) {
+  return 1 / (1 + Math.exp(-item.discrimination * (theta - item.difficulty)));
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function priorDifficulty(level) {
+  return IRT_LEVEL_DIFFICULTY[level] ?? IRT_LEVEL_DIFFICULTY.beginner;
+}
+
+// Nearest difficulty label for an item difficulty on the theta scale
+function levelForDifficulty(difficulty) {
+  if (difficulty < -1) return 'beginner';
+  if (difficulty < 0) return 'intermediate';
+  if (difficulty < 1) return 'advanced';
+  return 'expert';
+}
+
+// Item difficulty a learner of this ability answers correctly IRT_TARGET_SUCCESS of the time
+function targetDifficultyFor(theta) {
+  return theta - Math.log(IRT_TARGET_SUCCESS / (1 - IRT_TARGET_SUCCESS));
+}
+
+// Item parameters for a question: calibrated values once it has enough responses, otherwise its label
+function irtItemFor(question, source) {
+  const calibrated = question.irt?.calibratedAt && question.irt.difficulty != null;
+  return {
+    source,
+    questionId: String(question._id),
+    itemKey: source === 'generated' ? question.contentHash : String(question._id),
+    level: question.difficulty,
+    difficulty: calibrated ? question.irt.difficulty : priorDifficulty(question.difficulty),
+    discrimination: calibrated ? question.irt.discrimination : 1
+  };
+}
+
+// MAP estimate of theta from responses to items with known parameters
+function estimateAbility(responses, prior = { theta: 0, standardError: 1 }) {
+  const priorVariance = prior.standardError ** 2;
+  let theta = prior.theta;
+  let information = 1 / priorVariance;
+
+  for (let iteration = 0; iteration < 25; iteration++) {
+    let gradient = -(theta - prior.theta) / priorVariance;
+    information = 1 / priorVariance;
+    responses.forEach(response => {
+      const p = irtProbability(theta, response);
+      gradient += response.discrimination * ((response.isCorrect ? 1 : 0) - p);
+      information += response.discrimination ** 2 * p * (1 - p);
+    });
+    const step = gradient / information;
+    theta = clamp(theta + step, -IRT_THETA_LIMIT, IRT_THETA_LIMIT);
+    if (Math.abs(step) < 1e-4) break;
+  }
+
+  return { theta, standardError: 1 / Math.sqrt(information) };
+}
+
+// Fold new responses into a stored ability estimate. The standard error is kept from
+// shrinking too far so the estimate can still follow a learner who improves.
+function updateAbilityEstimate(ability, responses) {
+  const prior = ability?.theta != null
+    ? { theta: ability.theta, standardError: Math.max(ability.standardError || 1, 0.3) }
+    : { theta: 0, standardError: 1 };
+  const estimate = estimateAbility(responses, prior);
+  return {
+    theta: Math.round(estimate.theta * 1000) / 1000,
+    standardError: Math.round(estimate.standardError * 1000) / 1000,
+    responses: (ability?.responses || 0) + responses.length,
+    calibratedAt: ability?.calibratedAt
+  };
+}
+
+// Store graded answers and bump the live response counters on each question
+async function recordQuestionResponses(email, category, graded, resultId) {
+  const rows = graded.filter(answer => answer.item?.itemKey).map(answer => ({
+    email,
+    category,
+    questionId: answer.questionId,
+    source: answer.source,
+    itemKey: answer.item.itemKey,
+    difficulty: answer.item.level,
+    isCorrect: answer.isCorrect,
+    timeSpent: answer.timeSpent,
+    resultId
+  }));
+  if (rows.length === 0) return;
+
+  await QuestionResponse.insertMany(rows);
+  await Promise.all(rows.map(row => {
+    const Model = row.source === 'generated' ? GeneratedQuestion : Question;
+    const filter = row.source === 'generated' ? { contentHash: row.itemKey } : { _id: row.itemKey };
+    return Model.updateMany(filter, { $inc: { 'irt.responses': 1, 'irt.correct': row.isCorrect ? 1 : 0 } });
+  }));
+}
+
+// Joint MAP estimation of item and person parameters for one category. Items with too
+// few responses keep discrimination 1 and lean on their label for difficulty.
+async function calibrateCategory(category) {
+  const rows = await QuestionResponse.find({ category })
+    .sort({ createdAt: -1 })
+    .limit(IRT_MAX_RESPONSES_PER_CATEGORY)
+    .select('email itemKey source difficulty isCorrect')
+    .lean();
+  if (rows.length === 0) return { category, responses: 0, items: 0, learners: 0 };
+
+  const items = new Map();
+  const persons = new Map();
+  rows.forEach(row => {
+    if (!items.has(row.itemKey)) {
+      const prior = priorDifficulty(row.difficulty);
+      items.set(row.itemKey, { source: row.source, prior, difficulty: prior, discrimination: 1, rows: [] });
+    }
+    if (!persons.has(row.email)) {
+      persons.set(row.email, { theta: 0, information: 1, rows: [] });
+    }
+    items.get(row.itemKey).rows.push(row);
+    persons.get(row.email).rows.push(row);
+  });
+
+  for (let iteration = 0; iteration < 30; iteration++) {
+    let largestStep = 0;
+
+    // One Newton step per learner and per item; the N(0, 1) prior on theta fixes the scale
+    persons.forEach(person => {
+      let gradient = -person.theta;
+      let information = 1;
+      person.rows.forEach(row => {
+        const item = items.get(row.itemKey);
+        const p = irtProbability(person.theta, item);
+        gradient += item.discrimination * ((row.isCorrect ? 1 : 0) - p);
+        information += item.discrimination ** 2 * p * (1 - p);
+      });
+      const step = gradient / information;
+      person.theta = clamp(person.theta + step, -IRT_THETA_LIMIT, IRT_THETA_LIMIT);
+      person.information = information;
+      largestStep = Math.max(largestStep, Math.abs(step));
+    });
+
+    items.forEach(item => {
+      let gradientB = -(item.difficulty - item.prior);
+      let informationB = 1;
+      let gradientA = -(item.discrimination - 1) / 0.25;
+      let informationA = 1 / 0.25;
+      item.rows.forEach(row => {
+        const theta = persons.get(row.email).theta;
+        const p = irtProbability(theta, item);
+        const residual = (row.isCorrect ? 1 : 0) - p;
+        gradientB += -item.discrimination * residual;
+        informationB += item.discrimination ** 2 * p * (1 - p);
+        gradientA += (theta - item.difficulty) * residual;
+        informationA += (theta - item.difficulty) ** 2 * p * (1 - p);
+      });
+      const stepB = gradientB / informationB;
+      item.difficulty = clamp(item.difficulty + stepB, -IRT_THETA_LIMIT, IRT_THETA_LIMIT);
+      largestStep = Math.max(largestStep, Math.abs(stepB));
+      if (item.rows.length >= IRT_MIN_ITEM_RESPONSES) {
+        const stepA = gradientA / informationA;
+        item.discrimination = clamp(item.discrimination + stepA, 0.2, 3);
+        largestStep = Math.max(largestStep, Math.abs(stepA));
+      }
+    });
+
+    if (largestStep < 1e-3) break;
+  }
+
+  const now = new Date();
+  const round = value => Math.round(value * 1000) / 1000;
+  const itemUpdate = item => ({
+    $set: {
+      'irt.difficulty': round(item.difficulty),
+      'irt.discrimination': round(item.discrimination),
+      'irt.calibratedAt': now
+    }
+  });
+
+  const bankOps = [];
+  const generatedOps = [];
+  items.forEach((item, itemKey) => {
+    if (item.source === 'generated') {
+      generatedOps.push({ updateMany: { filter: { contentHash: itemKey }, update: itemUpdate(item) } });
+    } else if (mongoose.isObjectIdOrHexString(itemKey)) {
+      bankOps.push({ updateOne: { filter: { _id: itemKey }, update: itemUpdate(item) } });
+    }
+  });
+  const personOps = [...persons.entries()].map(([email, person]) => ({
+    updateOne: {
+      filter: { email, category },
+      update: {
+        $set: {
+          ability: {
+            theta: round(person.theta),
+            standardError: round(1 / Math.sqrt(person.information)),
+            responses: person.rows.length,
+            calibratedAt: now
+          }
+        }
+      }
+    }
+  }));
+
+  await Promise.all([
+    bankOps.length > 0 ? Question.bulkWrite(bankOps, { ordered: false }) : null,
+    generatedOps.length > 0 ? GeneratedQuestion.bulkWrite(generatedOps, { ordered: false }) : null,
+    personOps.length > 0 ? UserPerformance.bulkWrite(personOps, { ordered: false }) : null
+  ]);
+
+  return { category, responses: rows.length, items: items.size, learners: persons.size };
+}
+
+async function calibrateAllCategories() {
+  const categories = await QuestionResponse.distinct('category');
+  const reports = [];
+  for (const category of categories) {
+    reports.push(await calibrateCategory(category));
+  }
+  return reports;
+}
+
+function startIrtCalibrationJob() {
+  const timer = setInterval(async () => {
+    try {
+      const reports = await calibrateAllCategories();
+      if (reports.length > 0) {
+        console.log(`📐 IRT calibration: ${reports.map(r => `${r.category} (${r.items} items, ${r.learners} learners)`).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('IRT calibration error:', error);
+    }
+  }, IRT_CALIBRATION_INTERVAL_MS);
+  timer.unref();
+}
+
+// Run calibration now, for one category or all of them
+app.post('/api/admin/irt/calibrate', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { category } = req.body || {};
+    const reports = category ? [await calibrateCategory(category)] : await calibrateAllCategories();
+
+    await writeAuditLog(req.user, 'irt.calibrate', { type: 'system', id: category || 'all' }, {
+      after: { categories: reports.length, responses: reports.reduce((sum, r) => sum + r.responses, 0) }
+    });
+
+    res.json({ success: true, reports });
+  } catch (err) {
+    console.error('Error running IRT calibration:', err);
+    res.status(500).json({ error: 'Failed to run calibration' });
+  }
+});
+
+// ========== PLACEMENT TEST (CAT) ==========
+// A computerized adaptive test that places a learner without grinding through beginner
+// questions. Each step serves the unanswered bank question with the most information at
+// the current ability estimate, falling back to an AI question at that level when the bank
+// runs dry. The test stops when the estimate is precise enough or the length cap is hit.
+
+const PLACEMENT_TARGET_SE = parseFloat(process.env.PLACEMENT_TARGET_SE) || 0.5;
+const PLACEMENT_MIN_QUESTIONS = 5;
+const PLACEMENT_MAX_QUESTIONS = parseInt(process.env.PLACEMENT_MAX_QUESTIONS) || 20;
+const PLACEMENT_PRIOR = { theta: 0, standardError: 1 };
+
+// Fisher information of a 2PL item at theta
+function irtInformation(theta, item) {
+  const p = irtProbability(theta, item);
+  return item.discrimination ** 2 * p * (1 - p);
+}
+
+function placementStopReason(test) {
+  const answered = test.responses.length;
+  if (answered >= PLACEMENT_MAX_QUESTIONS) return 'max-length';
+  if (answered >= PLACEMENT_MIN_QUESTIONS && test.standardError <= PLACEMENT_TARGET_SE) return 'precision';
+  return null;
+}
+
+// Pick and serve the next question, or return null when there is nothing left to ask
+async function servePlacementQuestion(test, provider = null) {
+  const answeredIds = test.responses.map(r => r.questionId);
+  const pool = await Question.find({
+    category: test.category,
+    active: true,
+    ...servableQuestionFilter(),
+    _id: { $nin: answeredIds.filter(id => mongoose.isObjectIdOrHexString(id)) }
+  }).select('question options difficulty topic contentHash irt').lean();
+
+  if (pool.length > 0) {
+    // Choose among the three most informative items so everyone doesn't see the same test
+    const ranked = pool
+      .map(q => ({ q, information: irtInformation(test.theta, irtItemFor(q, 'bank')) }))
+      .sort((x, y) => y.information - x.information)
+      .slice(0, 3);
+    const { q } = ranked[Math.floor(Math.random() * ranked.length)];
+
+    test.currentQuestion = { questionId: String(q._id), source: 'bank', servedAt: new Date() };
+    return {
+      id: q._id,
+      question: q.question,
+      options: shuffleArray(q.options),
+      topic: q.topic,
+      difficulty: q.difficulty
+    };
+  }
+
+  // Bank exhausted: generate a question pitched at the current estimate
+  try {
+    const generated = await generateSingleAdaptiveQuestionFast(test.email, test.category, {
+      currentLevel: levelForDifficulty(test.theta),
+      focusArea: getCategoryDefaults(test.category).defaultTopic
+    }, test.responses.length + 1, [], provider);
+    if (!generated) return null;
+    await GeneratedQuestion.updateOne({ _id: generated.id }, { $set: { placementTestId: test._id } });
+
+    test.currentQuestion = { questionId: String(generated.id), source: 'generated', servedAt: new Date() };
+    return toClientQuestion(generated);
+  } catch (error) {
+    console.error('Placement question generation failed:', error.message);
+    return null;
+  }
+}
+
+// Finish the test and seed the learner's level and ability for the category
+async function completePlacementTest(test, stopReason) {
+  test.status = 'completed';
+  test.stopReason = stopReason;
+  test.completedAt = new Date();
+  test.currentQuestion = undefined;
+  test.placementLevel = levelForDifficulty(targetDifficultyFor(test.theta));
+
+  let userPerformance = await UserPerformance.findOne({ email: test.email, category: test.category });
+  if (!userPerformance) {
+    userPerformance = new UserPerformance({
+      email: test.email,
+      category: test.category,
+      detailedProfile: { learningStyle: 'practical' },
+      weakAreas: [],
+      strongAreas: []
+    });
+  }
+  userPerformance.overallLevel = test.placementLevel;
+  userPerformance.ability = {
+    theta: Math.round(test.theta * 1000) / 1000,
+    standardError: Math.round(test.standardError * 1000) / 1000,
+    responses: (userPerformance.ability?.responses || 0) + test.responses.length,
+    calibratedAt: userPerformance.ability?.calibratedAt
+  };
+  userPerformance.lastAssessment = new Date();
+  await userPerformance.save();
+}
+
+function formatPlacementTest(test) {
+  return {
+    id: test._id,
+    category: test.category,
+    status: test.status,
+    answered: test.responses.length,
+    maxQuestions: PLACEMENT_MAX_QUESTIONS,
+    ability: {
+      theta: Math.round(test.theta * 100) / 100,
+      standardError: Math.round(test.standardError * 100) / 100
+    },
+    placement: test.status === 'completed'
+      ? { level: test.placementLevel, stopReason: test.stopReason, completedAt: test.completedAt }
+      : null
+  };
+}
+
+// Start (or resume) a placement test for a category
+app.post('/api/placement/:category/start', requireAuth, async (req, res) => {
+  try {
+    const category = getCategoryEntry(req.params.category)?.id;
+    const { email } = req.user;
+    const { provider, error: providerError } = getRequestedProvider(req);
+    if (providerError) {
+      return res.status(400).json({ error: providerError });
+    }
+    if (!category) {
+      return res.status(404).json({ error: 'Unknown category' });
+    }
+
+    let test = await PlacementTest.findOne({ email, category, status: 'in-progress' });
+    if (test && req.body?.restart === true) {
+      test.status = 'abandoned';
+      await test.save();
+      test = null;
+    }
+
+    let question = null;
+    if (test && test.currentQuestion?.questionId) {
+      // Resume: serve the same waiting question again
+      const Model = getModerationModel(test.currentQuestion.source);
+      const waiting = await Model.findById(test.currentQuestion.questionId).lean();
+      if (waiting) {
+        question = {
+          id: waiting._id,
+          question: waiting.question,
+          options: shuffleArray(waiting.options),
+          topic: waiting.topic,
+          difficulty: waiting.difficulty
+        };
+      }
+    }
+
+    if (!test) {
+      test = new PlacementTest({ email, category, theta: PLACEMENT_PRIOR.theta, standardError: PLACEMENT_PRIOR.standardError });
+    }
+    if (!question) {
+      question = await servePlacementQuestion(test, provider);
+      if (!question) {
+        return res.status(404).json({ error: `No placement questions available for ${category}` });
+      }
+    }
+    await test.save();
+
+    res.json({ test: formatPlacementTest(test), question });
+  } catch (err) {
+    console.error('Error starting placement test:', err);
+    res.status(500).json({ error: 'Failed to start placement test' });
+  }
+});
+
+// Answer the waiting question; returns the next one, or the placement once the test stops
+app.post('/api/placement/:id/answer', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { questionId, selectedOption } = req.body;
+    const { provider, error: providerError } = getRequestedProvider(req);
+    if (providerError) {
+      return res.status(400).json({ error: providerError });
+    }
+    if (!mongoose.isObjectIdOrHexString(id) || !questionId) {
+      return res.status(400).json({ error: 'A valid test id and questionId are required' });
+    }
+
+    // Claim the waiting question so a double submit can't record two answers
+    const test = await PlacementTest.findOneAndUpdate(
+      { _id: id, email: req.user.email, status: 'in-progress', 'currentQuestion.questionId': String(questionId) },
+      { $unset: { currentQuestion: '' } }
+    );
+    if (!test) {
+      return res.status(409).json({ error: 'That question is not waiting for an answer in this test' });
+    }
+
+    const { source, servedAt } = test.currentQuestion;
+    const question = source === 'bank'
+      ? await Question.findById(questionId).lean()
+      : await GeneratedQuestion.findOne({ _id: questionId, generatedFor: req.user.email }).lean();
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const chosen = typeof selectedOption === 'string' ? selectedOption : null;
+    const isCorrect = chosen !== null && chosen === question.correctAnswer;
+    const item = irtItemFor(question, source);
+    const secondsSpent = servedAt ? secondsSince(servedAt) : 0;
+
+    test.currentQuestion = undefined;
+    test.responses.push({ ...item, isCorrect, timeSpent: secondsSpent });
+    const estimate = estimateAbility(test.responses.map(r => ({
+      difficulty: r.difficulty,
+      discrimination: r.discrimination,
+      isCorrect: r.isCorrect
+    })), PLACEMENT_PRIOR);
+    test.theta = estimate.theta;
+    test.standardError = estimate.standardError;
+
+    if (source === 'generated') {
+      await GeneratedQuestion.updateOne({ _id: questionId }, {
+        hasBeenUsed: true,
+        userResponse: { selectedOption: chosen, wasCorrect: isCorrect, timeSpent: secondsSpent, timedOut: false, submittedAt: new Date() }
+      });
+    }
+    try {
+      await recordQuestionResponses(req.user.email, test.category, [{ questionId: String(questionId), source, isCorrect, timeSpent: secondsSpent, item }]);
+    } catch (irtError) {
+      console.error('⚠️ Error recording placement response:', irtError);
+    }
+
+    let nextQuestion = null;
+    const stopReason = placementStopReason(test);
+    if (!stopReason) {
+      nextQuestion = await servePlacementQuestion(test, provider);
+    }
+    if (stopReason || !nextQuestion) {
+      await completePlacementTest(test, stopReason || 'pool-exhausted');
+    }
+    await test.save();
+
+    res.json({
+      result: { isCorrect, correctAnswer: question.correctAnswer, explanation: question.explanation },
+      test: formatPlacementTest(test),
+      question: nextQuestion
+    });
+  } catch (err) {
+    console.error('Error answering placement question:', err);
+    res.status(500).json({ error: 'Failed to record placement answer' });
+  }
+});
+
+// A placement test's progress or outcome
+app.get('/api/placement/:id', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid test id' });
+    }
+    const test = await PlacementTest.findOne({ _id: req.params.id, email: req.user.email });
+    if (!test) {
+      return res.status(404).json({ error: 'Placement test not found' });
+    }
+    res.json({ test: formatPlacementTest(test) });
+  } catch (err) {
+    console.error('Error fetching placement test:', err);
+    res.status(500).json({ error: 'Failed to fetch placement test' });
+  }
+});
+
+// Save a graded quiz: result, question usage, review schedule, performance and coins.
+// Shared by /submit-quiz and finished quiz sessions; returns the response body.
+async function saveGradedQuiz(user, category, grading, timeSpent) {
+  const { username, email } = user;
+  const { quizId, graded, generatedQuestions, topicResults, score, total } = grading;
+  const lateAnswers = graded.filter(a => a.timedOut).length;
+  const questionIds = graded.map(a => a.questionId);
+  const difficulty = quizDifficulty(graded);
+  
+  // Determine if this was an AI-generated quiz
+  let isAIGenerated = false;
+  let generationSource = 'MANUAL';
+  
+  if (generatedQuestions.length > 0) {
+    isAIGenerated = true;
+    // Get the most common generation source
+    const sourceCounts = {};
+    generatedQuestions.forEach(q => {
+      if (q.generatedBy) sourceCounts[q.generatedBy] = (sourceCounts[q.generatedBy] || 0) + 1;
+    });
+    const [mostCommonSource] = Object.entries(sourceCounts).sort((a, b) => b[1] - a[1])[0] || [];
+    if (mostCommonSource) generationSource = mostCommonSource;
+  }
+  
+  console.log('🤖 Quiz AI status:', { isAIGenerated, generationSource });
+  
+  // Save quiz result with AI tracking
+  const result = new Result({
+    username,
+    email,
+    category,
+    score,
+    total,
+    submittedAt: new Date(),
+    quizType: isAIGenerated ? 'ai-powered' : 'standard',
+    aiGenerated: isAIGenerated,
+    generationSource: generationSource,
+    questionIds,
+    quizId,
+    timeSpent,
+    lateAnswers,
+    difficulty,
+    points: computeResultPoints({ score, total, difficulty, timeSpent })
+  });
+  
+  let savedResult;
+  try {
+    savedResult = await result.save();
+  } catch (saveError) {
+    // A concurrent submission of the same served set was saved first; nothing else has run yet
+    if (saveError.code === 11000 && quizId) {
+      return { error: 'This quiz has already been submitted' };
+    }
+    throw saveError;
+  }
+  console.log('💾 Quiz result saved:', savedResult._id);
+
+  // Update generated questions with user responses
+  if (generatedQuestions.length > 0) {
+    try {
+      const updatePromises = graded
+        .filter(answer => answer.source === 'generated')
+        .map(answer => GeneratedQuestion.findByIdAndUpdate(answer.questionId, {
+          hasBeenUsed: true,
+          userResponse: {
+            selectedOption: answer.selectedOption,
+            wasCorrect: answer.isCorrect,
+            timeSpent: answer.timeSpent,
+            timedOut: answer.timedOut,
+            submittedAt: new Date()
+          }
+        }));
+      
+      await Promise.all(updatePromises);
+      console.log('✅ Updated generated questions usage');
+    } catch (updateError) {
+      console.error('⚠️ Error updating question usage:', updateError);
+      // Don't fail the entire submission for this
+    }
+  }
+
+  // Missed questions go into the spaced-repetition schedule
+  try {
+    await recordReviewOutcomes(email, category, graded);
+  } catch (reviewError) {
+    console.error('⚠️ Error updating review schedule:', reviewError);
+  }
+
+  // Get or create user performance record
+  let userPerformance = await UserPerformance.findOne({ email, category });
+  if (!userPerformance) {
+    userPerformance = new UserPerformance({
+      email,
+      category,
+      overallLevel: 'beginner',
+      quizzesTaken: 0,
+      skillMetrics: { accuracy: 0 },
+      detailedProfile: {
+        learningStyle: 'practical',
+      },
+      weakAreas: [],
+      strongAreas: []
+    });
+  }
+
+  // Update performance data
+  userPerformance.quizzesTaken += 1;
+  userPerformance.totalQuestions += total;
+  userPerformance.correctAnswers += score;
+
+  // Move topics between weak, neutral and strong
+  const masteryChanges = updateTopicMastery(userPerformance, graded);
+  
+  // Update skill metrics
+  if (userPerformance.totalQuestions > 0) {
+    userPerformance.skillMetrics.accuracy = userPerformance.correctAnswers / userPerformance.totalQuestions;
+  }
+  recordQuestionHistory(userPerformance, graded);
+  try {
+    const { skillMetrics, responseTime } = computeSkillMetrics(userPerformance, await loadRecentResults(email, category));
+    userPerformance.skillMetrics = skillMetrics;
+    if (responseTime) userPerformance.responseTime = responseTime;
+  } catch (metricsError) {
+    console.error('⚠️ Error computing skill metrics:', metricsError);
+  }
+
+  // Keep every response for calibration and move the ability estimate right away
+  try {
+    await recordQuestionResponses(email, category, graded, savedResult._id);
+    userPerformance.ability = updateAbilityEstimate(userPerformance.ability, graded.map(answer => ({
+      ...answer.item,
+      isCorrect: answer.isCorrect
+    })));
+  } catch (irtError) {
+    console.error('⚠️ Error recording question responses:', irtError);
+  }
+  
+  // Update user level assessment
+  await updateUserLevelAssessment(email, category, userPerformance);
+  await userPerformance.save();
+  console.log('📊 User performance updated');
+  
+  // Award coins for quiz completion
+  let coinsAwarded = 0;
+  try {
+    const user = await ensureUserEngagement(email);
+    if (user) {
+      let coins = COIN_REWARDS.QUIZ_COMPLETE;
+      
+      // Perfect score bonus
+      if (score === total && total > 0) {
+        coins += COIN_REWARDS.PERFECT_SCORE;
+      }
+      
+      // Coins per correct answer
+      coins += score * COIN_REWARDS.PER_CORRECT_ANSWER;
+      
+      // First quiz bonus
+      if (userPerformance.quizzesTaken === 1) {
+        coins += COIN_REWARDS.FIRST_QUIZ_BONUS;
+      }
+
+      // An owned Double Coins item doubles this award and is used up. It's taken in one
+      // conditional update, so concurrent submissions can't both spend the same charge.
+      const doubleCoins = (await User.updateOne(
+        { _id: user._id, 'engagement.inventory.doubleCoins': { $gt: 0 } },
+        { $inc: { 'engagement.inventory.doubleCoins': -1 } }
+      )).modifiedCount > 0;
+      if (doubleCoins) {
+        coins *= 2;
+      }
+      
+      if (await awardCoins(email, coins, `${category} Quiz Completion`, { score, total, category, doubleCoins, resultId: savedResult._id }, `quiz:${savedResult._id}`)) {
+        coinsAwarded = coins;
+      } else if (doubleCoins) {
+        // Nothing was awarded, so the charge goes back
+        await User.updateOne({ _id: user._id }, { $inc: { 'engagement.inventory.doubleCoins': 1 } });
+      }
+      console.log(`🪙 Awarded ${coins} coins for ${category} quiz completion`);
+    }
+  } catch (coinError) {
+    console.error('⚠️ Coin award error:', coinError.message);
+    // Don't fail quiz submission for coin errors
+  }
+
+  console.log('✅ Quiz submission completed successfully');
+  
+  const responseData = {
+    success: true,
+    message: 'Quiz submitted successfully',
+    result: {
+      id: savedResult._id,
+      score,
+      total,
+      percentage: Math.round((score / total) * 100),
+      aiGenerated: isAIGenerated,
+      quizType: savedResult.quizType,
+      category,
+      timeSpent,
+      lateAnswers
+    },
+    answers: graded.map(({ source, item, ...answer }) => answer),
+    topicResults: Object.entries(topicResults).map(([topic, perf]) => ({
+      topic,
+      correct: perf.correct,
+      total: perf.total,
+      accuracy: Math.round((perf.correct / perf.total) * 100)
+    })),
+    coinsAwarded,
+    masteryChanges: masteryChanges.map(formatMasteryTransition),
+    userPerformance: {
+      level: userPerformance.overallLevel,
+      quizzesTaken: userPerformance.quizzesTaken,
+      accuracy: Math.round(userPerformance.skillMetrics.accuracy * 100)
+    }
+  };
+
+  return responseData;
+}
+
+// Quiz submission route - grades answers server-side and tracks AI questions
+app.post('/submit-quiz', requireAuth, async (req, res) => {
+  try {
+    const { category, answers, quizType, quizToken } = req.body;
+    const { username, email } = req.user;
     
-    // Determine if this was an AI-generated quiz
-    let isAIGenerated = false;
-    let generationSource = 'MANUAL';
+    console.log('📝 Submitting quiz:', { 
+      username, 
+      email, 
+      category, 
+      answersCount: answers?.length, 
+      quizType
+    });
     
-    if (questionIds && questionIds.length > 0) {
-      // Check if any questions were AI-generated
-      const generatedQuestions = await GeneratedQuestion.find({
-        _id: { $in: questionIds.filter(id => id) },
-        generatedFor: email
-      }).select('_id');
-      
-      if (generatedQuestions.length > 0) {
-        isAIGenerated = true;
-        // Get the most common generation source
-        const sourceQuestions = await GeneratedQuestion.find({
-          _id: { $in: questionIds.filter(id => id) }
-        }).select('generatedBy');
-        
-        const sources = sourceQuestions.map(q => q.generatedBy).filter(Boolean);
-        if (sources.includes('COHERE_API')) generationSource = 'COHERE_API';
-        else if (sources.includes('PYTHON_COHERE')) generationSource = 'PYTHON_COHERE';
-        else if (sources.includes('INTELLIGENT_FALLBACK')) generationSource = 'INTELLIGENT_FALLBACK';
+    // Validate required fields
+    if (!category || !Array.isArray(answers) || answers.length === 0) {
+      console.error('❌ Missing required fields:', { category, answers: answers?.length });
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        details: 'category and a non-empty answers array are required'
+      });
+    }
+
+    // Challenge sets are graded only through their challenge, which allows one attempt
+    if (quizToken && jwt.decode(quizToken)?.challenge) {
+      return res.status(400).json({
+        error: 'Invalid answers',
+        details: 'Challenge quizzes must be submitted to their challenge'
+      });
+    }
+
+    const grading = await gradeQuizAnswers(req.user, category, answers, quizToken);
+    if (grading.error) {
+      console.error('❌ Invalid answers:', grading.error);
+      return res.status(400).json({ 
+        error: 'Invalid answers',
+        details: grading.error,
+        timedOut: !!grading.timedOut
+      });
+    }
+
+    // Bank quizzes are timed from their token; otherwise fall back to the answers' stamped times
+    const serverTimeSpent = grading.elapsedSeconds ?? grading.graded.reduce((sum, a) => sum + (a.timeSpent || 0), 0);
+    const saved = await saveGradedQuiz(req.user, category, grading, serverTimeSpent);
+    if (saved.error) {
+      return res.status(409).json({ error: 'Invalid answers', details: saved.error });
+    }
+    res.json(saved);
+  } catch (err) {
+    console.error('❌ Error submitting quiz:', err);
+    res.status(500).json({ 
+      error: 'Failed to submit quiz',
+      details: err.message 
+    });
+  }
+});
+
+// ========== CHALLENGES ==========
+// "Beat my score": a finished bank quiz is frozen into a challenge code. Anyone with the code
+// plays the identical question set and the scores are compared side by side (more correct
+// wins, then less time). A challenge can carry a coin wager; then it takes one opponent,
+// both stakes are held in escrow through the coin ledger, and the winner takes the pot once
+// the opponent finishes (a draw refunds both). Unclaimed wagers are refunded at expiry and an
+// opponent who accepted but never finished forfeits.
+
+const CHALLENGE_TTL_DAYS = 7;
+const CHALLENGE_MAX_WAGER = 500;
+const CHALLENGE_EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+
+function generateChallengeCode() {
+  return crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+// Move coins in or out of a challenge's escrow; keys make every movement happen once
+async function moveChallengeCoins(email, amount, action, challenge, key) {
+  const user = await User.findOne({ email }).select('_id');
+  if (!user) return { success: false, error: 'user-not-found' };
+  return applyCoinTransaction(user._id, amount, action, {
+    meta: { challengeCode: challenge.code, category: challenge.category },
+    idempotencyKey: `challenge:${challenge.code}:${key}`
+  });
+}
+
+// Who won between the creator and one opponent: 'creator', 'opponent' or 'draw'
+function challengeOutcome(creator, opponent) {
+  if (opponent.score !== creator.score) return opponent.score > creator.score ? 'opponent' : 'creator';
+  if ((opponent.timeSpent ?? Infinity) !== (creator.timeSpent ?? Infinity)) {
+    return (opponent.timeSpent ?? Infinity) < (creator.timeSpent ?? Infinity) ? 'opponent' : 'creator';
+  }
+  return 'draw';
+}
+
+// Pay out a wager challenge. Claimed by flipping open -> settling, so it runs once;
+// a challenge left 'settling' is finished by the expiry job.
+async function settleChallenge(challenge, outcome) {
+  if (challenge.status === 'open') {
+    challenge = await Challenge.findOneAndUpdate(
+      { _id: challenge._id, status: 'open' },
+      { $set: { status: 'settling', outcome } },
+      { new: true }
+    );
+    if (!challenge) return null;
+  }
+
+  const opponent = challenge.participants[0];
+  const pot = challenge.wager * (opponent?.acceptedAt ? 2 : 1);
+  const transfers = [];
+  if (challenge.wager > 0) {
+    if (challenge.outcome === 'draw' || challenge.outcome === 'expired') {
+      transfers.push([challenge.creatorEmail, challenge.wager, 'Challenge Refund', 'refund-creator']);
+      if (opponent?.acceptedAt) {
+        transfers.push([opponent.email, challenge.wager, 'Challenge Refund', 'refund-opponent']);
+      }
+    } else {
+      const winner = challenge.outcome === 'opponent' ? opponent.email : challenge.creatorEmail;
+      transfers.push([winner, pot, 'Challenge Won', 'payout']);
+    }
+  }
+
+  let paidInFull = true;
+  for (const [email, amount, reason, key] of transfers) {
+    const moved = await moveChallengeCoins(email, amount, reason, challenge, key);
+    if (!moved.success) {
+      paidInFull = false;
+      continue;
+    }
+    if (!challenge.payouts.some(payout => payout.key === key)) {
+      challenge.payouts.push({ email, amount, reason, key });
+    }
+  }
+  if (!paidInFull) {
+    // Stays 'settling' for the expiry job to retry; the ledger keys stop paid transfers repeating
+    await challenge.save();
+    console.error(`⚠️ Challenge ${challenge.code} could not be paid out in full; will retry`);
+    return challenge;
+  }
+
+  challenge.status = challenge.outcome === 'expired' ? 'expired' : 'settled';
+  challenge.settledAt = new Date();
+  await challenge.save();
+  console.log(`🤝 Challenge ${challenge.code} settled: ${challenge.outcome}`);
+  return challenge;
+}
+
+// Settle challenges past their expiry, and any left half-settled
+async function expireChallenges(now = new Date()) {
+  const due = await Challenge.find({
+    $or: [{ status: 'open', expiresAt: { $lte: now } }, { status: 'settling' }]
+  });
+  for (const challenge of due) {
+    if (challenge.status === 'settling') {
+      await settleChallenge(challenge, challenge.outcome);
+    } else if (challenge.wager > 0) {
+      const opponent = challenge.participants[0];
+      await settleChallenge(challenge, opponent?.acceptedAt ? 'creator' : 'expired');
+    } else {
+      await Challenge.updateOne({ _id: challenge._id, status: 'open' }, { $set: { status: 'expired' } });
+    }
+  }
+  return due.length;
+}
+
+function startChallengeExpiryJob() {
+  const timer = setInterval(async () => {
+    try {
+      await expireChallenges();
+    } catch (error) {
+      console.error('Challenge expiry error:', error);
+    }
+  }, CHALLENGE_EXPIRY_INTERVAL_MS);
+  timer.unref();
+}
+
+const OUTCOME_FOR_OPPONENT = { opponent: 'won', creator: 'lost', draw: 'draw' };
+
+function formatChallenge(challenge, email) {
+  const opponent = challenge.participants.find(p => p.email === email);
+  return {
+    code: challenge.code,
+    category: challenge.category,
+    questionCount: challenge.questionIds.length,
+    wager: challenge.wager,
+    status: challenge.status,
+    outcome: challenge.outcome || null,
+    expiresAt: challenge.expiresAt,
+    isCreator: challenge.creatorEmail === email,
+    // Side-by-side scores; an opponent's score shows once they've finished
+    creator: {
+      username: challenge.creatorUsername,
+      score: challenge.creatorResult.score,
+      total: challenge.creatorResult.total,
+      timeSpent: challenge.creatorResult.timeSpent
+    },
+    participants: challenge.participants
+      .filter(p => p.finishedAt)
+      .map(p => ({
+        username: p.username,
+        score: p.score,
+        total: p.total,
+        timeSpent: p.timeSpent,
+        result: OUTCOME_FOR_OPPONENT[challengeOutcome(challenge.creatorResult, p)],
+        finishedAt: p.finishedAt
+      })),
+    you: opponent ? { accepted: !!opponent.acceptedAt, started: !!opponent.quizId, finished: !!opponent.finishedAt } : null,
+    needsAccept: challenge.wager > 0 && challenge.creatorEmail !== email && !opponent?.acceptedAt
+  };
+}
+
+// Challenges you created or played, newest first
+app.get('/api/challenges', requireAuth, async (req, res) => {
+  try {
+    const { email } = req.user;
+    const challenges = await Challenge.find({ $or: [{ creatorEmail: email }, { 'participants.email': email }] })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+    res.json({ challenges: challenges.map(challenge => formatChallenge(challenge, email)) });
+  } catch (err) {
+    console.error('Error fetching challenges:', err);
+    res.status(500).json({ error: 'Failed to fetch challenges' });
+  }
+});
+
+// Freeze one of your finished quizzes into a challenge. Body: { resultId, wager }
+app.post('/api/challenges', requireAuth, async (req, res) => {
+  try {
+    const { resultId } = req.body;
+    const wager = req.body.wager === undefined ? 0 : Number(req.body.wager);
+    if (!mongoose.isObjectIdOrHexString(resultId)) {
+      return res.status(400).json({ error: 'Invalid result id' });
+    }
+    if (!Number.isInteger(wager) || wager < 0 || wager > CHALLENGE_MAX_WAGER) {
+      return res.status(400).json({ error: `wager must be a whole number from 0 to ${CHALLENGE_MAX_WAGER}` });
+    }
+
+    const result = await Result.findOne({ _id: resultId, email: req.user.email, invalidated: { $ne: true } }).lean();
+    if (!result) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    const questionIds = result.questionIds || [];
+    const bankCount = questionIds.length > 0
+      ? await Question.countDocuments({ _id: { $in: questionIds.filter(id => mongoose.isObjectIdOrHexString(id)) }, category: result.category })
+      : 0;
+    if (bankCount === 0 || bankCount !== questionIds.length) {
+      return res.status(400).json({ error: 'Only quizzes from the question bank can be shared as challenges' });
+    }
+
+    const code = generateChallengeCode();
+    const challenge = new Challenge({
+      code,
+      creatorEmail: req.user.email,
+      creatorUsername: req.user.username,
+      resultId: result._id,
+      category: result.category,
+      questionIds,
+      creatorResult: { score: result.score, total: result.total, timeSpent: result.timeSpent },
+      wager,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    if (wager > 0) {
+      const held = await moveChallengeCoins(req.user.email, -wager, 'Challenge Wager', challenge, 'stake-creator');
+      if (!held.success) {
+        return res.status(400).json({ error: held.error === 'insufficient-funds' ? 'Not enough coins for this wager' : 'Could not place the wager' });
+      }
+    }
+    try {
+      await challenge.save();
+    } catch (saveError) {
+      if (wager > 0) await moveChallengeCoins(req.user.email, wager, 'Challenge Refund', challenge, 'refund-creator');
+      throw saveError;
+    }
+
+    console.log(`🤝 ${req.user.email} created challenge ${code} (${result.category}, wager ${wager})`);
+    res.status(201).json({ challenge: formatChallenge(challenge, req.user.email), url: `/challenge.html?code=${code}` });
+  } catch (err) {
+    console.error('Error creating challenge:', err);
+    res.status(500).json({ error: 'Failed to create challenge' });
+  }
+});
+
+// Accept a wager challenge: your stake goes into escrow and you become its opponent
+app.post('/api/challenges/:code/accept', requireAuth, async (req, res) => {
+  try {
+    const { email, username } = req.user;
+    let challenge = await Challenge.findOne({ code: req.params.code.toUpperCase() });
+    if (!challenge) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+    if (challenge.creatorEmail === email) {
+      return res.status(400).json({ error: 'You cannot accept your own challenge' });
+    }
+    if (challenge.wager === 0) {
+      return res.status(400).json({ error: 'This challenge has no wager to accept' });
+    }
+
+    // Claim the single opponent slot before taking the stake
+    challenge = await Challenge.findOneAndUpdate(
+      { _id: challenge._id, status: 'open', expiresAt: { $gt: new Date() }, 'participants.0': { $exists: false } },
+      { $push: { participants: { email, username } } },
+      { new: true }
+    );
+    if (!challenge) {
+      return res.status(409).json({ error: 'This challenge has already been taken or has closed' });
+    }
+
+    const held = await moveChallengeCoins(email, -challenge.wager, 'Challenge Wager', challenge, 'stake-opponent');
+    if (!held.success) {
+      await Challenge.updateOne({ _id: challenge._id }, { $pull: { participants: { email } } });
+      return res.status(400).json({ error: held.error === 'insufficient-funds' ? 'Not enough coins for this wager' : 'Could not place the wager' });
+    }
+    challenge.participants[0].acceptedAt = new Date();
+    await challenge.save();
+
+    res.json({ challenge: formatChallenge(challenge, email) });
+  } catch (err) {
+    console.error('Error accepting challenge:', err);
+    res.status(500).json({ error: 'Failed to accept challenge' });
+  }
+});
+
+// A challenge with side-by-side scores. Players who can still take it also get the frozen
+// question set (answer-stripped) and a quiz token to submit with. Each player is issued one
+// token: reloading hands back the same token and clock rather than a fresh attempt.
+app.get('/api/challenges/:code', requireAuth, async (req, res) => {
+  try {
+    const { email, username } = req.user;
+    const challenge = await Challenge.findOne({ code: req.params.code.toUpperCase() }).lean();
+    if (!challenge) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+    const formatted = formatChallenge(challenge, email);
+    const canPlay = challenge.status === 'open' && challenge.expiresAt > new Date()
+      && !formatted.isCreator && !formatted.needsAccept && !formatted.you?.finished;
+    if (!canPlay) {
+      return res.json({ challenge: formatted, questions: null });
+    }
+
+    let seat = challenge.participants.find(p => p.email === email);
+    if (!seat?.quizId) {
+      const quizId = crypto.randomUUID();
+      const servedAt = new Date();
+      const claimed = challenge.wager > 0
+        ? await Challenge.findOneAndUpdate(
+            { _id: challenge._id, status: 'open', participants: { $elemMatch: { email, quizId: null } } },
+            { $set: { 'participants.$.quizId': quizId, 'participants.$.servedAt': servedAt } },
+            { new: true }
+          )
+        : await Challenge.findOneAndUpdate(
+            { _id: challenge._id, status: 'open', 'participants.email': { $ne: email } },
+            { $push: { participants: { email, username, quizId, servedAt } } },
+            { new: true }
+          );
+      // A concurrent load may have claimed the seat first; use whatever it issued
+      const current = claimed || await Challenge.findById(challenge._id).lean();
+      seat = current?.participants.find(p => p.email === email);
+      if (!seat?.quizId) {
+        return res.status(409).json({ error: 'This challenge has closed' });
+      }
+    }
+
+    const questions = await Question.find({ _id: { $in: challenge.questionIds } }).lean();
+    const byId = new Map(questions.map(q => [String(q._id), q]));
+    const ordered = challenge.questionIds.map(id => byId.get(id)).filter(Boolean);
+    const limits = getTimeLimits(challenge.category);
+    const quizToken = signQuizToken(req.user, challenge.category, ordered.map(q => q._id), {
+      claims: { challenge: challenge.code, iat: Math.floor(new Date(seat.servedAt).getTime() / 1000) },
+      quizId: seat.quizId
+    });
+
+    res.json({
+      challenge: formatted,
+      questions: ordered.map(q => ({
+        id: q._id,
+        question: q.question,
+        options: shuffleArray(q.options),
+        topic: q.topic,
+        difficulty: q.difficulty
+      })),
+      quizToken,
+      servedAt: seat.servedAt,
+      timeLimits: {
+        perQuestionSeconds: limits.perQuestionSeconds,
+        perQuizSeconds: limits.perQuizSeconds,
+        allowedSeconds: quizAllowanceSeconds(limits, ordered.length)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching challenge:', err);
+    res.status(500).json({ error: 'Failed to fetch challenge' });
+  }
+});
+
+// Submit answers to a challenge; graded and saved like any quiz, then compared with the creator's
+app.post('/api/challenges/:code/submit', requireAuth, async (req, res) => {
+  try {
+    const { email, username } = req.user;
+    const { answers, quizToken } = req.body;
+    if (!Array.isArray(answers) || answers.length === 0 || !quizToken) {
+      return res.status(400).json({ error: 'answers and quizToken are required' });
+    }
+
+    const challenge = await Challenge.findOne({ code: req.params.code.toUpperCase() });
+    if (!challenge) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+    const claims = jwt.decode(quizToken);
+    if (claims?.challenge !== challenge.code) {
+      return res.status(400).json({ error: 'Quiz token is not for this challenge' });
+    }
+    const formatted = formatChallenge(challenge, email);
+    if (challenge.status !== 'open' || formatted.isCreator || formatted.needsAccept || formatted.you?.finished) {
+      return res.status(409).json({ error: 'You cannot submit to this challenge' });
+    }
+
+    // Claim the player's seat before anything is saved, so a retry can never save or pay twice
+    const seatFilter = { email, quizId: claims.jti };
+    const claimed = await Challenge.findOneAndUpdate(
+      { _id: challenge._id, status: 'open', participants: { $elemMatch: { ...seatFilter, submittedAt: null } } },
+      { $set: { 'participants.$.submittedAt': new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: 'This challenge has already been submitted or has closed' });
+    }
+
+    const grading = await gradeQuizAnswers(req.user, challenge.category, answers, quizToken);
+    if (grading.error) {
+      // Nothing was saved, so the seat is released for another try with the same token
+      await Challenge.updateOne(
+        { _id: challenge._id, participants: { $elemMatch: seatFilter } },
+        { $set: { 'participants.$.submittedAt': null } }
+      );
+      return res.status(400).json({ error: 'Invalid answers', details: grading.error, timedOut: !!grading.timedOut });
+    }
+    const body = await saveGradedQuiz(req.user, challenge.category, grading, grading.elapsedSeconds);
+    if (body.error) {
+      return res.status(409).json({ error: body.error });
+    }
+
+    const attempt = {
+      username,
+      resultId: body.result.id,
+      score: body.result.score,
+      total: body.result.total,
+      timeSpent: body.result.timeSpent,
+      finishedAt: new Date()
+    };
+    const updated = await Challenge.findOneAndUpdate(
+      { _id: challenge._id, participants: { $elemMatch: seatFilter } },
+      { $set: Object.fromEntries(Object.entries(attempt).map(([key, value]) => [`participants.$.${key}`, value])) },
+      { new: true }
+    );
+
+    const outcome = challengeOutcome(updated.creatorResult, attempt);
+    let settled = updated;
+    if (updated.wager > 0) {
+      settled = await settleChallenge(updated, outcome) || await Challenge.findById(updated._id);
+    }
+    // Only what the ledger actually paid this player
+    const coinsWon = settled.payouts
+      .filter(payout => payout.email === email && payout.reason === 'Challenge Won')
+      .reduce((sum, payout) => sum + payout.amount, 0);
+
+    res.json({
+      ...body,
+      challenge: formatChallenge(settled, email),
+      outcome: OUTCOME_FOR_OPPONENT[outcome],
+      coinsWon
+    });
+  } catch (err) {
+    console.error('Error submitting challenge:', err);
+    res.status(500).json({ error: 'Failed to submit challenge' });
+  }
+});
+
+// Creator: cancel an open challenge nobody has taken; a wager is refunded
+app.delete('/api/challenges/:code', requireAuth, async (req, res) => {
+  try {
+    const challenge = await Challenge.findOneAndUpdate(
+      { code: req.params.code.toUpperCase(), creatorEmail: req.user.email, status: 'open', 'participants.0': { $exists: false } },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!challenge) {
+      return res.status(409).json({ error: 'Only an open challenge nobody has taken can be cancelled' });
+    }
+    if (challenge.wager > 0) {
+      await moveChallengeCoins(challenge.creatorEmail, challenge.wager, 'Challenge Refund', challenge, 'refund-creator');
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error cancelling challenge:', err);
+    res.status(500).json({ error: 'Failed to cancel challenge' });
+  }
+});
+
+// ========== QUIZ SESSIONS ==========
+// Adaptive AI quizzes run as a QuizSession. The server serves each question, grades each
+// answer and adapts from what it recorded, so the client never reports correctness.
+// A session left idle for QUIZ_SESSION_IDLE_MINUTES expires and can't be finished.
+
+const QUIZ_SESSION_IDLE_MS = (parseInt(process.env.QUIZ_SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+const QUIZ_SESSION_MAX_QUESTIONS = 30;
+
+function sessionExpiry(now = new Date()) {
+  return new Date(now.getTime() + QUIZ_SESSION_IDLE_MS);
+}
+
+function answeredSessionQuestions(session) {
+  return session.questions.filter(q => q.answeredAt);
+}
+
+// Seconds since the session started, and the deadline when the category has a quiz limit
+function sessionClock(session, now = new Date()) {
+  const limits = getTimeLimits(session.category);
+  return {
+    limits,
+    quizSeconds: secondsSince(session.startedAt, now),
+    deadline: limits.perQuizSeconds ? new Date(session.startedAt.getTime() + limits.perQuizSeconds * 1000) : null
+  };
+}
+
+function formatQuizSession(session) {
+  const answered = answeredSessionQuestions(session);
+  const { limits, deadline } = sessionClock(session);
+  return {
+    id: session._id,
+    category: session.category,
+    status: session.status,
+    totalQuestions: session.totalQuestions,
+    answered: answered.length,
+    correct: answered.filter(q => q.isCorrect).length,
+    answers: answered.map(q => ({
+      questionId: q.questionId,
+      topic: q.topic,
+      difficulty: q.difficulty,
+      selectedOption: q.selectedOption,
+      isCorrect: q.isCorrect,
+      timeSpent: q.timeSpent,
+      timedOut: !!q.timedOut
+    })),
+    currentQuestionId: session.currentQuestionId || null,
+    resultId: session.resultId || null,
+    startedAt: session.startedAt,
+    expiresAt: session.expiresAt,
+    timeLimits: {
+      perQuestionSeconds: limits.perQuestionSeconds,
+      perQuizSeconds: limits.perQuizSeconds,
+      deadline
+    }
+  };
+}
+
+// Load the caller's session, expiring it if it has been idle too long. Sends the error
+// response and returns null when the session can't be used.
+async function loadActiveQuizSession(req, res) {
+  if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+    res.status(400).json({ error: 'Invalid session id' });
+    return null;
+  }
+  const session = await QuizSession.findOne({ _id: req.params.id, email: req.user.email });
+  if (!session) {
+    res.status(404).json({ error: 'Quiz session not found' });
+    return null;
+  }
+  if (session.status === 'active' && session.expiresAt < new Date()) {
+    await QuizSession.updateOne({ _id: session._id, status: 'active' }, { $set: { status: 'expired' } });
+    session.status = 'expired';
+  }
+  if (session.status !== 'active') {
+    res.status(session.status === 'expired' ? 410 : 409).json({
+      error: `This quiz session is ${session.status}`,
+      session: formatQuizSession(session)
+    });
+    return null;
+  }
+  return session;
+}
+
+async function expireIdleQuizSessions() {
+  const result = await QuizSession.updateMany(
+    { status: 'active', expiresAt: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+}
+
+function startQuizSessionExpiryJob() {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireIdleQuizSessions();
+      if (expired > 0) {
+        console.log(`⌛ Expired ${expired} idle quiz session(s)`);
+      }
+    } catch (error) {
+      console.error('Quiz session expiry error:', error);
+    }
+  }, 5 * 60 * 1000);
+  timer.unref();
+}
+
+// The question waiting for an answer, in the shape /next returns
+async function getWaitingSessionQuestion(session) {
+  const question = await GeneratedQuestion.findOne({ _id: session.currentQuestionId, generatedFor: session.email }).lean();
+  if (!question) return null;
+  return {
+    id: question._id,
+    question: question.question,
+    options: question.options,
+    difficulty: question.difficulty,
+    topic: question.topic,
+    generatedBy: question.generatedBy
+  };
+}
+
+// Start an adaptive quiz session, or resume the active one for this category
+app.post('/api/sessions', requireAuth, async (req, res) => {
+  try {
+    const { restart } = req.body;
+    const { email } = req.user;
+    const { provider, error: providerError } = getRequestedProvider(req);
+    if (providerError) {
+      return res.status(400).json({ error: providerError });
+    }
+    if (!req.body.category) {
+      return res.status(400).json({ error: 'Category is required' });
+    }
+    const category = getCategoryEntry(req.body.category)?.id;
+    if (!category) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    await expireIdleQuizSessions();
+    const existing = await QuizSession.findOne({ email, category, status: 'active' });
+    if (existing && restart !== true) {
+      existing.lastActivityAt = new Date();
+      existing.expiresAt = sessionExpiry(existing.lastActivityAt);
+      await existing.save();
+      return res.json({ resumed: true, session: formatQuizSession(existing) });
+    }
+    if (existing) {
+      existing.status = 'expired';
+      await existing.save();
+    }
+
+    const totalQuestions = Math.min(Math.max(parseInt(req.body.totalQuestions) || 10, 1), QUIZ_SESSION_MAX_QUESTIONS);
+    const session = await QuizSession.create({
+      email,
+      category,
+      totalQuestions,
+      provider,
+      expiresAt: sessionExpiry()
+    });
+
+    res.status(201).json({ resumed: false, session: formatQuizSession(session) });
+  } catch (err) {
+    console.error('Error starting quiz session:', err);
+    res.status(500).json({ error: 'Failed to start quiz session' });
+  }
+});
+
+// Current state of a session, for resuming after a reload
+app.get('/api/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+    const session = await QuizSession.findOne({ _id: req.params.id, email: req.user.email });
+    if (!session) {
+      return res.status(404).json({ error: 'Quiz session not found' });
+    }
+    res.json({ session: formatQuizSession(session) });
+  } catch (err) {
+    console.error('Error fetching quiz session:', err);
+    res.status(500).json({ error: 'Failed to fetch quiz session' });
+  }
+});
+
+// Next adaptive question. A question already waiting for an answer is returned again.
+app.get('/api/sessions/:id/next', requireAuth, async (req, res) => {
+  try {
+    const session = await loadActiveQuizSession(req, res);
+    if (!session) return;
+    const { email } = req.user;
+    const { category } = session;
+
+    if (session.currentQuestionId) {
+      const waiting = await getWaitingSessionQuestion(session);
+      if (waiting) {
+        return res.json({
+          question: waiting,
+          questionNumber: session.questions.length,
+          totalQuestions: session.totalQuestions,
+          resumed: true
+        });
+      }
+    }
+
+    const answered = answeredSessionQuestions(session);
+    if (answered.length >= session.totalQuestions) {
+      return res.status(409).json({ error: 'All questions have been answered; finish the session', session: formatQuizSession(session) });
+    }
+    const { deadline } = sessionClock(session);
+    if (deadline && new Date() > deadline) {
+      return res.status(409).json({ error: 'Time is up for this quiz; finish the session', timedOut: true, session: formatQuizSession(session) });
+    }
+
+    let userPerformance = await UserPerformance.findOne({ email, category });
+    if (!userPerformance) {
+      userPerformance = new UserPerformance({
+        email,
+        category,
+        overallLevel: 'beginner',
+        detailedProfile: { learningStyle: 'practical' },
+        weakAreas: [],
+        strongAreas: [],
+        skillMetrics: { accuracy: 0.5 }
+      });
+      await userPerformance.save();
+    }
+
+    // Adapt from the answers this session graded, not from anything the client sends
+    const previousAnswers = answered.map(q => ({
+      questionId: q.questionId,
+      isCorrect: q.isCorrect,
+      topic: q.topic,
+      difficulty: q.difficulty,
+      timeSpent: q.timeSpent
+    }));
+    const adaptedProfile = await analyzeAndAdaptUserProfile(userPerformance, previousAnswers, category);
+    const questionNumber = answered.length + 1;
+    const question = await generateSingleAdaptiveQuestionFast(
+      email,
+      category,
+      adaptedProfile,
+      questionNumber,
+      previousAnswers,
+      session.provider
+    );
+    if (!question) {
+      return res.status(500).json({ error: 'Failed to generate question' });
+    }
+    await GeneratedQuestion.updateOne({ _id: question.id }, { $set: { sessionId: session._id } });
+
+    // Only one request may serve the next question; a concurrent one gets the winner's question
+    const now = new Date();
+    const updated = await QuizSession.findOneAndUpdate(
+      { _id: session._id, status: 'active', currentQuestionId: null, questions: { $size: session.questions.length } },
+      {
+        $set: { currentQuestionId: String(question.id), lastActivityAt: now, expiresAt: sessionExpiry(now) },
+        $push: { questions: { questionId: String(question.id), topic: question.topic, difficulty: question.difficulty, servedAt: now } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await QuizSession.findById(session._id);
+      const waiting = current?.currentQuestionId && await getWaitingSessionQuestion(current);
+      if (!waiting) {
+        return res.status(409).json({ error: 'The session changed while the question was generated; try again' });
+      }
+      return res.json({ question: waiting, questionNumber: current.questions.length, totalQuestions: current.totalQuestions, resumed: true });
+    }
+
+    res.json({
+      question: toClientQuestion(question),
+      questionNumber,
+      totalQuestions: session.totalQuestions,
+      adaptationInfo: {
+        currentLevel: adaptedProfile.currentLevel,
+        focusArea: adaptedProfile.focusArea,
+        accuracyTrend: adaptedProfile.accuracyTrend,
+        abilityEstimate: adaptedProfile.abilityEstimate,
+        targetDifficulty: adaptedProfile.targetDifficulty,
+        questionNumber,
+        totalQuestions: session.totalQuestions
+      },
+      aiModel: question._aiMetadata?.model || 'Intelligent-Fallback'
+    });
+  } catch (err) {
+    console.error('Error serving next session question:', err);
+    res.status(500).json({ error: 'Failed to get the next question', details: err.message });
+  }
+});
+
+// Grade the waiting question. The answer is locked in and used when the session finishes.
+app.post('/api/sessions/:id/answer', requireAuth, async (req, res) => {
+  try {
+    const { questionId, selectedOption } = req.body;
+    if (!questionId || typeof selectedOption !== 'string') {
+      return res.status(400).json({ error: 'questionId and selectedOption are required' });
+    }
+
+    const session = await loadActiveQuizSession(req, res);
+    if (!session) return;
+    if (session.currentQuestionId !== String(questionId)) {
+      return res.status(409).json({ error: 'That question is not waiting for an answer in this session' });
+    }
+
+    const question = await GeneratedQuestion.findOne({ _id: session.currentQuestionId, generatedFor: req.user.email });
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const now = new Date();
+    const served = session.questions.find(q => q.questionId === session.currentQuestionId);
+    const timeSpent = served ? secondsSince(served.servedAt, now) : 0;
+    const { limits, quizSeconds } = sessionClock(session, now);
+    const timedOut = isLateAnswer(limits, timeSpent, quizSeconds);
+    const rejected = timedOut && limits.latePolicy === 'reject';
+    const recordedOption = rejected ? null : selectedOption;
+    const isCorrect = !timedOut && selectedOption === question.correctAnswer;
+
+    const updated = await QuizSession.findOneAndUpdate(
+      { _id: session._id, status: 'active', currentQuestionId: session.currentQuestionId },
+      {
+        $set: {
+          currentQuestionId: null,
+          'questions.$[q].selectedOption': recordedOption,
+          'questions.$[q].isCorrect': isCorrect,
+          'questions.$[q].timeSpent': timeSpent,
+          'questions.$[q].timedOut': timedOut,
+          'questions.$[q].answeredAt': now,
+          lastActivityAt: now,
+          expiresAt: sessionExpiry(now)
+        }
+      },
+      { new: true, arrayFilters: [{ 'q.questionId': session.currentQuestionId }] }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: 'This question has already been answered' });
+    }
+
+    if (question.userResponse?.submittedAt == null) {
+      question.userResponse = { selectedOption: recordedOption, wasCorrect: isCorrect, timeSpent, timedOut, submittedAt: now };
+      await question.save();
+    }
+
+    const answered = answeredSessionQuestions(updated).length;
+    if (rejected) {
+      return res.status(409).json({
+        error: 'Time limit exceeded',
+        timedOut: true,
+        correctAnswer: question.correctAnswer,
+        answered,
+        totalQuestions: updated.totalQuestions,
+        complete: answered >= updated.totalQuestions
+      });
+    }
+    res.json({
+      questionId: question._id,
+      selectedOption,
+      isCorrect,
+      timedOut,
+      timeSpent,
+      correctAnswer: question.correctAnswer,
+      explanation: question.explanation,
+      topic: question.topic,
+      answered,
+      totalQuestions: updated.totalQuestions,
+      complete: answered >= updated.totalQuestions
+    });
+  } catch (err) {
+    console.error('Error answering session question:', err);
+    res.status(500).json({ error: 'Failed to record answer' });
+  }
+});
+
+// Grade the whole session and save its Result. Finishing twice returns the saved result id.
+app.post('/api/sessions/:id/finish', requireAuth, async (req, res) => {
+  try {
+    if (mongoose.isObjectIdOrHexString(req.params.id)) {
+      const finished = await QuizSession.findOne({ _id: req.params.id, email: req.user.email, status: 'finished' });
+      if (finished) {
+        return res.json({ success: true, alreadyFinished: true, session: formatQuizSession(finished) });
+      }
+    }
+
+    const session = await loadActiveQuizSession(req, res);
+    if (!session) return;
+    if (session.questions.length === 0) {
+      return res.status(400).json({ error: 'No questions have been served in this session' });
+    }
+
+    // Served questions that were never answered count as wrong
+    const answers = session.questions.map(q => ({
+      questionId: q.questionId,
+      selectedOption: q.selectedOption ?? null
+    }));
+    const grading = await gradeQuizAnswers(req.user, session.category, answers, null, {
+      sessionId: session._id,
+      quizId: `session:${session._id}`,
+      questionIds: session.questions.map(q => q.questionId)
+    });
+    if (grading.error) {
+      return res.status(400).json({ error: 'Invalid answers', details: grading.error });
+    }
+
+    const finishedAt = new Date();
+    const claimed = await QuizSession.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      { $set: { status: 'finished', finishedAt, currentQuestionId: null } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: 'This quiz session was already finished' });
+    }
+
+    let responseData;
+    try {
+      responseData = await saveGradedQuiz(req.user, session.category, grading, secondsSince(session.startedAt, finishedAt));
+      if (responseData.error) {
+        // An earlier attempt saved the Result before failing; keep that one
+        const saved = await Result.findOne({ quizId: grading.quizId }).select('_id');
+        claimed.resultId = saved?._id;
+        await claimed.save();
+        return res.json({ success: true, alreadyFinished: true, session: formatQuizSession(claimed) });
+      }
+    } catch (saveError) {
+      await QuizSession.updateOne({ _id: session._id }, { $set: { status: 'active' }, $unset: { finishedAt: '' } });
+      throw saveError;
+    }
+
+    claimed.resultId = responseData.result.id;
+    await claimed.save();
+
+    res.json({ ...responseData, session: formatQuizSession(claimed) });
+  } catch (err) {
+    console.error('Error finishing quiz session:', err);
+    res.status(500).json({ error: 'Failed to finish quiz session', details: err.message });
+  }
+});
+
+// Serve HTML
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'signup.html'));
+});
+
+app.use(express.static('public'));
+
+// categories.html links AI<SLUG>QUIZ.html for every category; they all open AIQUIZ.html
+app.get(/^\/AI([A-Z]+)QUIZ\.html$/, (req, res, next) => {
+  const entry = CATEGORY_REGISTRY.find(c => c.pageSlug === req.params[0]);
+  if (!entry) return next();
+  res.redirect(`/${categoryPages(entry).aiQuizPage}`);
+});
+
+// Signup route
+app.post('/signup', async (req, res) => {
+  const { username, email, password } = req.body;
+
+  try {
+    const existing = await User.findOne({ email });
+    if (existing) return res.status(400).send('❌ Email already registered.');
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const user = new User({
+      username,
+      email,
+      password: hashedPassword,
+      engagement: { coins: { ledgerMigratedAt: new Date() } }
+    });
+    await user.save();
+
+    res.send('✅ Signup successful! You can now log in.');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('❌ Error during signup.');
+  }
+});
+
+// Login route
+app.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Find user by email
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+
+    // Verify password
+    const passwordMatch = await bcrypt.compare(password, user.password);
+    if (!passwordMatch) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+
+    if (user.disabled) {
+      return res.status(403).json({ success: false, message: 'This account has been disabled' });
+    }
+
+    // Update daily streak and award coins
+    const engagementUpdate = await updateDailyStreakOnLogin(email);
+
+    // Issue the session; browsers get httpOnly cookies, API clients use the returned tokens
+    const tokens = await createSession(user, req);
+    setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
+
+    // Return success response with engagement info
+    return res.json({
+      success: true,
+      message: 'Login successful',
+      user: {
+        username: user.username,
+        email: user.email
+      },
+      ...tokens,
+      engagement: engagementUpdate
+    });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const refreshed = await findRefreshSession(req.body?.refreshToken || req.cookies?.refreshToken);
+    if (!refreshed) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const { session, user } = refreshed;
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    session.refreshTokenHash = hashToken(refreshToken);
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+    await session.save();
+
+    const accessToken = signAccessToken(user, session._id);
+    setAuthCookies(res, accessToken, refreshToken);
+
+    res.json({ success: true, accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Revoke the current session and clear the auth cookies
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const refreshed = await findRefreshSession(req.body?.refreshToken || req.cookies?.refreshToken);
+    let sessionId = refreshed?.session._id;
+
+    const accessToken = getBearerToken(req) || req.cookies?.accessToken;
+    if (!sessionId && accessToken) {
+      try {
+        sessionId = jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true }).sid;
+      } catch (tokenError) {
+        // Nothing to revoke for a token we didn't sign
       }
     }
-    
-    // Override with quizType if provided
-    if (quizType === 'ai-powered') {
-      isAIGenerated = true;
-      if (generationSource === 'MANUAL') {
-        generationSource = 'COHERE_API'; // Default for AI quizzes
+
+    if (sessionId && mongoose.isObjectIdOrHexString(sessionId)) {
+      await Session.updateOne({ _id: sessionId }, { revokedAt: new Date() });
+    }
+
+    clearAuthCookies(res);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Current signed-in user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({
+    user: {
+      username: req.user.username,
+      email: req.user.email,
+      role: req.user.role || 'user',
+      avatar: req.user.avatar || 'fa-user'
+    }
+  });
+});
+
+// Helper function to update daily streak and award coins
+async function updateDailyStreakOnLogin(email) {
+  const user = await User.findOne({ email });
+  if (!user) return { success: false, error: 'User not found' };
+
+  const today = new Date();
+  const lastActiveDate = user.engagement?.streak?.lastActiveDate;
+
+  // Initialize engagement fields if missing
+  if (!user.engagement) {
+    user.engagement = {
+      streak: { current: 0, longest: 0, lastActiveDate: null },
+      coins: { balance: 0, lifetimeEarned: 0, lifetimeSpent: 0, ledgerMigratedAt: new Date() }
+    };
+  }
+
+  // Check if the user has already logged in today
+  if (lastActiveDate && lastActiveDate.toDateString() === today.toDateString()) {
+    return {
+      success: true,
+      alreadyUpdated: true,
+      streak: user.engagement.streak,
+      coins: coinSummary(user)
+    };
+  }
+
+  // Update streak; owned streak freezes cover missed days (one freeze per day)
+  let streakFreezesUsed = 0;
+  const daysSinceActive = lastActiveDate ? calendarDaysBetween(lastActiveDate, today) : null;
+  // Freezes are taken with a conditional $inc, so one bought at the same moment is not overwritten
+  const freezesSpent = daysSinceActive > 1 && (await User.updateOne(
+    { _id: user._id, 'engagement.inventory.streakFreezes': { $gte: daysSinceActive - 1 } },
+    { $inc: { 'engagement.inventory.streakFreezes': -(daysSinceActive - 1) } }
+  )).modifiedCount > 0;
+  if (daysSinceActive === 1) {
+    user.engagement.streak.current += 1; // Increment streak
+  } else if (freezesSpent) {
+    streakFreezesUsed = daysSinceActive - 1;
+    user.engagement.streak.current += 1;
+  } else {
+    user.engagement.streak.current = 1; // Reset streak
+  }
+
+  // Update longest streak
+  if (user.engagement.streak.current > user.engagement.streak.longest) {
+    user.engagement.streak.longest = user.engagement.streak.current;
+  }
+
+  // Update last active date
+  user.engagement.streak.lastActiveDate = new Date();
+
+  // Save the updated streak
+  await user.save();
+
+  // Award daily login coins; the date key stops two simultaneous logins from both paying out
+  await applyCoinTransaction(user._id, COIN_REWARDS.DAILY_LOGIN, 'Daily Login', {
+    idempotencyKey: `daily-login:${today.toDateString()}`
+  });
+  const updated = await User.findById(user._id).select('engagement.coins');
+
+  return {
+    success: true,
+    streak: user.engagement.streak,
+    coins: coinSummary(updated),
+    streakFreezesUsed
+  };
+}
+
+// Whole calendar days from one date to another (server local time)
+function calendarDaysBetween(from, to) {
+  const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.round((startOfDay(new Date(to)) - startOfDay(new Date(from))) / (24 * 60 * 60 * 1000));
+}
+
+// API to fetch engagement summary
+app.get('/api/engagement/summary', requireAuth, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const streak = user.engagement?.streak || { current: 0, longest: 0 };
+    const coins = coinSummary(user);
+
+    res.json({ streak, coins, inventory: getInventorySummary(user), avatar: user.avatar });
+  } catch (err) {
+    console.error('Error fetching engagement summary:', err);
+    res.status(500).json({ error: 'Failed to fetch engagement summary' });
+  }
+});
+
+// ========== ADMIN API ==========
+// Every endpoint here requires the admin role and writes an AuditLog entry for changes.
+
+const ADMIN_USER_FIELDS = '-password -engagement.coins.history';
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function findUserForAdmin(id) {
+  return mongoose.isObjectIdOrHexString(id) ? await User.findById(id) : null;
+}
+
+// Search users by username or email
+app.get('/api/admin/users', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(String(req.query.search)), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.disabled !== undefined) filter.disabled = req.query.disabled === 'true' ? true : { $ne: true };
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(ADMIN_USER_FIELDS).sort({ email: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ users, total, page, limit });
+  } catch (err) {
+    console.error('Error listing users:', err);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// One user's account, recent results and coin history
+app.get('/api/admin/users/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await findUserForAdmin(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [results, coinHistory] = await Promise.all([
+      Result.find({ email: user.email }).sort({ submittedAt: -1 }).limit(50).lean(),
+      CoinTransaction.find({ userId: user._id }).sort({ createdAt: -1, _id: -1 }).limit(100).lean()
+    ]);
+    const { password, ...account } = user.toObject();
+
+    res.json({ user: account, results, coinHistory });
+  } catch (err) {
+    console.error('Error fetching user for admin:', err);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// All of a user's quiz results, including invalidated ones
+app.get('/api/admin/users/:id/results', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await findUserForAdmin(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const results = await Result.find({ email: user.email }).sort({ submittedAt: -1 }).lean();
+    res.json({ email: user.email, results });
+  } catch (err) {
+    console.error('Error fetching user results for admin:', err);
+    res.status(500).json({ error: 'Failed to fetch results' });
+  }
+});
+
+// Add or remove coins; a reason is required and the balance can't go negative
+app.post('/api/admin/users/:id/coins', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ error: 'amount must be a non-zero whole number' });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    const found = await findUserForAdmin(req.params.id);
+    const user = found && await ensureUserEngagement(found.email);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const key = getIdempotencyKey(req);
+    const result = await applyCoinTransaction(user._id, amount, 'Admin Adjustment', {
+      meta: { reason, adminEmail: req.user.email },
+      idempotencyKey: key && `admin:${key}`
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: `Balance is only ${user.engagement.coins.balance} coins` });
+    }
+
+    if (!result.duplicate) {
+      await writeAuditLog(req.user, 'user.coins.adjust', { type: 'user', id: user._id }, {
+        before: { balance: result.balance - amount },
+        after: { balance: result.balance },
+        note: reason
+      });
+    }
+
+    res.json({ success: true, balance: result.balance, transactionId: result.transaction._id });
+  } catch (err) {
+    console.error('Error adjusting coins:', err);
+    res.status(500).json({ error: 'Failed to adjust coins' });
+  }
+});
+
+// Check every balance against the coin ledger; { fix: true } also repairs drifted balances
+app.post('/api/admin/coins/reconcile', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const fix = req.body?.fix === true;
+    const report = await reconcileCoinBalances({ fix });
+
+    if (fix && report.mismatched.length > 0) {
+      await writeAuditLog(req.user, 'coins.reconcile', { type: 'system', id: 'coins' }, {
+        after: { checked: report.checked, mismatched: report.mismatched.length, fixed: report.fixed, skipped: report.skipped }
+      });
+    }
+
+    res.json({ fix, ...report });
+  } catch (err) {
+    console.error('Error reconciling coins:', err);
+    res.status(500).json({ error: 'Failed to reconcile coins' });
+  }
+});
+
+// Change a user's role
+app.patch('/api/admin/users/:id/role', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${User.schema.path('role').enumValues.join(', ')}` });
+    }
+
+    const user = await findUserForAdmin(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user._id.equals(req.user._id) && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const before = user.role;
+    user.role = role;
+    await user.save();
+
+    await writeAuditLog(req.user, 'user.role', { type: 'user', id: user._id }, {
+      before: { role: before },
+      after: { role },
+      note: req.body.reason
+    });
+
+    res.json({ success: true, role });
+  } catch (err) {
+    console.error('Error changing role:', err);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// Disable an account: signs it out everywhere and blocks future logins.
+// Pass invalidateResults: true to also pull the account's results from the leaderboard.
+app.post('/api/admin/users/:id/disable', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    const user = await findUserForAdmin(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+
+    user.disabled = true;
+    user.disabledAt = new Date();
+    user.disabledReason = reason;
+    await user.save();
+
+    await Session.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    let invalidatedResults = 0;
+    if (req.body.invalidateResults === true) {
+      const result = await Result.updateMany(
+        { email: user.email, invalidated: { $ne: true } },
+        { $set: { invalidated: true, invalidatedAt: new Date(), invalidatedReason: reason } }
+      );
+      invalidatedResults = result.modifiedCount;
+    }
+
+    await writeAuditLog(req.user, 'user.disable', { type: 'user', id: user._id }, {
+      before: { disabled: false },
+      after: { disabled: true, invalidatedResults },
+      note: reason
+    });
+
+    res.json({ success: true, invalidatedResults });
+  } catch (err) {
+    console.error('Error disabling user:', err);
+    res.status(500).json({ error: 'Failed to disable user' });
+  }
+});
+
+// Re-enable a disabled account
+app.post('/api/admin/users/:id/enable', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await findUserForAdmin(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    user.disabled = false;
+    user.disabledAt = undefined;
+    user.disabledReason = undefined;
+    await user.save();
+
+    await writeAuditLog(req.user, 'user.enable', { type: 'user', id: user._id }, {
+      before: { disabled: true },
+      after: { disabled: false },
+      note: req.body.reason
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error enabling user:', err);
+    res.status(500).json({ error: 'Failed to enable user' });
+  }
+});
+
+// Invalidate a result: kept for the record, dropped from leaderboards and stats
+app.post('/api/admin/results/:id/invalidate', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid result id' });
+    }
+
+    const result = await Result.findById(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+
+    result.invalidated = true;
+    result.invalidatedAt = new Date();
+    result.invalidatedReason = reason;
+    await result.save();
+
+    await writeAuditLog(req.user, 'result.invalidate', { type: 'result', id: result._id }, {
+      before: { invalidated: false, email: result.email, score: result.score },
+      after: { invalidated: true },
+      note: reason
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error invalidating result:', err);
+    res.status(500).json({ error: 'Failed to invalidate result' });
+  }
+});
+
+// Delete a result outright; the audit entry keeps a copy
+app.delete('/api/admin/results/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid result id' });
+    }
+
+    const result = await Result.findByIdAndDelete(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+
+    await writeAuditLog(req.user, 'result.delete', { type: 'result', id: result._id }, {
+      before: result.toObject(),
+      note: req.body?.reason
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting result:', err);
+    res.status(500).json({ error: 'Failed to delete result' });
+  }
+});
+
+// Browse the audit log, newest first
+app.get('/api/admin/audit-log', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+    if (req.query.targetId) filter.targetId = req.query.targetId;
+    if (req.query.actor) filter.actorEmail = req.query.actor;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({ entries, total, page, limit });
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// ========== RANKING ==========
+// Every result earns normalized points, so quizzes of different lengths compare fairly:
+// 100 x accuracy, scaled up for harder questions (x1 beginner to x2 expert) and for quick
+// answers (up to +20%), and scaled down for quizzes shorter than RANKING_FULL_QUIZ_QUESTIONS.
+// A learner's category score is their best result there; their global score is the sum of
+// their category scores. Equal scores share a rank.
+
+const RANKING_FULL_QUIZ_QUESTIONS = 10;
+const RANKING_SPEED_BONUS = 0.2;
+const RANKING_MAX_PAGE_SIZE = 100;
+const RANKING_SORT = { points: -1, achievedAt: 1, email: 1 };
+
+// Mean item difficulty (theta scale) of the questions in a graded quiz
+function quizDifficulty(graded) {
+  const difficulties = graded.map(answer => answer.item?.difficulty).filter(Number.isFinite);
+  if (difficulties.length === 0) return null;
+  return roundMetric(difficulties.reduce((sum, d) => sum + d, 0) / difficulties.length);
+}
+
+function computeResultPoints({ score, total, difficulty, timeSpent }) {
+  if (!total) return 0;
+  const accuracy = score / total;
+  const difficultyFactor = 1 + clamp((difficulty ?? IRT_LEVEL_DIFFICULTY.beginner) - IRT_LEVEL_DIFFICULTY.beginner, 0, 3) / 3;
+  const speed = timeSpent > 0 ? Math.min(1, SPEED_REFERENCE_SECONDS / (timeSpent / total)) : 0;
+  const lengthFactor = Math.min(1, total / RANKING_FULL_QUIZ_QUESTIONS);
+  return Math.round(100 * accuracy * difficultyFactor * (1 + RANKING_SPEED_BONUS * speed) * lengthFactor);
+}
+
+// Give results saved before normalized scoring their points
+async function backfillResultPoints() {
+  const cursor = Result.find({ points: { $exists: false } })
+    .select('score total difficulty timeSpent')
+    .lean()
+    .cursor();
+
+  let batch = [];
+  let updated = 0;
+  for await (const result of cursor) {
+    batch.push({ updateOne: { filter: { _id: result._id }, update: { $set: { points: computeResultPoints(result) } } } });
+    if (batch.length === 500) {
+      await Result.bulkWrite(batch);
+      updated += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await Result.bulkWrite(batch);
+    updated += batch.length;
+  }
+  if (updated > 0) {
+    console.log(`🏅 Scored ${updated} results for the leaderboard`);
+  }
+}
+
+// Result filter from leaderboard query params (category, quizType, and from or season),
+// optionally limited to some learners (see socialScope). Invalidated results and disabled
+// accounts never rank.
+async function leaderboardFilter(query, emails = null) {
+  const disabledEmails = await User.distinct('email', { disabled: true });
+  const filter = { invalidated: { $ne: true }, email: { $nin: disabledEmails } };
+  if (emails) filter.email.$in = emails;
+
+  if (query.category && query.category !== 'all') {
+    filter.category = query.category;
+  }
+  if (query.quizType === 'ai-powered') {
+    filter.aiGenerated = true;
+  } else if (query.quizType === 'standard') {
+    filter.aiGenerated = { $ne: true };
+  } else if (query.quizType === 'multiplayer') {
+    filter.quizType = 'multiplayer';
+  }
+  if (SEASON_PERIODS.includes(query.season)) {
+    filter.submittedAt = { $gte: seasonBounds(query.season).startsAt };
+  } else if (query.from) {
+    const fromDate = new Date(query.from);
+    if (!isNaN(fromDate)) filter.submittedAt = { $gte: fromDate };
+  }
+  return filter;
+}
+
+// Aggregation stages producing one ranking row per learner and category (the best result),
+// or per learner when global. Rows carry points, achievedAt (for ties) and email; unsorted.
+function rankingStages(filter, global) {
+  const stages = [
+    { $match: filter },
+    { $sort: { points: -1, submittedAt: 1 } },
+    {
+      $group: {
+        _id: { email: '$email', category: '$category' },
+        best: { $first: '$$ROOT' },
+        totalQuizzes: { $sum: 1 },
+        correct: { $sum: '$score' },
+        answered: { $sum: '$total' }
       }
     }
-    
-    console.log('🤖 Quiz AI status:', { isAIGenerated, generationSource, quizType });
-    
-    // Save quiz result with AI tracking
-    const result = new Result({
-      username,
-      email,
-      category,
-      score,
-      total,
-      submittedAt: new Date(),
-      quizType: quizType || (isAIGenerated ? 'ai-powered' : 'standard'),
-      aiGenerated: isAIGenerated,
-      generationSource: generationSource,
-      questionIds: questionIds || []
+  ];
+
+  if (!global) {
+    stages.push({
+      $project: {
+        _id: 0,
+        email: '$_id.email',
+        category: '$_id.category',
+        username: '$best.username',
+        points: { $ifNull: ['$best.points', 0] },
+        score: '$best.score',
+        total: '$best.total',
+        difficulty: '$best.difficulty',
+        timeSpent: '$best.timeSpent',
+        quizType: '$best.quizType',
+        aiGenerated: '$best.aiGenerated',
+        generationSource: '$best.generationSource',
+        achievedAt: '$best.submittedAt',
+        totalQuizzes: 1,
+        correct: 1,
+        answered: 1
+      }
     });
-    
-    const savedResult = await result.save();
-    console.log('💾 Quiz result saved:', savedResult._id);
+    return stages;
+  }
 
-    // Update generated questions with user responses
-    if (questionIds && answers && Array.isArray(answers)) {
-      try {
-        const updatePromises = questionIds.map(async (questionId, index) => {
-          if (questionId && answers[index]) {
-            return await GeneratedQuestion.findByIdAndUpdate(questionId, {
-              hasBeenUsed: true,
-              userResponse: {
-                wasCorrect: answers[index]?.isCorrect || false,
-                timeSpent: answers[index]?.timeSpent || 0,
-                submittedAt: new Date()
-              }
-            });
-          }
-        });
-        
-        await Promise.all(updatePromises);
-        console.log('✅ Updated generated questions usage');
-      } catch (updateError) {
-        console.error('⚠️ Error updating question usage:', updateError);
-        // Don't fail the entire submission for this
+  stages.push(
+    { $sort: { 'best.submittedAt': -1 } },
+    {
+      $group: {
+        _id: '$_id.email',
+        username: { $first: '$best.username' },
+        points: { $sum: { $ifNull: ['$best.points', 0] } },
+        categories: { $sum: 1 },
+        achievedAt: { $max: '$best.submittedAt' },
+        totalQuizzes: { $sum: '$totalQuizzes' },
+        correct: { $sum: '$correct' },
+        answered: { $sum: '$answered' }
       }
-    }
+    },
+    { $project: { _id: 0, email: '$_id', username: 1, points: 1, categories: 1, achievedAt: 1, totalQuizzes: 1, correct: 1, answered: 1 } }
+  );
+  return stages;
+}
 
-    // Get or create user performance record
-    let userPerformance = await UserPerformance.findOne({ email, category });
-    if (!userPerformance) {
-      userPerformance = new UserPerformance({
-        email,
-        category,
-        overallLevel: 'beginner',
-        quizzesTaken: 0,
-        skillMetrics: { accuracy: 0 },
-        detailedProfile: {
-          learningStyle: 'practical',
-        },
-        weakAreas: [],
-        strongAreas: []
-      });
-    }
+async function countRankingRows(stages, match) {
+  const [result] = await Result.aggregate([...stages, ...(match ? [{ $match: match }] : []), { $count: 'count' }]);
+  return result ? result.count : 0;
+}
 
-    // Update performance data
-    userPerformance.quizzesTaken += 1;
-    userPerformance.totalQuestions += total;
-    userPerformance.correctAnswers += score;
-    
-    // Update weak and strong areas based on answers
-    if (answers && Array.isArray(answers)) {
-      const topicPerformance = {};
-      
-      answers.forEach(answer => {
-        if (!answer.topic) return;
-        
-        if (!topicPerformance[answer.topic]) {
-          topicPerformance[answer.topic] = {
-            correct: 0,
-            total: 0
-          };
-        }
-        
-        topicPerformance[answer.topic].total++;
-        if (answer.isCorrect) {
-          topicPerformance[answer.topic].correct++;
-        }
-      });
-      
-      // Update weak and strong areas
-      Object.entries(topicPerformance).forEach(([topic, perf]) => {
-        const accuracy = perf.correct / perf.total;
-        
-        // Remove from arrays first to avoid duplicates
-        userPerformance.weakAreas = userPerformance.weakAreas.filter(t => t !== topic);
-        userPerformance.strongAreas = userPerformance.strongAreas.filter(t => t !== topic);
-        
-        // Add to appropriate array
-        if (accuracy < 0.6 && perf.total >= 2) {
-          userPerformance.weakAreas.push(topic);
-        } else if (accuracy > 0.8 && perf.total >= 2) {
-          userPerformance.strongAreas.push(topic);
-        }
-      });
+// Rows that sort ahead of this one in RANKING_SORT
+function rankedAhead(row) {
+  return {
+    $or: [
+      { points: { $gt: row.points } },
+      { points: row.points, achievedAt: { $lt: row.achievedAt } },
+      { points: row.points, achievedAt: row.achievedAt, email: { $lt: row.email } }
+    ]
+  };
+}
+
+function percentOf(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function formatRankingRow(row, rank, global) {
+  const formatted = {
+    rank,
+    username: row.username,
+    email: row.email,
+    points: row.points,
+    totalQuizzes: row.totalQuizzes,
+    achievedAt: row.achievedAt
+  };
+  if (global) {
+    return {
+      ...formatted,
+      categories: row.categories,
+      score: row.correct,
+      total: row.answered,
+      accuracy: percentOf(row.correct, row.answered)
+    };
+  }
+  return {
+    ...formatted,
+    category: row.category,
+    score: row.score,
+    total: row.total,
+    accuracy: percentOf(row.score, row.total),
+    avgAccuracy: percentOf(row.correct, row.answered),
+    difficulty: row.difficulty != null ? levelForDifficulty(row.difficulty) : null,
+    timeSpent: row.timeSpent ?? null,
+    quizType: row.quizType,
+    aiGenerated: row.aiGenerated,
+    generationSource: row.generationSource,
+    submittedAt: row.achievedAt
+  };
+}
+
+// Competition ranks for consecutive sorted rows, the first of which sits at position offset
+async function rankRows(stages, rows, offset, global) {
+  if (rows.length === 0) return [];
+  let rank = await countRankingRows(stages, { points: { $gt: rows[0].points } }) + 1;
+  return rows.map((row, index) => {
+    if (index > 0 && row.points < rows[index - 1].points) rank = offset + index + 1;
+    return formatRankingRow(row, rank, global);
+  });
+}
+
+// A learner's rank, percentile (share of ranked learners at or below them) and position
+// in the sorted board; null when they have no ranked results
+async function getLeaderboardStanding(email, filter, global) {
+  const stages = rankingStages(filter, global);
+  const [row] = await Result.aggregate([...stages, { $match: { email } }]);
+  if (!row) return null;
+
+  const [above, position, total] = await Promise.all([
+    countRankingRows(stages, { points: { $gt: row.points } }),
+    countRankingRows(stages, rankedAhead(row)),
+    countRankingRows(stages)
+  ]);
+  const rank = above + 1;
+  return {
+    rank,
+    total,
+    percentile: percentOf(total - rank + 1, total),
+    points: row.points,
+    position
+  };
+}
+
+// Global board unless a category is given
+function isGlobalLeaderboard(query) {
+  return !query.category || query.category === 'all';
+}
+
+// ========== SEASONS & LEAGUES ==========
+// Weekly seasons start on Monday and monthly seasons on the 1st (00:00 UTC). Each season
+// length has its own ladder of leagues (User.leagues). When a season ends its standings are
+// snapshotted into Season: players are ranked on the results they submitted during the season
+// (scored like the global board), the top LEAGUE_MOVE_SHARE of each league is promoted, the
+// bottom share relegated, and the top three of each league are paid SEASON_REWARDS.
+// Players with no results in a season keep their league.
+
+const SEASON_PERIODS = ['weekly', 'monthly'];
+const LEAGUE_TIERS = ['bronze', 'silver', 'gold'];
+const LEAGUE_MOVE_SHARE = 0.2;
+const SEASON_REWARDS = {
+  weekly: { bronze: [100, 60, 30], silver: [150, 100, 50], gold: [250, 150, 100] },
+  monthly: { bronze: [300, 200, 100], silver: [500, 300, 150], gold: [800, 500, 250] }
+};
+const SEASON_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Id and bounds of the season of this period that contains date
+function seasonBounds(period, date = new Date()) {
+  if (period === 'monthly') {
+    const startsAt = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    const endsAt = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    return { seasonId: `monthly-${startsAt.toISOString().slice(0, 7)}`, startsAt, endsAt };
+  }
+  const startsAt = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  startsAt.setUTCDate(startsAt.getUTCDate() - ((startsAt.getUTCDay() + 6) % 7)); // Back to Monday
+  const endsAt = new Date(startsAt);
+  endsAt.setUTCDate(endsAt.getUTCDate() + 7);
+  return { seasonId: `weekly-${startsAt.toISOString().slice(0, 10)}`, startsAt, endsAt };
+}
+
+async function ensureCurrentSeasons(now = new Date()) {
+  return Promise.all(SEASON_PERIODS.map(period => {
+    const { seasonId, startsAt, endsAt } = seasonBounds(period, now);
+    return Season.findOneAndUpdate(
+      { seasonId },
+      { $setOnInsert: { seasonId, period, startsAt, endsAt } },
+      { upsert: true, new: true }
+    );
+  }));
+}
+
+function shiftLeague(league, step) {
+  return LEAGUE_TIERS[clamp(LEAGUE_TIERS.indexOf(league) + step, 0, LEAGUE_TIERS.length - 1)];
+}
+
+// Rank players within their league (standings sorted by points) and mark each one promoted,
+// relegated or stayed with the reward for their league rank
+function assignLeagueMoves(standings, period) {
+  LEAGUE_TIERS.forEach(league => {
+    const members = standings.filter(standing => standing.league === league);
+    const moveCount = Math.max(1, Math.floor(members.length * LEAGUE_MOVE_SHARE));
+    const promoteCount = league === LEAGUE_TIERS[LEAGUE_TIERS.length - 1] ? 0 : Math.min(moveCount, members.length);
+    // The league's winner is never relegated, even when it is the only player left
+    const relegateCount = league === LEAGUE_TIERS[0] ? 0 : clamp(members.length - promoteCount - 1, 0, moveCount);
+
+    members.forEach((member, index) => {
+      member.leagueRank = index > 0 && member.points === members[index - 1].points ? members[index - 1].leagueRank : index + 1;
+      if (index < promoteCount) {
+        member.outcome = 'promoted';
+      } else if (index >= members.length - relegateCount) {
+        member.outcome = 'relegated';
+      } else {
+        member.outcome = 'stayed';
+      }
+      member.nextLeague = shiftLeague(league, { promoted: 1, relegated: -1, stayed: 0 }[member.outcome]);
+      member.reward = SEASON_REWARDS[period][league][member.leagueRank - 1] || 0;
+    });
+  });
+
+  return standings;
+}
+
+// Standings as they are now (or were when the season ended), with each player's league,
+// rank within it, promotion or relegation and reward
+async function computeSeasonStandings(season) {
+  const filter = await leaderboardFilter({});
+  filter.submittedAt = { $gte: season.startsAt, $lt: season.endsAt };
+  const rows = await Result.aggregate([...rankingStages(filter, true), { $sort: RANKING_SORT }]);
+  const users = await User.find({ email: { $in: rows.map(row => row.email) } }).select('email leagues').lean();
+  const leagueByEmail = new Map(users.map(user => [user.email, user.leagues?.[season.period] || LEAGUE_TIERS[0]]));
+
+  let rank = 0;
+  const standings = rows.map((row, index) => {
+    if (index === 0 || row.points < rows[index - 1].points) rank = index + 1;
+    return {
+      email: row.email,
+      username: row.username,
+      league: leagueByEmail.get(row.email) || LEAGUE_TIERS[0],
+      rank,
+      points: row.points,
+      categories: row.categories,
+      quizzes: row.totalQuizzes
+    };
+  });
+
+  return assignLeagueMoves(standings, season.period);
+}
+
+// Snapshot a finished season's standings, move players between leagues and pay rewards.
+// Safe to rerun: a season left 'finalizing' keeps its snapshot and payouts are idempotent.
+async function finalizeSeason(season) {
+  if (season.status === 'active') {
+    const standings = await computeSeasonStandings(season);
+    season = await Season.findOneAndUpdate(
+      { _id: season._id, status: 'active' },
+      { $set: { status: 'finalizing', standings } },
+      { new: true }
+    );
+    if (!season) return null; // Another run claimed it
+  }
+
+  for (const standing of season.standings) {
+    await User.updateOne({ email: standing.email }, { $set: { [`leagues.${season.period}`]: standing.nextLeague } });
+    if (standing.reward > 0 && !standing.coinsAwarded) {
+      const paid = await awardCoins(
+        standing.email,
+        standing.reward,
+        `Season Reward (${standing.league} #${standing.leagueRank})`,
+        { seasonId: season.seasonId, league: standing.league, leagueRank: standing.leagueRank },
+        `season:${season.seasonId}`
+      );
+      if (paid) standing.coinsAwarded = standing.reward;
     }
-    
-    // Update skill metrics
-    if (userPerformance.totalQuestions > 0) {
-      userPerformance.skillMetrics.accuracy = userPerformance.correctAnswers / userPerformance.totalQuestions;
+  }
+
+  season.status = 'finalized';
+  season.finalizedAt = new Date();
+  await season.save();
+
+  const count = outcome => season.standings.filter(standing => standing.outcome === outcome).length;
+  await writeAuditLog(null, 'season.finalize', { type: 'season', id: season.seasonId }, {
+    after: {
+      players: season.standings.length,
+      promoted: count('promoted'),
+      relegated: count('relegated'),
+      coinsAwarded: season.standings.reduce((sum, standing) => sum + (standing.coinsAwarded || 0), 0)
     }
-    
-    // Update user level assessment
-    await updateUserLevelAssessment(email, category, userPerformance);
-    await userPerformance.save();
-    console.log('📊 User performance updated');
-    
-    // Award coins for quiz completion
+  });
+  console.log(`🏁 Finalized season ${season.seasonId}: ${season.standings.length} players`);
+  return season;
+}
+
+// Finalize seasons that have ended and open the current ones
+async function rollOverSeasons(now = new Date()) {
+  const due = await Season.find({
+    $or: [{ status: 'active', endsAt: { $lte: now } }, { status: 'finalizing' }]
+  }).sort({ endsAt: 1 });
+  for (const season of due) {
+    await finalizeSeason(season);
+  }
+  await ensureCurrentSeasons(now);
+}
+
+function startSeasonJob() {
+  const run = async () => {
     try {
-      const user = await ensureUserEngagement(email);
-      if (user) {
-        let coins = COIN_REWARDS.QUIZ_COMPLETE;
-        
-        // Perfect score bonus
-        if (score === total && total > 0) {
-          coins += COIN_REWARDS.PERFECT_SCORE;
-        }
-        
-        // Coins per correct answer
-        coins += Math.max(0, Math.floor(score) * COIN_REWARDS.PER_CORRECT_ANSWER);
-        
-        // First quiz bonus
-        if (userPerformance.quizzesTaken === 1) {
-          coins += COIN_REWARDS.FIRST_QUIZ_BONUS;
-        }
-        
-        await awardCoins(email, coins, `${category} Quiz Completion`, { score, total, category });
-        console.log(`🪙 Awarded ${coins} coins for ${category} quiz completion`);
-      }
-    } catch (coinError) {
-      console.error('⚠️ Coin award error:', coinError.message);
-      // Don't fail quiz submission for coin errors
+      await rollOverSeasons();
+    } catch (error) {
+      console.error('Season rollover error:', error);
     }
+  };
+  run();
+  const timer = setInterval(run, SEASON_CHECK_INTERVAL_MS);
+  timer.unref();
+}
 
-    console.log('✅ Quiz submission completed successfully');
-    
-    const responseData = {
-      success: true,
-      message: 'Quiz submitted successfully',
-      result: {
-        id: savedResult._id,
-        score,
-        total,
-        percentage: Math.round((score / total) * 100),
-        aiGenerated: isAIGenerated,
-        quizType: savedResult.quizType,
-        category
-      },
-      userPerformance: {
-        level: userPerformance.overallLevel,
-        quizzesTaken: userPerformance.quizzesTaken,
-        accuracy: Math.round(userPerformance.skillMetrics.accuracy * 100)
-      }
-    };
-    
-    res.json(responseData);
-    
+function formatSeasonStanding(standing) {
+  return {
+    rank: standing.rank,
+    username: standing.username,
+    email: standing.email,
+    league: standing.league,
+    leagueRank: standing.leagueRank,
+    points: standing.points,
+    categories: standing.categories,
+    quizzes: standing.quizzes,
+    outcome: standing.outcome,
+    nextLeague: standing.nextLeague,
+    reward: standing.reward,
+    coinsAwarded: standing.coinsAwarded || 0
+  };
+}
+
+// Recent seasons, newest first; ?period=weekly|monthly
+app.get('/api/leaderboard/seasons', async (req, res) => {
+  try {
+    const limit = clamp(parseInt(req.query.limit) || 10, 1, 52);
+    const match = SEASON_PERIODS.includes(req.query.period) ? { period: req.query.period } : {};
+    const seasons = await Season.aggregate([
+      { $match: match },
+      { $sort: { startsAt: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0, seasonId: 1, period: 1, startsAt: 1, endsAt: 1, status: 1, finalizedAt: 1, players: { $size: '$standings' } } }
+    ]);
+    res.json({ seasons });
   } catch (err) {
-    console.error('❌ Error submitting quiz:', err);
-    res.status(500).json({ 
-      error: 'Failed to submit quiz',
-      details: err.message 
-    });
+    console.error('Error fetching seasons:', err);
+    res.status(500).json({ error: 'Failed to fetch seasons' });
   }
 });
 
-// Serve HTML
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'signup.html'));
+// A season's standings: the snapshot once it has ended, live standings while it runs.
+// :id is a season id or 'weekly'/'monthly' for the current one; ?league= filters by league.
+app.get('/api/leaderboard/seasons/:id', optionalAuth, async (req, res) => {
+  try {
+    const seasonId = SEASON_PERIODS.includes(req.params.id) ? seasonBounds(req.params.id).seasonId : req.params.id;
+    const season = await Season.findOne({ seasonId }).lean();
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = clamp(parseInt(req.query.limit) || 20, 1, RANKING_MAX_PAGE_SIZE);
+    const live = season.status === 'active';
+    let standings = live ? await computeSeasonStandings(season) : season.standings;
+    const me = req.user ? standings.find(standing => standing.email === req.user.email) : null;
+    if (LEAGUE_TIERS.includes(req.query.league)) {
+      standings = standings.filter(standing => standing.league === req.query.league);
+    }
+
+    res.json({
+      season: {
+        seasonId: season.seasonId,
+        period: season.period,
+        startsAt: season.startsAt,
+        endsAt: season.endsAt,
+        status: season.status,
+        finalizedAt: season.finalizedAt || null,
+        live
+      },
+      standings: standings.slice((page - 1) * limit, page * limit).map(formatSeasonStanding),
+      total: standings.length,
+      page,
+      pages: Math.ceil(standings.length / limit),
+      me: me ? formatSeasonStanding(me) : null
+    });
+  } catch (err) {
+    console.error('Error fetching season standings:', err);
+    res.status(500).json({ error: 'Failed to fetch season standings' });
+  }
 });
 
-app.use(express.static('public'));
+// ========== FRIENDS & TEAMS ==========
+// Friend requests become an accepted Friendship; teams are joined with an invite code and run
+// by their owner. /api/leaderboard, its around-me window and /api/ai-quiz-stats take
+// ?friends=true (you and your friends) or ?team=<id> (a team you belong to).
 
-// Signup route
-app.post('/signup', async (req, res) => {
-  const { username, email, password } = req.body;
+const TEAM_MAX_MEMBERS = 100;
+const TEAM_IMPROVEMENT_DAYS = 30; // Most improved compares the last 30 days with the 30 before
+const TEAM_IMPROVEMENT_MIN_QUIZZES = 2; // ...in each window
+
+function generateInviteCode() {
+  return crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// Emails of a user's accepted friends
+async function friendEmails(email) {
+  const friendships = await Friendship.find({
+    status: 'accepted',
+    $or: [{ requester: email }, { recipient: email }]
+  }).select('requester recipient').lean();
+  return friendships.map(f => (f.requester === email ? f.recipient : f.requester));
+}
+
+// Team the user belongs to, or null
+async function findMemberTeam(id, email) {
+  if (!mongoose.isObjectIdOrHexString(id)) return null;
+  return Team.findOne({ _id: id, 'members.email': email });
+}
 
+// Learners a leaderboard request is limited to: { emails } (null for everyone) or { error, status }
+async function socialScope(req) {
+  if (req.query.friends !== 'true' && !req.query.team) {
+    return { emails: null };
+  }
+  if (!req.user) {
+    return { status: 401, error: 'Sign in to see friend and team leaderboards' };
+  }
+  if (req.query.team) {
+    const team = await findMemberTeam(req.query.team, req.user.email);
+    if (!team) {
+      return { status: 404, error: 'Team not found' };
+    }
+    return { emails: team.members.map(member => member.email) };
+  }
+  return { emails: [req.user.email, ...await friendEmails(req.user.email)] };
+}
+
+async function usernamesByEmail(emails) {
+  const users = await User.find({ email: { $in: emails } }).select('email username').lean();
+  return new Map(users.map(user => [user.email, user.username]));
+}
+
+function formatTeam(team, email) {
+  const isOwner = team.ownerEmail === email;
+  return {
+    id: team._id,
+    name: team.name,
+    description: team.description || '',
+    owner: team.ownerEmail,
+    isOwner,
+    memberCount: team.members.length,
+    inviteCode: team.inviteCode,
+    createdAt: team.createdAt
+  };
+}
+
+// Accuracy over two windows for each member; the biggest gain with enough quizzes in both wins
+async function mostImprovedMember(emails, now = new Date()) {
+  const windowMs = TEAM_IMPROVEMENT_DAYS * 24 * 60 * 60 * 1000;
+  const recentFrom = new Date(now.getTime() - windowMs);
+  const previousFrom = new Date(now.getTime() - 2 * windowMs);
+
+  const rows = await Result.aggregate([
+    { $match: { email: { $in: emails }, invalidated: { $ne: true }, submittedAt: { $gte: previousFrom } } },
+    {
+      $group: {
+        _id: { email: '$email', recent: { $gte: ['$submittedAt', recentFrom] } },
+        quizzes: { $sum: 1 },
+        correct: { $sum: '$score' },
+        answered: { $sum: '$total' }
+      }
+    }
+  ]);
+
+  const windows = new Map();
+  rows.forEach(row => {
+    const entry = windows.get(row._id.email) || {};
+    entry[row._id.recent ? 'recent' : 'previous'] = row;
+    windows.set(row._id.email, entry);
+  });
+
+  let best = null;
+  windows.forEach(({ recent, previous }, email) => {
+    if (!recent || !previous) return;
+    if (recent.quizzes < TEAM_IMPROVEMENT_MIN_QUIZZES || previous.quizzes < TEAM_IMPROVEMENT_MIN_QUIZZES) return;
+    const recentAccuracy = percentOf(recent.correct, recent.answered);
+    const previousAccuracy = percentOf(previous.correct, previous.answered);
+    const improvement = Math.round((recentAccuracy - previousAccuracy) * 10) / 10;
+    if (improvement > 0 && (!best || improvement > best.improvement)) {
+      best = { email, previousAccuracy, recentAccuracy, improvement };
+    }
+  });
+  return best;
+}
+
+// Friends and pending requests for the signed-in user
+app.get('/api/friends', requireAuth, async (req, res) => {
   try {
-    const existing = await User.findOne({ email });
-    if (existing) return res.status(400).send('❌ Email already registered.');
+    const { email } = req.user;
+    const friendships = await Friendship.find({
+      status: { $in: ['pending', 'accepted'] },
+      $or: [{ requester: email }, { recipient: email }]
+    }).sort({ createdAt: -1 }).lean();
+
+    const otherEmail = f => (f.requester === email ? f.recipient : f.requester);
+    const usernames = await usernamesByEmail(friendships.map(otherEmail));
+    const format = f => ({
+      id: f._id,
+      email: otherEmail(f),
+      username: usernames.get(otherEmail(f)) || null,
+      since: f.respondedAt || f.createdAt
+    });
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+    res.json({
+      friends: friendships.filter(f => f.status === 'accepted').map(format),
+      incoming: friendships.filter(f => f.status === 'pending' && f.recipient === email).map(format),
+      outgoing: friendships.filter(f => f.status === 'pending' && f.requester === email).map(format)
+    });
+  } catch (err) {
+    console.error('Error fetching friends:', err);
+    res.status(500).json({ error: 'Failed to fetch friends' });
+  }
+});
 
-    const user = new User({ username, email, password: hashedPassword });
-    await user.save();
+// Send a friend request by email. If they already asked you, this accepts theirs.
+app.post('/api/friends/requests', requireAuth, async (req, res) => {
+  try {
+    const { email } = req.user;
+    const target = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    if (!target) {
+      return res.status(400).json({ error: 'email is required' });
+    }
+    if (target === email) {
+      return res.status(400).json({ error: 'You cannot add yourself as a friend' });
+    }
+    const user = await User.findOne({ email: target, disabled: { $ne: true } }).select('_id');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    res.send('✅ Signup successful! You can now log in.');
+    const existing = await Friendship.findOne({
+      $or: [{ requester: email, recipient: target }, { requester: target, recipient: email }]
+    });
+    if (existing?.status === 'accepted') {
+      return res.status(409).json({ error: 'You are already friends' });
+    }
+    if (existing?.status === 'pending' && existing.requester === email) {
+      return res.status(409).json({ error: 'Friend request already sent' });
+    }
+    if (existing?.status === 'pending') {
+      existing.status = 'accepted';
+      existing.respondedAt = new Date();
+      await existing.save();
+      return res.json({ success: true, status: 'accepted', id: existing._id });
+    }
+
+    // A declined request can be sent again
+    if (existing) await existing.deleteOne();
+    const friendship = await Friendship.create({ requester: email, recipient: target });
+    res.status(201).json({ success: true, status: 'pending', id: friendship._id });
+  } catch (err) {
+    console.error('Error sending friend request:', err);
+    res.status(500).json({ error: 'Failed to send friend request' });
+  }
+});
+
+// Accept or decline a friend request sent to the signed-in user
+function respondToFriendRequest(status) {
+  return async (req, res) => {
+    try {
+      if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid request id' });
+      }
+      const friendship = await Friendship.findOneAndUpdate(
+        { _id: req.params.id, recipient: req.user.email, status: 'pending' },
+        { $set: { status, respondedAt: new Date() } },
+        { new: true }
+      );
+      if (!friendship) {
+        return res.status(404).json({ error: 'Friend request not found' });
+      }
+      res.json({ success: true, status: friendship.status });
+    } catch (err) {
+      console.error('Error answering friend request:', err);
+      res.status(500).json({ error: 'Failed to answer friend request' });
+    }
+  };
+}
+
+app.post('/api/friends/requests/:id/accept', requireAuth, respondToFriendRequest('accepted'));
+app.post('/api/friends/requests/:id/decline', requireAuth, respondToFriendRequest('declined'));
+
+// Unfriend, or cancel a request you sent
+app.delete('/api/friends/:email', requireAuth, async (req, res) => {
+  try {
+    const { email } = req.user;
+    const result = await Friendship.deleteOne({
+      $or: [
+        { requester: email, recipient: req.params.email, status: { $in: ['pending', 'accepted'] } },
+        { requester: req.params.email, recipient: email, status: 'accepted' }
+      ]
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Friend not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing friend:', err);
+    res.status(500).json({ error: 'Failed to remove friend' });
+  }
+});
+
+// Teams the signed-in user belongs to
+app.get('/api/teams', requireAuth, async (req, res) => {
+  try {
+    const teams = await Team.find({ 'members.email': req.user.email }).sort({ createdAt: 1 }).lean();
+    res.json({ teams: teams.map(team => formatTeam(team, req.user.email)) });
   } catch (err) {
-    console.error(err);
-    res.status(500).send('❌ Error during signup.');
+    console.error('Error fetching teams:', err);
+    res.status(500).json({ error: 'Failed to fetch teams' });
   }
 });
 
-// Login route
-app.post('/login', async (req, res) => {
+// Create a team owned by the signed-in user
+app.post('/api/teams', requireAuth, async (req, res) => {
   try {
-    const { email, password } = req.body;
-
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    const name = typeof req.body.name === 'string' ? req.body.name.trim().substring(0, 60) : '';
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
     }
+    const description = typeof req.body.description === 'string' ? req.body.description.trim().substring(0, 500) : '';
+
+    const team = await Team.create({
+      name,
+      description,
+      ownerEmail: req.user.email,
+      inviteCode: generateInviteCode(),
+      members: [{ email: req.user.email, role: 'owner' }]
+    });
+    console.log(`👥 ${req.user.email} created team ${team.name}`);
+    res.status(201).json({ team: formatTeam(team, req.user.email) });
+  } catch (err) {
+    console.error('Error creating team:', err);
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+});
 
-    // Verify password
-    const passwordMatch = await bcrypt.compare(password, user.password);
-    if (!passwordMatch) {
-      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+// Join a team with its invite code
+app.post('/api/teams/join', requireAuth, async (req, res) => {
+  try {
+    const inviteCode = typeof req.body.inviteCode === 'string' ? req.body.inviteCode.trim().toUpperCase() : '';
+    if (!inviteCode) {
+      return res.status(400).json({ error: 'inviteCode is required' });
     }
 
-    // Update daily streak and award coins
-    const engagementUpdate = await updateDailyStreakOnLogin(email);
-
-    // Return success response with engagement info
-    return res.json({
-      success: true,
-      message: 'Login successful',
-      user: {
-        username: user.username,
-        email: user.email
+    const team = await Team.findOneAndUpdate(
+      {
+        inviteCode,
+        'members.email': { $ne: req.user.email },
+        [`members.${TEAM_MAX_MEMBERS - 1}`]: { $exists: false }
       },
-      engagement: engagementUpdate
-    });
+      { $push: { members: { email: req.user.email, role: 'member' } } },
+      { new: true }
+    );
+    if (!team) {
+      const existing = await Team.findOne({ inviteCode }).select('members.email').lean();
+      if (!existing) {
+        return res.status(404).json({ error: 'Invalid invite code' });
+      }
+      if (existing.members.some(member => member.email === req.user.email)) {
+        return res.status(409).json({ error: 'You are already in this team' });
+      }
+      return res.status(409).json({ error: 'This team is full' });
+    }
+    res.json({ team: formatTeam(team, req.user.email) });
   } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    console.error('Error joining team:', err);
+    res.status(500).json({ error: 'Failed to join team' });
   }
 });
 
-// Helper function to update daily streak and award coins
-async function updateDailyStreakOnLogin(email) {
-  const user = await User.findOne({ email });
-  if (!user) return { success: false, error: 'User not found' };
+// A team and its members; members only
+app.get('/api/teams/:id', requireAuth, async (req, res) => {
+  try {
+    const team = await findMemberTeam(req.params.id, req.user.email);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    const usernames = await usernamesByEmail(team.members.map(member => member.email));
+    res.json({
+      team: formatTeam(team, req.user.email),
+      members: team.members.map(member => ({
+        email: member.email,
+        username: usernames.get(member.email) || null,
+        role: member.role,
+        joinedAt: member.joinedAt
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching team:', err);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
 
-  const today = new Date();
-  const lastActiveDate = user.engagement?.streak?.lastActiveDate;
+// Combined accuracy per category and the most improved member
+app.get('/api/teams/:id/stats', requireAuth, async (req, res) => {
+  try {
+    const team = await findMemberTeam(req.params.id, req.user.email);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    const emails = team.members.map(member => member.email);
 
-  // Initialize engagement fields if missing
-  if (!user.engagement) {
-    user.engagement = {
-      streak: { current: 0, longest: 0, lastActiveDate: null },
-      coins: { balance: 0, lifetimeEarned: 0, lifetimeSpent: 0, history: [] }
-    };
-  }
+    const [categories, mostImproved, usernames] = await Promise.all([
+      Result.aggregate([
+        { $match: { email: { $in: emails }, invalidated: { $ne: true } } },
+        {
+          $group: {
+            _id: '$category',
+            quizzes: { $sum: 1 },
+            correct: { $sum: '$score' },
+            answered: { $sum: '$total' },
+            members: { $addToSet: '$email' }
+          }
+        },
+        { $sort: { quizzes: -1 } }
+      ]),
+      mostImprovedMember(emails),
+      usernamesByEmail(emails)
+    ]);
 
-  // Check if the user has already logged in today
-  if (lastActiveDate && lastActiveDate.toDateString() === today.toDateString()) {
-    return {
-      success: true,
-      alreadyUpdated: true,
-      streak: user.engagement.streak,
-      coins: user.engagement.coins
-    };
-  }
+    const totals = categories.reduce((sum, c) => ({
+      quizzes: sum.quizzes + c.quizzes,
+      correct: sum.correct + c.correct,
+      answered: sum.answered + c.answered
+    }), { quizzes: 0, correct: 0, answered: 0 });
 
-  // Update streak
-  if (lastActiveDate && new Date(lastActiveDate).toDateString() === new Date(today.setDate(today.getDate() - 1)).toDateString()) {
-    user.engagement.streak.current += 1; // Increment streak
-  } else {
-    user.engagement.streak.current = 1; // Reset streak
+    res.json({
+      team: formatTeam(team, req.user.email),
+      totals: { quizzes: totals.quizzes, accuracy: percentOf(totals.correct, totals.answered) },
+      categories: categories.map(c => ({
+        category: c._id,
+        quizzes: c.quizzes,
+        accuracy: percentOf(c.correct, c.answered),
+        activeMembers: c.members.length
+      })),
+      mostImproved: mostImproved ? { ...mostImproved, username: usernames.get(mostImproved.email) || null } : null
+    });
+  } catch (err) {
+    console.error('Error fetching team stats:', err);
+    res.status(500).json({ error: 'Failed to fetch team statistics' });
   }
+});
 
-  // Update longest streak
-  if (user.engagement.streak.current > user.engagement.streak.longest) {
-    user.engagement.streak.longest = user.engagement.streak.current;
+// Owner: issue a new invite code; the old one stops working
+app.post('/api/teams/:id/invite-code', requireAuth, async (req, res) => {
+  try {
+    const team = await findMemberTeam(req.params.id, req.user.email);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    if (team.ownerEmail !== req.user.email) {
+      return res.status(403).json({ error: 'Only the team owner can do this' });
+    }
+    team.inviteCode = generateInviteCode();
+    await team.save();
+    res.json({ inviteCode: team.inviteCode });
+  } catch (err) {
+    console.error('Error regenerating invite code:', err);
+    res.status(500).json({ error: 'Failed to regenerate invite code' });
   }
+});
 
-  // Update last active date
-  user.engagement.streak.lastActiveDate = new Date();
-
-  // Award daily login coins (50 coins per login)
-  const dailyLoginCoins = 50;
-  user.engagement.coins.balance += dailyLoginCoins;
-  user.engagement.coins.lifetimeEarned += dailyLoginCoins;
-  user.engagement.coins.history.push({
-    action: 'Daily Login',
-    amount: dailyLoginCoins,
-    createdAt: new Date()
-  });
-
-  // Save the updated user
-  await user.save();
-
-  return {
-    success: true,
-    streak: user.engagement.streak,
-    coins: user.engagement.coins
-  };
-}
-
-// API to fetch engagement summary
-app.get('/api/engagement/summary', async (req, res) => {
+// Leave a team, or as its owner remove a member. Owners can't leave their own team; they delete it.
+app.delete('/api/teams/:id/members/:email', requireAuth, async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) return res.status(400).json({ error: 'Email is required' });
-
-    const user = await User.findOne({ email });
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    const streak = user.engagement?.streak || { current: 0, longest: 0 };
-    const coins = user.engagement?.coins || { balance: 0 };
+    const team = await findMemberTeam(req.params.id, req.user.email);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    const target = req.params.email === 'me' ? req.user.email : req.params.email;
+    if (target !== req.user.email && team.ownerEmail !== req.user.email) {
+      return res.status(403).json({ error: 'Only the team owner can do this' });
+    }
+    if (target === team.ownerEmail) {
+      return res.status(400).json({ error: 'The owner cannot leave the team; delete it instead' });
+    }
+    if (!team.members.some(member => member.email === target)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
 
-    res.json({ streak, coins });
+    team.members = team.members.filter(member => member.email !== target);
+    await team.save();
+    res.json({ success: true, memberCount: team.members.length });
   } catch (err) {
-    console.error('Error fetching engagement summary:', err);
-    res.status(500).json({ error: 'Failed to fetch engagement summary' });
+    console.error('Error removing team member:', err);
+    res.status(500).json({ error: 'Failed to remove team member' });
   }
 });
 
-// ========== LEADERBOARD API ENDPOINTS ==========
-
-// Get all unique quiz categories
-app.get('/api/categories', async (_req, res) => {
+// Owner: delete the team
+app.delete('/api/teams/:id', requireAuth, async (req, res) => {
   try {
-    const categories = await Result.distinct('category');
-    res.json(categories);
+    const team = await findMemberTeam(req.params.id, req.user.email);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    if (team.ownerEmail !== req.user.email) {
+      return res.status(403).json({ error: 'Only the team owner can do this' });
+    }
+    await team.deleteOne();
+    console.log(`👥 ${req.user.email} deleted team ${team.name}`);
+    res.json({ success: true });
   } catch (err) {
-    console.error('Error fetching categories:', err);
-    res.status(500).json({ error: 'Failed to fetch categories' });
+    console.error('Error deleting team:', err);
+    res.status(500).json({ error: 'Failed to delete team' });
   }
 });
 
-// Get leaderboard data with filtering and pagination - ENHANCED VERSION
-app.get('/api/leaderboard', async (req, res) => {
+// ========== LEADERBOARD API ENDPOINTS ==========
+
+// Ranked leaderboard with filtering and pagination. Global (one row per learner) unless a
+// category is given; signed-in learners also get their own standing as `me`, and can limit
+// the board to their friends or a team.
+app.get('/api/leaderboard', optionalAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = clamp(parseInt(req.query.limit) || 10, 1, RANKING_MAX_PAGE_SIZE);
     const skip = (page - 1) * limit;
-    
-    console.log('Leaderboard request params:', req.query);
-    
-    // Build filter object
-    const filter = {};
-    
-    // Category filter
-    if (req.query.category && req.query.category !== 'all') {
-      filter.category = req.query.category;
-      console.log('Applied category filter:', filter.category);
-    }
-    
-    // Quiz type filter
-    if (req.query.quizType && req.query.quizType !== 'all') {
-      if (req.query.quizType === 'ai-powered') {
-        filter.aiGenerated = true;
-        console.log('Applied AI filter: aiGenerated = true');
-      } else if (req.query.quizType === 'standard') {
-        filter.$or = [
-          { aiGenerated: { $exists: false } },
-          { aiGenerated: false },
-          { aiGenerated: null }
-        ];
-        console.log('Applied standard filter: aiGenerated = false/null/undefined');
-      }
+    const global = isGlobalLeaderboard(req.query);
+    const scope = await socialScope(req);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
     }
-    
-    // Time filter
-    if (req.query.from) {
-      const fromDate = new Date(req.query.from);
-      filter.submittedAt = { $gte: fromDate };
-      console.log('Applied time filter:', fromDate);
-    }
-    
-    console.log('Final MongoDB filter:', JSON.stringify(filter, null, 2));
-    
-    // Get total count for pagination
-    const total = await Result.countDocuments(filter);
-    console.log('Total matching results:', total);
-    
-    // Enhanced aggregation to get top scores with AI info
-    const results = await Result.aggregate([
-      { $match: filter },
-      { $sort: { score: -1, submittedAt: 1 } },
-      { 
-        $group: {
-          _id: { email: "$email", category: "$category" },
-          username: { $first: "$username" },
-          email: { $first: "$email" },
-          category: { $first: "$category" },
-          score: { $max: "$score" },
-          total: { $first: "$total" },
-          submittedAt: { $first: "$submittedAt" },
-          quizType: { $first: "$quizType" },
-          aiGenerated: { $first: "$aiGenerated" },
-          generationSource: { $first: "$generationSource" },
-          totalQuizzes: { $sum: 1 },
-          avgScore: { $avg: "$score" }
-        }
-      },
-      { $sort: { score: -1, submittedAt: 1 } },
-      { $skip: skip },
-      { $limit: limit },
-      { 
-        $project: {
-          _id: 0,
-          username: 1,
-          email: 1,
-          category: 1,
-          score: 1,
-          total: 1,
-          submittedAt: 1,
-          quizType: 1,
-          aiGenerated: 1,
-          generationSource: 1,
-          totalQuizzes: 1,
-          avgScore: { $round: ["$avgScore", 1] },
-          accuracy: { $round: [{ $multiply: [{ $divide: ["$score", "$total"] }, 100] }, 1] }
+
+    const filter = await leaderboardFilter(req.query, scope.emails);
+    const stages = rankingStages(filter, global);
+    const [{ rows, count }] = await Result.aggregate([
+      ...stages,
+      {
+        $facet: {
+          rows: [{ $sort: RANKING_SORT }, { $skip: skip }, { $limit: limit }],
+          count: [{ $count: 'total' }]
         }
       }
     ]);
-    
-    console.log(`Leaderboard results: ${results.length} entries found`);
-    
+    const total = count[0]?.total || 0;
+    const results = await rankRows(stages, rows, skip, global);
+    const me = req.user ? await getLeaderboardStanding(req.user.email, filter, global) : null;
+
+    console.log(`🏆 Leaderboard: ${results.length} of ${total} ${global ? 'learners' : 'entries'}`);
+
     res.json({
       results,
       total,
       page,
-           pages: Math.ceil(total / limit),
+      pages: Math.ceil(total / limit),
+      scope: global ? 'global' : 'category',
+      me,
       filter: {
         category: req.query.category || 'all',
         quizType: req.query.quizType || 'all',
-        from: req.query.from || null
+        from: req.query.from || null,
+        season: SEASON_PERIODS.includes(req.query.season) ? req.query.season : null,
+        friends: req.query.friends === 'true',
+        team: req.query.team || null
       }
     });
   } catch (err) {
@@ -2008,10 +8407,78 @@ app.get('/api/leaderboard', async (req, res) => {
   }
 });
 
-// New endpoint to get AI quiz statistics
-app.get('/api/ai-quiz-stats', async (req, res) => {
+// The learners ranked just above and below the signed-in user, with the same filters as
+// /api/leaderboard; radius is how many rows on each side (default 5)
+app.get('/api/leaderboard/around-me', requireAuth, async (req, res) => {
+  try {
+    const radius = clamp(parseInt(req.query.radius) || 5, 1, 25);
+    const global = isGlobalLeaderboard(req.query);
+    const scope = await socialScope(req);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+    const filter = await leaderboardFilter(req.query, scope.emails);
+    const me = await getLeaderboardStanding(req.user.email, filter, global);
+    if (!me) {
+      return res.json({ me: null, results: [], scope: global ? 'global' : 'category' });
+    }
+
+    const stages = rankingStages(filter, global);
+    const start = Math.max(me.position - radius, 0);
+    const rows = await Result.aggregate([...stages, { $sort: RANKING_SORT }, { $skip: start }, { $limit: radius * 2 + 1 }]);
+    const results = (await rankRows(stages, rows, start, global))
+      .map(row => ({ ...row, isMe: row.email === req.user.email }));
+
+    res.json({ me, results, scope: global ? 'global' : 'category' });
+  } catch (err) {
+    console.error('Error fetching leaderboard window:', err);
+    res.status(500).json({ error: 'Failed to fetch leaderboard data' });
+  }
+});
+
+// The signed-in user's global rank, leagues, and rank in every category they've played
+app.get('/api/leaderboard/me', requireAuth, async (req, res) => {
+  try {
+    const { email } = req.user;
+    const filter = await leaderboardFilter({ quizType: req.query.quizType, from: req.query.from, season: req.query.season });
+    const [categories, user] = await Promise.all([
+      Result.distinct('category', { ...filter, email }),
+      User.findOne({ email }).select('leagues').lean()
+    ]);
+
+    const [overall, ...perCategory] = await Promise.all([
+      getLeaderboardStanding(email, filter, true),
+      ...categories.map(category => getLeaderboardStanding(email, { ...filter, category }, false))
+    ]);
+
+    res.json({
+      global: overall,
+      leagues: {
+        weekly: user?.leagues?.weekly || LEAGUE_TIERS[0],
+        monthly: user?.leagues?.monthly || LEAGUE_TIERS[0]
+      },
+      categories: categories
+        .map((category, index) => ({ category, ...perCategory[index] }))
+        .sort((a, b) => a.rank - b.rank)
+    });
+  } catch (err) {
+    console.error('Error fetching leaderboard standing:', err);
+    res.status(500).json({ error: 'Failed to fetch leaderboard standing' });
+  }
+});
+
+// New endpoint to get AI quiz statistics; ?friends=true or ?team=<id> like /api/leaderboard
+app.get('/api/ai-quiz-stats', optionalAuth, async (req, res) => {
   try {
+    const scope = await socialScope(req);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+    const match = { invalidated: { $ne: true } };
+    if (scope.emails) match.email = { $in: scope.emails };
+
     const stats = await Result.aggregate([
+      { $match: match },
       {
         $group: {
           _id: null,
@@ -2022,9 +8489,18 @@ app.get('/api/ai-quiz-stats', async (req, res) => {
           standardQuizzes: { 
             $sum: { $cond: [{ $ne: ["$aiGenerated", true] }, 1, 0] } 
           },
+          geminiQuizzes: { 
+            $sum: { $cond: [{ $eq: ["$generationSource", "GEMINI_API"] }, 1, 0] } 
+          },
           cohereQuizzes: { 
             $sum: { $cond: [{ $eq: ["$generationSource", "COHERE_API"] }, 1, 0] } 
           },
+          openaiQuizzes: { 
+            $sum: { $cond: [{ $eq: ["$generationSource", "OPENAI_API"] }, 1, 0] } 
+          },
+          mockQuizzes: { 
+            $sum: { $cond: [{ $eq: ["$generationSource", "MOCK_PROVIDER"] }, 1, 0] } 
+          },
           fallbackQuizzes: { 
             $sum: { $cond: [{ $eq: ["$generationSource", "INTELLIGENT_FALLBACK"] }, 1, 0] } 
           },
@@ -2046,7 +8522,10 @@ app.get('/api/ai-quiz-stats', async (req, res) => {
           totalQuizzes: 1,
           aiGeneratedQuizzes: 1,
           standardQuizzes: 1,
+          geminiQuizzes: 1,
           cohereQuizzes: 1,
+          openaiQuizzes: 1,
+          mockQuizzes: 1,
           fallbackQuizzes: 1,
           aiPercentage: { 
             $round: [
@@ -2064,7 +8543,10 @@ app.get('/api/ai-quiz-stats', async (req, res) => {
       totalQuizzes: 0,
       aiGeneratedQuizzes: 0,
       standardQuizzes: 0,
+      geminiQuizzes: 0,
       cohereQuizzes: 0,
+      openaiQuizzes: 0,
+      mockQuizzes: 0,
       fallbackQuizzes: 0,
       aiPercentage: 0,
       avgAIScore: 0,
@@ -2076,17 +8558,19 @@ app.get('/api/ai-quiz-stats', async (req, res) => {
   }
 });
 
-// Enhanced user statistics with AI quiz breakdown
-app.get('/api/users/:email/stats', async (req, res) => {
+// Enhanced user statistics with AI quiz breakdown for the signed-in user
+app.get('/api/users/me/stats', requireAuth, async (req, res) => {
   try {
-    const email = req.params.email;
+    const { email } = req.user;
     
     // Find all results for this user
-    const userResults = await Result.find({ email });
+    const userResults = await Result.find({ email, invalidated: { $ne: true } });
     
     if (userResults.length === 0) {
       return res.json({
         rank: null,
+        percentile: null,
+        points: 0,
         highScore: 0,
         quizzesTaken: 0,
         correctAnswers: 0,
@@ -2114,8 +8598,12 @@ app.get('/api/users/:email/stats', async (req, res) => {
     const standardTotal = userResults.filter(r => !r.aiGenerated).reduce((sum, r) => sum + r.total, 0);
     const standardAccuracy = standardTotal > 0 ? Math.round((standardCorrect / standardTotal) * 100) : 0;
     
+    const standing = await getLeaderboardStanding(email, await leaderboardFilter({}), true);
+
     res.json({
-      rank: null,
+      rank: standing?.rank ?? null,
+      percentile: standing?.percentile ?? null,
+      points: standing?.points ?? 0,
       highScore,
       quizzesTaken,
       correctAnswers,
@@ -2126,88 +8614,527 @@ app.get('/api/users/:email/stats', async (req, res) => {
       overallAccuracy: Math.round((correctAnswers / userResults.reduce((sum, r) => sum + r.total, 0)) * 100)
     });
   } catch (err) {
-    console.error('Error fetching user stats:', err);
-    res.status(500).json({ error: 'Failed to fetch user statistics' });
+    console.error('Error fetching user stats:', err);
+    res.status(500).json({ error: 'Failed to fetch user statistics' });
+  }
+});
+
+// The :email route param, with 'me' meaning the signed-in user. Null unless it's the
+// caller's own email or the caller is an admin.
+function learnerEmailParam(req) {
+  const email = req.params.email === 'me' ? req.user.email : req.params.email;
+  return email === req.user.email || req.user.role === 'admin' ? email : null;
+}
+
+// Per-category skill metrics for a learner
+app.get('/api/users/:email/skills', requireAuth, async (req, res) => {
+  try {
+    const email = learnerEmailParam(req);
+    if (!email) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+
+    const filter = { email };
+    if (req.query.category) filter.category = req.query.category;
+    const performances = await UserPerformance.find(filter);
+
+    const categories = await Promise.all(performances.map(async performance => {
+      const { skillMetrics, responseTime } = computeSkillMetrics(performance, await loadRecentResults(email, performance.category));
+      return {
+        category: performance.category,
+        level: performance.overallLevel,
+        quizzesTaken: performance.quizzesTaken,
+        skillMetrics,
+        responseTime,
+        ability: performance.ability?.theta != null ? performance.ability : null,
+        lastAssessment: performance.lastAssessment
+      };
+    }));
+
+    res.json({ email, categories });
+  } catch (err) {
+    console.error('Error fetching skill metrics:', err);
+    res.status(500).json({ error: 'Failed to fetch skill metrics' });
+  }
+});
+
+// Per-topic mastery and recent weak/neutral/strong transitions, newest first
+app.get('/api/users/:email/topics', requireAuth, async (req, res) => {
+  try {
+    const email = learnerEmailParam(req);
+    if (!email) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+
+    const filter = { email };
+    if (req.query.category) filter.category = req.query.category;
+    const performances = await UserPerformance.find(filter);
+
+    const categories = performances.map(performance => {
+      // Apply decay up to now for display; the stored record catches up on the next quiz or decay run
+      updateTopicMastery(performance);
+      return {
+        category: performance.category,
+        topics: performance.topicMastery
+          .map(entry => ({
+            topic: entry.topic,
+            status: entry.status,
+            accuracy: Math.round(topicAccuracy(entry) * 100) / 100,
+            evidence: Math.round(entry.totalWeight * 10) / 10,
+            answers: entry.answers,
+            lastAnsweredAt: entry.lastAnsweredAt,
+            statusChangedAt: entry.statusChangedAt
+          }))
+          .sort((a, b) => a.accuracy - b.accuracy),
+        transitions: [...performance.masteryTransitions].reverse().map(formatMasteryTransition)
+      };
+    });
+
+    res.json({ email, categories });
+  } catch (err) {
+    console.error('Error fetching topic mastery:', err);
+    res.status(500).json({ error: 'Failed to fetch topic mastery' });
+  }
+});
+
+// Starting catalog, inserted when the ShopItem collection is empty
+const SHOP_ITEM_SEED = [
+  { itemId: 1, name: 'Streak Freeze', description: 'Pause your streak for a day.', price: 50, effect: 'streakFreeze' },
+  { itemId: 2, name: 'Quiz Hint', description: 'Remove two wrong options from a quiz question.', price: 30, effect: 'hint' },
+  { itemId: 3, name: 'Custom Avatar', description: 'Unlock a custom avatar.', price: 100, effect: 'avatar', perUserLimit: 1 },
+  { itemId: 4, name: 'Double Coins', description: 'Earn double coins for the next quiz.', price: 200, effect: 'doubleCoins' }
+];
+
+async function seedShopItems() {
+  if (await ShopItem.countDocuments() === 0) {
+    await ShopItem.insertMany(SHOP_ITEM_SEED);
+    console.log(`🌱 Seeded ${SHOP_ITEM_SEED.length} shop items`);
+  }
+}
+
+// What each effect adds to the buyer's inventory, applied as one atomic update so it can't
+// overwrite a hint or Double Coins charge spent at the same moment
+const SHOP_ITEM_EFFECTS = {
+  streakFreeze: { $inc: { 'engagement.inventory.streakFreezes': 1 } },
+  hint: { $inc: { 'engagement.inventory.hints': 1 } },
+  doubleCoins: { $inc: { 'engagement.inventory.doubleCoins': 1 } },
+  avatar: { $set: { 'engagement.inventory.avatarUnlocked': true } }
+};
+
+// Avatars anyone can use, and the extra ones the Custom Avatar item unlocks
+const FREE_AVATARS = ['fa-user', 'fa-user-graduate'];
+const CUSTOM_AVATARS = ['fa-user-astronaut', 'fa-user-ninja', 'fa-robot', 'fa-cat', 'fa-dragon', 'fa-ghost'];
+
+function getInventorySummary(user) {
+  const inventory = user.engagement?.inventory || {};
+  return {
+    streakFreezes: inventory.streakFreezes || 0,
+    hints: inventory.hints || 0,
+    doubleCoins: inventory.doubleCoins || 0,
+    avatarUnlocked: !!inventory.avatarUnlocked
+  };
+}
+
+const SHOP_UNAVAILABLE_MESSAGES = {
+  'sign-in-required': 'Please log in to make a purchase.',
+  'not-started': 'This item is not on sale yet.',
+  'expired': 'This offer has ended.',
+  'out-of-stock': 'This item is sold out.',
+  'category-locked': 'Take a quiz in this category to unlock this item.',
+  'owned': 'You already own this item.',
+  'limit-reached': 'You have reached the purchase limit for this item.'
+};
+
+const PURCHASE_LOCK_MS = 15 * 1000; // Lapses on its own if a request dies holding it
+
+// Run one purchase at a time per user, so two requests can't both pass the per-user limit
+// or ownership checks before either is charged. Returns { locked: false } when busy.
+async function withPurchaseLock(userId, work) {
+  const lockedUntil = new Date(Date.now() + PURCHASE_LOCK_MS);
+  const locked = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ 'engagement.purchaseLockedUntil': null }, { 'engagement.purchaseLockedUntil': { $lt: new Date() } }]
+    },
+    { $set: { 'engagement.purchaseLockedUntil': lockedUntil } }
+  );
+  if (locked.modifiedCount === 0) return { locked: false };
+  try {
+    return { locked: true, value: await work() };
+  } finally {
+    await User.updateOne(
+      { _id: userId, 'engagement.purchaseLockedUntil': lockedUntil },
+      { $unset: { 'engagement.purchaseLockedUntil': '' } }
+    );
+  }
+}
+
+// Per-user facts the availability check needs; load once per request
+async function getShopContext(user) {
+  if (!user) return null;
+  const [purchases, categories] = await Promise.all([
+    // Charges count as purchases; refunds carry the same itemId and cancel one out
+    CoinTransaction.aggregate([
+      { $match: { userId: user._id, 'meta.itemId': { $ne: null } } },
+      { $group: { _id: '$meta.itemId', count: { $sum: { $cond: [{ $lt: ['$amount', 0] }, 1, -1] } } } }
+    ]),
+    UserPerformance.distinct('category', { email: user.email })
+  ]);
+  const purchaseCounts = new Map(purchases.map(p => [p._id, Math.max(p.count, 0)]));
+  const categoriesTaken = new Set(categories);
+  return { user, purchaseCounts, categoriesTaken };
+}
+
+// Whether this user can buy the item right now, and why not
+function getShopItemAvailability(item, context, now = new Date()) {
+  const purchasedCount = context ? context.purchaseCounts.get(item.itemId) || 0 : 0;
+  const remainingForUser = item.perUserLimit != null ? Math.max(item.perUserLimit - purchasedCount, 0) : null;
+
+  let reason = null;
+  if (item.availableFrom && now < item.availableFrom) reason = 'not-started';
+  else if (item.availableUntil && now > item.availableUntil) reason = 'expired';
+  else if (item.stock != null && item.stock <= 0) reason = 'out-of-stock';
+  else if (!context) reason = 'sign-in-required';
+  else if (item.category && !context.categoriesTaken.has(item.category)) reason = 'category-locked';
+  else if (item.effect === 'avatar' && context.user.engagement?.inventory?.avatarUnlocked) reason = 'owned';
+  else if (remainingForUser === 0) reason = 'limit-reached';
+
+  return { purchasable: reason === null, reason, purchasedCount, remainingForUser };
+}
+
+function formatShopItem(item, context) {
+  return {
+    id: item.itemId,
+    name: item.name,
+    description: item.description,
+    price: item.price,
+    effect: item.effect,
+    category: item.category,
+    stock: item.stock,
+    perUserLimit: item.perUserLimit,
+    availableFrom: item.availableFrom,
+    availableUntil: item.availableUntil,
+    availability: getShopItemAvailability(item, context)
+  };
+}
+
+// API to fetch shop items, with availability for the signed-in user.
+// ?category=HTML narrows category items to that category.
+app.get('/api/shop/items', optionalAuth, async (req, res) => {
+  try {
+    const filter = { active: true };
+    if (req.query.category) {
+      filter.category = { $in: [null, req.query.category] };
+    }
+
+    const [items, context] = await Promise.all([
+      ShopItem.find(filter).sort({ itemId: 1 }),
+      getShopContext(req.user)
+    ]);
+
+    // Hide seasonal items whose window has closed; upcoming ones stay visible as teasers
+    const now = new Date();
+    res.json(items
+      .filter(item => !item.availableUntil || item.availableUntil >= now)
+      .map(item => formatShopItem(item, context)));
+  } catch (err) {
+    console.error('Error fetching shop items:', err);
+    res.status(500).json({ error: 'Failed to fetch shop items.' });
+  }
+});
+
+// Handle one purchase; runs under the buyer's purchase lock
+async function processShopPurchase(req, res) {
+  const { itemId } = req.body;
+
+  if (!itemId) {
+    return res.status(400).json({ error: 'itemId is required.' });
+  }
+
+  const user = await ensureUserEngagement(req.user.email);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found.' });
+  }
+
+  const item = await ShopItem.findOne({ itemId: Number(itemId), active: true });
+  if (!item) {
+    return res.status(404).json({ error: 'Item not found.' });
+  }
+
+  // A retried request with the same Idempotency-Key gets the original outcome
+  const key = getIdempotencyKey(req);
+  const ledgerKey = key && `purchase:${key}`;
+  const purchaseResponse = (balance, inventoryUser = user) => ({
+    success: true,
+    balance,
+    inventory: getInventorySummary(inventoryUser),
+    message: `You purchased ${item.name}!`
+  });
+  if (ledgerKey) {
+    const previous = await CoinTransaction.findOne({ userId: user._id, idempotencyKey: ledgerKey });
+    if (previous) {
+      return res.json({ ...purchaseResponse(coinSummary(user).balance), duplicate: true });
+    }
+  }
+
+  const availability = getShopItemAvailability(item, await getShopContext(user));
+  if (!availability.purchasable) {
+    return res.status(400).json({ error: SHOP_UNAVAILABLE_MESSAGES[availability.reason], reason: availability.reason });
+  }
+
+  if (user.engagement.coins.balance < item.price) {
+    return res.status(400).json({ error: 'Insufficient coins.' });
+  }
+
+  // Claim one unit of limited stock before charging
+  if (item.stock != null) {
+    const claimed = await ShopItem.updateOne({ _id: item._id, stock: { $gt: 0 } }, { $inc: { stock: -1 } });
+    if (claimed.modifiedCount === 0) {
+      return res.status(400).json({ error: SHOP_UNAVAILABLE_MESSAGES['out-of-stock'], reason: 'out-of-stock' });
+    }
+  }
+
+  const restock = async () => {
+    if (item.stock != null) {
+      await ShopItem.updateOne({ _id: item._id }, { $inc: { stock: 1 } });
+    }
+  };
+
+  // Charge through the ledger; the conditional update fails rather than going negative
+  let charge;
+  try {
+    charge = await applyCoinTransaction(user._id, -item.price, `Purchased ${item.name}`, {
+      meta: { itemId: item.itemId, itemName: item.name },
+      idempotencyKey: ledgerKey
+    });
+  } catch (chargeError) {
+    await restock();
+    throw chargeError;
+  }
+  if (!charge.success || charge.duplicate) {
+    await restock();
+    if (charge.duplicate) {
+      return res.json({ ...purchaseResponse(charge.balance), duplicate: true });
+    }
+    return res.status(400).json({ error: 'Insufficient coins.' });
+  }
+
+  let delivered;
+  try {
+    delivered = await User.findOneAndUpdate({ _id: user._id }, SHOP_ITEM_EFFECTS[item.effect], { new: true });
+  } catch (saveError) {
+    // The item wasn't delivered, so give the coins and the stock back
+    await applyCoinTransaction(user._id, item.price, `Refund - ${item.name}`, {
+      meta: { itemId: item.itemId, itemName: item.name, refundOf: charge.transaction._id },
+      idempotencyKey: `refund:${charge.transaction._id}`
+    });
+    await restock();
+    throw saveError;
+  }
+
+  res.json(purchaseResponse(charge.balance, delivered));
+}
+
+// API to handle purchases
+app.post('/api/shop/purchase', requireAuth, async (req, res) => {
+  try {
+    const outcome = await withPurchaseLock(req.user._id, () => processShopPurchase(req, res));
+    if (!outcome.locked) {
+      return res.status(409).json({ error: 'Another purchase is in progress. Please try again.' });
+    }
+  } catch (err) {
+    console.error('Error processing purchase:', err);
+    res.status(500).json({ error: 'Failed to process purchase.' });
   }
 });
 
-// Shop items (static for now, can be moved to a database later)
-const shopItems = [
-  { id: 1, name: 'Streak Freeze', description: 'Pause your streak for a day.', price: 50 },
-  { id: 2, name: 'Quiz Hint', description: 'Get a hint for a quiz question.', price: 30 },
-  { id: 3, name: 'Custom Avatar', description: 'Unlock a custom avatar.', price: 100 },
-  { id: 4, name: 'Double Coins', description: 'Earn double coins for the next quiz.', price: 200 }
-];
+// Check and normalize admin input for a shop item. With `partial`, missing fields are left alone.
+function parseShopItemInput(body, partial = false) {
+  const value = {};
+  const errors = [];
 
-// API to fetch shop items
-app.get('/api/shop/items', (req, res) => {
-  res.json(shopItems);
-});
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name is required');
+    else value.name = body.name.trim();
+  }
+  if (body.description !== undefined) value.description = String(body.description);
+  if (body.price !== undefined || !partial) {
+    if (!Number.isInteger(body.price) || body.price < 0) errors.push('price must be a whole number >= 0');
+    else value.price = body.price;
+  }
+  if (body.effect !== undefined || !partial) {
+    if (!SHOP_ITEM_EFFECT_TYPES.includes(body.effect)) errors.push(`effect must be one of: ${SHOP_ITEM_EFFECT_TYPES.join(', ')}`);
+    else value.effect = body.effect;
+  }
+  if (body.category !== undefined) value.category = body.category || null;
+  ['stock', 'perUserLimit'].forEach(field => {
+    if (body[field] === undefined) return;
+    if (body[field] === null) value[field] = null;
+    else if (!Number.isInteger(body[field]) || body[field] < (field === 'stock' ? 0 : 1)) errors.push(`${field} must be a whole number or null`);
+    else value[field] = body[field];
+  });
+  ['availableFrom', 'availableUntil'].forEach(field => {
+    if (body[field] === undefined) return;
+    if (body[field] === null) value[field] = null;
+    else if (isNaN(new Date(body[field]).getTime())) errors.push(`${field} must be a date or null`);
+    else value[field] = new Date(body[field]);
+  });
+  if (value.availableFrom && value.availableUntil && value.availableFrom > value.availableUntil) {
+    errors.push('availableFrom must be before availableUntil');
+  }
+  if (body.active !== undefined) value.active = !!body.active;
 
-// API to handle purchases
-app.post('/api/shop/purchase', async (req, res) => {
+  return { value, errors };
+}
+
+// Admin: full catalog, including inactive and expired items
+app.get('/api/admin/shop/items', requireAuth, requireRole('admin'), async (req, res) => {
   try {
-    const { email, itemId } = req.body;
+    const items = await ShopItem.find().sort({ itemId: 1 }).lean();
+    res.json({ items });
+  } catch (err) {
+    console.error('Error listing shop items for admin:', err);
+    res.status(500).json({ error: 'Failed to list shop items' });
+  }
+});
 
-    if (!email || !itemId) {
-      return res.status(400).json({ error: 'Email and itemId are required.' });
+app.post('/api/admin/shop/items', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { value, errors } = parseShopItemInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid shop item', details: errors });
     }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found.' });
-    }
+    const last = await ShopItem.findOne().sort({ itemId: -1 }).select('itemId');
+    const item = await ShopItem.create({ ...value, itemId: (last?.itemId || 0) + 1 });
+
+    await writeAuditLog(req.user, 'shop.item.create', { type: 'shopItem', id: item.itemId }, { after: item.toObject() });
+
+    res.status(201).json({ success: true, item });
+  } catch (err) {
+    console.error('Error creating shop item:', err);
+    res.status(500).json({ error: 'Failed to create shop item' });
+  }
+});
 
-    const item = shopItems.find(i => i.id === itemId);
+app.patch('/api/admin/shop/items/:itemId', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const item = await ShopItem.findOne({ itemId: Number(req.params.itemId) });
     if (!item) {
-      return res.status(404).json({ error: 'Item not found.' });
+      return res.status(404).json({ error: 'Shop item not found' });
     }
 
-    if (user.engagement.coins.balance < item.price) {
-      return res.status(400).json({ error: 'Insufficient coins.' });
+    const { value, errors } = parseShopItemInput(req.body, true);
+    const from = value.availableFrom !== undefined ? value.availableFrom : item.availableFrom;
+    const until = value.availableUntil !== undefined ? value.availableUntil : item.availableUntil;
+    if (from && until && from > until) errors.push('availableFrom must be before availableUntil');
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid shop item', details: errors });
     }
 
-    // Deduct coins and add purchase to history
-    user.engagement.coins.balance -= item.price;
-    user.engagement.coins.lifetimeSpent += item.price;
-    user.engagement.coins.history.push({
-      action: `Purchased ${item.name}`,
-      amount: -item.price,
-      createdAt: new Date(),
-      meta: { itemId: item.id, itemName: item.name }
+    const before = item.toObject();
+    Object.assign(item, value, { updatedAt: new Date() });
+    await item.save();
+
+    await writeAuditLog(req.user, 'shop.item.update', { type: 'shopItem', id: item.itemId }, {
+      before,
+      after: item.toObject(),
+      note: req.body.note
     });
 
-    await user.save();
+    res.json({ success: true, item });
+  } catch (err) {
+    console.error('Error updating shop item:', err);
+    res.status(500).json({ error: 'Failed to update shop item' });
+  }
+});
+
+app.delete('/api/admin/shop/items/:itemId', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const item = await ShopItem.findOneAndDelete({ itemId: Number(req.params.itemId) });
+    if (!item) {
+      return res.status(404).json({ error: 'Shop item not found' });
+    }
+
+    await writeAuditLog(req.user, 'shop.item.delete', { type: 'shopItem', id: item.itemId }, {
+      before: item.toObject(),
+      note: req.body?.note
+    });
 
-    res.json({ success: true, balance: user.engagement.coins.balance, message: `You purchased ${item.name}!` });
+    res.json({ success: true });
   } catch (err) {
-    console.error('Error processing purchase:', err);
-    res.status(500).json({ error: 'Failed to process purchase.' });
+    console.error('Error deleting shop item:', err);
+    res.status(500).json({ error: 'Failed to delete shop item' });
   }
 });
 
-// Spin Wheel API endpoint
-app.post('/api/shop/spin-wheel', async (req, res) => {
+// Avatar choices for the signed-in user; custom ones need the Custom Avatar item
+app.get('/api/users/me/avatar', requireAuth, (req, res) => {
+  const unlocked = !!req.user.engagement?.inventory?.avatarUnlocked;
+  res.json({
+    avatar: req.user.avatar || 'fa-user',
+    available: unlocked ? FREE_AVATARS.concat(CUSTOM_AVATARS) : FREE_AVATARS,
+    locked: unlocked ? [] : CUSTOM_AVATARS
+  });
+});
+
+app.put('/api/users/me/avatar', requireAuth, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { avatar } = req.body;
+    const unlocked = !!req.user.engagement?.inventory?.avatarUnlocked;
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required.' });
+    if (!FREE_AVATARS.includes(avatar) && !CUSTOM_AVATARS.includes(avatar)) {
+      return res.status(400).json({ error: 'Unknown avatar' });
+    }
+    if (CUSTOM_AVATARS.includes(avatar) && !unlocked) {
+      return res.status(403).json({ error: 'Buy Custom Avatar in the shop to use this avatar' });
     }
 
-    const user = await User.findOne({ email });
+    req.user.avatar = avatar;
+    await req.user.save();
+
+    res.json({ success: true, avatar });
+  } catch (err) {
+    console.error('Error updating avatar:', err);
+    res.status(500).json({ error: 'Failed to update avatar' });
+  }
+});
+
+// Spin Wheel API endpoint
+app.post('/api/shop/spin-wheel', requireAuth, async (req, res) => {
+  try {
+    const user = await ensureUserEngagement(req.user.email);
     if (!user) {
       return res.status(404).json({ error: 'User not found.' });
     }
 
     const spinCost = 50;
-    if (user.engagement.coins.balance < spinCost) {
+    const key = getIdempotencyKey(req);
+
+    // Deduct spin cost
+    const cost = await applyCoinTransaction(user._id, -spinCost, 'Spin Wheel Cost', {
+      meta: { type: 'spin_cost' },
+      idempotencyKey: key && `spin:${key}`
+    });
+    if (!cost.success) {
       return res.status(400).json({ error: 'Insufficient coins. You need 50 coins to spin.' });
     }
 
-    // Deduct spin cost
-    user.engagement.coins.balance -= spinCost;
-    user.engagement.coins.lifetimeSpent += spinCost;
+    // The prize is keyed to the cost transaction, so a retried spin replays the same prize
+    const prizeKey = `spin-prize:${cost.transaction._id}`;
+    if (cost.duplicate) {
+      const previousPrize = await CoinTransaction.findOne({ userId: user._id, idempotencyKey: prizeKey });
+      if (previousPrize) {
+        return res.json({
+          success: true,
+          duplicate: true,
+          prize: previousPrize.meta?.prize,
+          reward: previousPrize.amount,
+          balance: coinSummary(await User.findById(user._id).select('engagement.coins')).balance,
+          message: `Congratulations! You won ${previousPrize.meta?.prize}!`
+        });
+      }
+    }
 
     // Define spin wheel prizes with probabilities
     const prizes = [
@@ -2232,35 +9159,21 @@ app.post('/api/shop/spin-wheel', async (req, res) => {
     }
 
     // Award the prize
-    user.engagement.coins.balance += selectedPrize.coins;
-    user.engagement.coins.lifetimeEarned += selectedPrize.coins;
-
-    // Add to history
-    user.engagement.coins.history.push({
-      action: 'Spin Wheel Cost',
-      amount: -spinCost,
-      createdAt: new Date(),
-      meta: { type: 'spin_cost' }
-    });
-
-    user.engagement.coins.history.push({
-      action: `Spin Wheel Prize - ${selectedPrize.name}`,
-      amount: selectedPrize.coins,
-      createdAt: new Date(),
-      meta: { 
+    const award = await applyCoinTransaction(user._id, selectedPrize.coins, `Spin Wheel Prize - ${selectedPrize.name}`, {
+      meta: {
         type: 'spin_prize',
         prize: selectedPrize.name,
-        coins: selectedPrize.coins
-      }
+        coins: selectedPrize.coins,
+        spinTransactionId: cost.transaction._id
+      },
+      idempotencyKey: prizeKey
     });
 
-    await user.save();
-
     res.json({ 
       success: true, 
-      prize: selectedPrize.name,
-      reward: selectedPrize.coins,
-      balance: user.engagement.coins.balance,
+      prize: award.transaction.meta?.prize || selectedPrize.name,
+      reward: award.transaction.amount,
+      balance: award.balance,
       message: `Congratulations! You won ${selectedPrize.name}!`
     });
 
@@ -2270,37 +9183,45 @@ app.post('/api/shop/spin-wheel', async (req, res) => {
   }
 });
 
-// Helper functions for difficulty progression - moved to global scope
-function getNextDifficultyLevel(currentLevel) {
-  const levels = ['beginner', 'intermediate', 'advanced', 'expert'];
-  const currentIndex = levels.indexOf(currentLevel);
-  
-  if (currentIndex < 0 || currentIndex >= levels.length - 1) {
-    return currentLevel; // Stay at current level if it's invalid or already at maximum
-  }
-  
-  return levels[currentIndex + 1]; // Return next level
+// IRT responses for the answers given so far in an adaptive session. Correctness comes
+// from the answer stored on the question when there is one, not from the client.
+async function getSessionIrtResponses(email, previousAnswers) {
+  const ids = previousAnswers.map(a => a.questionId).filter(id => mongoose.isObjectIdOrHexString(id));
+  const questions = ids.length > 0
+    ? await GeneratedQuestion.find({ _id: { $in: ids }, generatedFor: email }).select('difficulty contentHash irt userResponse').lean()
+    : [];
+  const questionsById = new Map(questions.map(q => [String(q._id), q]));
+
+  return previousAnswers.map(answer => {
+    const question = questionsById.get(String(answer.questionId));
+    if (question) {
+      const storedResult = question.userResponse?.wasCorrect;
+      return { ...irtItemFor(question, 'generated'), isCorrect: storedResult ?? !!answer.isCorrect };
+    }
+    return {
+      difficulty: priorDifficulty(answer.difficulty),
+      discrimination: 1,
+      isCorrect: !!answer.isCorrect
+    };
+  });
 }
 
-function getPreviousDifficultyLevel(currentLevel) {
-  const levels = ['beginner', 'intermediate', 'advanced', 'expert'];
-  const currentIndex = levels.indexOf(currentLevel);
-  return currentIndex > 0 ? levels[currentIndex - 1] : currentLevel;
+function getAdvancedTopic(category, recentTopics, weakAreas = []) {
+  return pickTopic(category, ['advanced', 'expert'], recentTopics, weakAreas);
 }
 
-function getAdvancedTopic(category, recentTopics) {
-  const advancedTopics = {
-    'HTML': ['HTML5 APIs', 'Web Components', 'Accessibility', 'Performance Optimization', 'Progressive Web Apps'],
-    'CSS': ['CSS Grid Advanced', 'CSS Animations', 'CSS Variables', 'CSS Custom Properties', 'CSS Transforms', 'CSS Responsive Design'],
-    'JavaScript': ['Async/Await', 'Closures', 'Prototypes', 'ES6+ Features', 'Event Loop', 'Module Systems', 'Web APIs']
-  };
-  
-  const categoryTopics = advancedTopics[category] || advancedTopics['JavaScript'];
-  const unusedTopics = categoryTopics.filter(topic => !recentTopics.includes(topic));
-  
-  return unusedTopics.length > 0 ? 
-    unusedTopics[Math.floor(Math.random() * unusedTopics.length)] : 
-    categoryTopics[Math.floor(Math.random() * categoryTopics.length)];
+// Random taxonomy topic at the given levels, preferring ones not asked recently and skipping
+// ones whose prerequisites are currently weak areas
+function pickTopic(category, levels, recentTopics = [], weakAreas = []) {
+  const topics = getCategoryTopics(category).filter(topic => levels.includes(topic.level));
+  if (topics.length === 0) return getCategoryDefaults(category).defaultTopic;
+
+  const weakSlugs = new Set(weakAreas.map(slugify));
+  const ready = topics.filter(topic => !topic.prerequisites.some(slug => weakSlugs.has(slug)));
+  const candidates = ready.length > 0 ? ready : topics;
+  const unused = candidates.filter(topic => !recentTopics.includes(topic.name));
+  const pool = unused.length > 0 ? unused : candidates;
+  return pool[Math.floor(Math.random() * pool.length)].name;
 }
 
 // Add the missing analyzeAndAdaptUserProfile function
@@ -2308,10 +9229,25 @@ async function analyzeAndAdaptUserProfile(userPerformance, previousAnswers, cate
   let currentLevel = userPerformance.overallLevel;
   let focusArea = getCategoryDefaults(category).defaultTopic;
   let accuracyTrend = 'stable';
+  let abilityEstimate = null;
+  let targetDifficulty = null;
   
   console.log(`Analyzing user profile for ${category} with`, previousAnswers.length, 'previous answers');
   
   try {
+    // Start from the calibrated ability, or the ability implied by the current level, and
+    // move it with this session's answers. The next item targets a 70% chance of success.
+    const prior = userPerformance.ability?.theta != null
+      ? { theta: userPerformance.ability.theta, standardError: Math.max(userPerformance.ability.standardError || 1, 0.3) }
+      : { theta: priorDifficulty(userPerformance.overallLevel) - targetDifficultyFor(0), standardError: 1 };
+    const estimate = estimateAbility(await getSessionIrtResponses(userPerformance.email, previousAnswers), prior);
+    abilityEstimate = Math.round(estimate.theta * 100) / 100;
+    targetDifficulty = Math.round(targetDifficultyFor(estimate.theta) * 100) / 100;
+    currentLevel = levelForDifficulty(targetDifficulty);
+
+    if (estimate.theta - prior.theta > 0.25) accuracyTrend = 'improving';
+    else if (estimate.theta - prior.theta < -0.25) accuracyTrend = 'struggling';
+
     if (previousAnswers.length > 0) {
       const correctAnswers = previousAnswers.filter(a => a.isCorrect).length;
       const sessionAccuracy = correctAnswers / previousAnswers.length;
@@ -2322,7 +9258,7 @@ async function analyzeAndAdaptUserProfile(userPerformance, previousAnswers, cate
       const recentTopics = [];
       
       previousAnswers.forEach(answer => {
-        const topic = answer.topic || getCategoryDefaults(category).defaultTopic;
+        const topic = normalizeTopic(category, answer.topic || getCategoryDefaults(category).defaultTopic).topic;
         recentTopics.push(topic);
         
         if (!topicPerformance[topic]) {
@@ -2338,34 +9274,15 @@ async function analyzeAndAdaptUserProfile(userPerformance, previousAnswers, cate
         .filter(([topic, perf]) => perf.total >= 2 && (perf.correct / perf.total) < 0.5)
         .map(([topic]) => topic);
 
-      // Adaptive difficulty adjustment
-      if (sessionAccuracy >= 0.8 && previousAnswers.length >= 3) {
-        currentLevel = getNextDifficultyLevel(currentLevel);
-        accuracyTrend = 'improving';
-      } else if (sessionAccuracy <= 0.4 && previousAnswers.length >= 3) {
-        currentLevel = getPreviousDifficultyLevel(currentLevel);
-        accuracyTrend = 'struggling';
-      }
-
       // Enhanced focus area selection
       if (weakTopics.length > 0) {
         focusArea = weakTopics[Math.floor(Math.random() * weakTopics.length)];
       } else if (sessionAccuracy > 0.7 && previousAnswers.length >= 4) {
-        focusArea = getAdvancedTopic(category, recentTopics);
+        focusArea = getAdvancedTopic(category, recentTopics, userPerformance.weakAreas || []);
       } else if (previousAnswers.length < 3) {
-        const basicTopics = category === 'JavaScript' ? 
-          ['JavaScript Basics', 'Functions', 'Variables'] :
-          category === 'CSS' ? 
-          ['CSS Basics', 'CSS Selectors', 'CSS Properties'] :
-          ['HTML Basics', 'HTML Elements', 'HTML Attributes'];
-        focusArea = basicTopics[Math.floor(Math.random() * basicTopics.length)];
+        focusArea = pickTopic(category, ['beginner'], recentTopics);
       } else {
-        const intermediateTopics = category === 'JavaScript' ?
-          ['ES6+ Features', 'DOM Manipulation', 'Event Handling', 'Async/Await'] :
-          category === 'CSS' ?
-          ['CSS Layout', 'CSS Flexbox', 'CSS Grid', 'CSS Animations'] :
-          ['HTML Forms', 'HTML Tables', 'HTML5 Semantic Elements', 'HTML Document Structure'];
-        focusArea = intermediateTopics[Math.floor(Math.random() * intermediateTopics.length)];
+        focusArea = pickTopic(category, ['intermediate'], recentTopics, userPerformance.weakAreas || []);
       }
     }
   } catch (analysisError) {
@@ -2379,6 +9296,8 @@ async function analyzeAndAdaptUserProfile(userPerformance, previousAnswers, cate
     currentLevel,
     focusArea,
     accuracyTrend,
+    abilityEstimate,
+    targetDifficulty,
     learningStyle: userPerformance.detailedProfile?.learningStyle || 'practical',
     weakAreas: userPerformance.weakAreas || [],
     strongAreas: userPerformance.strongAreas || []
@@ -2387,25 +9306,16 @@ async function analyzeAndAdaptUserProfile(userPerformance, previousAnswers, cate
 
 // Add category defaults function
 function getCategoryDefaults(category) {
-  const defaults = {
-    'HTML': { defaultTopic: 'HTML Basics' },
-    'CSS': { defaultTopic: 'CSS Basics' },
-    'JavaScript': { defaultTopic: 'JavaScript Basics' }
-  };
-  return defaults[category] || { defaultTopic: 'General Programming' };
+  const [firstTopic] = getCategoryTopics(category);
+  return { defaultTopic: firstTopic ? firstTopic.name : FALLBACK_TOPIC };
 }
 
 // Update the generateSingleAdaptiveQuestionFast function to handle all categories
-async function generateSingleAdaptiveQuestionFast(email, category, adaptedProfile, questionNumber, previousAnswers) {
-  console.log(`⚡ FAST AI question generation with Gemini for ${category}...`);
+async function generateSingleAdaptiveQuestionFast(email, category, adaptedProfile, questionNumber, previousAnswers, provider = null) {
+  console.log(`⚡ FAST AI question generation for ${category}...`);
   try {
-    const startTime = Date.now();
-
-    // Try Gemini API directly first
-    if (GEMINI_API_KEY && GEMINI_API_KEY.length > 10) {
-      console.log(`🤖 Attempting direct Gemini API generation for ${category}...`);
-      try {
-        const prompt = `Generate a ${category} quiz question for ${adaptedProfile.currentLevel} level about ${adaptedProfile.focusArea || getCategoryDefaults(category).defaultTopic}.
+    const topic = adaptedProfile.focusArea || getCategoryDefaults(category).defaultTopic;
+    const prompt = `Generate a ${category} quiz question for ${adaptedProfile.currentLevel} level about ${topic}.
 
 Return ONLY valid JSON in this exact format:
 {
@@ -2417,64 +9327,50 @@ Return ONLY valid JSON in this exact format:
 
 Make sure the question is educational and the correct answer is one of the four options.`;
 
-        const aiResponse = await callGeminiAPI(prompt);
-
-        // Clean and parse the response
-        let jsonText = aiResponse.trim();
-        jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
-
-        const questionData = JSON.parse(jsonText);
-
-        // Validate the question structure
-        if (!questionData.question || !questionData.options || !Array.isArray(questionData.options) || questionData.options.length !== 4) {
-          throw new Error(`Invalid ${category} question structure from Gemini`);
-        }
-
-        if (!questionData.correctAnswer || !questionData.options.includes(questionData.correctAnswer)) {
-          throw new Error(`${category} correct answer not found in options`);
-        }
-
-        console.log(`✅ Gemini API ${category} question generated successfully`);
+    const startTime = Date.now();
+    const [questionData] = await generateValidatedQuestions(prompt, {
+      provider,
+      count: 1,
+      category,
+      topic,
+      difficulty: adaptedProfile.currentLevel,
+      generatedFor: email
+    });
 
-        // Save to database
-        const generatedQuestion = new GeneratedQuestion({
-          category,
-          question: questionData.question,
-          options: questionData.options,
-          correctAnswer: questionData.correctAnswer,
-          difficulty: adaptedProfile.currentLevel,
-          topic: adaptedProfile.focusArea || getCategoryDefaults(category).defaultTopic,
-          explanation: questionData.explanation || `Gemini generated ${category} explanation`,
-          generatedFor: email,
-          createdAt: new Date()
-        });
+    console.log(`✅ ${questionData.source} ${category} question generated successfully`);
 
-        const saved = await generatedQuestion.save();
+    // Save to database
+    const generatedQuestion = new GeneratedQuestion({
+      category,
+      question: questionData.question,
+      options: questionData.options,
+      correctAnswer: questionData.correctAnswer,
+      difficulty: adaptedProfile.currentLevel,
+      topic,
+      explanation: questionData.explanation || `AI generated ${category} explanation`,
+      generatedFor: email,
+      generatedBy: questionData.source,
+      aiModel: questionData.model,
+      createdAt: new Date()
+    });
 
-        return {
-          id: saved._id,
-          question: questionData.question,
-          options: questionData.options,
-          correctAnswer: questionData.correctAnswer,
-          difficulty: adaptedProfile.currentLevel,
-          topic: adaptedProfile.focusArea || getCategoryDefaults(category).defaultTopic,
-          explanation: questionData.explanation,
-          generatedBy: 'GEMINI_API',
-          _aiMetadata: {
-            model: 'gemini-pro',
-            generationTime: Date.now() - startTime,
-            source: 'DIRECT_GEMINI'
-          }
-        };
+    const saved = await generatedQuestion.save();
 
-      } catch (geminiError) {
-        console.log(`❌ Direct Gemini API failed for ${category}:`, geminiError.message);
+    return {
+      id: saved._id,
+      question: questionData.question,
+      options: questionData.options,
+      correctAnswer: questionData.correctAnswer,
+      difficulty: adaptedProfile.currentLevel,
+      topic,
+      explanation: questionData.explanation,
+      generatedBy: questionData.source,
+      _aiMetadata: {
+        model: questionData.model,
+        generationTime: Date.now() - startTime,
+        source: questionData.source
       }
-    }
+    };
 
   } catch (error) {
     console.log(`❌ All AI attempts failed for ${category}, using intelligent fallback:`, error.message);
@@ -2510,12 +9406,19 @@ app.get('/api/ai-status', async (req, res) => {
       }
     }
 
+    const providerChain = getProviderChain();
     res.json({
       geminiAvailable,
       geminiKeyConfigured: hasGeminiKey,
       primaryAI,
       status: geminiAvailable ? 'GEMINI_OPERATIONAL' : 'FALLBACK_READY',
-      apiVersion: 'gemini-pro'
+      apiVersion: 'gemini-pro',
+      providers: Object.entries(LLM_PROVIDERS).map(([name, provider]) => ({
+        name,
+        model: provider.model,
+        configured: provider.isConfigured()
+      })),
+      providerChain
     });
 
   } catch (error) {
@@ -2553,19 +9456,14 @@ app.get('/api/test-gemini', async (req, res) => {
       const response = await callGeminiAPI(testPrompt);
       const responseTime = Date.now() - startTime;
 
-      let jsonText = response.trim();
-      jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonText = jsonMatch[0];
-      }
-
-      const parsedResponse = JSON.parse(jsonText);
+      const parsedResponse = extractLLMJson(response);
+      const validation = validateGeneratedQuestion(parsedResponse);
 
       return res.json({
         status: 'SUCCESS',
         message: 'Gemini AI is working perfectly!',
         response: parsedResponse,
+        validationErrors: validation.errors,
         hasKey: true,
         keyLength: GEMINI_API_KEY.length,
         responseTime: responseTime,
@@ -2595,6 +9493,530 @@ app.get('/api/test-gemini', async (req, res) => {
   }
 });
 
-app.listen(port, () => {
-  console.log(`🚀 Server running at http://localhost:${port}`);
-});
\ No newline at end of file
+// ========== MULTIPLAYER BATTLES ==========
+// Live quiz battles over Socket.IO. A 'duel' starts as soon as a second player joins; a
+// 'lobby' (up to 8 players) starts when its host says so. Everyone gets the same question
+// at the same time with a countdown; answers are graded on the server, with a speed bonus
+// for answering early. Standings are broadcast after every question. At the end each
+// player's battle is saved as a 'multiplayer' Result and the winners are paid coins.
+// Rooms live in memory, so a restart ends any battle in progress.
+//
+// Sockets authenticate with the accessToken cookie or handshake auth { token }.
+// Client -> server: battle:create, battle:join, battle:start, battle:answer, battle:leave
+// Server -> client: battle:state, battle:countdown, battle:question, battle:answered,
+//                   battle:reveal, battle:finished, battle:closed
+
+const BATTLE_MAX_PLAYERS = { duel: 2, lobby: 8 };
+const BATTLE_DEFAULT_QUESTIONS = 5;
+const BATTLE_MAX_QUESTIONS = 15;
+const BATTLE_DEFAULT_SECONDS = 20; // Per question
+const BATTLE_COUNTDOWN_SECONDS = 3;
+const BATTLE_REVEAL_SECONDS = 4; // Pause on the answer before the next question
+const BATTLE_CORRECT_POINTS = 100;
+const BATTLE_SPEED_POINTS = 100; // Extra points for an instant answer, falling to 0 at the deadline
+const BATTLE_ROOM_TTL_MS = 10 * 60 * 1000; // Finished rooms stay readable this long
+
+const battleRooms = new Map(); // code -> room
+const battleRoomByEmail = new Map(); // email -> code of the room the player is in
+let battleIo = null;
+
+function battleChannel(code) {
+  return `battle:${code}`;
+}
+
+function generateBattleCode() {
+  let code;
+  do {
+    code = crypto.randomBytes(3).toString('hex').toUpperCase();
+  } while (battleRooms.has(code));
+  return code;
+}
+
+function parseCookieHeader(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
+
+// Signed-in user behind a socket handshake, or null. Sockets can't renew an expired access
+// cookie, so pages make an authenticated API call before connecting.
+async function authenticateSocket(socket) {
+  const token = socket.handshake.auth?.token || parseCookieHeader(socket.handshake.headers.cookie).accessToken;
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    const session = await Session.findOne({ _id: payload.sid, revokedAt: null });
+    const user = session ? await User.findById(payload.sub) : null;
+    return user && !user.disabled ? user : null;
+  } catch (tokenError) {
+    if (tokenError.name === 'TokenExpiredError' || tokenError.name === 'JsonWebTokenError') return null;
+    throw tokenError;
+  }
+}
+
+// Random servable bank questions, topped up from the fallback pool when the bank runs short
+async function loadBattleQuestions(category, count) {
+  const bank = await Question.aggregate([
+    { $match: { category, active: true, ...servableQuestionFilter() } },
+    { $sample: { size: count } }
+  ]);
+  const fallback = shuffleArray(getFallbackPool(category, 'beginner'))
+    .filter(q => !bank.some(b => b.question === q.question))
+    .slice(0, count - bank.length);
+
+  return [...bank, ...fallback].map(q => ({
+    questionId: q._id ? String(q._id) : null,
+    question: q.question,
+    options: shuffleArray(q.options),
+    correctAnswer: q.correctAnswer,
+    explanation: q.explanation,
+    topic: q.topic || category,
+    difficulty: q.difficulty || 'beginner'
+  }));
+}
+
+function battleStandings(room) {
+  const sorted = [...room.players.values()]
+    .map(player => ({
+      username: player.username,
+      email: player.email,
+      points: player.points,
+      correct: player.correct,
+      answerSeconds: Math.round(player.answerSeconds * 10) / 10,
+      connected: player.sockets.size > 0,
+      forfeited: !!player.forfeited
+    }))
+    .sort((a, b) => b.points - a.points || b.correct - a.correct || a.answerSeconds - b.answerSeconds);
+
+  let rank = 0;
+  return sorted.map((standing, index) => {
+    if (index === 0 || standing.points < sorted[index - 1].points) rank = index + 1;
+    return { rank, ...standing };
+  });
+}
+
+function battleState(room) {
+  return {
+    code: room.code,
+    category: room.category,
+    mode: room.mode,
+    host: room.hostEmail,
+    status: room.status,
+    maxPlayers: BATTLE_MAX_PLAYERS[room.mode],
+    questionCount: room.questionCount,
+    secondsPerQuestion: room.secondsPerQuestion,
+    questionIndex: room.questionIndex,
+    players: battleStandings(room)
+  };
+}
+
+function broadcastBattleState(room) {
+  battleIo.to(battleChannel(room.code)).emit('battle:state', battleState(room));
+}
+
+function clearBattleTimer(room) {
+  if (room.timer) clearTimeout(room.timer);
+  room.timer = null;
+}
+
+function closeBattleRoom(room, reason) {
+  clearBattleTimer(room);
+  battleIo.to(battleChannel(room.code)).emit('battle:closed', { code: room.code, reason });
+  battleIo.in(battleChannel(room.code)).socketsLeave(battleChannel(room.code));
+  room.players.forEach((_player, email) => {
+    if (battleRoomByEmail.get(email) === room.code) battleRoomByEmail.delete(email);
+  });
+  battleRooms.delete(room.code);
+}
+
+function createBattleRoom(user, { category, mode, questionCount, secondsPerQuestion } = {}) {
+  const entry = getCategoryEntry(category);
+  if (!entry) {
+    return { error: 'Unknown category' };
+  }
+  const room = {
+    code: generateBattleCode(),
+    category: entry.id,
+    mode: Object.hasOwn(BATTLE_MAX_PLAYERS, mode) ? mode : 'duel',
+    hostEmail: user.email,
+    status: 'waiting',
+    questionCount: clamp(parseInt(questionCount) || BATTLE_DEFAULT_QUESTIONS, 1, BATTLE_MAX_QUESTIONS),
+    secondsPerQuestion: clamp(parseInt(secondsPerQuestion) || BATTLE_DEFAULT_SECONDS, 5, 60),
+    players: new Map(),
+    questions: [],
+    questionIndex: -1,
+    createdAt: new Date()
+  };
+  battleRooms.set(room.code, room);
+  console.log(`⚔️ ${user.email} opened ${room.mode} ${room.code} (${room.category})`);
+  return { room };
+}
+
+// Put a socket's user in a room; rejoining a room you're already in (e.g. after a reconnect) is allowed
+function joinBattleRoom(socket, room) {
+  const { email, username } = socket.data.user;
+  const currentCode = battleRoomByEmail.get(email);
+  if (currentCode && currentCode !== room.code) {
+    return { error: 'You are already in another battle' };
+  }
+
+  let player = room.players.get(email);
+  if (player?.forfeited) {
+    return { error: 'You left this battle' };
+  }
+  if (!player) {
+    if (room.status !== 'waiting') {
+      return { error: 'This battle has already started' };
+    }
+    if (room.players.size >= BATTLE_MAX_PLAYERS[room.mode]) {
+      return { error: 'This battle is full' };
+    }
+    player = { email, username, sockets: new Set(), points: 0, correct: 0, answerSeconds: 0, answers: [] };
+    room.players.set(email, player);
+    battleRoomByEmail.set(email, room.code);
+  }
+  player.sockets.add(socket.id);
+  socket.join(battleChannel(room.code));
+  socket.data.battleCode = room.code;
+
+  broadcastBattleState(room);
+  if (room.mode === 'duel' && room.status === 'waiting' && room.players.size === BATTLE_MAX_PLAYERS.duel) {
+    startBattle(room);
+  }
+  return { room };
+}
+
+// Drop a socket. Before the battle starts its player leaves the room; during it they go quiet,
+// and can come back unless they left on purpose (forfeit), which frees them for another battle.
+function leaveBattleRoom(socket, forfeit = false) {
+  const room = battleRooms.get(socket.data.battleCode);
+  if (!room) return;
+  const { email } = socket.data.user;
+  const player = room.players.get(email);
+  socket.leave(battleChannel(room.code));
+  socket.data.battleCode = null;
+  if (!player) return;
+
+  player.sockets.delete(socket.id);
+  if (forfeit && room.status !== 'waiting') {
+    player.sockets.clear();
+    player.forfeited = true;
+    battleRoomByEmail.delete(email);
+  }
+  if (player.sockets.size > 0 || room.status === 'finished') return;
+
+  if (room.status === 'waiting') {
+    room.players.delete(email);
+    battleRoomByEmail.delete(email);
+    if (room.players.size === 0) {
+      return closeBattleRoom(room, 'empty');
+    }
+    if (room.hostEmail === email) {
+      room.hostEmail = room.players.keys().next().value;
+    }
+  } else if (![...room.players.values()].some(p => p.sockets.size > 0)) {
+    return closeBattleRoom(room, 'abandoned');
+  } else if (room.status === 'question' && everyoneAnswered(room)) {
+    revealBattleQuestion(room);
+  }
+  broadcastBattleState(room);
+}
+
+async function startBattle(room) {
+  room.status = 'countdown';
+  broadcastBattleState(room);
+  try {
+    room.questions = await loadBattleQuestions(room.category, room.questionCount);
+  } catch (error) {
+    console.error('Error loading battle questions:', error);
+  }
+  if (!battleRooms.has(room.code)) return; // Abandoned while loading
+  if (room.questions.length === 0) {
+    return closeBattleRoom(room, 'no-questions');
+  }
+  room.questionCount = room.questions.length;
+  room.startedAt = new Date();
+  battleIo.to(battleChannel(room.code)).emit('battle:countdown', { seconds: BATTLE_COUNTDOWN_SECONDS });
+  room.timer = setTimeout(() => askBattleQuestion(room), BATTLE_COUNTDOWN_SECONDS * 1000);
+}
+
+function askBattleQuestion(room) {
+  room.questionIndex++;
+  room.status = 'question';
+  room.questionStartedAt = Date.now();
+  const question = room.questions[room.questionIndex];
+
+  battleIo.to(battleChannel(room.code)).emit('battle:question', {
+    index: room.questionIndex,
+    total: room.questions.length,
+    question: question.question,
+    options: question.options,
+    topic: question.topic,
+    seconds: room.secondsPerQuestion,
+    endsAt: new Date(room.questionStartedAt + room.secondsPerQuestion * 1000)
+  });
+  broadcastBattleState(room);
+  room.timer = setTimeout(() => revealBattleQuestion(room), (room.secondsPerQuestion + TIME_LIMIT_GRACE_SECONDS) * 1000);
+}
+
+function everyoneAnswered(room) {
+  return [...room.players.values()]
+    .filter(player => player.sockets.size > 0)
+    .every(player => player.answers[room.questionIndex]);
+}
+
+// Grade an answer to the current question; the first answer counts
+function answerBattleQuestion(room, email, { index, answer } = {}) {
+  const player = room.players.get(email);
+  if (!player || room.status !== 'question' || index !== room.questionIndex) {
+    return { error: 'That question is not open for answers' };
+  }
+  if (player.answers[index]) {
+    return { error: 'You have already answered this question' };
+  }
+  const seconds = (Date.now() - room.questionStartedAt) / 1000;
+  if (seconds > room.secondsPerQuestion + TIME_LIMIT_GRACE_SECONDS) {
+    return { error: 'Time is up for this question' };
+  }
+
+  const question = room.questions[index];
+  const isCorrect = typeof answer === 'string' && answer === question.correctAnswer;
+  const speed = Math.max(0, 1 - seconds / room.secondsPerQuestion);
+  const points = isCorrect ? BATTLE_CORRECT_POINTS + Math.round(BATTLE_SPEED_POINTS * speed) : 0;
+
+  player.answers[index] = { answer, isCorrect, seconds: Math.min(seconds, room.secondsPerQuestion), points };
+  player.points += points;
+  player.correct += isCorrect ? 1 : 0;
+  player.answerSeconds += Math.min(seconds, room.secondsPerQuestion);
+
+  battleIo.to(battleChannel(room.code)).emit('battle:answered', {
+    index,
+    username: player.username,
+    answered: [...room.players.values()].filter(p => p.answers[index]).length
+  });
+  if (everyoneAnswered(room)) {
+    revealBattleQuestion(room);
+  }
+  return { received: true };
+}
+
+function revealBattleQuestion(room) {
+  if (room.status !== 'question') return;
+  clearBattleTimer(room);
+  room.status = 'reveal';
+  const index = room.questionIndex;
+  const question = room.questions[index];
+
+  room.players.forEach(player => {
+    if (!player.answers[index]) {
+      player.answers[index] = { answer: null, isCorrect: false, seconds: room.secondsPerQuestion, points: 0 };
+      player.answerSeconds += room.secondsPerQuestion;
+    }
+  });
+
+  battleIo.to(battleChannel(room.code)).emit('battle:reveal', {
+    index,
+    correctAnswer: question.correctAnswer,
+    explanation: question.explanation,
+    results: [...room.players.values()].map(player => ({
+      username: player.username,
+      answer: player.answers[index].answer,
+      isCorrect: player.answers[index].isCorrect,
+      points: player.answers[index].points
+    })),
+    standings: battleStandings(room)
+  });
+
+  const last = index >= room.questions.length - 1;
+  room.timer = setTimeout(() => (last ? finishBattle(room) : askBattleQuestion(room)), BATTLE_REVEAL_SECONDS * 1000);
+}
+
+// Save each player's Result and pay the winners (everyone tied for first among those who stayed)
+async function settleBattle(room, winners) {
+  const battleId = `${room.code}-${room.startedAt.getTime()}`;
+  const questionIds = room.questions.map(q => q.questionId).filter(Boolean);
+  const difficulty = quizDifficulty(room.questions.map(q => ({ item: { difficulty: priorDifficulty(q.difficulty) } })));
+  const players = [...room.players.values()].filter(player => player.answers.some(a => a && a.answer !== null));
+
+  await Promise.all(players.map(player => {
+    const score = player.correct;
+    const total = room.questions.length;
+    const timeSpent = Math.round(player.answerSeconds);
+    return Result.create({
+      username: player.username,
+      email: player.email,
+      category: room.category,
+      score,
+      total,
+      submittedAt: new Date(),
+      quizType: 'multiplayer',
+      aiGenerated: false,
+      generationSource: 'MANUAL',
+      questionIds,
+      quizId: `battle:${battleId}:${player.email}`,
+      timeSpent,
+      difficulty,
+      points: computeResultPoints({ score, total, difficulty, timeSpent })
+    });
+  }));
+
+  const coins = {};
+  if (players.length >= 2) {
+    for (const standing of winners) {
+      const paid = await awardCoins(standing.email, COIN_REWARDS.BATTLE_WIN, 'Battle Won', {
+        battleId,
+        category: room.category,
+        players: players.length
+      }, `battle:${battleId}`);
+      if (paid) coins[standing.email] = COIN_REWARDS.BATTLE_WIN;
+    }
+  }
+  return coins;
+}
+
+async function finishBattle(room) {
+  room.status = 'finished';
+  room.finishedAt = new Date();
+  const standings = battleStandings(room);
+  // A player who forfeited may already be in another room; only clear entries for this one
+  room.players.forEach((_player, email) => {
+    if (battleRoomByEmail.get(email) === room.code) battleRoomByEmail.delete(email);
+  });
+
+  // Players who forfeited can't win; first place goes to the best of those who stayed
+  const contenders = standings.filter(s => !s.forfeited);
+  const winningStandings = contenders.filter(s => s.points > 0 && s.points === contenders[0].points);
+
+  let coins = {};
+  try {
+    coins = await settleBattle(room, winningStandings);
+  } catch (error) {
+    console.error('Error saving battle results:', error);
+  }
+
+  const winners = winningStandings.map(s => s.username);
+  battleIo.to(battleChannel(room.code)).emit('battle:finished', {
+    code: room.code,
+    standings: standings.map(s => ({ ...s, coinsAwarded: coins[s.email] || 0 })),
+    winners
+  });
+  broadcastBattleState(room);
+  console.log(`🏁 Battle ${room.code} finished; winners: ${winners.join(', ') || 'none'}`);
+
+  room.timer = setTimeout(() => closeBattleRoom(room, 'expired'), BATTLE_ROOM_TTL_MS);
+  room.timer.unref();
+}
+
+function reply(ack, body) {
+  if (typeof ack === 'function') ack(body);
+}
+
+// Event payloads come straight from clients; anything but a plain object is treated as empty
+function eventPayload(payload) {
+  return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : {};
+}
+
+function attachBattleServer(io) {
+  battleIo = io;
+
+  io.use(async (socket, next) => {
+    try {
+      const user = await authenticateSocket(socket);
+      if (!user) {
+        return next(new Error('Sign in to play battles'));
+      }
+      socket.data.user = { email: user.email, username: user.username };
+      next();
+    } catch (error) {
+      console.error('Socket auth error:', error);
+      next(new Error('Failed to authenticate'));
+    }
+  });
+
+  io.on('connection', socket => {
+    socket.on('battle:create', (options, ack) => {
+      if (battleRoomByEmail.has(socket.data.user.email)) {
+        return reply(ack, { error: 'You are already in a battle' });
+      }
+      const created = createBattleRoom(socket.data.user, eventPayload(options));
+      if (created.error) return reply(ack, created);
+      const joined = joinBattleRoom(socket, created.room);
+      reply(ack, joined.error ? joined : { room: battleState(created.room) });
+    });
+
+    socket.on('battle:join', (payload, ack) => {
+      const { code } = eventPayload(payload);
+      const room = battleRooms.get(String(code || '').toUpperCase());
+      if (!room) return reply(ack, { error: 'Battle not found' });
+      const joined = joinBattleRoom(socket, room);
+      reply(ack, joined.error ? joined : { room: battleState(room) });
+    });
+
+    socket.on('battle:start', (_payload, ack) => {
+      const room = battleRooms.get(socket.data.battleCode);
+      if (!room) return reply(ack, { error: 'You are not in a battle' });
+      if (room.hostEmail !== socket.data.user.email) return reply(ack, { error: 'Only the host can start the battle' });
+      if (room.status !== 'waiting') return reply(ack, { error: 'This battle has already started' });
+      if (room.players.size < 2) return reply(ack, { error: 'Wait for at least one more player' });
+      startBattle(room);
+      reply(ack, { started: true });
+    });
+
+    socket.on('battle:answer', (payload, ack) => {
+      const room = battleRooms.get(socket.data.battleCode);
+      if (!room) return reply(ack, { error: 'You are not in a battle' });
+      reply(ack, answerBattleQuestion(room, socket.data.user.email, eventPayload(payload)));
+    });
+
+    socket.on('battle:leave', (_payload, ack) => {
+      leaveBattleRoom(socket, true);
+      reply(ack, { left: true });
+    });
+
+    socket.on('disconnect', () => leaveBattleRoom(socket));
+  });
+}
+
+// Lobbies and duels waiting for players
+app.get('/api/battles', requireAuth, (req, res) => {
+  const rooms = [...battleRooms.values()]
+    .filter(room => room.status === 'waiting' && room.players.size < BATTLE_MAX_PLAYERS[room.mode])
+    .filter(room => !req.query.category || room.category === req.query.category)
+    .map(room => ({
+      code: room.code,
+      category: room.category,
+      mode: room.mode,
+      host: room.players.get(room.hostEmail)?.username || null,
+      players: room.players.size,
+      maxPlayers: BATTLE_MAX_PLAYERS[room.mode],
+      questionCount: room.questionCount,
+      secondsPerQuestion: room.secondsPerQuestion,
+      createdAt: room.createdAt
+    }));
+  res.json({ rooms });
+});
+
+if (require.main === module) {
+  const server = http.createServer(app);
+  attachBattleServer(new SocketServer(server));
+
+  server.listen(port, () => {
+    console.log(`🚀 Server running at http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  app,
+  irtProbability,
+  estimateAbility,
+  targetDifficultyFor,
+  reviewQuality,
+  scheduleReview,
+  quizAllowanceSeconds,
+  isLateAnswer,
+  computeResultPoints,
+  challengeOutcome,
+  seasonBounds,
+  assignLeagueMoves
+};
\ No newline at end of file
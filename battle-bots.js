@@ -0,0 +1,97 @@
+// Plays multiplayer battles against a local server with several socket clients.
+//
+//   node battle-bots.js alice@example.com:secret bob@example.com:secret
+//       The first account opens a lobby, the others join, and the host starts it.
+//   BATTLE_CODE=3FA9C1 node battle-bots.js carol@example.com:secret
+//       Join a battle opened in the browser instead.
+//
+// Accounts must already exist. BATTLE_URL (default http://localhost:3001) and
+// BATTLE_CATEGORY (default JavaScript) can be overridden.
+const { io } = require('socket.io-client');
+
+const BASE_URL = process.env.BATTLE_URL || 'http://localhost:3001';
+const CATEGORY = process.env.BATTLE_CATEGORY || 'JavaScript';
+
+async function login(credentials) {
+  const [email, ...rest] = credentials.split(':');
+  const response = await fetch(`${BASE_URL}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password: rest.join(':') })
+  });
+  const body = await response.json();
+  if (!body.success) throw new Error(`Login failed for ${email}: ${body.message}`);
+  return { email, token: body.accessToken };
+}
+
+function emit(socket, event, payload) {
+  return new Promise(resolve => socket.emit(event, payload, resolve));
+}
+
+function connectBot({ email, token }) {
+  return new Promise((resolve, reject) => {
+    const socket = io(BASE_URL, { auth: { token } });
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+
+    // Answer after a random delay with a random option
+    socket.on('battle:question', question => {
+      const answer = question.options[Math.floor(Math.random() * question.options.length)];
+      setTimeout(async () => {
+        const result = await emit(socket, 'battle:answer', { index: question.index, answer });
+        console.log(`${email} answered Q${question.index + 1}: ${result.error || answer}`);
+      }, 500 + Math.random() * 3000);
+    });
+    socket.on('battle:reveal', reveal => {
+      if (socket.reporter) console.log(`Q${reveal.index + 1} answer: ${reveal.correctAnswer}`);
+    });
+    socket.on('battle:finished', ({ standings, winners }) => {
+      if (!socket.reporter) return;
+      standings.forEach(s => console.log(`#${s.rank} ${s.username}: ${s.points} points, ${s.correct} correct, ${s.coinsAwarded} coins`));
+      console.log(`Winners: ${winners.join(', ') || 'none'}`);
+      process.exit(0);
+    });
+    socket.on('battle:closed', ({ reason }) => {
+      console.log(`Battle closed: ${reason}`);
+      process.exit(0);
+    });
+  });
+}
+
+async function main() {
+  const accounts = process.argv.slice(2);
+  if (accounts.length === 0) {
+    console.log('Usage: node battle-bots.js email:password [email:password ...]');
+    process.exit(1);
+  }
+
+  const sockets = [];
+  for (const account of accounts) {
+    sockets.push(await connectBot(await login(account)));
+  }
+
+  let code = process.env.BATTLE_CODE;
+  if (!code) {
+    const created = await emit(sockets[0], 'battle:create', { category: CATEGORY, mode: 'lobby' });
+    if (created.error) throw new Error(created.error);
+    code = created.room.code;
+    console.log(`Opened battle ${code}`);
+  }
+  sockets[0].reporter = true; // Logs the answers and final standings
+
+  for (const socket of sockets) {
+    const joined = await emit(socket, 'battle:join', { code });
+    if (joined.error) throw new Error(joined.error);
+  }
+  console.log(`${sockets.length} bot(s) in battle ${code}`);
+
+  if (!process.env.BATTLE_CODE) {
+    const started = await emit(sockets[0], 'battle:start');
+    if (started.error) throw new Error(started.error);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
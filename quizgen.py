@@ -19,7 +19,9 @@ def log_api_usage():
     with open(usage_file, "w") as f:
         f.write(str(usage_count))
 
-API_KEY = "nniQXVUQMSnHgRK4cXH8Xi8TV3GMGSmVZLWrg7IH"
+API_KEY = os.environ.get("COHERE_API_KEY")
+if not API_KEY:
+    sys.exit("COHERE_API_KEY is not set")
 co = cohere.Client(API_KEY)
 
 def generate_questions(topic="HTML Basics", difficulty="beginner", num_questions=1):
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { challengeOutcome } = require('../app');
+
+test('the higher score wins', () => {
+  assert.strictEqual(challengeOutcome({ score: 8, timeSpent: 90 }, { score: 6, timeSpent: 30 }), 'creator');
+  assert.strictEqual(challengeOutcome({ score: 6, timeSpent: 30 }, { score: 8, timeSpent: 90 }), 'opponent');
+});
+
+test('equal scores go to the faster player', () => {
+  assert.strictEqual(challengeOutcome({ score: 7, timeSpent: 60 }, { score: 7, timeSpent: 45 }), 'opponent');
+  assert.strictEqual(challengeOutcome({ score: 7, timeSpent: 45 }, { score: 7, timeSpent: 60 }), 'creator');
+});
+
+test('a player with no recorded time loses a tie to one with a time', () => {
+  assert.strictEqual(challengeOutcome({ score: 7, timeSpent: null }, { score: 7, timeSpent: 60 }), 'opponent');
+  assert.strictEqual(challengeOutcome({ score: 7, timeSpent: 60 }, { score: 7 }), 'creator');
+});
+
+test('same score and time is a draw', () => {
+  assert.strictEqual(challengeOutcome({ score: 7, timeSpent: 60 }, { score: 7, timeSpent: 60 }), 'draw');
+  assert.strictEqual(challengeOutcome({ score: 0 }, { score: 0 }), 'draw');
+});
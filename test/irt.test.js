@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { irtProbability, estimateAbility, targetDifficultyFor } = require('../app');
+
+const item = { difficulty: 0, discrimination: 1 };
+
+function responses(count, isCorrect) {
+  return Array.from({ length: count }, () => ({ ...item, isCorrect }));
+}
+
+test('a learner at an item\'s difficulty answers it correctly half the time', () => {
+  assert.strictEqual(irtProbability(0, item), 0.5);
+  assert.ok(irtProbability(1, item) > 0.5);
+  assert.ok(irtProbability(-1, item) < 0.5);
+  assert.ok(irtProbability(1, { difficulty: 0, discrimination: 2 }) > irtProbability(1, item));
+});
+
+test('no responses leave the prior unchanged', () => {
+  assert.deepStrictEqual(estimateAbility([], { theta: 0.5, standardError: 0.8 }), { theta: 0.5, standardError: 0.8 });
+});
+
+test('correct answers raise ability and misses lower it', () => {
+  const mixed = estimateAbility([...responses(3, true), ...responses(3, false)]);
+  assert.ok(Math.abs(mixed.theta) < 1e-3);
+  assert.ok(estimateAbility(responses(5, true)).theta > 0);
+  assert.ok(estimateAbility(responses(5, false)).theta < 0);
+});
+
+test('more responses shrink the standard error and theta stays bounded', () => {
+  assert.ok(estimateAbility(responses(20, true)).standardError < estimateAbility(responses(2, true)).standardError);
+  assert.ok(estimateAbility(responses(500, true), { theta: 0, standardError: 10 }).theta <= 4);
+});
+
+test('target difficulty is answered correctly 70% of the time', () => {
+  const theta = 0.8;
+  const probability = irtProbability(theta, { difficulty: targetDifficultyFor(theta), discrimination: 1 });
+  assert.ok(Math.abs(probability - 0.7) < 1e-9);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeResultPoints } = require('../app');
+
+test('an empty quiz scores nothing', () => {
+  assert.strictEqual(computeResultPoints({ score: 0, total: 0, difficulty: null, timeSpent: 0 }), 0);
+});
+
+test('a perfect beginner quiz answered at reference speed earns the full speed bonus', () => {
+  assert.strictEqual(computeResultPoints({ score: 10, total: 10, difficulty: -1.5, timeSpent: 100 }), 120);
+  assert.strictEqual(computeResultPoints({ score: 10, total: 10, difficulty: -1.5, timeSpent: 0 }), 100);
+});
+
+test('slower answers earn a partial speed bonus', () => {
+  assert.strictEqual(computeResultPoints({ score: 5, total: 10, difficulty: -1.5, timeSpent: 200 }), 55);
+});
+
+test('harder questions are worth up to double and unknown difficulty counts as beginner', () => {
+  assert.strictEqual(computeResultPoints({ score: 10, total: 10, difficulty: 1.5, timeSpent: 0 }), 200);
+  assert.strictEqual(computeResultPoints({ score: 10, total: 10, difficulty: 5, timeSpent: 0 }), 200);
+  assert.strictEqual(computeResultPoints({ score: 10, total: 10, difficulty: null, timeSpent: 0 }), 100);
+});
+
+test('short quizzes are scaled down', () => {
+  assert.strictEqual(computeResultPoints({ score: 5, total: 5, difficulty: -1.5, timeSpent: 0 }), 50);
+  assert.strictEqual(computeResultPoints({ score: 20, total: 20, difficulty: -1.5, timeSpent: 0 }), 100);
+});
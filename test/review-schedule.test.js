@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { reviewQuality, scheduleReview } = require('../app');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-02T09:00:00Z');
+
+function newItem() {
+  return { repetitions: 0, interval: 0, easeFactor: 2.5, lapses: 0 };
+}
+
+test('review quality comes from correctness and speed', () => {
+  assert.strictEqual(reviewQuality(false, 5), 1);
+  assert.strictEqual(reviewQuality(true, 10), 5);
+  assert.strictEqual(reviewQuality(true, 30), 4);
+  assert.strictEqual(reviewQuality(true, 0), 4);
+  assert.strictEqual(reviewQuality(true, 60), 3);
+});
+
+test('correct reviews grow the interval 1, 6, then by the ease factor', () => {
+  const item = newItem();
+  scheduleReview(item, 4, now);
+  assert.strictEqual(item.interval, 1);
+  scheduleReview(item, 4, now);
+  assert.strictEqual(item.interval, 6);
+  scheduleReview(item, 4, now);
+  assert.strictEqual(item.interval, 15);
+  assert.strictEqual(item.repetitions, 3);
+  assert.strictEqual(item.easeFactor, 2.5);
+  assert.strictEqual(item.dueAt.getTime(), now.getTime() + 15 * DAY_MS);
+  assert.strictEqual(item.lastReviewedAt, now);
+  assert.strictEqual(item.lastQuality, 4);
+});
+
+test('a miss resets the item to tomorrow and counts a lapse', () => {
+  const item = { repetitions: 3, interval: 15, easeFactor: 2.5, lapses: 0 };
+  scheduleReview(item, 1, now);
+  assert.strictEqual(item.repetitions, 0);
+  assert.strictEqual(item.interval, 1);
+  assert.strictEqual(item.lapses, 1);
+  assert.strictEqual(item.easeFactor, 1.96);
+  assert.strictEqual(item.dueAt.getTime(), now.getTime() + DAY_MS);
+});
+
+test('ease factor rises on quick answers and never drops below 1.3', () => {
+  const quick = newItem();
+  scheduleReview(quick, 5, now);
+  assert.strictEqual(quick.easeFactor, 2.6);
+
+  const struggling = newItem();
+  for (let i = 0; i < 10; i++) scheduleReview(struggling, 1, now);
+  assert.strictEqual(struggling.easeFactor, 1.3);
+  assert.strictEqual(struggling.lapses, 10);
+});
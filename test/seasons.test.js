@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { seasonBounds, assignLeagueMoves } = require('../app');
+
+// Standings already sorted by points, highest first
+function league(name, count, points = index => 100 - index) {
+  return Array.from({ length: count }, (_, index) => ({ email: `${name}${index}@example.com`, league: name, points: points(index) }));
+}
+
+function outcomes(standings) {
+  return standings.map(standing => standing.outcome);
+}
+
+test('weekly seasons run Monday to Monday (UTC)', () => {
+  const midweek = seasonBounds('weekly', new Date('2026-03-04T12:00:00Z'));
+  assert.strictEqual(midweek.seasonId, 'weekly-2026-03-02');
+  assert.strictEqual(midweek.startsAt.toISOString(), '2026-03-02T00:00:00.000Z');
+  assert.strictEqual(midweek.endsAt.toISOString(), '2026-03-09T00:00:00.000Z');
+
+  assert.strictEqual(seasonBounds('weekly', new Date('2026-03-08T23:59:59Z')).seasonId, 'weekly-2026-03-02');
+  assert.strictEqual(seasonBounds('weekly', new Date('2026-03-09T00:00:00Z')).seasonId, 'weekly-2026-03-09');
+});
+
+test('monthly seasons run from the 1st and roll over the year', () => {
+  const december = seasonBounds('monthly', new Date('2026-12-31T23:00:00Z'));
+  assert.strictEqual(december.seasonId, 'monthly-2026-12');
+  assert.strictEqual(december.startsAt.toISOString(), '2026-12-01T00:00:00.000Z');
+  assert.strictEqual(december.endsAt.toISOString(), '2027-01-01T00:00:00.000Z');
+});
+
+test('a middle league promotes and relegates a fifth of its players', () => {
+  const standings = assignLeagueMoves(league('silver', 10), 'weekly');
+  assert.deepStrictEqual(outcomes(standings), [
+    'promoted', 'promoted', 'stayed', 'stayed', 'stayed', 'stayed', 'stayed', 'stayed', 'relegated', 'relegated'
+  ]);
+  assert.strictEqual(standings[0].nextLeague, 'gold');
+  assert.strictEqual(standings[9].nextLeague, 'bronze');
+});
+
+test('small leagues move at least one player but never relegate the winner', () => {
+  assert.deepStrictEqual(outcomes(assignLeagueMoves(league('silver', 1), 'weekly')), ['promoted']);
+  assert.deepStrictEqual(outcomes(assignLeagueMoves(league('silver', 2), 'weekly')), ['promoted', 'stayed']);
+  assert.deepStrictEqual(outcomes(assignLeagueMoves(league('silver', 3), 'weekly')), ['promoted', 'stayed', 'relegated']);
+  assert.deepStrictEqual(outcomes(assignLeagueMoves(league('gold', 1), 'weekly')), ['stayed']);
+  assert.deepStrictEqual(outcomes(assignLeagueMoves(league('gold', 2), 'weekly')), ['stayed', 'relegated']);
+});
+
+test('the bottom league never relegates and the top league never promotes', () => {
+  assert.ok(!outcomes(assignLeagueMoves(league('bronze', 10), 'weekly')).includes('relegated'));
+  assert.ok(!outcomes(assignLeagueMoves(league('gold', 10), 'weekly')).includes('promoted'));
+  assert.strictEqual(assignLeagueMoves(league('gold', 10), 'weekly')[9].nextLeague, 'silver');
+});
+
+test('leagues are ranked and moved separately', () => {
+  const standings = assignLeagueMoves([...league('gold', 5), ...league('bronze', 5)], 'weekly');
+  assert.deepStrictEqual(outcomes(standings), [
+    'stayed', 'stayed', 'stayed', 'stayed', 'relegated',
+    'promoted', 'stayed', 'stayed', 'stayed', 'stayed'
+  ]);
+  assert.strictEqual(standings[5].leagueRank, 1);
+});
+
+test('tied players share a league rank and its reward', () => {
+  const standings = assignLeagueMoves(league('bronze', 4, index => [90, 90, 80, 70][index]), 'monthly');
+  assert.deepStrictEqual(standings.map(standing => standing.leagueRank), [1, 1, 3, 4]);
+  assert.deepStrictEqual(standings.map(standing => standing.reward), [300, 300, 100, 0]);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quizAllowanceSeconds, isLateAnswer } = require('../app');
+
+const untimed = { perQuestionSeconds: null, perQuizSeconds: null };
+
+test('untimed quizzes are never late', () => {
+  assert.strictEqual(isLateAnswer(untimed, 10000, 10000), false);
+  assert.strictEqual(quizAllowanceSeconds(untimed, 10), null);
+});
+
+test('per-question limit allows the grace period', () => {
+  const limits = { perQuestionSeconds: 60, perQuizSeconds: null };
+  assert.strictEqual(isLateAnswer(limits, 65), false);
+  assert.strictEqual(isLateAnswer(limits, 66), true);
+});
+
+test('per-quiz limit only applies when quiz time is known', () => {
+  const limits = { perQuestionSeconds: null, perQuizSeconds: 300 };
+  assert.strictEqual(isLateAnswer(limits, 400), false);
+  assert.strictEqual(isLateAnswer(limits, 10, 305), false);
+  assert.strictEqual(isLateAnswer(limits, 10, 306), true);
+});
+
+test('either limit makes an answer late', () => {
+  const limits = { perQuestionSeconds: 30, perQuizSeconds: 300 };
+  assert.strictEqual(isLateAnswer(limits, 40, 100), true);
+  assert.strictEqual(isLateAnswer(limits, 10, 400), true);
+  assert.strictEqual(isLateAnswer(limits, 10, 100), false);
+});
+
+test('quiz allowance is the tighter of the two limits', () => {
+  assert.strictEqual(quizAllowanceSeconds({ perQuestionSeconds: 60, perQuizSeconds: null }, 5), 300);
+  assert.strictEqual(quizAllowanceSeconds({ perQuestionSeconds: null, perQuizSeconds: 200 }, 5), 200);
+  assert.strictEqual(quizAllowanceSeconds({ perQuestionSeconds: 60, perQuizSeconds: 200 }, 5), 200);
+  assert.strictEqual(quizAllowanceSeconds({ perQuestionSeconds: 30, perQuizSeconds: 200 }, 5), 150);
+});